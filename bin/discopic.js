@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+/**
+ * Discopic CLI
+ * Headless arbitrage monitor built on the dashboard's modules
+ */
+
+const fs = require('fs');
+const CliOptions = require('../cli/options');
+const CliOutput = require('../cli/output');
+
+// The dashboard modules find each other as globals, as they do in the browser
+global.Config = require('../js/config');
+global.CoinAPI = require('../js/api');
+global.Providers = require('../js/providers');
+global.MockMarket = require('../js/mock');
+global.Fees = require('../js/fees');
+global.Inventory = require('../js/inventory');
+global.RequestBudget = require('../js/budget');
+global.FX = require('../js/fx');
+global.Arbitrage = require('../js/arbitrage');
+global.QuoteQuality = require('../js/quality');
+global.Triangular = require('../js/triangular');
+global.Tracker = require('../js/tracker');
+global.DataExport = require('../js/export');
+global.PaperTrading = require('../js/paper');
+global.Backtest = require('../js/backtest');
+
+const Cli = {
+    // Pending wait between polls, so a signal can cut it short
+    timer: null,
+    wake: null,
+    stopped: false,
+
+    /**
+     * Run the CLI
+     * @param {Array} argv - Arguments after the script name
+     * @returns {Number} - Exit code
+     */
+    async main(argv) {
+        let options;
+        try {
+            options = CliOptions.parse(argv, process.env, Config);
+        } catch (error) {
+            console.error(`discopic: ${error.message}\nRun "discopic --help" for usage.`);
+            return 2;
+        }
+
+        if (options.help || options.command === 'help') {
+            process.stdout.write(CliOptions.usage());
+            return 0;
+        }
+
+        if (options.command === 'backtest') {
+            return this.backtest(options);
+        }
+
+        if (options.command !== 'watch') {
+            console.error(`discopic: unknown command "${options.command}"\nRun "discopic --help" for usage.`);
+            return 2;
+        }
+
+        return this.watch(options);
+    },
+
+    /**
+     * Poll market data and print opportunities until interrupted
+     * @param {Object} options - Parsed options from CliOptions.parse
+     * @returns {Number} - Exit code
+     */
+    async watch(options) {
+        // Settings come from the file, environment and flags; keep them in memory
+        global.localStorage = this.createStorage();
+        Config.save(options.config);
+
+        if (options.demo) {
+            try {
+                MockMarket.install(CliOptions.readScenario(options.demo, MockMarket));
+            } catch (error) {
+                console.error(`discopic: ${error.message}`);
+                return 2;
+            }
+            console.error(`Demo mode: ${MockMarket.scenario.name} (synthetic market data)`);
+        }
+
+        if (!Config.hasApiKey() && Providers.requiresKey(Config.getExchanges(), Config.get('providers'))) {
+            console.error('discopic: a CoinAPI key is required for the selected exchanges (--api-key or DISCOPIC_API_KEY)');
+            return 2;
+        }
+
+        let inventory = null;
+        if (options.inventory) {
+            try {
+                inventory = Inventory.parseImport(fs.readFileSync(options.inventory, 'utf8'));
+            } catch (error) {
+                console.error(`discopic: cannot read ${options.inventory}: ${error.message}`);
+                return 1;
+            }
+        }
+
+        const stop = () => this.stop();
+        process.on('SIGINT', stop);
+        process.on('SIGTERM', stop);
+
+        const minProfit = Config.get('defaultMinProfit');
+        let first = true;
+        let failed = false;
+
+        console.error(`Watching ${Config.getPairs().join(', ')} on ${Config.getExchanges().join(', ')} `
+            + `every ${Config.get('refreshInterval')}s (min profit ${Arbitrage.formatPercent(minProfit)})`);
+
+        while (!this.stopped) {
+            const started = Date.now();
+
+            try {
+                const opportunities = await this.poll(minProfit, inventory);
+                process.stdout.write(CliOutput.render(options.format, opportunities, {
+                    timestamp: started,
+                    minProfit,
+                    first
+                }));
+                first = false;
+                failed = false;
+            } catch (error) {
+                console.error(`[${new Date().toISOString()}] ${error.message}`);
+                failed = true;
+            }
+
+            if (options.once) break;
+
+            // Lengthened when needed so the CoinAPI budget lasts until it resets
+            const cost = RequestBudget.getCost(Config.getPairs(), Config.getExchanges(), Config.get('providers'));
+            const interval = RequestBudget.getInterval(Config.get('refreshInterval'), cost) * 1000;
+            await this.sleep(interval - (Date.now() - started));
+        }
+
+        process.off('SIGINT', stop);
+        process.off('SIGTERM', stop);
+        return failed ? 1 : 0;
+    },
+
+    /**
+     * Replay an order book dump and print the report
+     * @param {Object} options - Parsed options from CliOptions.parse
+     * @returns {Number} - Exit code
+     */
+    backtest(options) {
+        if (!options.input) {
+            console.error('discopic: backtest needs an order book dump (discopic backtest <file>)');
+            return 2;
+        }
+
+        let snapshots;
+        try {
+            snapshots = Backtest.parseImport(fs.readFileSync(options.input, 'utf8'));
+        } catch (error) {
+            console.error(`discopic: cannot read ${options.input}: ${error.message}`);
+            return 1;
+        }
+
+        const { config } = options;
+        const settings = {
+            fees: Fees.resolve(config),
+            minProfit: config.defaultMinProfit,
+            latencyMs: options.latencyMs,
+            tradeValue: options.tradeValue,
+            triangular: config.triangularEnabled,
+            maxLegs: config.triangularMaxLegs,
+            fx: FX.getSettings(config)
+        };
+
+        const report = Backtest.run(snapshots, settings);
+        const sweep = Backtest.sweep(snapshots, settings);
+
+        if (options.format === 'table') {
+            process.stdout.write(CliOutput.backtestReport(report, sweep));
+        } else {
+            // Machine-readable: the report without the individual trades
+            const { trades, ...summary } = report;
+            process.stdout.write(JSON.stringify({ ...summary, sweep }) + '\n');
+        }
+        return 0;
+    },
+
+    /**
+     * Fetch quotes once and return tracked opportunities
+     * @param {Number} minProfit - Minimum net profit in percent
+     * @param {Object|null} inventory - Balances to size opportunities to (see Inventory)
+     */
+    async poll(minProfit, inventory = null) {
+        const fetched = await CoinAPI.getAllQuotes(
+            Config.getPairs(),
+            Config.getExchanges(),
+            Config.getApiKey(),
+            Config.get('providers')
+        );
+
+        if (fetched.length === 0) {
+            throw new Error('No market data available. Check the pairs, exchanges and API key.');
+        }
+
+        // Leave out or flag stale, crossed, empty and outlier books, as the dashboard does
+        const { quotes, flagged } = QuoteQuality.screen(fetched, QuoteQuality.getSettings(Config.load()));
+        for (const { quote, issues, excluded } of flagged) {
+            console.error(`${excluded ? 'Excluded' : 'Flagged'} ${quote.exchange} ${quote.pair}: `
+                + issues.map(issue => issue.message).join('; '));
+        }
+
+        // Price quote currencies the monitored pairs can't convert between
+        const fxSettings = FX.getSettings(Config.load());
+        if (fxSettings) {
+            await FX.fetchRates(FX.getUnpriced(Config.getPairs(), quotes, fxSettings), Config.getApiKey());
+        }
+
+        const fees = Fees.resolve(Config.load());
+        let opportunities = Arbitrage.calculateOpportunities(quotes, fees, minProfit, {
+            withdrawalFees: Config.get('withdrawalFees'),
+            transferTimes: Config.get('transferTimes'),
+            tradeSize: Config.get('tradeSize')
+        }, fxSettings && { ...fxSettings, rates: FX.getRates(quotes, fxSettings.currencies) }, inventory);
+
+        if (Config.get('triangularEnabled')) {
+            opportunities = opportunities.concat(
+                Triangular.findOpportunities(quotes, fees, minProfit, Config.get('triangularMaxLegs'))
+            );
+        }
+
+        QuoteQuality.annotate(opportunities, quotes);
+
+        // Track routes across polls, as the dashboard does
+        const now = Date.now();
+        Tracker.observe(opportunities, now);
+        for (const opp of opportunities) {
+            Object.assign(opp, Tracker.describe(opp, now));
+
+            if (opp.type === 'triangular') continue;
+
+            opp.typicalLifetime = Tracker.getTypicalLifetime(Tracker.key(opp));
+            opp.transferTooSlow = Arbitrage.isTransferTooSlow(opp, opp.typicalLifetime);
+        }
+
+        return opportunities.sort((a, b) => b.netProfit - a.netProfit);
+    },
+
+    /**
+     * In-memory stand-in for localStorage
+     */
+    createStorage() {
+        const items = new Map();
+        return {
+            getItem: key => (items.has(key) ? items.get(key) : null),
+            setItem: (key, value) => items.set(key, String(value)),
+            removeItem: key => items.delete(key)
+        };
+    },
+
+    /**
+     * Wait before the next poll, unless stopped first
+     */
+    sleep(ms) {
+        return new Promise(resolve => {
+            this.wake = resolve;
+            this.timer = setTimeout(resolve, Math.max(0, ms));
+        });
+    },
+
+    /**
+     * Finish the current poll and exit
+     */
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+        if (this.wake) this.wake();
+    }
+};
+
+if (require.main === module) {
+    Cli.main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = Cli;
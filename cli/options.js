@@ -0,0 +1,237 @@
+/**
+ * CLI Options
+ * Builds the monitor configuration from defaults, a JSON file, the environment and flags
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const CliOptions = {
+    // Output formats for the watch command
+    formats: ['table', 'jsonl', 'csv'],
+
+    // Order types for --buy-order and --sell-order (see Fees.orderTypes)
+    orderTypes: ['taker', 'maker'],
+
+    // Command line flags, as node:util parseArgs options
+    flags: {
+        config: { type: 'string', short: 'c' },
+        'api-key': { type: 'string' },
+        pairs: { type: 'string', short: 'p' },
+        exchanges: { type: 'string', short: 'e' },
+        'min-profit': { type: 'string', short: 'm' },
+        interval: { type: 'string', short: 'i' },
+        format: { type: 'string', short: 'f' },
+        'no-triangular': { type: 'boolean' },
+        'buy-order': { type: 'string' },
+        'sell-order': { type: 'string' },
+        inventory: { type: 'string' },
+        input: { type: 'string' },
+        latency: { type: 'string' },
+        'trade-value': { type: 'string' },
+        once: { type: 'boolean' },
+        demo: { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+    },
+
+    // Environment variables and the flag each one stands in for
+    env: {
+        DISCOPIC_CONFIG: 'config',
+        DISCOPIC_API_KEY: 'api-key',
+        DISCOPIC_PAIRS: 'pairs',
+        DISCOPIC_EXCHANGES: 'exchanges',
+        DISCOPIC_MIN_PROFIT: 'min-profit',
+        DISCOPIC_INTERVAL: 'interval',
+        DISCOPIC_FORMAT: 'format',
+        DISCOPIC_DEMO: 'demo'
+    },
+
+    /**
+     * Parse command line arguments into a command and options
+     * Precedence: flags, then environment, then config file, then defaults
+     * @param {Array} argv - Arguments after the script name
+     * @param {Object} env - Environment variables
+     * @param {Object} settings - The Config module, which reads the config file and fills in defaults
+     * @returns {Object} - { command, help, config, format, once, demo, inventory, input, latencyMs, tradeValue }
+     */
+    parse(argv, env, settings) {
+        const { values, positionals } = parseArgs({
+            args: argv,
+            options: this.flags,
+            allowPositionals: true
+        });
+
+        const command = positionals[0] || 'watch';
+        if (positionals.length > 2 || (positionals.length > 1 && command !== 'backtest')) {
+            throw new Error(`Unexpected argument: ${positionals[positionals.length - 1]}`);
+        }
+
+        // Environment fills in flags that weren't given
+        const flags = { ...values };
+        for (const [name, flag] of Object.entries(this.env)) {
+            if (flags[flag] === undefined && env[name]) {
+                flags[flag] = env[name];
+            }
+        }
+
+        const config = settings.resolve({
+            ...(flags.config ? this.readConfigFile(flags.config, settings) : {}),
+            version: settings.version
+        });
+
+        if (flags['api-key'] !== undefined) config.apiKey = flags['api-key'];
+        // Without the dashboard's passphrase vault, the key is always read as given
+        config.apiKeyStorage = 'plain';
+        if (flags.pairs !== undefined) config.pairs = this.parseList(flags.pairs, 'pairs');
+        if (flags.exchanges !== undefined) {
+            config.exchanges = this.parseList(flags.exchanges, 'exchanges').map(id => id.toUpperCase());
+        }
+        if (flags['min-profit'] !== undefined) {
+            config.defaultMinProfit = this.parseNumber(flags['min-profit'], 'min-profit');
+        }
+        if (flags.interval !== undefined) {
+            config.refreshInterval = this.parseNumber(flags.interval, 'interval', 1);
+        }
+        if (flags['no-triangular']) config.triangularEnabled = false;
+        if (flags['buy-order'] !== undefined) config.buyOrderType = this.parseOrderType(flags['buy-order'], 'buy-order');
+        if (flags['sell-order'] !== undefined) config.sellOrderType = this.parseOrderType(flags['sell-order'], 'sell-order');
+
+        const format = flags.format || 'table';
+        if (!this.formats.includes(format)) {
+            throw new Error(`Unknown format "${format}". Use one of: ${this.formats.join(', ')}`);
+        }
+
+        return {
+            command,
+            help: Boolean(flags.help),
+            config,
+            format,
+            once: Boolean(flags.once),
+            demo: flags.demo || null,
+            inventory: flags.inventory || null,
+            // Backtest: the dump file may also be given as `discopic backtest <file>`
+            input: flags.input || positionals[1] || null,
+            latencyMs: flags.latency !== undefined ? this.parseNumber(flags.latency, 'latency', 0) : 0,
+            tradeValue: flags['trade-value'] !== undefined
+                ? this.parseNumber(flags['trade-value'], 'trade-value', 0)
+                : config.tradeSize
+        };
+    },
+
+    /**
+     * Read settings from a JSON file: the dashboard config, or a settings file
+     * exported from the dashboard, migrated to the current version
+     */
+    readConfigFile(filePath, settings) {
+        let text;
+        try {
+            text = fs.readFileSync(filePath, 'utf8');
+        } catch (error) {
+            throw new Error(`Cannot read config file ${filePath}: ${error.message}`);
+        }
+
+        try {
+            return settings.parseImport(text).settings;
+        } catch (error) {
+            throw new Error(`Invalid config file ${filePath}: ${error.message}`);
+        }
+    },
+
+    /**
+     * Read a demo scenario: one shipped in demo/scenarios by name, or a JSON file
+     * @param {String} nameOrPath - Scenario name or file path
+     * @param {Object} market - The MockMarket module, which checks the scenario
+     */
+    readScenario(nameOrPath, market) {
+        const filePath = market.scenarios.includes(nameOrPath)
+            ? path.join(__dirname, '..', market.scenarioPath, `${nameOrPath}.json`)
+            : nameOrPath;
+
+        let text;
+        try {
+            text = fs.readFileSync(filePath, 'utf8');
+        } catch (error) {
+            throw new Error(`Cannot read demo scenario ${filePath}: ${error.message}`);
+        }
+
+        try {
+            return market.parseScenario(text);
+        } catch (error) {
+            throw new Error(`Invalid demo scenario ${filePath}: ${error.message}`);
+        }
+    },
+
+    /**
+     * Split a comma-separated list
+     */
+    parseList(value, name) {
+        const items = value.split(',').map(item => item.trim()).filter(Boolean);
+        if (items.length === 0) {
+            throw new Error(`--${name} needs at least one value`);
+        }
+        return items;
+    },
+
+    /**
+     * Parse an order type option
+     */
+    parseOrderType(value, name) {
+        if (!this.orderTypes.includes(value)) {
+            throw new Error(`--${name} must be one of: ${this.orderTypes.join(', ')}, got "${value}"`);
+        }
+        return value;
+    },
+
+    /**
+     * Parse a numeric option, with an optional minimum
+     */
+    parseNumber(value, name, min = -Infinity) {
+        const number = parseFloat(value);
+        if (isNaN(number) || number < min) {
+            throw new Error(`--${name} must be a number${min > -Infinity ? ` of at least ${min}` : ''}, got "${value}"`);
+        }
+        return number;
+    },
+
+    /**
+     * Usage text for --help
+     */
+    usage() {
+        return `Usage: discopic watch [options]
+       discopic backtest <file> [options]
+
+watch     Poll market data and print arbitrage opportunities
+backtest  Replay a CSV or JSON order book dump and report what would have been taken
+
+Options:
+  -c, --config <file>      JSON config file (dashboard settings or a settings export)
+      --api-key <key>      CoinAPI key
+  -p, --pairs <list>       Pairs to monitor, e.g. BTC/USDT,ETH/USDT
+  -e, --exchanges <list>   Exchanges to monitor, e.g. BINANCE,KRAKEN
+  -m, --min-profit <pct>   Minimum net profit in percent
+  -i, --interval <sec>     Seconds between polls
+  -f, --format <format>    table, jsonl or csv (default: table)
+      --no-triangular      Skip triangular cycle detection
+      --buy-order <type>   Order type of the buy leg: taker or maker (default: taker);
+                           maker changes only the fee, not the price
+      --sell-order <type>  Order type of the sell leg: taker or maker (default: taker)
+      --inventory <file>   JSON or CSV balances; size opportunities to what they can fund
+      --once               Poll once and exit
+      --demo <scenario>    Synthetic market data, no key needed: calm, volatile,
+                           stale-feeds, errors or a scenario file
+      --input <file>       Backtest: order book dump to replay
+      --latency <ms>       Backtest: delay between detection and execution
+      --trade-value <usdt> Backtest: largest trade (default: tradeSize)
+  -h, --help               Show this help
+
+Environment:
+  ${Object.entries(this.env).map(([name, flag]) => `${name.padEnd(22)} --${flag}`).join('\n  ')}
+`;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CliOptions;
+}
@@ -0,0 +1,149 @@
+/**
+ * CLI Output
+ * Formats opportunities as a text table, JSON lines or CSV
+ */
+
+const CliOutput = {
+    // CSV columns, in order
+    csvColumns: [
+        'timestamp', 'type', 'pair', 'buyExchange', 'sellExchange', 'buyPrice', 'sellPrice',
+        'spread', 'grossProfit', 'netProfit', 'realizableProfit', 'volume', 'cycles', 'lifetime',
+        'sellPair', 'fxCost', 'fxRisk', 'funded'
+    ],
+
+    /**
+     * Format one polling cycle
+     * @param {String} format - 'table', 'jsonl' or 'csv'
+     * @param {Array} opportunities - Opportunities found this cycle
+     * @param {Object} options - { timestamp, minProfit, first }
+     * @returns {String} - Text to write to stdout
+     */
+    render(format, opportunities, options) {
+        if (format === 'jsonl') {
+            return this.jsonLines(opportunities);
+        }
+        if (format === 'csv') {
+            return (options.first ? this.csvRow(this.csvColumns) : '') + this.csv(opportunities);
+        }
+        return this.table(opportunities, options);
+    },
+
+    /**
+     * One JSON object per opportunity
+     */
+    jsonLines(opportunities) {
+        return opportunities.map(opp => JSON.stringify(opp) + '\n').join('');
+    },
+
+    /**
+     * CSV rows without the header
+     */
+    csv(opportunities) {
+        return opportunities
+            .map(opp => this.csvRow(this.csvColumns.map(column => (column === 'funded'
+                ? opp.funding && opp.funding.funded
+                : opp[column]))))
+            .join('');
+    },
+
+    /**
+     * Format one CSV row, quoting fields that need it
+     */
+    csvRow(values) {
+        return values.map(value => {
+            const text = value == null ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(',') + '\n';
+    },
+
+    /**
+     * Text report for a backtest and its min profit sweep
+     */
+    backtestReport(report, sweep) {
+        const money = value => `${value.toFixed(2)} ${PaperTrading.referenceAsset}`;
+        const from = report.from ? new Date(report.from).toISOString() : '-';
+        const to = report.to ? new Date(report.to).toISOString() : '-';
+        const lines = [
+            `Snapshots     ${report.snapshots} (${from} to ${to})`,
+            `Settings      min profit ${Arbitrage.formatPercent(report.settings.minProfit)}, `
+                + `latency ${report.settings.latencyMs}ms, trade value ${money(report.settings.tradeValue)}`,
+            `Opportunities ${report.detected} detected, ${report.taken} taken, ${report.missed} missed`,
+            `Win rate      ${Arbitrage.formatPercent(report.winRate)}`,
+            `Total profit  ${money(report.totalProfit)}`,
+            `Per trade     median ${money(report.medianProfit)}, best ${money(report.bestProfit)}, worst ${money(report.worstProfit)}`,
+            `Net profit    expected ${Arbitrage.formatPercent(report.averageExpected)}, realized ${Arbitrage.formatPercent(report.averageRealized)}`,
+            `Max drawdown  ${money(report.maxDrawdown)}`,
+            ''
+        ];
+
+        if (report.distribution.length > 0) {
+            const maxCount = Math.max(...report.distribution.map(bin => bin.count));
+            lines.push('Realized net profit per trade:');
+            for (const bin of report.distribution) {
+                const label = `${Arbitrage.formatPercent(bin.from)} to ${Arbitrage.formatPercent(bin.to)}`;
+                const bar = '#'.repeat(Math.round((bin.count / maxCount) * 40));
+                lines.push(`  ${label.padStart(18)}  ${String(bin.count).padStart(5)} ${bar}`);
+            }
+            lines.push('');
+        }
+
+        lines.push('Min profit sweep:');
+        lines.push('  Min Profit  Taken  Win Rate  Avg Realized  Total Profit  Max Drawdown');
+        for (const row of sweep) {
+            lines.push('  ' + [
+                Arbitrage.formatPercent(row.minProfit).padStart(10),
+                String(row.taken).padStart(5),
+                Arbitrage.formatPercent(row.winRate).padStart(8),
+                Arbitrage.formatPercent(row.averageRealized).padStart(12),
+                row.totalProfit.toFixed(2).padStart(12),
+                row.maxDrawdown.toFixed(2).padStart(12)
+            ].join('  '));
+        }
+
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Aligned text table with a timestamped heading
+     */
+    table(opportunities, options) {
+        const time = new Date(options.timestamp).toLocaleTimeString();
+
+        if (opportunities.length === 0) {
+            return `${time}  No opportunities above ${Arbitrage.formatPercent(options.minProfit)}\n\n`;
+        }
+
+        const headers = ['Pair', 'Buy', 'Sell', 'Buy Price', 'Sell Price', 'Net %', 'Realizable %', 'Volume', 'Lifetime'];
+        const rows = opportunities.map(opp => [
+            opp.sellPair ? `${opp.pair} → ${opp.fx.from}` : opp.pair,
+            opp.buyExchange,
+            opp.type === 'triangular' ? '(cycle)' : opp.sellExchange,
+            opp.type === 'triangular' ? '' : Arbitrage.formatPrice(opp.buyPrice),
+            opp.type === 'triangular' ? '' : Arbitrage.formatPrice(opp.sellPrice),
+            Arbitrage.formatPercent(opp.netProfit),
+            opp.realizableProfit != null ? Arbitrage.formatPercent(opp.realizableProfit) : '',
+            opp.funding && !opp.funding.funded ? 'unfunded' : Arbitrage.formatVolume(opp.volume),
+            opp.cycles > 1 ? `${Arbitrage.formatDuration(opp.lifetime)} (${opp.cycles})` : 'new'
+        ]);
+
+        // Right-align numeric columns
+        const numeric = [false, false, false, true, true, true, true, true, false];
+        const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => row[i].length)));
+        const line = row => row
+            .map((cell, i) => (numeric[i] ? cell.padStart(widths[i]) : cell.padEnd(widths[i])))
+            .join('  ')
+            .trimEnd() + '\n';
+
+        const plural = opportunities.length === 1 ? 'opportunity' : 'opportunities';
+        return `${time}  ${opportunities.length} ${plural}\n`
+            + line(headers)
+            + line(widths.map(width => '-'.repeat(width)))
+            + rows.map(line).join('')
+            + '\n';
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CliOutput;
+}
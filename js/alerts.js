@@ -0,0 +1,280 @@
+/**
+ * Alerting Engine
+ * Matches opportunities against alert rules and delivers notifications
+ */
+
+const Alerts = {
+    // Recent firings shown in the alerts panel
+    maxLog: 50,
+    log: [],
+
+    // Last firing time per rule ID, for cooldowns
+    lastFired: new Map(),
+
+    // Route first-seen time already alerted per rule, for deduplication
+    notified: new Map(),
+
+    // Shared audio context, created on first sound
+    audioContext: null,
+
+    /**
+     * Default values for a new rule
+     */
+    createRule(overrides = {}) {
+        return {
+            id: `rule-${Date.now().toString(36)}`,
+            name: 'New alert',
+            enabled: true,
+            pair: 'all',
+            buyExchange: 'any',
+            sellExchange: 'any',
+            minNetProfit: 1,
+            minVolume: 0,
+            minCycles: 1,
+            cooldownSeconds: 300,
+            notify: true,
+            sound: true,
+            webhook: false,
+            ...overrides
+        };
+    },
+
+    /**
+     * Check if an opportunity satisfies a rule
+     */
+    matches(rule, opportunity) {
+        if (rule.pair !== 'all') {
+            const pairs = opportunity.pairs || [opportunity.pair];
+            if (!pairs.includes(rule.pair)) return false;
+        }
+        if (rule.buyExchange !== 'any' && opportunity.buyExchange !== rule.buyExchange) return false;
+        if (rule.sellExchange !== 'any' && opportunity.sellExchange !== rule.sellExchange) return false;
+
+        return opportunity.netProfit >= rule.minNetProfit
+            && opportunity.volume >= (rule.minVolume || 0)
+            && (opportunity.cycles || 1) >= (rule.minCycles || 1);
+    },
+
+    /**
+     * Net profit to detect opportunities down to, so rules with a lower
+     * threshold than the table's min profit filter can still fire
+     * @param {Array} rules - Alert rules
+     * @param {Number} minProfit - The table's min profit filter
+     */
+    getThreshold(rules, minProfit) {
+        const thresholds = rules
+            .filter(rule => rule.enabled && isFinite(rule.minNetProfit))
+            .map(rule => rule.minNetProfit);
+        return Math.min(minProfit, ...thresholds);
+    },
+
+    /**
+     * Routes only rules below the min profit filter can see
+     * They are found in a separate pass at the lowest rule threshold, so the
+     * listed opportunities keep the size and profit they have at the filter
+     * @param {Array} rules - Alert rules
+     * @param {Number} minProfit - The table's min profit filter
+     * @param {Array} listed - Opportunities found at minProfit
+     * @param {Function} detect - Threshold -> opportunities found at that threshold
+     * @returns {Array} - Opportunities for routes not in listed
+     */
+    findUnlisted(rules, minProfit, listed, detect) {
+        const threshold = this.getThreshold(rules, minProfit);
+        if (threshold >= minProfit) {
+            return [];
+        }
+
+        const keys = new Set(listed.map(opp => Tracker.key(opp)));
+        return detect(threshold).filter(opp => !keys.has(Tracker.key(opp)));
+    },
+
+    /**
+     * Find rules that should fire for the current opportunities
+     * A rule fires at most once per cooldown, and never twice for the same
+     * continuously open route
+     * @param {Array} rules - Alert rules
+     * @param {Array} opportunities - Current opportunities with persistence fields
+     * @returns {Array} - Array of { rule, opportunities, timestamp }
+     */
+    evaluate(rules, opportunities, now = Date.now()) {
+        const firings = [];
+
+        for (const rule of rules) {
+            if (!rule.enabled) continue;
+
+            const lastFired = this.lastFired.get(rule.id) || 0;
+            if (now - lastFired < rule.cooldownSeconds * 1000) continue;
+
+            const notified = this.notified.get(rule.id) || new Map();
+            const fresh = opportunities.filter(opp =>
+                this.matches(rule, opp) && notified.get(Tracker.key(opp)) !== opp.firstSeen
+            );
+
+            if (fresh.length === 0) continue;
+
+            for (const opp of fresh) {
+                notified.set(Tracker.key(opp), opp.firstSeen);
+            }
+            this.notified.set(rule.id, notified);
+            this.lastFired.set(rule.id, now);
+
+            firings.push({
+                rule,
+                opportunities: [...fresh].sort((a, b) => b.netProfit - a.netProfit),
+                timestamp: now
+            });
+        }
+
+        // Closed routes get a new first-seen time when they reopen, so drop them
+        const openKeys = new Set(opportunities.map(opp => Tracker.key(opp)));
+        for (const notified of this.notified.values()) {
+            for (const key of notified.keys()) {
+                if (!openKeys.has(key)) notified.delete(key);
+            }
+        }
+
+        return firings;
+    },
+
+    /**
+     * Deliver a firing through the rule's channels
+     * @param {Object} firing - { rule, opportunities, timestamp }
+     * @param {Object} options - { webhookUrl }
+     */
+    async deliver(firing, options = {}) {
+        const { rule } = firing;
+        const message = this.formatMessage(firing);
+
+        this.log.unshift({ ...message, ruleId: rule.id, timestamp: firing.timestamp });
+        this.log.length = Math.min(this.log.length, this.maxLog);
+
+        if (rule.notify) {
+            this.notify(message, rule.id);
+        }
+        if (rule.sound) {
+            this.playSound();
+        }
+        if (rule.webhook && options.webhookUrl) {
+            await this.postWebhook(options.webhookUrl, firing, message);
+        }
+    },
+
+    /**
+     * Build a notification title and body
+     */
+    formatMessage(firing) {
+        const [best] = firing.opportunities;
+        const route = best.type === 'triangular'
+            ? `on ${best.exchange}`
+            : `${best.buyExchange} → ${best.sellExchange}`;
+        const more = firing.opportunities.length > 1 ? ` (+${firing.opportunities.length - 1} more)` : '';
+
+        return {
+            title: `${firing.rule.name}: ${best.pair} ${best.netProfit.toFixed(2)}%`,
+            body: `${best.pair} ${route}, net ${best.netProfit.toFixed(2)}%, size ${best.volume.toPrecision(4)}${more}`
+        };
+    },
+
+    /**
+     * Show a browser notification if permitted
+     */
+    notify(message, tag) {
+        if (typeof Notification === 'undefined' || Notification.permission !== 'granted') {
+            return;
+        }
+
+        try {
+            new Notification(message.title, { body: message.body, tag });
+        } catch (error) {
+            console.error('Error showing notification:', error);
+        }
+    },
+
+    /**
+     * Ask for notification permission
+     * @returns {String} - 'granted', 'denied', 'default' or 'unsupported'
+     */
+    async requestPermission() {
+        if (typeof Notification === 'undefined') {
+            return 'unsupported';
+        }
+        return Notification.requestPermission();
+    },
+
+    /**
+     * Play a short two-tone chime
+     */
+    playSound() {
+        try {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) return;
+
+            this.audioContext = this.audioContext || new AudioContextClass();
+            const ctx = this.audioContext;
+
+            [880, 1320].forEach((frequency, i) => {
+                const oscillator = ctx.createOscillator();
+                const gain = ctx.createGain();
+                const start = ctx.currentTime + i * 0.15;
+
+                oscillator.frequency.value = frequency;
+                gain.gain.setValueAtTime(0.2, start);
+                gain.gain.exponentialRampToValueAtTime(0.001, start + 0.3);
+                oscillator.connect(gain).connect(ctx.destination);
+                oscillator.start(start);
+                oscillator.stop(start + 0.3);
+            });
+        } catch (error) {
+            console.error('Error playing alert sound:', error);
+        }
+    },
+
+    /**
+     * POST a firing to the webhook URL as JSON
+     */
+    async postWebhook(url, firing, message) {
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    rule: { id: firing.rule.id, name: firing.rule.name },
+                    title: message.title,
+                    text: message.body,
+                    timestamp: new Date(firing.timestamp).toISOString(),
+                    opportunities: firing.opportunities.map(opp => ({
+                        type: opp.type,
+                        pair: opp.pair,
+                        buyExchange: opp.buyExchange,
+                        sellExchange: opp.sellExchange,
+                        buyPrice: opp.buyPrice,
+                        sellPrice: opp.sellPrice,
+                        netProfit: opp.netProfit,
+                        volume: opp.volume,
+                        cycles: opp.cycles,
+                        firstSeen: opp.firstSeen ? new Date(opp.firstSeen).toISOString() : null
+                    }))
+                })
+            });
+
+            if (!response.ok) {
+                throw new Error(`Webhook error: ${response.status} ${response.statusText}`);
+            }
+        } catch (error) {
+            console.error('Error posting alert webhook:', error);
+        }
+    },
+
+    /**
+     * Forget cooldowns and deduplication, e.g. after rules change
+     */
+    reset() {
+        this.lastFired.clear();
+        this.notified.clear();
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Alerts;
+}
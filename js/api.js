@@ -6,37 +6,50 @@
 const CoinAPI = {
     baseUrl: 'https://rest.coinapi.io/v1',
 
-    // Exchange ID mapping (CoinAPI uses specific IDs)
-    exchangeMap: {
-        'BINANCE': 'BINANCE',
-        'COINBASE': 'COINBASE',
-        'KRAKEN': 'KRAKEN',
-        'BITFINEX': 'BITFINEX',
-        'BITSTAMP': 'BITSTAMP'
-    },
-
     // Cache for API responses
     cache: new Map(),
     cacheDuration: 10000, // 10 seconds
 
+    // Order book levels to keep per side
+    depthLevels: 10,
+
+    // Stand-in for fetch, such as the synthetic market in js/mock.js; null uses fetch
+    transport: null,
+
     /**
-     * Make API request to CoinAPI
+     * Make API request to CoinAPI, counted against the request budget
      */
     async request(endpoint, apiKey) {
-        const url = `${this.baseUrl}${endpoint}`;
+        return this.fetchJson(`${this.baseUrl}${endpoint}`, {
+            'X-CoinAPI-Key': apiKey
+        }, true);
+    },
 
+    /**
+     * Fetch JSON from any market data endpoint, with caching and error mapping
+     * @param {String} url - Endpoint URL
+     * @param {Object} headers - Request headers
+     * @param {Boolean} budgeted - Count the request against the CoinAPI budget (see js/budget.js)
+     */
+    async fetchJson(url, headers = {}, budgeted = false) {
         // Check cache first
         const cached = this.cache.get(url);
         if (cached && Date.now() - cached.timestamp < this.cacheDuration) {
             return cached.data;
         }
 
+        if (budgeted) {
+            await RequestBudget.acquire();
+        }
+
         try {
-            const response = await fetch(url, {
-                headers: {
-                    'X-CoinAPI-Key': apiKey
-                }
-            });
+            const response = this.transport
+                ? await this.transport(url, { headers })
+                : await fetch(url, { headers });
+
+            if (budgeted) {
+                RequestBudget.record(response);
+            }
 
             if (!response.ok) {
                 if (response.status === 401) {
@@ -66,6 +79,35 @@ const CoinAPI = {
         }
     },
 
+    /**
+     * Time a cached response was fetched from the server, in ms
+     * Adapters whose exchange sends no timestamp date their books with it,
+     * so a cached book ages from when it was fetched, not when it was read
+     */
+    getFetchedAt(url) {
+        const cached = this.cache.get(url);
+        return cached ? cached.timestamp : Date.now();
+    },
+
+    /**
+     * Parse an order book time: ISO 8601, or epoch seconds, milliseconds or microseconds
+     * @returns {Number|null} - Time in ms, or null if missing or unreadable
+     */
+    parseTime(value) {
+        if (value == null || value === '') {
+            return null;
+        }
+
+        const number = Number(value);
+        if (!isNaN(number)) {
+            if (number > 1e14) return number / 1000; // Microseconds
+            return number < 1e12 ? number * 1000 : number;
+        }
+
+        const parsed = Date.parse(value);
+        return isNaN(parsed) ? null : parsed;
+    },
+
     /**
      * Convert pair format (BTC/USDT -> BTC_USDT)
      */
@@ -90,6 +132,65 @@ const CoinAPI = {
         }
     },
 
+    /**
+     * Normalize order book levels, dropping malformed entries
+     * Accepts CoinAPI-style {price, size} objects or [price, size] arrays
+     * @param {Number} depth - Levels to keep
+     */
+    normalizeLevels(levels, depth = this.depthLevels) {
+        return levels
+            .slice(0, depth)
+            .map(level => Array.isArray(level)
+                ? { price: Number(level[0]), size: Number(level[1]) || 0 }
+                : { price: Number(level.price), size: Number(level.size) || 0 })
+            .filter(level => level.price > 0);
+    },
+
+    /**
+     * Build the orderbook shape shared by all providers
+     * @param {Array} rawAsks - Ask levels
+     * @param {Array} rawBids - Bid levels
+     * @param {String|Number} time - When the exchange (or CoinAPI) produced the book, if known
+     * @param {Number} depth - Levels to keep per side; imported books pass Infinity
+     */
+    buildOrderbook(rawAsks, rawBids, time = null, depth = this.depthLevels) {
+        const asks = this.normalizeLevels(rawAsks, depth);
+        const bids = this.normalizeLevels(rawBids, depth);
+
+        return {
+            time: this.parseTime(time),
+            ask: asks[0]?.price || null, // Lowest ask (sell price)
+            bid: bids[0]?.price || null, // Highest bid (buy price)
+            askVolume: asks[0]?.size || 0,
+            bidVolume: bids[0]?.size || 0,
+            asks,
+            bids
+        };
+    },
+
+    /**
+     * Build the quote shape consumed by Arbitrage from an orderbook
+     * The timestamp is the book's own time when the source gives one,
+     * otherwise when it was received
+     */
+    buildQuote(exchangeId, providerId, pair, orderbook) {
+        const receivedAt = new Date().toISOString();
+
+        return {
+            exchange: exchangeId,
+            provider: providerId,
+            pair: pair,
+            ask: orderbook.ask,
+            bid: orderbook.bid,
+            askVolume: orderbook.askVolume,
+            bidVolume: orderbook.bidVolume,
+            asks: orderbook.asks,
+            bids: orderbook.bids,
+            timestamp: orderbook.time ? new Date(orderbook.time).toISOString() : receivedAt,
+            receivedAt
+        };
+    },
+
     /**
      * Get orderbook for specific exchange and pair
      */
@@ -98,16 +199,11 @@ const CoinAPI = {
         const symbolId = `${exchangeId}_SPOT_${formattedPair}`;
 
         try {
-            const endpoint = `/orderbooks/${symbolId}/current`;
+            const endpoint = `/orderbooks/${symbolId}/current?limit_levels=${this.depthLevels}`;
             const data = await this.request(endpoint, apiKey);
 
             if (data && data.asks && data.bids) {
-                return {
-                    ask: data.asks[0]?.price || null, // Lowest ask (sell price)
-                    bid: data.bids[0]?.price || null, // Highest bid (buy price)
-                    askVolume: data.asks[0]?.size || 0,
-                    bidVolume: data.bids[0]?.size || 0
-                };
+                return this.buildOrderbook(data.asks, data.bids, data.time_exchange || data.time_coinapi);
             }
             return null;
         } catch (error) {
@@ -119,25 +215,23 @@ const CoinAPI = {
     /**
      * Get quotes for all exchanges for a specific pair
      * This is the main method for arbitrage detection
+     * @param {String} pair - Trading pair, e.g. BTC/USDT
+     * @param {Array} exchanges - Exchange IDs to query
+     * @param {String} apiKey - CoinAPI key, only used by the CoinAPI provider
+     * @param {Object} providers - Object mapping exchange IDs to provider IDs
      */
-    async getQuotesForPair(pair, exchanges, apiKey) {
-        const quotes = [];
-
+    async getQuotesForPair(pair, exchanges, apiKey, providers = {}) {
         // Fetch quotes from all exchanges in parallel
         const promises = exchanges.map(async (exchangeId) => {
             try {
-                const orderbook = await this.getOrderbook(exchangeId, pair, apiKey);
+                const providerId = Providers.resolve(exchangeId, providers[exchangeId]);
+                const orderbook = await Providers.get(providerId).getOrderbook(exchangeId, pair, {
+                    apiKey,
+                    depth: this.depthLevels
+                });
 
                 if (orderbook && orderbook.ask && orderbook.bid) {
-                    return {
-                        exchange: exchangeId,
-                        pair: pair,
-                        ask: orderbook.ask,
-                        bid: orderbook.bid,
-                        askVolume: orderbook.askVolume,
-                        bidVolume: orderbook.bidVolume,
-                        timestamp: new Date().toISOString()
-                    };
+                    return this.buildQuote(exchangeId, providerId, pair, orderbook);
                 }
             } catch (error) {
                 console.error(`Error fetching quote for ${exchangeId} ${pair}:`, error);
@@ -151,13 +245,18 @@ const CoinAPI = {
 
     /**
      * Get quotes for all pairs and exchanges
+     * Books served by CoinAPI are only fetched while the request budget allows,
+     * pairs with the most profitable recent routes first
      */
-    async getAllQuotes(pairs, exchanges, apiKey) {
+    async getAllQuotes(pairs, exchanges, apiKey, providers = {}) {
         const allQuotes = [];
+        const plan = RequestBudget.plan(pairs, exchanges, providers);
+
+        for (const { pair, exchanges: planned } of plan.pairs) {
+            if (planned.length === 0) continue;
 
-        for (const pair of pairs) {
             try {
-                const quotes = await this.getQuotesForPair(pair, exchanges, apiKey);
+                const quotes = await this.getQuotesForPair(pair, planned, apiKey, providers);
                 allQuotes.push(...quotes);
 
                 // Add small delay between pairs to avoid rate limiting
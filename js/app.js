@@ -7,9 +7,31 @@ class DiscoPicApp {
     constructor() {
         // State
         this.opportunities = [];
+        // Routes below the min profit filter that alert rules still check
+        this.alertOpportunities = [];
         this.filteredOpportunities = [];
+        this.closedRoutes = [];
+        this.quotes = [];
+        this.currentView = 'opportunities';
+        this.lastRecordedAt = 0;
+        this.lastPrunedAt = 0;
+        this.lastTrackedAt = 0;
+        this.lastPaperAt = 0;
+        this.importedSnapshots = [];
         this.isLoading = false;
-        this.autoRefreshInterval = null;
+        this.autoRefreshTimeout = null;
+        this.autoRefreshSession = null;
+        this.healthInterval = null;
+        this.renderPending = false;
+        this.editingRuleId = null;
+        this.exchangeSuggestions = [];
+        this.pairSuggestions = [];
+        this.detailKey = null;
+        this.detailOpportunity = null;
+        this.detailChartAt = 0;
+        // Route from a link, opened once it is detected
+        this.pendingDetailKey = null;
+        this.flaggedQuotes = [];
 
         // DOM elements
         this.elements = {
@@ -19,33 +41,196 @@ class DiscoPicApp {
             closeSettingsBtn: document.getElementById('closeSettingsBtn'),
             cancelSettingsBtn: document.getElementById('cancelSettingsBtn'),
             saveSettingsBtn: document.getElementById('saveSettingsBtn'),
+            alertsBtn: document.getElementById('alertsBtn'),
+            profileSelect: document.getElementById('profileSelect'),
+            lockKeyBtn: document.getElementById('lockKeyBtn'),
+            closeAlertsBtn: document.getElementById('closeAlertsBtn'),
+            doneAlertsBtn: document.getElementById('doneAlertsBtn'),
 
             // Status bar
             statusText: document.getElementById('statusText'),
             lastUpdateText: document.getElementById('lastUpdateText'),
             opportunityCount: document.getElementById('opportunityCount'),
             autoRefreshToggle: document.getElementById('autoRefreshToggle'),
+            streamToggle: document.getElementById('streamToggle'),
+            budgetItem: document.getElementById('budgetItem'),
+            budgetText: document.getElementById('budgetText'),
+            feedHealthItem: document.getElementById('feedHealthItem'),
+            feedHealth: document.getElementById('feedHealth'),
 
             // Filters
             pairFilter: document.getElementById('pairFilter'),
+            typeFilter: document.getElementById('typeFilter'),
+            fundingFilter: document.getElementById('fundingFilter'),
             minProfitFilter: document.getElementById('minProfitFilter'),
+            minCyclesFilter: document.getElementById('minCyclesFilter'),
             sortBy: document.getElementById('sortBy'),
+            copyLinkBtn: document.getElementById('copyLinkBtn'),
+            exportFormat: document.getElementById('exportFormat'),
+            exportOpportunitiesBtn: document.getElementById('exportOpportunitiesBtn'),
+            exportQuotesBtn: document.getElementById('exportQuotesBtn'),
 
             // Table
             arbitrageTableBody: document.getElementById('arbitrageTableBody'),
+            quoteIssues: document.getElementById('quoteIssues'),
+            quoteIssuesSummary: document.getElementById('quoteIssuesSummary'),
+            quoteIssuesTable: document.getElementById('quoteIssuesTable'),
+
+            // Detail drawer
+            detailDrawer: document.getElementById('detailDrawer'),
+            closeDetailBtn: document.getElementById('closeDetailBtn'),
+            copyDetailLinkBtn: document.getElementById('copyDetailLinkBtn'),
+            detailTitle: document.getElementById('detailTitle'),
+            detailStatus: document.getElementById('detailStatus'),
+            detailInvestment: document.getElementById('detailInvestment'),
+            detailInvestmentLabel: document.getElementById('detailInvestmentLabel'),
+            detailInvestmentHint: document.getElementById('detailInvestmentHint'),
+            detailBreakdown: document.getElementById('detailBreakdown'),
+            detailBooks: document.getElementById('detailBooks'),
+            detailChartSection: document.getElementById('detailChartSection'),
+            detailChart: document.getElementById('detailChart'),
+
+            // Views
+            viewTabs: document.querySelectorAll('.view-tab'),
+            opportunitiesView: document.getElementById('opportunitiesView'),
+            historyView: document.getElementById('historyView'),
+            matrixView: document.getElementById('matrixView'),
+            priceMatrix: document.getElementById('priceMatrix'),
+            matrixPair: document.getElementById('matrixPair'),
+            spreadHeatmap: document.getElementById('spreadHeatmap'),
+            inventoryView: document.getElementById('inventoryView'),
+            paperView: document.getElementById('paperView'),
+            backtestView: document.getElementById('backtestView'),
+
+            // History
+            historyPair: document.getElementById('historyPair'),
+            historyRoute: document.getElementById('historyRoute'),
+            historyRange: document.getElementById('historyRange'),
+            historyChart: document.getElementById('historyChart'),
+            historySummary: document.getElementById('historySummary'),
+            clearHistoryBtn: document.getElementById('clearHistoryBtn'),
+            historyExportFormat: document.getElementById('historyExportFormat'),
+            exportHistoryBtn: document.getElementById('exportHistoryBtn'),
+            exportSnapshotsBtn: document.getElementById('exportSnapshotsBtn'),
+
+            // Inventory
+            inventoryEnabled: document.getElementById('inventoryEnabled'),
+            inventoryFile: document.getElementById('inventoryFile'),
+            clearInventoryBtn: document.getElementById('clearInventoryBtn'),
+            inventoryBalances: document.getElementById('inventoryBalances'),
+            inventoryTransfers: document.getElementById('inventoryTransfers'),
+
+            // Paper trading
+            paperEnabled: document.getElementById('paperEnabled'),
+            paperStartingValue: document.getElementById('paperStartingValue'),
+            paperTradeValue: document.getElementById('paperTradeValue'),
+            resetPaperBtn: document.getElementById('resetPaperBtn'),
+            paperSummary: document.getElementById('paperSummary'),
+            paperChart: document.getElementById('paperChart'),
+            paperBalances: document.getElementById('paperBalances'),
+            paperRebalancing: document.getElementById('paperRebalancing'),
+            paperTrades: document.getElementById('paperTrades'),
+
+            // Backtest
+            backtestSource: document.getElementById('backtestSource'),
+            backtestRangeGroup: document.getElementById('backtestRangeGroup'),
+            backtestRange: document.getElementById('backtestRange'),
+            backtestFileGroup: document.getElementById('backtestFileGroup'),
+            backtestFile: document.getElementById('backtestFile'),
+            backtestFileInfo: document.getElementById('backtestFileInfo'),
+            backtestMinProfit: document.getElementById('backtestMinProfit'),
+            backtestLatency: document.getElementById('backtestLatency'),
+            backtestTradeValue: document.getElementById('backtestTradeValue'),
+            backtestTriangular: document.getElementById('backtestTriangular'),
+            backtestFees: document.getElementById('backtestFees'),
+            runBacktestBtn: document.getElementById('runBacktestBtn'),
+            backtestSummary: document.getElementById('backtestSummary'),
+            backtestEquityChart: document.getElementById('backtestEquityChart'),
+            backtestDistributionChart: document.getElementById('backtestDistributionChart'),
+            backtestSweep: document.getElementById('backtestSweep'),
+            backtestRoutes: document.getElementById('backtestRoutes'),
 
             // Modal
             settingsModal: document.getElementById('settingsModal'),
+            alertsModal: document.getElementById('alertsModal'),
+
+            // Alerts
+            notificationStatus: document.getElementById('notificationStatus'),
+            enableNotificationsBtn: document.getElementById('enableNotificationsBtn'),
+            webhookUrlInput: document.getElementById('webhookUrlInput'),
+            alertRulesList: document.getElementById('alertRulesList'),
+            ruleFormTitle: document.getElementById('ruleFormTitle'),
+            ruleName: document.getElementById('ruleName'),
+            rulePair: document.getElementById('rulePair'),
+            ruleBuyExchange: document.getElementById('ruleBuyExchange'),
+            ruleSellExchange: document.getElementById('ruleSellExchange'),
+            ruleMinNetProfit: document.getElementById('ruleMinNetProfit'),
+            ruleMinVolume: document.getElementById('ruleMinVolume'),
+            ruleMinCycles: document.getElementById('ruleMinCycles'),
+            ruleCooldown: document.getElementById('ruleCooldown'),
+            ruleNotify: document.getElementById('ruleNotify'),
+            ruleSound: document.getElementById('ruleSound'),
+            ruleWebhook: document.getElementById('ruleWebhook'),
+            saveRuleBtn: document.getElementById('saveRuleBtn'),
+            cancelRuleBtn: document.getElementById('cancelRuleBtn'),
+            testAlertBtn: document.getElementById('testAlertBtn'),
+            alertLog: document.getElementById('alertLog'),
 
             // Settings inputs
             apiKeyInput: document.getElementById('apiKeyInput'),
+            apiKeyStorage: document.getElementById('apiKeyStorage'),
+            apiKeyPassphraseGroup: document.getElementById('apiKeyPassphraseGroup'),
+            apiKeyPassphrase: document.getElementById('apiKeyPassphrase'),
+            apiKeyPassphraseConfirm: document.getElementById('apiKeyPassphraseConfirm'),
+            apiKeyLockMinutes: document.getElementById('apiKeyLockMinutes'),
             refreshInterval: document.getElementById('refreshInterval'),
+            apiDailyQuota: document.getElementById('apiDailyQuota'),
+            apiRequestsPerSecond: document.getElementById('apiRequestsPerSecond'),
             defaultMinProfit: document.getElementById('defaultMinProfit'),
-            feeBinance: document.getElementById('feeBinance'),
-            feeCoinbase: document.getElementById('feeCoinbase'),
-            feeKraken: document.getElementById('feeKraken'),
-            feeBitfinex: document.getElementById('feeBitfinex'),
-            pairCheckboxes: document.querySelectorAll('.pair-checkbox'),
+            triangularEnabled: document.getElementById('triangularEnabled'),
+            triangularMaxLegs: document.getElementById('triangularMaxLegs'),
+            tradeSize: document.getElementById('tradeSize'),
+            historyEnabled: document.getElementById('historyEnabled'),
+            historyRetentionDays: document.getElementById('historyRetentionDays'),
+            quoteChecks: document.getElementById('quoteChecks'),
+            quoteMaxAge: document.getElementById('quoteMaxAge'),
+            quoteOutlierSigma: document.getElementById('quoteOutlierSigma'),
+            quoteCheckMode: document.getElementById('quoteCheckMode'),
+            profileName: document.getElementById('profileName'),
+            saveProfileBtn: document.getElementById('saveProfileBtn'),
+            deleteProfileBtn: document.getElementById('deleteProfileBtn'),
+            exportIncludeApiKey: document.getElementById('exportIncludeApiKey'),
+
+            // Unlock modal
+            unlockModal: document.getElementById('unlockModal'),
+            closeUnlockBtn: document.getElementById('closeUnlockBtn'),
+            unlockPassphrase: document.getElementById('unlockPassphrase'),
+            unlockError: document.getElementById('unlockError'),
+            unlockBtn: document.getElementById('unlockBtn'),
+            forgetKeyBtn: document.getElementById('forgetKeyBtn'),
+            exportSettingsBtn: document.getElementById('exportSettingsBtn'),
+            importSettingsFile: document.getElementById('importSettingsFile'),
+            demoBadge: document.getElementById('demoBadge'),
+            demoMode: document.getElementById('demoMode'),
+            demoScenario: document.getElementById('demoScenario'),
+            demoScenarioFile: document.getElementById('demoScenarioFile'),
+            withdrawalTable: document.getElementById('withdrawalTable'),
+            feeTable: document.getElementById('feeTable'),
+            buyOrderType: document.getElementById('buyOrderType'),
+            sellOrderType: document.getElementById('sellOrderType'),
+            fxEnabled: document.getElementById('fxEnabled'),
+            fxCurrencies: document.getElementById('fxCurrencies'),
+            fxConversionFee: document.getElementById('fxConversionFee'),
+            fxRiskBuffer: document.getElementById('fxRiskBuffer'),
+            providerGrid: document.getElementById('providerGrid'),
+            exchangeSearch: document.getElementById('exchangeSearch'),
+            exchangeSuggestions: document.getElementById('exchangeSuggestions'),
+            addExchangeBtn: document.getElementById('addExchangeBtn'),
+            exchangeChecklist: document.getElementById('exchangeChecklist'),
+            pairSearch: document.getElementById('pairSearch'),
+            pairSuggestions: document.getElementById('pairSuggestions'),
+            addPairBtn: document.getElementById('addPairBtn'),
+            pairChecklist: document.getElementById('pairChecklist'),
 
             // Messages
             loadingIndicator: document.getElementById('loadingIndicator'),
@@ -69,9 +254,22 @@ class DiscoPicApp {
 
         // Load settings into UI
         this.loadSettingsToUI();
+        this.renderProfiles();
+        this.populateFilterOptions();
+        this.restoreViewState();
+        this.updateBudgetStatus();
 
-        // Check if API key is configured
-        if (!Config.hasApiKey()) {
+        // Encrypted and session-only keys are held in memory and lock when idle
+        KeyVault.onLock = () => this.onKeyLocked();
+        KeyVault.setAutoLock(this.config.apiKeyLockMinutes);
+        this.updateKeyLock();
+
+        // Demo mode serves synthetic data and needs no key
+        if (this.config.demoMode) {
+            this.startDemo();
+        } else if (this.needsUnlock()) {
+            this.openUnlock();
+        } else if (this.needsApiKey()) {
             this.showError('Please configure your API key in settings to start monitoring.');
             this.openSettings();
         } else {
@@ -89,19 +287,156 @@ class DiscoPicApp {
         this.elements.cancelSettingsBtn.addEventListener('click', () => this.closeSettings());
         this.elements.saveSettingsBtn.addEventListener('click', () => this.saveSettings());
 
+        // API key storage
+        this.elements.apiKeyStorage.addEventListener('change', () => this.updateKeyStorageFields());
+        this.elements.lockKeyBtn.addEventListener('click', () => KeyVault.lock());
+        this.elements.unlockBtn.addEventListener('click', () => this.unlockKey());
+        this.elements.unlockPassphrase.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.unlockKey();
+        });
+        this.elements.forgetKeyBtn.addEventListener('click', () => this.forgetKey());
+        this.elements.closeUnlockBtn.addEventListener('click', () => this.closeUnlock());
+        this.elements.unlockModal.querySelector('.modal-overlay').addEventListener('click', () => this.closeUnlock());
+        for (const type of ['pointerdown', 'keydown']) {
+            document.addEventListener(type, () => KeyVault.touch(), { passive: true });
+        }
+
+        // Profiles and settings files
+        this.elements.profileSelect.addEventListener('change', (e) => this.applyProfile(e.target.value));
+        this.elements.saveProfileBtn.addEventListener('click', () => this.saveProfile());
+        this.elements.deleteProfileBtn.addEventListener('click', () => this.deleteProfile());
+        this.elements.exportSettingsBtn.addEventListener('click', () => this.exportSettings());
+        this.elements.importSettingsFile.addEventListener('change', (e) => this.importSettingsFile(e.target.files[0]));
+        this.elements.demoScenarioFile.addEventListener('change', (e) => this.importDemoScenario(e.target.files[0]));
+
         // Click overlay to close modal
         this.elements.settingsModal.querySelector('.modal-overlay').addEventListener('click', () => this.closeSettings());
 
+        // Exchange and pair lists
+        this.elements.exchangeSearch.addEventListener('focus', () => this.loadExchangeSuggestions());
+        this.elements.exchangeSearch.addEventListener('input', () => this.renderExchangeSuggestions());
+        this.elements.exchangeSearch.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.addExchange();
+        });
+        this.elements.addExchangeBtn.addEventListener('click', () => this.addExchange());
+        this.elements.pairSearch.addEventListener('focus', () => this.loadPairSuggestions());
+        this.elements.pairSearch.addEventListener('input', () => this.renderPairSuggestions());
+        this.elements.pairSearch.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.addPair();
+        });
+        this.elements.addPairBtn.addEventListener('click', () => this.addPair());
+        for (const list of [this.elements.exchangeChecklist, this.elements.pairChecklist]) {
+            list.addEventListener('change', () => this.renderSettingsGrids(this.readSettingsDraft()));
+            list.addEventListener('click', (e) => {
+                const button = e.target.closest('.list-remove');
+                if (!button) return;
+                e.preventDefault();
+                button.closest('.checkbox-label').remove();
+                this.renderSettingsGrids(this.readSettingsDraft());
+            });
+        }
+        // A new volume can reach another tier
+        this.elements.feeTable.addEventListener('change', (e) => {
+            if (e.target.classList.contains('fee-volume')) {
+                this.renderFeeTable(this.readSettingsDraft());
+            }
+        });
+
+        // Alerts modal
+        this.elements.alertsBtn.addEventListener('click', () => this.openAlerts());
+        this.elements.closeAlertsBtn.addEventListener('click', () => this.closeAlerts());
+        this.elements.doneAlertsBtn.addEventListener('click', () => this.closeAlerts());
+        this.elements.alertsModal.querySelector('.modal-overlay').addEventListener('click', () => this.closeAlerts());
+        this.elements.enableNotificationsBtn.addEventListener('click', () => this.enableNotifications());
+        this.elements.webhookUrlInput.addEventListener('change', (e) => Config.set('webhookUrl', e.target.value.trim()));
+        this.elements.saveRuleBtn.addEventListener('click', () => this.saveRule());
+        this.elements.cancelRuleBtn.addEventListener('click', () => this.resetRuleForm());
+        this.elements.testAlertBtn.addEventListener('click', () => this.sendTestAlert());
+
         // Refresh
         this.elements.refreshBtn.addEventListener('click', () => this.refresh());
 
         // Auto-refresh toggle
         this.elements.autoRefreshToggle.addEventListener('change', (e) => this.toggleAutoRefresh(e.target.checked));
 
+        // Streaming toggle
+        this.elements.streamToggle.addEventListener('change', (e) => this.toggleStreaming(e.target.checked));
+
         // Filters
         this.elements.pairFilter.addEventListener('change', () => this.applyFilters());
+        this.elements.typeFilter.addEventListener('change', () => this.applyFilters());
         this.elements.minProfitFilter.addEventListener('input', () => this.applyFilters());
+        this.elements.minCyclesFilter.addEventListener('input', () => this.applyFilters());
+        this.elements.fundingFilter.addEventListener('change', () => this.applyFilters());
         this.elements.sortBy.addEventListener('change', () => this.applyFilters());
+
+        // Shareable links
+        this.elements.copyLinkBtn.addEventListener('click', () => this.copyLink());
+        this.elements.copyDetailLinkBtn.addEventListener('click', () => this.copyLink());
+        window.addEventListener('popstate', () => this.restoreViewState());
+
+        // Markets view
+        this.elements.matrixPair.addEventListener('change', () => this.renderMatrix());
+
+        // Detail drawer
+        this.elements.arbitrageTableBody.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-details]');
+            if (button) this.openDetails(button.dataset.details);
+        });
+        this.elements.closeDetailBtn.addEventListener('click', () => this.closeDetails());
+        this.elements.detailDrawer.querySelector('.modal-overlay').addEventListener('click', () => this.closeDetails());
+        this.elements.detailInvestment.addEventListener('input', () => this.renderDetailBreakdown());
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.detailKey) this.closeDetails();
+        });
+
+        // Export
+        this.elements.exportOpportunitiesBtn.addEventListener('click', () => this.exportOpportunities());
+        this.elements.exportQuotesBtn.addEventListener('click', () => this.exportQuotes());
+        this.elements.exportHistoryBtn.addEventListener('click', () => this.exportHistory('history'));
+        this.elements.exportSnapshotsBtn.addEventListener('click', () => this.exportHistory('snapshots'));
+
+        // View tabs
+        this.elements.viewTabs.forEach(tab => {
+            tab.addEventListener('click', () => this.showView(tab.dataset.view));
+        });
+
+        // History controls
+        this.elements.historyPair.addEventListener('change', () => this.loadHistory());
+        this.elements.historyRoute.addEventListener('change', () => this.loadHistory());
+        this.elements.historyRange.addEventListener('change', () => this.loadHistory());
+        this.elements.clearHistoryBtn.addEventListener('click', () => this.clearHistory());
+
+        // Inventory controls
+        this.elements.inventoryEnabled.addEventListener('change', (e) => {
+            Config.set('inventoryEnabled', e.target.checked);
+            this.reevaluate();
+            this.renderInventory();
+        });
+        this.elements.inventoryFile.addEventListener('change', (e) => this.importInventoryFile(e.target.files[0]));
+        this.elements.clearInventoryBtn.addEventListener('click', () => this.clearInventory());
+        this.elements.inventoryBalances.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('inventory-balance')) return;
+            const { exchange, asset } = e.target.dataset;
+            Inventory.set(exchange, asset, e.target.value === '' ? null : Math.max(0, parseFloat(e.target.value) || 0));
+            this.reevaluate();
+            this.renderInventoryTransfers();
+        });
+
+        // Paper trading controls
+        this.elements.paperEnabled.addEventListener('change', (e) => Config.set('paperTrading', e.target.checked));
+        this.elements.paperStartingValue.addEventListener('change', (e) => {
+            Config.set('paperStartingValue', parseFloat(e.target.value) || Config.defaults.paperStartingValue);
+        });
+        this.elements.paperTradeValue.addEventListener('change', (e) => {
+            Config.set('paperTradeValue', parseFloat(e.target.value) || Config.defaults.paperTradeValue);
+        });
+        this.elements.resetPaperBtn.addEventListener('click', () => this.resetPaperTrading());
+
+        // Backtest controls
+        this.elements.backtestSource.addEventListener('change', () => this.updateBacktestSource());
+        this.elements.backtestFile.addEventListener('change', (e) => this.importBacktestFile(e.target.files[0]));
+        this.elements.runBacktestBtn.addEventListener('click', () => this.runBacktest());
     }
 
     /**
@@ -125,249 +460,2970 @@ class DiscoPicApp {
     loadSettingsToUI() {
         const config = Config.load();
 
-        this.elements.apiKeyInput.value = config.apiKey || '';
+        // Keys kept out of localStorage aren't put back into the page
+        const keptElsewhere = config.apiKeyStorage !== 'plain' && (KeyVault.isUnlocked() || KeyVault.hasStoredKey());
+        this.elements.apiKeyInput.value = config.apiKeyStorage === 'plain' ? config.apiKey || '' : '';
+        this.elements.apiKeyInput.placeholder = keptElsewhere ? 'Leave blank to keep the current key' : 'Enter your CoinAPI key';
+        this.elements.apiKeyStorage.value = config.apiKeyStorage;
+        this.elements.apiKeyStorage.querySelector('[value="encrypted"]').disabled = !KeyVault.isSupported();
+        this.elements.apiKeyPassphrase.value = '';
+        this.elements.apiKeyPassphraseConfirm.value = '';
+        this.elements.apiKeyLockMinutes.value = config.apiKeyLockMinutes;
+        this.updateKeyStorageFields();
+        this.elements.demoMode.checked = config.demoMode;
+        this.renderCustomScenario(MockMarket.getCustomName());
+        this.elements.demoScenario.value = config.demoScenario;
         this.elements.refreshInterval.value = config.refreshInterval || 30;
-        this.elements.defaultMinProfit.value = config.defaultMinProfit || 0.5;
-        this.elements.minProfitFilter.value = config.defaultMinProfit || 0.5;
-
-        // Load fees
-        this.elements.feeBinance.value = config.fees.BINANCE || 0.1;
-        this.elements.feeCoinbase.value = config.fees.COINBASE || 0.6;
-        this.elements.feeKraken.value = config.fees.KRAKEN || 0.26;
-        this.elements.feeBitfinex.value = config.fees.BITFINEX || 0.2;
-
-        // Load selected pairs
-        this.elements.pairCheckboxes.forEach(checkbox => {
-            checkbox.checked = config.pairs.includes(checkbox.value);
-        });
+        this.elements.apiDailyQuota.value = config.apiDailyQuota;
+        this.elements.apiRequestsPerSecond.value = config.apiRequestsPerSecond;
+        this.elements.defaultMinProfit.value = config.defaultMinProfit ?? 0.5;
+        this.elements.minProfitFilter.value = config.defaultMinProfit ?? 0.5;
+        this.elements.triangularEnabled.checked = config.triangularEnabled;
+        this.elements.triangularMaxLegs.value = config.triangularMaxLegs || 3;
+        this.elements.tradeSize.value = config.tradeSize || 1000;
+        this.elements.historyEnabled.checked = config.historyEnabled;
+        this.elements.historyRetentionDays.value = config.historyRetentionDays || 7;
+        this.elements.quoteChecks.checked = config.quoteChecks !== false;
+        this.elements.quoteMaxAge.value = config.quoteMaxAge;
+        this.elements.quoteOutlierSigma.value = config.quoteOutlierSigma;
+        this.elements.quoteCheckMode.value = config.quoteCheckMode;
+        this.elements.paperEnabled.checked = config.paperTrading;
+        this.elements.inventoryEnabled.checked = config.inventoryEnabled;
+        this.elements.paperStartingValue.value = config.paperStartingValue;
+        this.elements.paperTradeValue.value = config.paperTradeValue;
+        this.elements.fxEnabled.checked = config.fxEnabled;
+        this.elements.fxCurrencies.value = config.fxCurrencies.join(', ');
+        this.elements.fxConversionFee.value = config.fxConversionFee;
+        this.elements.buyOrderType.value = config.buyOrderType;
+        this.elements.sellOrderType.value = config.sellOrderType;
+        this.elements.fxRiskBuffer.value = config.fxRiskBuffer;
+
+        // Load exchange and pair lists, with the monitored ones checked
+        this.renderChecklist(this.elements.exchangeChecklist, config.exchangeList, config.exchanges);
+        this.renderChecklist(this.elements.pairChecklist, config.pairList, config.pairs);
+        this.elements.exchangeSearch.value = '';
+        this.elements.pairSearch.value = '';
+
+        this.renderSettingsGrids(config);
     }
 
     /**
-     * Save settings from UI
+     * Render the per-exchange settings: fees, market data providers,
+     * withdrawal fees and transfer times
      */
-    saveSettings() {
-        const selectedPairs = Array.from(this.elements.pairCheckboxes)
-            .filter(cb => cb.checked)
-            .map(cb => cb.value);
-
-        if (selectedPairs.length === 0) {
-            this.showError('Please select at least one trading pair.');
-            return;
-        }
+    renderSettingsGrids(config) {
+        this.renderFeeTable(config);
+        this.renderProviderSelects(config);
+        this.renderWithdrawalTable(config);
+    }
 
-        const config = {
-            apiKey: this.elements.apiKeyInput.value.trim(),
-            refreshInterval: parseInt(this.elements.refreshInterval.value),
-            defaultMinProfit: parseFloat(this.elements.defaultMinProfit.value),
-            autoRefresh: this.elements.autoRefreshToggle.checked,
-            fees: {
-                BINANCE: parseFloat(this.elements.feeBinance.value),
-                COINBASE: parseFloat(this.elements.feeCoinbase.value),
-                KRAKEN: parseFloat(this.elements.feeKraken.value),
-                BITFINEX: parseFloat(this.elements.feeBitfinex.value)
-            },
-            pairs: selectedPairs,
-            exchanges: Config.defaults.exchanges
+    /**
+     * Settings as currently edited in the modal, for re-rendering the grids
+     * when exchanges or pairs are added, removed or toggled
+     */
+    readSettingsDraft() {
+        return {
+            ...Config.load(),
+            ...this.readWithdrawalTable(),
+            ...this.readFeeTable(),
+            providers: this.readProviderSelects(),
+            exchanges: this.readChecklist(this.elements.exchangeChecklist).selected,
+            pairs: this.readChecklist(this.elements.pairChecklist).selected
         };
+    }
 
-        if (Config.save(config)) {
-            this.config = config;
-            this.elements.minProfitFilter.value = config.defaultMinProfit;
-            this.closeSettings();
-            this.updateStatus('Settings saved');
+    /**
+     * Render a list of checkboxes with remove buttons
+     * Monitored items missing from the list are added to it
+     */
+    renderChecklist(container, items, selected) {
+        const all = [...new Set([...items, ...selected])];
+        container.innerHTML = all.map(item => this.checklistItem(item, selected.includes(item))).join('');
+    }
 
-            // Restart auto-refresh if enabled
-            if (this.elements.autoRefreshToggle.checked) {
-                this.startAutoRefresh();
-            }
+    /**
+     * Markup for one checklist entry
+     */
+    checklistItem(value, checked) {
+        return `
+            <label class="checkbox-label">
+                <input type="checkbox" class="list-checkbox" value="${value}" ${checked ? 'checked' : ''}>
+                <span>${value}</span>
+                <button type="button" class="list-remove" title="Remove ${value}">×</button>
+            </label>
+        `;
+    }
+
+    /**
+     * Read a checklist
+     * @returns {Object} - { items, selected }
+     */
+    readChecklist(container) {
+        const checkboxes = Array.from(container.querySelectorAll('.list-checkbox'));
+        return {
+            items: checkboxes.map(cb => cb.value),
+            selected: checkboxes.filter(cb => cb.checked).map(cb => cb.value)
+        };
+    }
+
+    /**
+     * Add an item to a checklist, or check it if it's already listed
+     */
+    addToChecklist(container, value) {
+        const existing = Array.from(container.querySelectorAll('.list-checkbox')).find(cb => cb.value === value);
+        if (existing) {
+            existing.checked = true;
         } else {
-            this.showError('Failed to save settings.');
+            container.insertAdjacentHTML('beforeend', this.checklistItem(value, true));
         }
+        this.renderSettingsGrids(this.readSettingsDraft());
     }
 
     /**
-     * Refresh data
+     * Add the exchange typed into the search box
      */
-    async refresh() {
-        if (this.isLoading) {
+    addExchange() {
+        const exchangeId = Catalogue.normalizeExchange(this.elements.exchangeSearch.value);
+        if (!exchangeId) {
+            this.showError('Enter an exchange ID such as OKEX.');
             return;
         }
 
-        if (!Config.hasApiKey()) {
-            this.showError('Please configure your API key in settings.');
-            this.openSettings();
+        this.addToChecklist(this.elements.exchangeChecklist, exchangeId);
+        this.elements.exchangeSearch.value = '';
+    }
+
+    /**
+     * Add the pair typed into the search box
+     */
+    addPair() {
+        const pair = Catalogue.normalizePair(this.elements.pairSearch.value);
+        if (!pair) {
+            this.showError('Enter a pair such as DOGE/USDT.');
             return;
         }
 
-        this.isLoading = true;
-        this.updateStatus('Fetching market data...');
-        this.showLoading(true);
-        this.hideError();
+        this.addToChecklist(this.elements.pairChecklist, pair);
+        this.elements.pairSearch.value = '';
+    }
 
-        try {
-            const apiKey = Config.getApiKey();
-            const pairs = Config.getPairs();
-            const exchanges = Config.getExchanges();
-            const fees = Config.get('fees');
+    /**
+     * Load the exchange catalogue for the search suggestions
+     */
+    async loadExchangeSuggestions() {
+        this.exchangeSuggestions = await Catalogue.getExchanges(this.catalogueApiKey());
+        this.renderExchangeSuggestions();
+    }
 
-            // Fetch all quotes
-            const quotes = await CoinAPI.getAllQuotes(pairs, exchanges, apiKey);
+    /**
+     * Load pairs listed on the checked exchanges for the search suggestions
+     */
+    async loadPairSuggestions() {
+        const exchanges = this.readChecklist(this.elements.exchangeChecklist).selected;
+        this.pairSuggestions = await Catalogue.getPairsForExchanges(exchanges, this.catalogueApiKey());
+        this.renderPairSuggestions();
+    }
 
-            if (quotes.length === 0) {
-                this.showError('No market data available. Please check your configuration.');
-                this.updateStatus('No data');
-                this.opportunities = [];
-            } else {
-                // Calculate arbitrage opportunities
-                const minProfit = parseFloat(this.elements.minProfitFilter.value) || 0;
-                this.opportunities = Arbitrage.calculateOpportunities(quotes, fees, minProfit);
+    /**
+     * API key for catalogue requests, preferring one just typed into settings
+     */
+    catalogueApiKey() {
+        return this.elements.apiKeyInput.value.trim() || Config.getApiKey();
+    }
 
-                // Update UI
-                this.applyFilters();
-                this.updateLastUpdate();
-                this.updateStatus(`Found ${this.opportunities.length} opportunities`);
+    /**
+     * Show exchanges matching the search box
+     */
+    renderExchangeSuggestions() {
+        const matches = Catalogue.search(this.exchangeSuggestions, this.elements.exchangeSearch.value);
+        this.elements.exchangeSuggestions.innerHTML = matches
+            .map(exchange => `<option value="${this.escapeHtml(exchange.id)}">${this.escapeHtml(exchange.name)}</option>`)
+            .join('');
+    }
+
+    /**
+     * Show pairs matching the search box
+     */
+    renderPairSuggestions() {
+        const matches = Catalogue.search(this.pairSuggestions, this.elements.pairSearch.value);
+        this.elements.pairSuggestions.innerHTML = matches
+            .map(pair => `<option value="${this.escapeHtml(pair)}"></option>`)
+            .join('');
+    }
+
+    /**
+     * Render the fee table: 30-day volume, the maker and taker fees of the tier
+     * it reaches, and the fee-token discount of each monitored exchange
+     */
+    renderFeeTable(config) {
+        const rows = config.exchanges.map(exchangeId => {
+            const schedule = Fees.getSchedule(config.fees[exchangeId]);
+            const volume = config.feeVolumes[exchangeId];
+            const tier = schedule ? schedule.tiers[Fees.getTierIndex(schedule, volume)] : null;
+            const title = schedule && schedule.tiers.length > 1
+                ? `Tier from $${tier.volume.toLocaleString()} 30-day volume, of ${schedule.tiers.length}`
+                : '';
+            const rate = orderType => `
+                <td>
+                    <input type="number" class="form-input fee-rate" step="any" placeholder="${Fees.defaultFee}"
+                        data-exchange="${exchangeId}" data-tier="${tier ? tier.volume : 0}" data-order-type="${orderType}"
+                        value="${tier ? tier[orderType] : ''}">
+                </td>
+            `;
+            const discount = schedule && schedule.discount ? `
+                <label class="checkbox-label">
+                    <input type="checkbox" class="fee-discount" data-exchange="${exchangeId}"
+                        ${config.feeDiscounts[exchangeId] ? 'checked' : ''}>
+                    <span>${schedule.discount.token} (-${schedule.discount.percent}%)</span>
+                </label>
+            ` : '';
+
+            return `
+                <tr>
+                    <th title="${title}">${exchangeId}</th>
+                    <td>
+                        <input type="number" class="form-input fee-volume" min="0" step="any" placeholder="0"
+                            data-exchange="${exchangeId}" value="${volume ?? ''}">
+                    </td>
+                    ${rate('maker')}
+                    ${rate('taker')}
+                    <td>${discount}</td>
+                </tr>
+            `;
+        }).join('');
+
+        this.elements.feeTable.innerHTML = `
+            <thead><tr><th>Exchange</th><th>30-Day Volume (USD)</th><th>Maker %</th><th>Taker %</th><th>Pay Fees In</th></tr></thead>
+            <tbody>${rows}</tbody>
+        `;
+    }
+
+    /**
+     * Read fee schedules, volumes and discounts from the settings UI
+     * Edited fees go into the tier they were shown for; exchanges not shown
+     * keep their stored values
+     */
+    readFeeTable() {
+        const fees = JSON.parse(JSON.stringify(Config.get('fees')));
+        const feeVolumes = { ...Config.get('feeVolumes') };
+        const feeDiscounts = { ...Config.get('feeDiscounts') };
+
+        this.elements.feeTable.querySelectorAll('.fee-volume').forEach(input => {
+            if (input.value === '') {
+                delete feeVolumes[input.dataset.exchange];
+            } else {
+                feeVolumes[input.dataset.exchange] = parseFloat(input.value);
             }
-        } catch (error) {
-            console.error('Error refreshing data:', error);
-            this.showError(error.message);
-            this.updateStatus('Error');
-        } finally {
-            this.isLoading = false;
-            this.showLoading(false);
-        }
+        });
+
+        this.elements.feeTable.querySelectorAll('.fee-discount').forEach(input => {
+            feeDiscounts[input.dataset.exchange] = input.checked;
+        });
+
+        this.elements.feeTable.querySelectorAll('.fee-rate').forEach(input => {
+            if (input.value === '') return;
+
+            const { exchange, tier, orderType } = input.dataset;
+            const schedule = Fees.getSchedule(fees[exchange])
+                || { tiers: [{ volume: 0, maker: Fees.defaultFee, taker: Fees.defaultFee }], discount: null };
+            const target = schedule.tiers.find(t => t.volume === parseFloat(tier)) || schedule.tiers[0];
+
+            target[orderType] = parseFloat(input.value);
+            fees[exchange] = schedule.discount ? schedule : { tiers: schedule.tiers };
+        });
+
+        return { fees, feeVolumes, feeDiscounts };
     }
 
     /**
-     * Apply filters and update table
+     * Fill the opportunity pair filter from config, keeping the selection
      */
-    applyFilters() {
-        const pairFilter = this.elements.pairFilter.value;
-        const minProfit = parseFloat(this.elements.minProfitFilter.value) || 0;
-        const sortBy = this.elements.sortBy.value;
+    populateFilterOptions() {
+        const pairs = Config.getPairs();
+        const selected = this.elements.pairFilter.value;
 
-        // Filter
-        let filtered = Arbitrage.filterByPair(this.opportunities, pairFilter);
-        filtered = Arbitrage.filterByMinProfit(filtered, minProfit);
+        this.elements.pairFilter.innerHTML = '<option value="all">All Pairs</option>' + pairs
+            .map(pair => `<option value="${pair}">${pair}</option>`)
+            .join('');
 
-        // Sort
-        filtered = Arbitrage.sort(filtered, sortBy);
+        this.elements.pairFilter.value = pairs.includes(selected) ? selected : 'all';
+    }
 
-        this.filteredOpportunities = filtered;
-        this.updateTable();
-        this.updateOpportunityCount();
+    /**
+     * Render one provider select per configured exchange
+     */
+    renderProviderSelects(config) {
+        this.elements.providerGrid.innerHTML = config.exchanges.map(exchangeId => {
+            const selected = Providers.choose(exchangeId, config.providers[exchangeId]);
+            const options = Providers.forExchange(exchangeId).map(provider => `
+                <option value="${provider.id}" ${provider.id === selected ? 'selected' : ''}>
+                    ${provider.name}${provider.requiresKey ? ' (API key)' : ''}
+                </option>
+            `).join('');
+
+            return `
+                <div class="fee-item">
+                    <label for="provider${exchangeId}">${exchangeId}</label>
+                    <select id="provider${exchangeId}" class="form-input provider-select" data-exchange="${exchangeId}">
+                        ${options}
+                    </select>
+                </div>
+            `;
+        }).join('');
     }
 
     /**
-     * Update the arbitrage table
+     * Read provider selections from the settings UI
      */
-    updateTable() {
-        const tbody = this.elements.arbitrageTableBody;
+    readProviderSelects() {
+        const providers = { ...Config.get('providers') };
+        this.elements.providerGrid.querySelectorAll('.provider-select').forEach(select => {
+            providers[select.dataset.exchange] = select.value;
+        });
+        return providers;
+    }
 
-        if (this.filteredOpportunities.length === 0) {
-            tbody.innerHTML = `
-                <tr class="empty-state">
-                    <td colspan="9">
-                        <div class="empty-message">
-                            <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                                <circle cx="12" cy="12" r="10"></circle>
-                                <path d="M12 6v6l4 2"></path>
-                            </svg>
-                            <p>No arbitrage opportunities found</p>
-                            <p class="empty-hint">Try adjusting your filters or refresh the data</p>
-                        </div>
+    /**
+     * Render withdrawal fee inputs per asset and exchange, plus transfer time per asset
+     */
+    renderWithdrawalTable(config) {
+        const assets = [...new Set(config.pairs.flatMap(pair => pair.split('/')))].sort();
+        const exchanges = config.exchanges;
+
+        const header = exchanges.map(exchangeId => `<th>${exchangeId}</th>`).join('');
+        const rows = assets.map(asset => {
+            const fees = exchanges.map(exchangeId => {
+                const fee = (config.withdrawalFees[exchangeId] || {})[asset];
+                return `
+                    <td>
+                        <input type="number" class="form-input withdrawal-fee" min="0" step="any"
+                            data-exchange="${exchangeId}" data-asset="${asset}" value="${fee ?? ''}">
+                    </td>
+                `;
+            }).join('');
+
+            return `
+                <tr>
+                    <th>${asset}</th>
+                    ${fees}
+                    <td>
+                        <input type="number" class="form-input transfer-time" min="0" step="1"
+                            data-asset="${asset}" value="${config.transferTimes[asset] ?? ''}">
                     </td>
                 </tr>
             `;
-            return;
-        }
+        }).join('');
 
-        tbody.innerHTML = this.filteredOpportunities.map(opp => `
-            <tr>
-                <td><span class="pair-name">${opp.pair}</span></td>
-                <td><span class="exchange-name">${opp.buyExchange}</span></td>
-                <td><span class="price">$${Arbitrage.formatPrice(opp.buyPrice)}</span></td>
-                <td><span class="exchange-name">${opp.sellExchange}</span></td>
-                <td><span class="price">$${Arbitrage.formatPrice(opp.sellPrice)}</span></td>
-                <td><span class="spread">$${Arbitrage.formatPrice(opp.spread)}</span></td>
-                <td><span class="profit ${Arbitrage.getProfitClass(opp.grossProfit)}">${Arbitrage.formatPercent(opp.grossProfit)}</span></td>
-                <td><span class="profit ${Arbitrage.getProfitClass(opp.netProfit)}">${Arbitrage.formatPercent(opp.netProfit)}</span></td>
-                <td>
-                    <button class="action-btn" onclick="app.viewDetails('${opp.pair}', '${opp.buyExchange}', '${opp.sellExchange}')">
-                        View
-                    </button>
-                </td>
-            </tr>
-        `).join('');
+        this.elements.withdrawalTable.innerHTML = `
+            <thead><tr><th>Asset</th>${header}<th>Transfer (min)</th></tr></thead>
+            <tbody>${rows}</tbody>
+        `;
     }
 
     /**
-     * View opportunity details
+     * Read withdrawal fees and transfer times from the settings UI
+     * Assets not shown in the table keep their stored values
      */
-    viewDetails(pair, buyExchange, sellExchange) {
-        const opp = this.filteredOpportunities.find(
-            o => o.pair === pair && o.buyExchange === buyExchange && o.sellExchange === sellExchange
-        );
+    readWithdrawalTable() {
+        const withdrawalFees = JSON.parse(JSON.stringify(Config.get('withdrawalFees')));
+        const transferTimes = { ...Config.get('transferTimes') };
 
-        if (opp) {
-            const details = Arbitrage.calculateProfitAmount(opp, 1000);
-            alert(`
-Arbitrage Opportunity Details
-================================
-
-Trading Pair: ${opp.pair}
-Buy on: ${opp.buyExchange} @ $${Arbitrage.formatPrice(opp.buyPrice)}
-Sell on: ${opp.sellExchange} @ $${Arbitrage.formatPrice(opp.sellPrice)}
+        this.elements.withdrawalTable.querySelectorAll('.withdrawal-fee').forEach(input => {
+            const { exchange, asset } = input.dataset;
+            withdrawalFees[exchange] = withdrawalFees[exchange] || {};
+            if (input.value === '') {
+                delete withdrawalFees[exchange][asset];
+            } else {
+                withdrawalFees[exchange][asset] = parseFloat(input.value);
+            }
+        });
 
-Price Spread: $${Arbitrage.formatPrice(opp.spread)}
-Gross Profit: ${Arbitrage.formatPercent(opp.grossProfit)}
-Net Profit: ${Arbitrage.formatPercent(opp.netProfit)}
+        this.elements.withdrawalTable.querySelectorAll('.transfer-time').forEach(input => {
+            if (input.value === '') {
+                delete transferTimes[input.dataset.asset];
+            } else {
+                transferTimes[input.dataset.asset] = parseFloat(input.value);
+            }
+        });
 
-Example with $1,000 investment:
-- Buy ${details.buyAmount.toFixed(8)} ${pair.split('/')[0]}
-- Buy Fee: $${details.buyFeeAmount.toFixed(2)}
-- Sell Value: $${details.sellValue.toFixed(2)}
-- Sell Fee: $${details.sellFeeAmount.toFixed(2)}
-- Net Profit: $${details.profit.toFixed(2)} (${Arbitrage.formatPercent(details.profitPercent)})
+        return { withdrawalFees, transferTimes };
+    }
 
-Note: This does not account for transfer fees, slippage, or execution time.
-            `);
-        }
+    /**
+     * Check if monitoring is blocked on a missing CoinAPI key
+     */
+    needsApiKey() {
+        return !Config.hasApiKey() && Providers.requiresKey(Config.getExchanges(), Config.get('providers'));
     }
 
     /**
-     * Toggle auto-refresh
+     * Save settings from UI
      */
-    toggleAutoRefresh(enabled) {
-        if (enabled) {
-            this.startAutoRefresh();
+    async saveSettings() {
+        const exchanges = this.readChecklist(this.elements.exchangeChecklist);
+        const pairs = this.readChecklist(this.elements.pairChecklist);
+
+        if (exchanges.selected.length === 0) {
+            this.showError('Please select at least one exchange.');
+            return;
+        }
+
+        if (pairs.selected.length === 0) {
+            this.showError('Please select at least one trading pair.');
+            return;
+        }
+
+        let apiKey;
+        try {
+            apiKey = await this.storeApiKey();
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+
+        const config = {
+            // Keep settings edited outside this modal, such as alert rules
+            ...Config.load(),
+            apiKey,
+            apiKeyStorage: this.elements.apiKeyStorage.value,
+            apiKeyLockMinutes: Math.max(0, parseFloat(this.elements.apiKeyLockMinutes.value) || 0),
+            demoMode: this.elements.demoMode.checked,
+            demoScenario: this.elements.demoScenario.value,
+            refreshInterval: parseInt(this.elements.refreshInterval.value),
+            apiDailyQuota: parseInt(this.elements.apiDailyQuota.value) || Config.defaults.apiDailyQuota,
+            apiRequestsPerSecond: parseFloat(this.elements.apiRequestsPerSecond.value) || Config.defaults.apiRequestsPerSecond,
+            defaultMinProfit: parseFloat(this.elements.defaultMinProfit.value),
+            autoRefresh: this.elements.autoRefreshToggle.checked,
+            streaming: this.elements.streamToggle.checked,
+            triangularEnabled: this.elements.triangularEnabled.checked,
+            triangularMaxLegs: parseInt(this.elements.triangularMaxLegs.value),
+            tradeSize: parseFloat(this.elements.tradeSize.value),
+            historyEnabled: this.elements.historyEnabled.checked,
+            historyRetentionDays: parseInt(this.elements.historyRetentionDays.value),
+            quoteChecks: this.elements.quoteChecks.checked,
+            // 0 turns the age check off, so only a blank field takes the default
+            quoteMaxAge: this.elements.quoteMaxAge.value === ''
+                ? Config.defaults.quoteMaxAge
+                : Math.max(0, parseFloat(this.elements.quoteMaxAge.value) || 0),
+            quoteOutlierSigma: Math.max(0, parseFloat(this.elements.quoteOutlierSigma.value) || 0),
+            quoteCheckMode: this.elements.quoteCheckMode.value,
+            fxEnabled: this.elements.fxEnabled.checked,
+            fxCurrencies: this.elements.fxCurrencies.value
+                .split(',')
+                .map(currency => currency.trim().toUpperCase())
+                .filter(Boolean),
+            fxConversionFee: parseFloat(this.elements.fxConversionFee.value) || 0,
+            fxRiskBuffer: parseFloat(this.elements.fxRiskBuffer.value) || 0,
+            ...this.readWithdrawalTable(),
+            ...this.readFeeTable(),
+            buyOrderType: this.elements.buyOrderType.value,
+            sellOrderType: this.elements.sellOrderType.value,
+            providers: this.readProviderSelects(),
+            pairs: pairs.selected,
+            pairList: pairs.items,
+            exchanges: exchanges.selected,
+            exchangeList: exchanges.items
+        };
+
+        if (Config.save(config)) {
+            KeyVault.setAutoLock(config.apiKeyLockMinutes);
+            this.updateKeyLock();
+            this.closeSettings();
+            this.updateStatus('Settings saved');
+            await this.updateDemo(config);
+            this.applySettings(config);
         } else {
-            this.stopAutoRefresh();
+            this.showError('Failed to save settings.');
         }
     }
 
     /**
-     * Start auto-refresh
+     * Keep the key entered in settings the way the chosen storage says
+     * With the key kept out of localStorage, a blank field keeps the current one
+     * @returns {String} - Key to save in plain text, or '' when KeyVault holds it
+     * @throws {Error} - If the passphrase is missing or doesn't match
      */
-    startAutoRefresh() {
-        this.stopAutoRefresh(); // Clear any existing interval
+    async storeApiKey() {
+        const storage = this.elements.apiKeyStorage.value;
+        const previous = Config.get('apiKeyStorage');
+        const entered = this.elements.apiKeyInput.value.trim();
+        const apiKey = entered || (previous === 'plain' ? '' : Config.getApiKey());
+
+        if (storage === 'plain') {
+            KeyVault.clear(false);
+            return apiKey;
+        }
 
-        const interval = (Config.get('refreshInterval') || 30) * 1000;
-        this.autoRefreshInterval = setInterval(() => {
-            this.refresh();
-        }, interval);
+        if (storage === 'session') {
+            KeyVault.clear(false);
+            if (apiKey) KeyVault.remember(apiKey);
+            return '';
+        }
 
-        // Initial refresh
-        this.refresh();
+        // Encrypt a new key, a new passphrase, or a key moving from another storage
+        const passphrase = this.elements.apiKeyPassphrase.value;
+        const changed = entered || passphrase || previous !== 'encrypted' || !KeyVault.hasStoredKey();
+        if (changed && (apiKey || passphrase)) {
+            if (!apiKey) {
+                throw new Error(KeyVault.hasStoredKey()
+                    ? 'Unlock the API key, or enter it again, to change the passphrase.'
+                    : 'Please enter the API key to encrypt.');
+            }
+            if (passphrase !== this.elements.apiKeyPassphraseConfirm.value) {
+                throw new Error('The passphrases don\'t match.');
+            }
+            await KeyVault.store(apiKey, passphrase);
+        }
+        return '';
     }
 
     /**
-     * Stop auto-refresh
+     * Show the passphrase fields when the key is to be encrypted
      */
-    stopAutoRefresh() {
-        if (this.autoRefreshInterval) {
-            clearInterval(this.autoRefreshInterval);
-            this.autoRefreshInterval = null;
-        }
+    updateKeyStorageFields() {
+        this.elements.apiKeyPassphraseGroup.classList.toggle('hidden', this.elements.apiKeyStorage.value !== 'encrypted');
+    }
+
+    /**
+     * Show the lock button while a key kept out of localStorage is unlocked
+     */
+    updateKeyLock() {
+        const unlocked = Config.get('apiKeyStorage') !== 'plain' && KeyVault.isUnlocked();
+        this.elements.lockKeyBtn.classList.toggle('hidden', !unlocked);
+    }
+
+    /**
+     * Check if an encrypted key is stored but locked
+     */
+    needsUnlock() {
+        return Config.get('apiKeyStorage') === 'encrypted' && KeyVault.hasStoredKey() && !KeyVault.isUnlocked();
+    }
+
+    /**
+     * Ask for the passphrase of the stored key
+     */
+    openUnlock() {
+        this.elements.unlockPassphrase.value = '';
+        this.elements.unlockError.classList.add('hidden');
+        this.elements.unlockModal.classList.remove('hidden');
+        this.elements.unlockPassphrase.focus();
+    }
+
+    /**
+     * Close the unlock modal; the key stays locked
+     */
+    closeUnlock() {
+        this.elements.unlockModal.classList.add('hidden');
+    }
+
+    /**
+     * Decrypt the stored key with the entered passphrase
+     */
+    async unlockKey() {
+        try {
+            await KeyVault.unlock(this.elements.unlockPassphrase.value);
+        } catch (error) {
+            this.elements.unlockError.textContent = error.message;
+            this.elements.unlockError.classList.remove('hidden');
+            this.elements.unlockPassphrase.select();
+            return;
+        }
+
+        this.closeUnlock();
+        this.hideError();
+        this.updateKeyLock();
+        this.updateStatus('API key unlocked');
+    }
+
+    /**
+     * Remove the stored key, e.g. after forgetting the passphrase
+     */
+    forgetKey() {
+        if (!confirm('Remove the encrypted API key from this browser? You will need to enter it again.')) {
+            return;
+        }
+
+        KeyVault.clear(false);
+        this.closeUnlock();
+        this.updateKeyLock();
+        this.showError('Please configure your API key in settings to start monitoring.');
+        this.openSettings();
+    }
+
+    /**
+     * After the key locks, stop monitoring that needs it and ask for it again
+     */
+    onKeyLocked() {
+        this.updateKeyLock();
+        if (!this.needsApiKey()) {
+            return;
+        }
+
+        this.elements.autoRefreshToggle.checked = false;
+        this.elements.streamToggle.checked = false;
+        this.stopAutoRefresh();
+        this.stopStreaming();
+        this.updateStatus('API key locked');
+
+        if (this.needsUnlock()) {
+            this.openUnlock();
+        } else {
+            this.showError('The API key was forgotten after inactivity. Enter it in settings to continue monitoring.');
+        }
+    }
+
+    /**
+     * Start using saved settings: refresh everything that depends on them
+     * and restart auto-refresh or streaming if enabled
+     */
+    applySettings(config) {
+        this.config = config;
+        this.elements.minProfitFilter.value = config.defaultMinProfit;
+        this.populateFilterOptions();
+        this.applyFilters();
+        this.updateBudgetStatus();
+        this.renderProfiles();
+
+        if (this.elements.streamToggle.checked && !MockMarket.isActive()) {
+            this.startStreaming();
+        } else if (this.elements.autoRefreshToggle.checked) {
+            this.startAutoRefresh();
+        }
+    }
+
+    /**
+     * Fill the header's profile picker, selecting the last profile applied
+     */
+    renderProfiles() {
+        const active = Config.get('profile');
+        const profiles = Config.getProfiles();
+        const options = list => list
+            .map(({ name }) => `<option value="${this.escapeHtml(name)}">${this.escapeHtml(name)}</option>`)
+            .join('');
+        const saved = profiles.filter(profile => !profile.builtIn);
+
+        this.elements.profileSelect.innerHTML = `
+            <option value="" disabled>Profile…</option>
+            <optgroup label="Built-in">${options(profiles.filter(profile => profile.builtIn))}</optgroup>
+            ${saved.length > 0 ? `<optgroup label="Saved">${options(saved)}</optgroup>` : ''}
+        `;
+        this.elements.profileSelect.value = profiles.some(profile => profile.name === active) ? active : '';
+
+        // Only the active saved profile can be deleted
+        this.elements.deleteProfileBtn.disabled = !saved.some(profile => profile.name === active);
+    }
+
+    /**
+     * Apply a profile over the current settings
+     */
+    applyProfile(name) {
+        if (!name) return;
+
+        try {
+            const config = Config.applyProfile(name);
+            this.hideError();
+            this.loadSettingsToUI();
+            this.updateStatus(`Profile "${name}" applied`);
+            this.applySettings(config);
+        } catch (error) {
+            this.showError(error.message);
+            this.renderProfiles();
+        }
+    }
+
+    /**
+     * Save the settings as edited in the modal as a named profile
+     */
+    saveProfile() {
+        const name = this.elements.profileName.value.trim();
+        if (Config.getProfiles().some(profile => profile.name === name && !profile.builtIn)
+            && !confirm(`Replace the saved profile "${name}"?`)) {
+            return;
+        }
+
+        try {
+            const saved = Config.saveProfile(name, this.readSettingsDraft());
+            Config.set('profile', saved);
+            this.elements.profileName.value = '';
+            this.hideError();
+            this.renderProfiles();
+            this.updateStatus(`Profile "${saved}" saved`);
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Delete the active saved profile; the current settings stay as they are
+     */
+    deleteProfile() {
+        const name = Config.get('profile');
+        if (!name || !confirm(`Delete the saved profile "${name}"?`)) {
+            return;
+        }
+
+        Config.deleteProfile(name);
+        Config.set('profile', '');
+        this.renderProfiles();
+    }
+
+    /**
+     * Download the settings and saved profiles as a JSON file
+     */
+    exportSettings() {
+        const contents = Config.exportSettings(this.elements.exportIncludeApiKey.checked);
+        DataExport.download(contents, DataExport.fileName('settings', 'json'), 'json');
+    }
+
+    /**
+     * Replace the settings with an exported settings file
+     */
+    async importSettingsFile(file) {
+        if (!file) return;
+
+        try {
+            const imported = Config.parseImport(await file.text());
+            if (confirm(`Replace your settings with ${file.name}? Saved profiles in the file are added to yours.`)) {
+                const config = Config.importSettings(imported);
+                this.hideError();
+                this.loadSettingsToUI();
+                this.updateStatus(`Settings imported from ${file.name}`);
+                this.applySettings(config);
+
+                // A key from the file goes where this browser keeps its key
+                if (imported.settings.apiKey && config.apiKeyStorage === 'session') {
+                    KeyVault.remember(imported.settings.apiKey);
+                    this.updateKeyLock();
+                } else if (imported.settings.apiKey && config.apiKeyStorage === 'encrypted') {
+                    this.elements.apiKeyInput.value = imported.settings.apiKey;
+                    this.showError('Enter your passphrase and save to encrypt the imported API key.');
+                }
+            }
+        } catch (error) {
+            this.showError(`Could not import ${file.name}: ${error.message}`);
+        }
+
+        this.elements.importSettingsFile.value = '';
+    }
+
+    /**
+     * Serve synthetic market data from the configured scenario
+     * CoinAPI's cache and budget are kept apart from the real ones while it runs
+     */
+    async startDemo() {
+        const config = Config.load();
+        try {
+            MockMarket.install(await MockMarket.loadScenario(config.demoScenario));
+        } catch (error) {
+            this.showError(`Demo mode is off: ${error.message}`);
+            return false;
+        }
+
+        this.stopStreaming();
+        this.elements.streamToggle.checked = false;
+        this.elements.demoBadge.textContent = `Demo: ${MockMarket.scenario.name}`;
+        this.elements.demoBadge.classList.remove('hidden');
+        this.hideError();
+        this.updateBudgetStatus();
+        this.updateStatus(`Demo mode - ${MockMarket.scenario.description || MockMarket.scenario.name}`);
+        return true;
+    }
+
+    /**
+     * Go back to real market data
+     */
+    stopDemo() {
+        MockMarket.uninstall();
+        this.elements.demoBadge.classList.add('hidden');
+        this.updateBudgetStatus();
+    }
+
+    /**
+     * Start, switch or stop demo mode to match saved settings
+     * Books from the previous source are dropped so they don't mix with the new ones
+     */
+    async updateDemo(config) {
+        const scenario = MockMarket.isActive() ? MockMarket.scenario : null;
+        if (!config.demoMode) {
+            if (scenario) {
+                this.stopDemo();
+                this.opportunities = [];
+            }
+            return;
+        }
+
+        await this.startDemo();
+        if (scenario !== MockMarket.scenario) {
+            this.opportunities = [];
+        }
+    }
+
+    /**
+     * Keep an imported scenario file and select it
+     */
+    async importDemoScenario(file) {
+        if (!file) return;
+
+        try {
+            const scenario = MockMarket.saveCustom(await file.text());
+            this.renderCustomScenario(scenario.name);
+            this.elements.demoScenario.value = 'custom';
+            this.hideError();
+        } catch (error) {
+            this.showError(`Could not import ${file.name}: ${error.message}`);
+        }
+
+        this.elements.demoScenarioFile.value = '';
+    }
+
+    /**
+     * Label the imported scenario option, enabled once there is one
+     */
+    renderCustomScenario(name) {
+        const option = this.elements.demoScenario.querySelector('[value="custom"]');
+        option.disabled = !name;
+        option.textContent = name ? `Imported: ${name}` : 'Imported scenario';
+    }
+
+    /**
+     * Open alerts modal
+     */
+    openAlerts() {
+        this.elements.webhookUrlInput.value = Config.get('webhookUrl') || '';
+        this.updateNotificationStatus();
+        this.renderRuleOptions();
+        this.resetRuleForm();
+        this.renderAlertRules();
+        this.renderAlertLog();
+        this.elements.alertsModal.classList.remove('hidden');
+    }
+
+    /**
+     * Close alerts modal
+     */
+    closeAlerts() {
+        this.elements.alertsModal.classList.add('hidden');
+    }
+
+    /**
+     * Show the browser's notification permission
+     */
+    updateNotificationStatus() {
+        const permission = typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+        const labels = {
+            granted: 'Enabled',
+            denied: 'Blocked in browser settings',
+            default: 'Not enabled',
+            unsupported: 'Not supported by this browser'
+        };
+
+        this.elements.notificationStatus.textContent = labels[permission];
+        this.elements.notificationStatus.className = `notification-status ${permission}`;
+        this.elements.enableNotificationsBtn.classList.toggle('hidden', permission !== 'default');
+    }
+
+    /**
+     * Ask the browser for notification permission
+     */
+    async enableNotifications() {
+        await Alerts.requestPermission();
+        this.updateNotificationStatus();
+    }
+
+    /**
+     * Fill the pair and exchange selects of the rule form
+     */
+    renderRuleOptions() {
+        const option = (value, label) => `<option value="${value}">${label}</option>`;
+
+        this.elements.rulePair.innerHTML = option('all', 'All Pairs')
+            + Config.getPairs().map(pair => option(pair, pair)).join('');
+
+        const exchanges = option('any', 'Any Exchange')
+            + Config.getExchanges().map(exchange => option(exchange, exchange)).join('');
+        this.elements.ruleBuyExchange.innerHTML = exchanges;
+        this.elements.ruleSellExchange.innerHTML = exchanges;
+    }
+
+    /**
+     * List configured alert rules
+     */
+    renderAlertRules() {
+        const rules = Config.get('alertRules') || [];
+
+        if (rules.length === 0) {
+            this.elements.alertRulesList.innerHTML = '<p class="form-hint">No alert rules yet. Add one below.</p>';
+            return;
+        }
+
+        this.elements.alertRulesList.innerHTML = rules.map(rule => {
+            const route = `${rule.buyExchange === 'any' ? 'any' : rule.buyExchange} → ${rule.sellExchange === 'any' ? 'any' : rule.sellExchange}`;
+            const channels = ['notify', 'sound', 'webhook']
+                .filter(channel => rule[channel])
+                .join(', ') || 'log only';
+
+            return `
+                <div class="rule-item ${rule.enabled ? '' : 'disabled'}">
+                    <label class="checkbox-label">
+                        <input type="checkbox" ${rule.enabled ? 'checked' : ''} onchange="app.toggleRule('${rule.id}', this.checked)">
+                        <span class="rule-name">${this.escapeHtml(rule.name)}</span>
+                    </label>
+                    <span class="rule-summary">
+                        ${rule.pair === 'all' ? 'All pairs' : rule.pair}, ${route},
+                        net ≥ ${Arbitrage.formatPercent(rule.minNetProfit)}${rule.minVolume > 0 ? `, volume ≥ ${rule.minVolume}` : ''}${rule.minCycles > 1 ? `, seen ${rule.minCycles}+ cycles` : ''},
+                        cooldown ${Arbitrage.formatDuration(rule.cooldownSeconds * 1000)} · ${channels}
+                    </span>
+                    <span class="rule-actions">
+                        <button class="action-btn" onclick="app.editRule('${rule.id}')">Edit</button>
+                        <button class="action-btn" onclick="app.deleteRule('${rule.id}')">Delete</button>
+                    </span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Load a rule into the form for editing
+     */
+    editRule(ruleId) {
+        const rule = (Config.get('alertRules') || []).find(r => r.id === ruleId);
+        if (!rule) return;
+
+        this.editingRuleId = ruleId;
+        this.elements.ruleName.value = rule.name;
+        this.elements.rulePair.value = rule.pair;
+        this.elements.ruleBuyExchange.value = rule.buyExchange;
+        this.elements.ruleSellExchange.value = rule.sellExchange;
+        this.elements.ruleMinNetProfit.value = rule.minNetProfit;
+        this.elements.ruleMinVolume.value = rule.minVolume;
+        this.elements.ruleMinCycles.value = rule.minCycles;
+        this.elements.ruleCooldown.value = rule.cooldownSeconds;
+        this.elements.ruleNotify.checked = rule.notify;
+        this.elements.ruleSound.checked = rule.sound;
+        this.elements.ruleWebhook.checked = rule.webhook;
+
+        this.elements.ruleFormTitle.textContent = 'Edit Rule';
+        this.elements.saveRuleBtn.textContent = 'Update Rule';
+        this.elements.cancelRuleBtn.classList.remove('hidden');
+    }
+
+    /**
+     * Clear the rule form back to defaults for a new rule
+     */
+    resetRuleForm() {
+        const rule = Alerts.createRule();
+
+        this.editingRuleId = null;
+        this.elements.ruleName.value = '';
+        this.elements.rulePair.value = rule.pair;
+        this.elements.ruleBuyExchange.value = rule.buyExchange;
+        this.elements.ruleSellExchange.value = rule.sellExchange;
+        this.elements.ruleMinNetProfit.value = rule.minNetProfit;
+        this.elements.ruleMinVolume.value = rule.minVolume;
+        this.elements.ruleMinCycles.value = rule.minCycles;
+        this.elements.ruleCooldown.value = rule.cooldownSeconds;
+        this.elements.ruleNotify.checked = rule.notify;
+        this.elements.ruleSound.checked = rule.sound;
+        this.elements.ruleWebhook.checked = rule.webhook;
+
+        this.elements.ruleFormTitle.textContent = 'Add Rule';
+        this.elements.saveRuleBtn.textContent = 'Add Rule';
+        this.elements.cancelRuleBtn.classList.add('hidden');
+    }
+
+    /**
+     * Add or update a rule from the form
+     */
+    saveRule() {
+        const minNetProfit = parseFloat(this.elements.ruleMinNetProfit.value);
+        if (isNaN(minNetProfit)) {
+            this.showError('Please enter a minimum net profit for the alert rule.');
+            return;
+        }
+
+        const fields = {
+            name: this.elements.ruleName.value.trim() || `${Arbitrage.formatPercent(minNetProfit)}+ spreads`,
+            pair: this.elements.rulePair.value,
+            buyExchange: this.elements.ruleBuyExchange.value,
+            sellExchange: this.elements.ruleSellExchange.value,
+            minNetProfit,
+            minVolume: parseFloat(this.elements.ruleMinVolume.value) || 0,
+            minCycles: parseInt(this.elements.ruleMinCycles.value) || 1,
+            cooldownSeconds: parseInt(this.elements.ruleCooldown.value) || 0,
+            notify: this.elements.ruleNotify.checked,
+            sound: this.elements.ruleSound.checked,
+            webhook: this.elements.ruleWebhook.checked
+        };
+
+        const rules = Config.get('alertRules') || [];
+        const index = rules.findIndex(rule => rule.id === this.editingRuleId);
+        if (index !== -1) {
+            rules[index] = { ...rules[index], ...fields };
+        } else {
+            rules.push(Alerts.createRule(fields));
+        }
+
+        this.saveAlertRules(rules);
+        this.resetRuleForm();
+    }
+
+    /**
+     * Enable or disable a rule
+     */
+    toggleRule(ruleId, enabled) {
+        const rules = (Config.get('alertRules') || []).map(rule =>
+            rule.id === ruleId ? { ...rule, enabled } : rule
+        );
+        this.saveAlertRules(rules);
+    }
+
+    /**
+     * Remove a rule
+     */
+    deleteRule(ruleId) {
+        const rules = (Config.get('alertRules') || []).filter(rule => rule.id !== ruleId);
+        if (this.editingRuleId === ruleId) {
+            this.resetRuleForm();
+        }
+        this.saveAlertRules(rules);
+    }
+
+    /**
+     * Persist rules and start cooldowns and deduplication afresh
+     */
+    saveAlertRules(rules) {
+        if (!Config.set('alertRules', rules)) {
+            this.showError('Failed to save alert rules.');
+            return;
+        }
+        Alerts.reset();
+        this.renderAlertRules();
+    }
+
+    /**
+     * Fire alert rules matching the current opportunities
+     */
+    checkAlerts() {
+        const rules = Config.get('alertRules') || [];
+        if (rules.length === 0) {
+            return;
+        }
+
+        const firings = Alerts.evaluate(rules, this.opportunities.concat(this.alertOpportunities));
+        if (firings.length === 0) {
+            return;
+        }
+
+        const webhookUrl = Config.get('webhookUrl');
+        for (const firing of firings) {
+            Alerts.deliver(firing, { webhookUrl });
+        }
+        this.renderAlertLog();
+    }
+
+    /**
+     * Deliver a sample alert through every channel to check the setup
+     */
+    sendTestAlert() {
+        const rule = Alerts.createRule({ id: 'test', name: 'Test alert', webhook: true });
+        const opportunity = {
+            type: 'cross-exchange',
+            pair: 'BTC/USDT',
+            buyExchange: 'BINANCE',
+            sellExchange: 'KRAKEN',
+            buyPrice: 60000,
+            sellPrice: 60900,
+            netProfit: 1.14,
+            volume: 0.5,
+            cycles: 1,
+            firstSeen: Date.now()
+        };
+
+        Alerts.deliver({ rule, opportunities: [opportunity], timestamp: Date.now() }, {
+            webhookUrl: Config.get('webhookUrl')
+        });
+        this.renderAlertLog();
+    }
+
+    /**
+     * List recent alert firings
+     */
+    renderAlertLog() {
+        if (Alerts.log.length === 0) {
+            this.elements.alertLog.innerHTML = '<p class="form-hint">No alerts fired yet.</p>';
+            return;
+        }
+
+        this.elements.alertLog.innerHTML = Alerts.log.map(entry => `
+            <div class="alert-log-item">
+                <span class="alert-log-time">${new Date(entry.timestamp).toLocaleTimeString()}</span>
+                <span class="alert-log-title">${this.escapeHtml(entry.title)}</span>
+                <span class="alert-log-body">${this.escapeHtml(entry.body)}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Escape user-entered text for insertion into HTML
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Refresh data
+     */
+    async refresh() {
+        if (this.isLoading) {
+            return;
+        }
+
+        // Streaming keeps books live, so just re-evaluate them
+        if (Stream.isRunning()) {
+            this.opportunities = this.computeOpportunities(Stream.getQuotes());
+            this.scheduleRender();
+            return;
+        }
+
+        if (this.needsApiKey()) {
+            if (this.needsUnlock()) {
+                this.openUnlock();
+            } else {
+                this.showError('Please configure your API key in settings.');
+                this.openSettings();
+            }
+            return;
+        }
+
+        this.isLoading = true;
+        this.updateStatus('Fetching market data...');
+        this.showLoading(true);
+        this.hideError();
+
+        try {
+            const apiKey = Config.getApiKey();
+            const pairs = Config.getPairs();
+            const exchanges = Config.getExchanges();
+            const providers = Config.get('providers');
+
+            // Fetch all quotes
+            const quotes = await CoinAPI.getAllQuotes(pairs, exchanges, apiKey, providers);
+
+            if (quotes.length === 0) {
+                let message = 'No market data available. Please check your configuration.';
+                if (RequestBudget.lastSkipped > 0) {
+                    message = RequestBudget.isPaused()
+                        ? 'CoinAPI rate limit reached. Data resumes in a minute or so.'
+                        : 'CoinAPI request budget used up. Data resumes when it resets.';
+                }
+                this.showError(message);
+                this.updateStatus('No data');
+                this.opportunities = [];
+            } else {
+                // Calculate arbitrage opportunities
+                this.quotes = quotes;
+                PriceMatrix.remember(quotes);
+                this.opportunities = this.computeOpportunities(quotes);
+                this.updateAlertOpportunities(quotes);
+                this.trackOpportunities();
+                this.recordHistory();
+                this.checkAlerts();
+                this.runPaperTrading();
+
+                // Update UI
+                this.applyFilters();
+                this.updateLastUpdate();
+
+                let status = `Found ${this.opportunities.length} opportunities`;
+                if (RequestBudget.lastSkipped > 0) {
+                    status += ` (${RequestBudget.lastSkipped} order books skipped to save API budget)`;
+                }
+                this.updateStatus(status);
+            }
+        } catch (error) {
+            console.error('Error refreshing data:', error);
+            this.showError(error.message);
+            this.updateStatus('Error');
+        } finally {
+            this.isLoading = false;
+            this.showLoading(false);
+            this.updateBudgetStatus();
+        }
+    }
+
+    /**
+     * Calculate cross-exchange and triangular opportunities from quotes
+     */
+    computeOpportunities(quotes, minProfit = parseFloat(this.elements.minProfitFilter.value) || 0) {
+        const screened = this.screenQuotes(quotes);
+        const opportunities = this.computeCrossExchange(screened, screened, minProfit)
+            .concat(this.computeTriangular(screened, minProfit));
+        return QuoteQuality.annotate(opportunities, screened)
+            .sort((a, b) => b.netProfit - a.netProfit);
+    }
+
+    /**
+     * Drop or flag stale, crossed, empty and outlier quotes (see js/quality.js)
+     * @returns {Array} - Quotes to compare
+     */
+    screenQuotes(quotes) {
+        const { quotes: screened, flagged } = QuoteQuality.screen(quotes, QuoteQuality.getSettings(Config.load()));
+        this.flaggedQuotes = flagged;
+        return screened;
+    }
+
+    /**
+     * Calculate cross-exchange opportunities with current fees and threshold
+     * @param {Array} quotes - Quotes to compare
+     * @param {Array} rateQuotes - Quotes to price FX conversions from, when only some are compared
+     * @param {Number} minProfit - Net profit threshold, the min profit filter by default
+     */
+    computeCrossExchange(quotes, rateQuotes = quotes, minProfit = parseFloat(this.elements.minProfitFilter.value) || 0) {
+        const fees = Fees.resolve(Config.load());
+        const fxSettings = FX.getSettings(Config.load());
+
+        if (fxSettings) {
+            // Picked up by a later cycle; CoinAPI rates are refreshed every few minutes
+            FX.fetchRates(FX.getUnpriced(Config.getPairs(), rateQuotes, fxSettings), Config.getApiKey());
+        }
+
+        return Arbitrage.calculateOpportunities(quotes, fees, minProfit, {
+            withdrawalFees: Config.get('withdrawalFees'),
+            transferTimes: Config.get('transferTimes'),
+            tradeSize: Config.get('tradeSize')
+        }, fxSettings && { ...fxSettings, rates: FX.getRates(rateQuotes, fxSettings.currencies) }, this.getInventory());
+    }
+
+    /**
+     * Find the routes only alert rules below the min profit filter see
+     * (see Alerts.findUnlisted), once this.opportunities is up to date
+     */
+    updateAlertOpportunities(quotes) {
+        const minProfit = parseFloat(this.elements.minProfitFilter.value) || 0;
+        this.alertOpportunities = Alerts.findUnlisted(Config.get('alertRules') || [], minProfit, this.opportunities,
+            threshold => this.computeOpportunities(quotes, threshold));
+    }
+
+    /**
+     * Balances to size opportunities to, or null if sizing to holdings is off
+     */
+    getInventory() {
+        return Config.get('inventoryEnabled') && Inventory.hasBalances() ? Inventory.load() : null;
+    }
+
+    /**
+     * Recalculate opportunities from the last quotes after their inputs change
+     */
+    reevaluate() {
+        if (this.quotes.length === 0) {
+            return;
+        }
+
+        this.opportunities = this.computeOpportunities(this.quotes);
+        this.updateAlertOpportunities(this.quotes);
+        this.trackOpportunities(false);
+        this.applyFilters();
+    }
+
+    /**
+     * Track routes across cycles, annotate persistence and flag transfers
+     * slower than the spread usually lasts
+     * @param {Boolean} observe - Count this as a new cycle; off when only re-evaluating
+     */
+    trackOpportunities(observe = true) {
+        const now = Date.now();
+
+        // Routes only alert rules see are tracked too, for rules on cycles seen
+        const tracked = this.opportunities.concat(this.alertOpportunities);
+
+        // Streaming counts one cycle per second rather than one per book update
+        if (observe && (!Stream.isRunning() || now - this.lastTrackedAt >= 1000)) {
+            Tracker.observe(tracked, now);
+            this.lastTrackedAt = now;
+        }
+
+        for (const opp of tracked) {
+            Object.assign(opp, Tracker.describe(opp, now));
+
+            if (opp.type === 'triangular') continue; // No transfer between exchanges
+
+            opp.typicalLifetime = Tracker.getTypicalLifetime(Tracker.key(opp));
+            opp.transferTooSlow = Arbitrage.isTransferTooSlow(opp, opp.typicalLifetime);
+        }
+    }
+
+    /**
+     * Calculate triangular cycles within each exchange, if enabled
+     */
+    computeTriangular(quotes, minProfit = parseFloat(this.elements.minProfitFilter.value) || 0) {
+        if (!Config.get('triangularEnabled')) {
+            return [];
+        }
+
+        const fees = Fees.resolve(Config.load());
+        return Triangular.findOpportunities(quotes, fees, minProfit, Config.get('triangularMaxLegs'));
+    }
+
+    /**
+     * Record the current quotes and opportunities to history
+     * Throttled so streaming doesn't write on every book update
+     */
+    recordHistory() {
+        const now = Date.now();
+        if (!Config.get('historyEnabled') || now - this.lastRecordedAt < 5000) {
+            return;
+        }
+        this.lastRecordedAt = now;
+
+        HistoryStore.record(this.quotes, this.opportunities, now)
+            .then(() => {
+                if (this.currentView === 'history') {
+                    this.loadHistory();
+                }
+            })
+            .catch(error => console.error('Error recording history:', error));
+
+        // Apply the retention policy at most once an hour
+        if (now - this.lastPrunedAt > 60 * 60 * 1000) {
+            this.lastPrunedAt = now;
+            HistoryStore.prune(Config.get('historyRetentionDays') || 7)
+                .catch(error => console.error('Error pruning history:', error));
+        }
+    }
+
+    /**
+     * Execute current opportunities against the paper trading balances
+     * Streaming trades at most once per second, like route tracking
+     */
+    runPaperTrading() {
+        const now = Date.now();
+        if (!Config.get('paperTrading') || this.quotes.length === 0) {
+            return;
+        }
+        if (Stream.isRunning() && now - this.lastPaperAt < 1000) {
+            return;
+        }
+        this.lastPaperAt = now;
+
+        if (!PaperTrading.hasSession()) {
+            PaperTrading.start(this.quotes, Config.getExchanges(), Config.get('paperStartingValue'), now);
+        }
+
+        PaperTrading.execute(this.opportunities, this.quotes, {
+            minProfit: parseFloat(this.elements.minProfitFilter.value) || 0,
+            tradeValue: Config.get('paperTradeValue')
+        }, now);
+
+        if (this.currentView === 'paper') {
+            this.renderPaperTrading();
+        }
+    }
+
+    /**
+     * Render paper trading P&L, balances, rebalancing needs and trades
+     */
+    renderPaperTrading() {
+        const summary = PaperTrading.getSummary();
+        const reference = PaperTrading.referenceAsset;
+
+        if (!summary) {
+            this.elements.paperSummary.innerHTML = `
+                <p class="form-hint">No session yet. Turn on "Execute Opportunities" and refresh to start with
+                ${Config.get('paperStartingValue')} ${reference} of every monitored currency on each exchange.</p>
+            `;
+            Charts.line(this.elements.paperChart, [], { emptyText: 'No paper trades yet' });
+            this.elements.paperBalances.innerHTML = '';
+            this.elements.paperRebalancing.innerHTML = '';
+            this.elements.paperTrades.innerHTML = '';
+            return;
+        }
+
+        const money = value => `${value.toFixed(2)} ${reference}`;
+        const stat = (label, value, className = '') => `
+            <div class="summary-item">
+                <span class="status-label">${label}</span>
+                <span class="status-value ${className}">${value}</span>
+            </div>
+        `;
+
+        this.elements.paperSummary.innerHTML = [
+            stat('Realized P&L', money(summary.realizedProfit), Arbitrage.getProfitClass(summary.realizedProfit)),
+            stat('P&L vs Holding', `${money(summary.pnl)} (${Arbitrage.formatPercent(summary.returnPercent)})`, Arbitrage.getProfitClass(summary.returnPercent)),
+            stat('Equity', money(summary.equity)),
+            stat('Trades', summary.trades),
+            stat('Skipped (Inventory)', summary.skipped),
+            stat('Running For', Arbitrage.formatDuration(Date.now() - summary.startedAt))
+        ].join('');
+
+        Charts.line(this.elements.paperChart, [{
+            label: `Realized P&L (${reference})`,
+            color: '#10b981',
+            points: PaperTrading.getSeries().map(p => ({ x: p.timestamp, y: p.pnl }))
+        }], {
+            formatY: value => value.toFixed(2),
+            emptyText: 'No paper trades yet'
+        });
+
+        this.renderPaperBalances();
+        this.renderPaperRebalancing();
+        this.renderPaperTrades();
+    }
+
+    /**
+     * Balances per exchange and currency, with drift from the start
+     */
+    renderPaperBalances() {
+        const rows = PaperTrading.getImbalances();
+        const assets = [...new Set(rows.map(row => row.asset))];
+        const exchanges = [...new Set(rows.map(row => row.exchange))];
+
+        const cell = row => {
+            if (!row) return '<td>-</td>';
+            const drift = Math.abs(row.deviation) >= PaperTrading.rebalanceThreshold ? 'balance-drift' : '';
+            return `
+                <td class="${drift}">
+                    ${Arbitrage.formatVolume(row.balance)}
+                    <span class="balance-deviation">${row.deviation >= 0 ? '+' : ''}${row.deviation.toFixed(1)}%</span>
+                </td>
+            `;
+        };
+
+        this.elements.paperBalances.innerHTML = `
+            <table class="arbitrage-table paper-table">
+                <thead>
+                    <tr><th>Exchange</th>${assets.map(asset => `<th>${asset}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${exchanges.map(exchange => `
+                        <tr>
+                            <td><span class="exchange-name">${exchange}</span></td>
+                            ${assets.map(asset => cell(rows.find(row => row.exchange === exchange && row.asset === asset))).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Transfers that would restore the starting balances
+     */
+    renderPaperRebalancing() {
+        const transfers = PaperTrading.getRebalancing(Config.get('withdrawalFees'), Config.get('transferTimes'));
+
+        if (transfers.length === 0) {
+            this.elements.paperRebalancing.innerHTML = `
+                <p class="panel-empty">Balances are within ${PaperTrading.rebalanceThreshold}% of their starting amounts</p>
+            `;
+            return;
+        }
+
+        this.elements.paperRebalancing.innerHTML = `
+            <table class="arbitrage-table paper-table">
+                <thead>
+                    <tr><th>Asset</th><th>From</th><th>To</th><th>Amount</th><th>Fee</th><th>Time</th></tr>
+                </thead>
+                <tbody>
+                    ${transfers.map(transfer => `
+                        <tr>
+                            <td>${transfer.asset}</td>
+                            <td><span class="exchange-name">${transfer.from}</span></td>
+                            <td><span class="exchange-name">${transfer.to}</span></td>
+                            <td>${Arbitrage.formatVolume(transfer.amount)}</td>
+                            <td>${Arbitrage.formatVolume(transfer.fee)} (${transfer.feeValue.toFixed(2)} ${PaperTrading.referenceAsset})</td>
+                            <td>${transfer.transferMinutes != null ? `~${transfer.transferMinutes}m` : '-'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Most recent paper trades
+     */
+    renderPaperTrades() {
+        const trades = PaperTrading.getTrades().slice(0, 50);
+
+        if (trades.length === 0) {
+            this.elements.paperTrades.innerHTML = '<p class="panel-empty">No paper trades yet</p>';
+            return;
+        }
+
+        this.elements.paperTrades.innerHTML = `
+            <table class="arbitrage-table paper-table">
+                <thead>
+                    <tr><th>Time</th><th>Route</th><th>Size</th><th>Net %</th><th>Profit</th><th>Limited By</th></tr>
+                </thead>
+                <tbody>
+                    ${trades.map(trade => `
+                        <tr>
+                            <td>${new Date(trade.timestamp).toLocaleTimeString()}</td>
+                            <td>
+                                <strong>${trade.pair}</strong>
+                                ${trade.type === 'triangular' ? `on ${trade.buyExchange}` : `${trade.buyExchange} → ${trade.sellExchange}`}
+                            </td>
+                            <td>${Arbitrage.formatVolume(trade.size)} ${trade.sizeAsset}</td>
+                            <td class="${Arbitrage.getProfitClass(trade.netProfit)}">${Arbitrage.formatPercent(trade.netProfit)}</td>
+                            <td>${Arbitrage.formatVolume(trade.profit)} ${trade.profitAsset}</td>
+                            <td>${trade.limitedBy}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Render the price matrix and the spread heatmap for the selected pair
+     */
+    renderMatrix() {
+        const pairs = Config.getPairs();
+        const exchanges = Config.getExchanges();
+        const rows = PriceMatrix.build(this.quotes, pairs, exchanges, {
+            // Polled books are as fresh as the last refresh; streamed ones age between updates
+            staleAfter: Stream.isRunning() ? Stream.staleAfter : Infinity,
+            flagged: this.flaggedQuotes
+        });
+
+        const cell = (matrixCell) => {
+            if (matrixCell.status === 'missing') {
+                return '<td class="matrix-cell cell-missing" title="No data returned">—</td>';
+            }
+
+            const { quote, deviation, age, issues } = matrixCell;
+            const outlier = deviation != null && Math.abs(deviation) > PriceMatrix.deviationWarning;
+            const classes = [
+                'matrix-cell',
+                matrixCell.status === 'stale' ? 'cell-stale' : '',
+                issues.length > 0 ? 'cell-flagged' : (outlier ? 'cell-outlier' : '')
+            ];
+            const title = [
+                `${quote.provider || 'unknown'} provider`,
+                age != null ? `updated ${Arbitrage.formatDuration(age)} ago` : '',
+                matrixCell.status === 'stale' ? 'stale' : '',
+                ...issues.map(issue => issue.message)
+            ].filter(Boolean).join(', ');
+
+            return `
+                <td class="${classes.join(' ')}" title="${this.escapeHtml(title)}">
+                    <span class="price">${Arbitrage.formatPrice(quote.bid)} / ${Arbitrage.formatPrice(quote.ask)}</span>
+                    <span class="deviation">${deviation != null ? `${deviation >= 0 ? '+' : ''}${Arbitrage.formatPercent(deviation)}` : '—'}</span>
+                </td>
+            `;
+        };
+
+        this.elements.priceMatrix.innerHTML = `
+            <thead>
+                <tr><th>Pair</th><th>Median Mid</th>${exchanges.map(exchange => `<th>${exchange}</th>`).join('')}</tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr>
+                        <td><span class="pair-name">${row.pair}</span></td>
+                        <td><span class="price">${row.median != null ? Arbitrage.formatPrice(row.median) : '—'}</span></td>
+                        ${row.cells.map(cell).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
+
+        // Keep the heatmap's pair selection across refreshes
+        const selected = pairs.includes(this.elements.matrixPair.value) ? this.elements.matrixPair.value : pairs[0];
+        this.elements.matrixPair.innerHTML = pairs
+            .map(pair => `<option value="${pair}"${pair === selected ? ' selected' : ''}>${pair}</option>`)
+            .join('');
+
+        const row = rows.find(r => r.pair === selected);
+        if (!row) {
+            this.elements.spreadHeatmap.innerHTML = '';
+            return;
+        }
+
+        const spreads = PriceMatrix.getSpreads(row);
+        const maxAbs = Math.max(0, ...spreads.flatMap(r => r.spreads.map(s => Math.abs(s.spread ?? 0))));
+
+        this.elements.spreadHeatmap.innerHTML = `
+            <thead>
+                <tr><th>Buy ↓ / Sell →</th>${exchanges.map(exchange => `<th>${exchange}</th>`).join('')}</tr>
+            </thead>
+            <tbody>
+                ${spreads.map(buyRow => `
+                    <tr>
+                        <th class="${buyRow.stale ? 'cell-stale' : ''}">${buyRow.buyExchange}</th>
+                        ${buyRow.spreads.map(s => `
+                            <td class="heat-cell" style="background: ${PriceMatrix.heatColor(s.spread, maxAbs)}"
+                                title="${s.stale || buyRow.stale ? 'Uses a stale book' : ''}">
+                                ${s.spread != null ? Arbitrage.formatPercent(s.spread) : '—'}${s.stale || buyRow.stale ? '*' : ''}
+                            </td>
+                        `).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
+    }
+
+    /**
+     * Render the inventory balances and suggested transfers
+     */
+    renderInventory() {
+        this.renderInventoryBalances();
+        this.renderInventoryTransfers();
+    }
+
+    /**
+     * Editable balances for monitored and held exchanges and assets
+     */
+    renderInventoryBalances() {
+        const balances = Inventory.load();
+        const exchanges = [...new Set([...Config.getExchanges(), ...Object.keys(balances)])];
+        const assets = [...new Set([
+            ...Config.getPairs().flatMap(pair => pair.split('/')),
+            ...Object.values(balances).flatMap(held => Object.keys(held))
+        ])].sort();
+
+        const rows = exchanges.map(exchange => `
+            <tr>
+                <th>${exchange}</th>
+                ${assets.map(asset => `
+                    <td>
+                        <input type="number" class="form-input inventory-balance" min="0" step="any"
+                            data-exchange="${exchange}" data-asset="${asset}" value="${(balances[exchange] || {})[asset] ?? ''}">
+                    </td>
+                `).join('')}
+            </tr>
+        `).join('');
+
+        this.elements.inventoryBalances.innerHTML = `
+            <thead><tr><th>Exchange</th>${assets.map(asset => `<th>${asset}</th>`).join('')}</tr></thead>
+            <tbody>${rows}</tbody>
+        `;
+    }
+
+    /**
+     * Transfers that would fund more of the current opportunities
+     */
+    renderInventoryTransfers() {
+        if (!this.getInventory()) {
+            this.elements.inventoryTransfers.innerHTML = `
+                <p class="panel-empty">Enter balances and turn on "Size to Holdings" to size opportunities to them</p>
+            `;
+            return;
+        }
+
+        const reference = PaperTrading.referenceAsset;
+        const transfers = Inventory.suggestTransfers(
+            this.opportunities, Inventory.load(), Config.get('withdrawalFees'), PaperTrading.getPrices(this.quotes)
+        );
+        const unfunded = this.opportunities.filter(opp => opp.funding && !opp.funding.funded).length;
+        const limited = this.opportunities.filter(opp => opp.funding && opp.funding.limitedBy).length;
+
+        if (transfers.length === 0) {
+            this.elements.inventoryTransfers.innerHTML = `
+                <p class="panel-empty">${limited === 0
+                    ? 'Current opportunities are fully funded'
+                    : 'No single transfer from your other balances funds more of the current opportunities'}</p>
+            `;
+            return;
+        }
+
+        this.elements.inventoryTransfers.innerHTML = `
+            <p class="form-hint">${limited} route${limited === 1 ? '' : 's'} capped by holdings, ${unfunded} not fundable</p>
+            <table class="arbitrage-table paper-table">
+                <thead>
+                    <tr><th>Asset</th><th>From</th><th>To</th><th>Amount</th><th>Fee</th><th>Unlocks</th><th>Route</th></tr>
+                </thead>
+                <tbody>
+                    ${transfers.map(transfer => `
+                        <tr>
+                            <td>${transfer.asset}</td>
+                            <td>${transfer.from}</td>
+                            <td>${transfer.to}</td>
+                            <td>${Arbitrage.formatVolume(transfer.amount)}</td>
+                            <td>${Arbitrage.formatVolume(transfer.fee)}</td>
+                            <td class="profit-positive">~${transfer.unlockedProfit.toFixed(2)} ${reference}</td>
+                            <td>${transfer.route.pair} ${transfer.route.buyExchange} → ${transfer.route.sellExchange}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Replace the balances with an imported JSON or CSV file
+     */
+    async importInventoryFile(file) {
+        if (!file) return;
+
+        try {
+            Inventory.save(Inventory.parseImport(await file.text()));
+            this.hideError();
+        } catch (error) {
+            this.showError(`Could not import ${file.name}: ${error.message}`);
+        }
+
+        this.elements.inventoryFile.value = '';
+        this.reevaluate();
+        this.renderInventory();
+    }
+
+    /**
+     * Remove all entered balances
+     */
+    clearInventory() {
+        if (!confirm('Remove all inventory balances?')) {
+            return;
+        }
+
+        Inventory.clear();
+        this.reevaluate();
+        this.renderInventory();
+    }
+
+    /**
+     * Discard the paper trading session; the next refresh starts a new one
+     */
+    resetPaperTrading() {
+        if (!confirm('Reset paper trading balances and P&L?')) {
+            return;
+        }
+
+        PaperTrading.reset();
+        this.renderPaperTrading();
+    }
+
+    /**
+     * Switch between the opportunities, markets, history, inventory, paper trading and backtest views
+     */
+    showView(view) {
+        this.currentView = view;
+
+        this.elements.viewTabs.forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.view === view);
+        });
+        this.elements.opportunitiesView.classList.toggle('hidden', view !== 'opportunities');
+        this.elements.historyView.classList.toggle('hidden', view !== 'history');
+        this.elements.matrixView.classList.toggle('hidden', view !== 'matrix');
+        this.elements.inventoryView.classList.toggle('hidden', view !== 'inventory');
+        this.elements.paperView.classList.toggle('hidden', view !== 'paper');
+        this.elements.backtestView.classList.toggle('hidden', view !== 'backtest');
+
+        if (view === 'history') {
+            this.populateHistoryControls();
+            this.loadHistory();
+        } else if (view === 'matrix') {
+            this.renderMatrix();
+        } else if (view === 'inventory') {
+            this.renderInventory();
+        } else if (view === 'paper') {
+            this.renderPaperTrading();
+        } else if (view === 'backtest') {
+            this.renderBacktestFees();
+        }
+
+        this.updateUrl();
+    }
+
+    /**
+     * Fill the history pair and route selects from config, keeping the selection
+     * With cross-quote comparison on, pairs sharing a base are offered as
+     * buy > sell combinations too, as Tracker.key writes them
+     */
+    populateHistoryControls() {
+        const pairs = Config.getPairs();
+        const exchanges = Config.getExchanges();
+        const fx = FX.getSettings(Config.load());
+        const selectedPair = this.elements.historyPair.value;
+        const selectedRoute = this.elements.historyRoute.value;
+
+        const options = pairs.map(pair => ({ value: pair, label: pair }));
+        if (fx) {
+            for (const buyPair of pairs) {
+                for (const sellPair of pairs) {
+                    const [buyBase, buyQuote] = buyPair.split('/');
+                    const [sellBase, sellQuote] = sellPair.split('/');
+                    if (buyPair === sellPair || buyBase !== sellBase) continue;
+                    if (!fx.currencies.includes(buyQuote) || !fx.currencies.includes(sellQuote)) continue;
+                    options.push({ value: `${buyPair}>${sellPair}`, label: `${buyPair} → ${sellPair}` });
+                }
+            }
+        }
+
+        this.elements.historyPair.innerHTML = options
+            .map(option => `<option value="${option.value}">${option.label}</option>`)
+            .join('');
+
+        const routes = [];
+        for (const buy of exchanges) {
+            for (const sell of exchanges) {
+                if (buy !== sell) routes.push(`${buy}|${sell}`);
+            }
+        }
+        this.elements.historyRoute.innerHTML = '<option value="best">Best route at each point</option>' + routes
+            .map(route => `<option value="${route}">${route.replace('|', ' → ')}</option>`)
+            .join('');
+
+        if (options.some(option => option.value === selectedPair)) this.elements.historyPair.value = selectedPair;
+        if (selectedRoute) this.elements.historyRoute.value = selectedRoute;
+    }
+
+    /**
+     * Chart recorded spread and net profit for the selected pair and route
+     */
+    async loadHistory() {
+        const [pair, sellPair = pair] = this.elements.historyPair.value.split('>');
+        const route = this.elements.historyRoute.value;
+        const hours = parseInt(this.elements.historyRange.value);
+        const [buyExchange, sellExchange] = route === 'best' ? [null, null] : route.split('|');
+        const minProfit = parseFloat(this.elements.minProfitFilter.value) || 0;
+
+        try {
+            const snapshots = await HistoryStore.getSnapshots(Date.now() - hours * 60 * 60 * 1000);
+            const config = Config.load();
+            const series = HistoryStore.buildSeries(
+                snapshots, pair, Fees.resolve(config), buyExchange, sellExchange, sellPair, FX.getSettings(config)
+            );
+
+            Charts.line(this.elements.historyChart, [
+                { label: 'Spread %', color: '#60a5fa', points: series.map(p => ({ x: p.timestamp, y: p.spread })) },
+                { label: 'Net Profit %', color: '#10b981', points: series.map(p => ({ x: p.timestamp, y: p.netProfit })) }
+            ], {
+                threshold: minProfit,
+                formatY: value => Arbitrage.formatPercent(value),
+                emptyText: 'No history recorded for this pair yet'
+            });
+
+            this.renderHistorySummary(series, minProfit);
+        } catch (error) {
+            console.error('Error loading history:', error);
+            this.showError(`Could not load history: ${error.message}`);
+        }
+    }
+
+    /**
+     * Summarize whether a route's spread recurs or was a one-off
+     */
+    renderHistorySummary(series, minProfit) {
+        const summary = HistoryStore.summarizeEpisodes(series, minProfit);
+
+        let verdict = 'Never above threshold';
+        if (summary.episodes >= 3) {
+            verdict = 'Recurring pattern';
+        } else if (summary.episodes > 0) {
+            verdict = 'One-off';
+        }
+
+        const stat = (label, value) => `
+            <div class="summary-item">
+                <span class="status-label">${label}</span>
+                <span class="status-value">${value}</span>
+            </div>
+        `;
+
+        this.elements.historySummary.innerHTML = [
+            stat('Samples', series.length),
+            stat(`Episodes ≥ ${Arbitrage.formatPercent(minProfit)}`, summary.episodes),
+            stat('Median Episode', `${Math.round(summary.medianDuration / 1000)}s`),
+            stat('Time Above', Arbitrage.formatPercent(summary.timeAbove)),
+            stat('Max Net Profit', Arbitrage.formatPercent(summary.maxNetProfit)),
+            stat('Verdict', verdict)
+        ].join('');
+    }
+
+    /**
+     * Download the opportunities matching the current filters
+     */
+    exportOpportunities() {
+        if (this.filteredOpportunities.length === 0) {
+            this.showError('No opportunities to export. Loosen the filters or refresh first.');
+            return;
+        }
+
+        this.exportRecords('opportunities', DataExport.opportunityRecords(this.filteredOpportunities),
+            this.elements.exportFormat.value);
+    }
+
+    /**
+     * Download the quotes behind the opportunities shown
+     */
+    exportQuotes() {
+        const quotes = DataExport.quotesFor(this.filteredOpportunities, this.quotes);
+        if (quotes.length === 0) {
+            this.showError('No quotes to export. Quotes are exported for the opportunities shown.');
+            return;
+        }
+
+        this.exportRecords('quotes', DataExport.quoteRecords(quotes), this.elements.exportFormat.value);
+    }
+
+    /**
+     * Download recorded opportunities or quote snapshots within the selected range
+     * @param {String} dataset - 'history' for opportunities or 'snapshots' for quotes
+     */
+    async exportHistory(dataset) {
+        const from = Date.now() - parseInt(this.elements.historyRange.value) * 60 * 60 * 1000;
+
+        try {
+            const records = dataset === 'snapshots'
+                ? DataExport.snapshotRecords(await HistoryStore.getSnapshots(from))
+                : DataExport.historyRecords(await HistoryStore.getOpportunities(from));
+
+            if (records.length === 0) {
+                this.showError('Nothing recorded in the selected range.');
+                return;
+            }
+
+            this.exportRecords(dataset === 'snapshots' ? 'quotes' : 'history', records,
+                this.elements.historyExportFormat.value, `history-${dataset === 'snapshots' ? 'quotes' : 'opportunities'}`);
+        } catch (error) {
+            console.error('Error exporting history:', error);
+            this.showError(`Could not export history: ${error.message}`);
+        }
+    }
+
+    /**
+     * Serialize records and save them as a file
+     * @param {String} dataset - DataExport column set
+     * @param {Array} records - Records to export
+     * @param {String} choice - Export format option, e.g. 'csv' or 'json-precise'
+     * @param {String} name - File name part, defaults to the dataset
+     */
+    exportRecords(dataset, records, choice, name = dataset) {
+        const [format, precision] = choice.split('-');
+
+        try {
+            const contents = DataExport.serialize(dataset, records, format, precision === 'precise');
+            DataExport.download(contents, DataExport.fileName(name, format), format);
+            this.hideError();
+        } catch (error) {
+            console.error('Error exporting data:', error);
+            this.showError(`Could not export: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete all recorded history
+     */
+    async clearHistory() {
+        if (!confirm('Delete all recorded history?')) {
+            return;
+        }
+
+        try {
+            await HistoryStore.clear();
+            this.loadHistory();
+        } catch (error) {
+            console.error('Error clearing history:', error);
+            this.showError(`Could not clear history: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fill the backtest fee inputs from the configured fees at the user's tier, once
+     */
+    renderBacktestFees() {
+        if (this.elements.backtestFees.children.length > 0) {
+            return;
+        }
+
+        const fees = Fees.resolve(Config.load());
+        const minProfit = parseFloat(this.elements.minProfitFilter.value);
+        this.elements.backtestMinProfit.value = isNaN(minProfit) ? Config.get('defaultMinProfit') : minProfit;
+        this.elements.backtestTradeValue.value = Config.get('tradeSize');
+        this.elements.backtestTriangular.checked = Config.get('triangularEnabled');
+
+        this.elements.backtestFees.innerHTML = Object.keys(fees).flatMap(exchangeId => ['buy', 'sell'].map(side => `
+            <div class="fee-item">
+                <label for="backtestFee${exchangeId}${side}">${exchangeId} ${side}</label>
+                <input type="number" id="backtestFee${exchangeId}${side}" class="filter-input backtest-fee"
+                    data-exchange="${exchangeId}" data-side="${side}" value="${fees[exchangeId][side]}" step="0.01">
+            </div>
+        `)).join('');
+    }
+
+    /**
+     * Show the range or file input for the selected quote source
+     */
+    updateBacktestSource() {
+        const imported = this.elements.backtestSource.value === 'imported';
+        this.elements.backtestRangeGroup.classList.toggle('hidden', imported);
+        this.elements.backtestFileGroup.classList.toggle('hidden', !imported);
+    }
+
+    /**
+     * Parse an imported order book dump
+     */
+    async importBacktestFile(file) {
+        if (!file) return;
+
+        try {
+            this.importedSnapshots = Backtest.parseImport(await file.text());
+            const first = this.importedSnapshots[0];
+            const last = this.importedSnapshots[this.importedSnapshots.length - 1];
+            this.elements.backtestFileInfo.textContent = `${this.importedSnapshots.length} snapshots, `
+                + `${new Date(first.timestamp).toLocaleString()} to ${new Date(last.timestamp).toLocaleString()}`;
+            this.hideError();
+        } catch (error) {
+            this.importedSnapshots = [];
+            this.elements.backtestFileInfo.textContent = '';
+            this.showError(`Could not import ${file.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replay the selected snapshots and render the report
+     */
+    async runBacktest() {
+        let snapshots = this.importedSnapshots;
+
+        if (this.elements.backtestSource.value === 'recorded') {
+            const hours = parseInt(this.elements.backtestRange.value);
+            try {
+                snapshots = await HistoryStore.getSnapshots(Date.now() - hours * 60 * 60 * 1000);
+            } catch (error) {
+                console.error('Error loading history for backtest:', error);
+                this.showError(`Could not load history: ${error.message}`);
+                return;
+            }
+        }
+
+        if (snapshots.length === 0) {
+            this.showError(this.elements.backtestSource.value === 'recorded'
+                ? 'No recorded history in this range. Enable history in settings and let the monitor run first.'
+                : 'Import a CSV or JSON order book dump first.');
+            return;
+        }
+        this.hideError();
+
+        const fees = {};
+        this.elements.backtestFees.querySelectorAll('.backtest-fee').forEach(input => {
+            const { exchange, side } = input.dataset;
+            fees[exchange] = fees[exchange] || {};
+            fees[exchange][side] = parseFloat(input.value) || 0;
+        });
+
+        const options = {
+            fees,
+            minProfit: parseFloat(this.elements.backtestMinProfit.value) || 0,
+            latencyMs: parseFloat(this.elements.backtestLatency.value) || 0,
+            tradeValue: parseFloat(this.elements.backtestTradeValue.value) || Config.get('tradeSize'),
+            triangular: this.elements.backtestTriangular.checked,
+            maxLegs: Config.get('triangularMaxLegs'),
+            fx: FX.getSettings(Config.load())
+        };
+
+        this.elements.runBacktestBtn.disabled = true;
+        this.updateStatus(`Backtesting ${snapshots.length} snapshots...`);
+
+        // Let the status render before the replay blocks the page
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        try {
+            const report = Backtest.run(snapshots, options);
+            const sweep = Backtest.sweep(snapshots, options);
+            this.renderBacktest(report, sweep);
+            this.updateStatus(`Backtest took ${report.taken} of ${report.detected} opportunities`);
+        } catch (error) {
+            console.error('Error running backtest:', error);
+            this.showError(`Backtest failed: ${error.message}`);
+        } finally {
+            this.elements.runBacktestBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Render a backtest report: summary, equity curve, profit distribution,
+     * threshold sweep and per-route totals
+     */
+    renderBacktest(report, sweep) {
+        const reference = PaperTrading.referenceAsset;
+        const money = value => `${value.toFixed(2)} ${reference}`;
+        const stat = (label, value, className = '') => `
+            <div class="summary-item">
+                <span class="status-label">${label}</span>
+                <span class="status-value ${className}">${value}</span>
+            </div>
+        `;
+
+        this.elements.backtestSummary.innerHTML = [
+            stat('Snapshots', report.snapshots),
+            stat('Detected', report.detected),
+            stat('Taken', report.taken),
+            stat('Missed', report.missed),
+            stat('Win Rate', Arbitrage.formatPercent(report.winRate)),
+            stat('Total Profit', money(report.totalProfit), Arbitrage.getProfitClass(report.totalProfit)),
+            stat('Median Trade', money(report.medianProfit)),
+            stat('Best / Worst', `${money(report.bestProfit)} / ${money(report.worstProfit)}`),
+            stat('Expected → Realized', `${Arbitrage.formatPercent(report.averageExpected)} → ${Arbitrage.formatPercent(report.averageRealized)}`),
+            stat('Max Drawdown', money(report.maxDrawdown), report.maxDrawdown > 0 ? 'profit-negative' : '')
+        ].join('');
+
+        Charts.line(this.elements.backtestEquityChart, [{
+            label: `Cumulative Profit (${reference})`,
+            color: '#10b981',
+            points: report.curve.map(p => ({ x: p.timestamp, y: p.pnl }))
+        }], {
+            formatY: value => value.toFixed(2),
+            emptyText: 'No trades taken'
+        });
+
+        Charts.bars(this.elements.backtestDistributionChart, report.distribution, {
+            title: 'Realized Net Profit % per Trade',
+            formatX: value => Arbitrage.formatPercent(value),
+            emptyText: 'No trades taken',
+            colorFor: bin => (bin.to <= 0 ? '#ef4444' : '#10b981')
+        });
+
+        this.elements.backtestSweep.innerHTML = `
+            <table class="arbitrage-table paper-table">
+                <thead>
+                    <tr><th>Min Profit</th><th>Taken</th><th>Win Rate</th><th>Avg Realized</th><th>Total Profit</th><th>Max Drawdown</th></tr>
+                </thead>
+                <tbody>
+                    ${sweep.map(row => `
+                        <tr class="${row.minProfit === report.settings.minProfit ? 'sweep-current' : ''}">
+                            <td>${Arbitrage.formatPercent(row.minProfit)}</td>
+                            <td>${row.taken}</td>
+                            <td>${Arbitrage.formatPercent(row.winRate)}</td>
+                            <td>${Arbitrage.formatPercent(row.averageRealized)}</td>
+                            <td class="${Arbitrage.getProfitClass(row.totalProfit)}">${money(row.totalProfit)}</td>
+                            <td>${money(row.maxDrawdown)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        this.elements.backtestRoutes.innerHTML = report.routes.length === 0
+            ? '<p class="panel-empty">No trades taken</p>'
+            : `
+                <table class="arbitrage-table paper-table">
+                    <thead>
+                        <tr><th>Route</th><th>Trades</th><th>Profit</th></tr>
+                    </thead>
+                    <tbody>
+                        ${report.routes.slice(0, 20).map(route => `
+                            <tr>
+                                <td>
+                                    <strong>${route.pair}</strong>
+                                    ${route.type === 'triangular' ? `on ${route.buyExchange}` : `${route.buyExchange} → ${route.sellExchange}`}
+                                </td>
+                                <td>${route.trades}</td>
+                                <td class="${Arbitrage.getProfitClass(route.profit)}">${money(route.profit)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+    }
+
+    /**
+     * Apply filters and update table
+     */
+    applyFilters() {
+        const pairFilter = this.elements.pairFilter.value;
+        const typeFilter = this.elements.typeFilter.value;
+        const minProfit = parseFloat(this.elements.minProfitFilter.value) || 0;
+        const minCycles = parseInt(this.elements.minCyclesFilter.value) || 1;
+        const sortBy = this.elements.sortBy.value;
+
+        // Filter
+        let filtered = Arbitrage.filterByPair(this.opportunities, pairFilter);
+        filtered = Arbitrage.filterByType(filtered, typeFilter);
+        filtered = Arbitrage.filterByFunding(filtered, this.elements.fundingFilter.value);
+        filtered = Arbitrage.filterByMinProfit(filtered, minProfit);
+        filtered = Arbitrage.filterByMinCycles(filtered, minCycles);
+
+        // Sort
+        filtered = Arbitrage.sort(filtered, sortBy);
+
+        this.filteredOpportunities = filtered;
+
+        // Recently closed routes matching the same pair and type filters
+        let closed = Arbitrage.filterByPair(Tracker.getClosed(), pairFilter)
+            .filter(route => route.peakNetProfit >= minProfit);
+        closed = Arbitrage.filterByType(closed, typeFilter);
+        this.closedRoutes = Arbitrage.filterByMinCycles(closed, minCycles);
+
+        this.updateTable();
+        this.updateOpportunityCount();
+
+        this.renderFlaggedQuotes();
+
+        if (this.currentView === 'matrix') {
+            this.renderMatrix();
+        } else if (this.currentView === 'inventory') {
+            this.renderInventoryTransfers();
+        }
+
+        this.openPendingDetails();
+        this.refreshDetails();
+        this.updateUrl();
+    }
+
+    /**
+     * Filters, sort order, view and open route, as kept in the URL (see js/viewstate.js)
+     */
+    getViewState() {
+        return {
+            pair: this.elements.pairFilter.value,
+            type: this.elements.typeFilter.value,
+            minProfit: parseFloat(this.elements.minProfitFilter.value) || 0,
+            funding: this.elements.fundingFilter.value,
+            minCycles: parseInt(this.elements.minCyclesFilter.value) || 1,
+            sortBy: this.elements.sortBy.value,
+            view: this.currentView,
+            route: this.detailKey || this.pendingDetailKey
+        };
+    }
+
+    /**
+     * Put the view state in the URL, without adding a history entry
+     * Only a changed URL is written; browsers throttle frequent history updates
+     */
+    updateUrl() {
+        const target = location.pathname
+            + ViewState.serialize(this.getViewState(), ViewState.getDefaults(this.config.defaultMinProfit));
+        if (target !== location.pathname + location.search + location.hash) {
+            history.replaceState(null, '', target);
+        }
+    }
+
+    /**
+     * Set filters, view and open route from the URL
+     * A linked route opens once a refresh detects it
+     */
+    restoreViewState() {
+        const state = {
+            ...ViewState.getDefaults(this.config.defaultMinProfit),
+            ...ViewState.parse(location.search, location.hash)
+        };
+
+        // Only monitored pairs can be filtered on
+        const pairs = [...this.elements.pairFilter.options].map(option => option.value);
+        this.elements.pairFilter.value = pairs.includes(state.pair) ? state.pair : 'all';
+        this.elements.typeFilter.value = state.type;
+        this.elements.minProfitFilter.value = state.minProfit;
+        this.elements.fundingFilter.value = state.funding;
+        this.elements.minCyclesFilter.value = state.minCycles;
+        this.elements.sortBy.value = state.sortBy;
+
+        if (state.view !== this.currentView) {
+            this.showView(state.view);
+        }
+        if (this.detailKey && this.detailKey !== state.route) {
+            this.closeDetails();
+        }
+        if (state.route !== this.detailKey) {
+            this.pendingDetailKey = state.route;
+        }
+
+        this.applyFilters();
+    }
+
+    /**
+     * Open the linked route once it is among the opportunities
+     */
+    openPendingDetails() {
+        if (this.pendingDetailKey) {
+            this.openDetails(this.pendingDetailKey);
+        }
+    }
+
+    /**
+     * Copy a link to the current view
+     */
+    async copyLink() {
+        this.updateUrl();
+        try {
+            await navigator.clipboard.writeText(location.href);
+            this.updateStatus('Link copied');
+        } catch (error) {
+            // The clipboard needs a secure context; let the link be copied by hand
+            prompt('Copy this link:', location.href);
+        }
+    }
+
+    /**
+     * Update the arbitrage table
+     */
+    updateTable() {
+        const tbody = this.elements.arbitrageTableBody;
+
+        if (this.filteredOpportunities.length === 0 && this.closedRoutes.length === 0) {
+            tbody.innerHTML = `
+                <tr class="empty-state">
+                    <td colspan="12">
+                        <div class="empty-message">
+                            <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <circle cx="12" cy="12" r="10"></circle>
+                                <path d="M12 6v6l4 2"></path>
+                            </svg>
+                            <p>No arbitrage opportunities found</p>
+                            <p class="empty-hint">Try adjusting your filters or refresh the data</p>
+                        </div>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = this.filteredOpportunities.map(opp =>
+            opp.type === 'triangular' ? this.renderTriangularRow(opp) : this.renderCrossExchangeRow(opp)
+        ).concat(this.closedRoutes.map(route => this.renderClosedRow(route))).join('');
+    }
+
+    /**
+     * Render how long an opportunity has been open
+     */
+    renderLifetime(opp) {
+        const isNew = opp.cycles <= 1;
+        return `
+            <td>
+                <span class="lifetime ${isNew ? 'lifetime-new' : ''}">${isNew ? 'New' : Arbitrage.formatDuration(opp.lifetime)}</span>
+                <span class="slippage">${opp.cycles} cycle${opp.cycles === 1 ? '' : 's'} · peak ${Arbitrage.formatPercent(opp.peakNetProfit)}</span>
+            </td>
+        `;
+    }
+
+    /**
+     * Render a marker row for a route that recently closed
+     */
+    renderClosedRow(route) {
+        const label = route.type === 'triangular' ? `on ${route.buyExchange}` : `${route.buyExchange} → ${route.sellExchange}`;
+
+        return `
+            <tr class="closed-row">
+                <td><span class="pair-name">${route.pair}</span></td>
+                <td colspan="11" class="closed-info">
+                    ${label} · closed ${Arbitrage.formatDuration(Date.now() - route.closedAt)} ago ·
+                    lasted ${Arbitrage.formatDuration(route.lifetime)} over ${route.cycles} cycle${route.cycles === 1 ? '' : 's'} ·
+                    peak net ${Arbitrage.formatPercent(route.peakNetProfit)}
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Render a cross-exchange opportunity row
+     */
+    renderCrossExchangeRow(opp) {
+        return `
+            <tr class="${opp.funding && !opp.funding.funded ? 'unfunded-row' : ''}">
+                <td>
+                    <span class="pair-name">${opp.pair}</span>
+                    ${this.renderQuoteIssues(opp)}
+                    ${opp.fx ? `<span class="type-badge" title="Sold as ${opp.sellPair}, converted ${opp.fx.from} → ${opp.fx.to}">→ ${opp.fx.from}</span>` : ''}
+                </td>
+                <td><span class="exchange-name">${opp.buyExchange}</span></td>
+                <td><span class="price">$${Arbitrage.formatPrice(opp.buyPrice)}</span></td>
+                <td><span class="exchange-name">${opp.sellExchange}</span></td>
+                <td>
+                    <span class="price">$${Arbitrage.formatPrice(opp.sellPrice)}</span>
+                    ${opp.fx ? `<span class="slippage">${Arbitrage.formatPrice(opp.sellPriceNative)} ${opp.fx.from}</span>` : ''}
+                </td>
+                <td><span class="spread">$${Arbitrage.formatPrice(opp.spread)}</span></td>
+                <td><span class="profit ${Arbitrage.getProfitClass(opp.grossProfit)}">${Arbitrage.formatPercent(opp.grossProfit)}</span></td>
+                <td>
+                    <span class="profit ${Arbitrage.getProfitClass(opp.netProfit)}">${Arbitrage.formatPercent(opp.netProfit)}</span>
+                    ${opp.fx ? `<span class="slippage" title="Conversion cost ${Arbitrage.formatPercent(opp.fxCost)}, risk buffer ${Arbitrage.formatPercent(opp.fxRisk)} (${opp.fx.source} rate)">FX ${Arbitrage.formatPercent(-Arbitrage.getFxCharge(opp))}</span>` : ''}
+                </td>
+                <td>
+                    <span class="profit ${Arbitrage.getProfitClass(opp.realizableProfit)}">${Arbitrage.formatPercent(opp.realizableProfit)}</span>
+                    ${this.renderTransferWarning(opp)}
+                </td>
+                <td>
+                    <span class="volume">${Arbitrage.formatVolume(opp.volume)} ${opp.pair.split('/')[0]}</span>
+                    <span class="slippage">slip ${Arbitrage.formatPercent(opp.slippage)}</span>
+                    ${this.renderFunding(opp)}
+                </td>
+                ${this.renderLifetime(opp)}
+                <td>
+                    <button class="action-btn" data-details="${Tracker.key(opp)}">
+                        View
+                    </button>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Render a warning on opportunities calculated from flagged quotes
+     */
+    renderQuoteIssues(opp) {
+        if (!opp.quoteIssues) {
+            return '';
+        }
+        const reasons = opp.quoteIssues.map(issue => `${issue.book}: ${issue.message}`).join('\n');
+        return `<span class="funding-warning" title="${this.escapeHtml(reasons)}">Suspect data</span>`;
+    }
+
+    /**
+     * List the quotes the last screening excluded or flagged, and why
+     */
+    renderFlaggedQuotes() {
+        const flagged = this.flaggedQuotes;
+        this.elements.quoteIssues.classList.toggle('hidden', flagged.length === 0);
+        if (flagged.length === 0) {
+            return;
+        }
+
+        const excluded = flagged.filter(item => item.excluded).length;
+        this.elements.quoteIssuesSummary.textContent = excluded > 0
+            ? `${excluded} quote${excluded === 1 ? '' : 's'} excluded as bad data`
+            : `${flagged.length} quote${flagged.length === 1 ? '' : 's'} flagged as suspect`;
+
+        this.elements.quoteIssuesTable.innerHTML = flagged.map(({ quote, issues }) => `
+            <tr>
+                <th>${quote.exchange} ${quote.pair}</th>
+                <td>${issues.map(issue => this.escapeHtml(issue.message)).join('<br>')}</td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Render whether the inventory can fund a route, and what caps its size
+     */
+    renderFunding(opp) {
+        if (!opp.funding) {
+            return '';
+        }
+
+        const [base, quote] = opp.pair.split('/');
+        const { funded, limitedBy, buyCapacity } = opp.funding;
+
+        if (!funded) {
+            const missing = buyCapacity <= 0 ? `${quote} on ${opp.buyExchange}` : `${base} on ${opp.sellExchange}`;
+            return `<span class="funding-warning" title="No ${missing} in the inventory">Can't fund</span>`;
+        }
+        if (limitedBy) {
+            return `
+                <span class="slippage" title="${Arbitrage.formatVolume(opp.funding.unfundedVolume)} ${base} more is available in the books">
+                    capped by ${limitedBy.asset} on ${limitedBy.exchange}
+                </span>
+            `;
+        }
+        return '';
+    }
+
+    /**
+     * Render a warning when the transfer outlasts the spread's typical lifetime
+     */
+    renderTransferWarning(opp) {
+        if (!opp.transferTooSlow) {
+            return '';
+        }
+
+        const lifetime = Math.round(opp.typicalLifetime / 1000);
+        return `
+            <span class="transfer-warning" title="Transfer takes ~${opp.transferMinutes} min, this spread usually lasts ${lifetime}s">
+                Slow transfer
+            </span>
+        `;
+    }
+
+    /**
+     * Render a triangular cycle row, with its legs in place of buy/sell columns
+     */
+    renderTriangularRow(opp) {
+        const legs = opp.legs.map(leg => `
+            <span class="leg">
+                <span class="leg-side leg-${leg.side}">${leg.side.toUpperCase()}</span>
+                ${leg.pair} @ ${Arbitrage.formatPrice(leg.price)}
+            </span>
+        `).join('<span class="leg-arrow">→</span>');
+
+        return `
+            <tr class="triangular-row">
+                <td>
+                    <span class="pair-name">${opp.pair}</span>
+                    <span class="type-badge">Triangular</span>
+                    ${this.renderQuoteIssues(opp)}
+                </td>
+                <td colspan="4">
+                    <span class="exchange-name">${opp.exchange}</span>
+                    <div class="legs">${legs}</div>
+                </td>
+                <td><span class="spread">—</span></td>
+                <td><span class="profit ${Arbitrage.getProfitClass(opp.grossProfit)}">${Arbitrage.formatPercent(opp.grossProfit)}</span></td>
+                <td><span class="profit ${Arbitrage.getProfitClass(opp.netProfit)}">${Arbitrage.formatPercent(opp.netProfit)}</span></td>
+                <td>
+                    <span class="profit ${Arbitrage.getProfitClass(opp.netProfit)}">${Arbitrage.formatPercent(opp.netProfit)}</span>
+                    <span class="slippage">no transfer</span>
+                </td>
+                <td><span class="volume">${Arbitrage.formatVolume(opp.volume)} ${opp.startCurrency}</span></td>
+                ${this.renderLifetime(opp)}
+                <td>
+                    <button class="action-btn" data-details="${Tracker.key(opp)}">
+                        View
+                    </button>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Open the detail drawer for a route
+     * @param {String} key - Route key (Tracker.key)
+     */
+    openDetails(key) {
+        const opp = this.opportunities.find(o => Tracker.key(o) === key);
+        if (!opp) return;
+
+        this.detailKey = key;
+        this.detailOpportunity = opp;
+        this.pendingDetailKey = null;
+
+        // Trade size is in quote currency; cycles start from their own currency
+        let investment = Config.get('tradeSize');
+        if (opp.type === 'triangular') {
+            const price = PaperTrading.getPrices(this.quotes)[opp.startCurrency];
+            if (price > 0) investment /= price;
+        }
+        this.elements.detailInvestment.value = parseFloat(investment.toPrecision(6));
+
+        this.elements.detailDrawer.classList.remove('hidden');
+        this.renderDetails(true);
+        this.loadDetailChart();
+        this.updateUrl();
+    }
+
+    /**
+     * Close the detail drawer
+     */
+    closeDetails() {
+        this.detailKey = null;
+        this.detailOpportunity = null;
+        this.pendingDetailKey = null;
+        this.elements.detailDrawer.classList.add('hidden');
+        this.updateUrl();
+    }
+
+    /**
+     * Update the open drawer with the route's latest values
+     * A route that has closed keeps its last values, over the current books
+     */
+    refreshDetails() {
+        if (!this.detailKey) return;
+
+        const live = this.opportunities.find(o => Tracker.key(o) === this.detailKey);
+        if (live) this.detailOpportunity = live;
+        this.renderDetails(Boolean(live));
+
+        if (Date.now() - this.detailChartAt >= 10000) {
+            this.loadDetailChart();
+        }
+    }
+
+    /**
+     * Render the drawer for the current route
+     * @param {Boolean} live - Whether the route is still open
+     */
+    renderDetails(live) {
+        const opp = this.detailOpportunity;
+        const triangular = opp.type === 'triangular';
+
+        this.elements.detailTitle.textContent = triangular
+            ? `${opp.pair} on ${opp.exchange}`
+            : `${opp.pair}: ${opp.buyExchange} → ${opp.sellExchange}`;
+        this.elements.detailStatus.textContent = live
+            ? `Updated ${new Date().toLocaleTimeString()}`
+            : 'Route closed. Showing the last values seen.';
+        this.elements.detailStatus.classList.toggle('closed', !live);
+        this.elements.detailInvestmentLabel.textContent =
+            `Investment (${triangular ? opp.startCurrency : opp.pair.split('/')[1]})`;
+
+        this.renderDetailBreakdown();
+        this.renderDetailBooks(opp);
+    }
+
+    /**
+     * Profit breakdown for the entered investment
+     */
+    renderDetailBreakdown() {
+        const opp = this.detailOpportunity;
+        const investment = parseFloat(this.elements.detailInvestment.value);
+        if (!opp) return;
+
+        if (!(investment > 0)) {
+            this.elements.detailInvestmentHint.textContent = 'Enter an amount to invest.';
+            this.elements.detailBreakdown.innerHTML = '';
+            return;
+        }
+
+        const row = (label, value, className = '') => `<tr class="${className}"><th>${label}</th><td>${value}</td></tr>`;
+        const section = title => `<tr class="detail-section"><th colspan="2">${title}</th></tr>`;
+
+        if (opp.type === 'triangular') {
+            const details = Triangular.calculateProfitAmount(opp, investment);
+            const currency = opp.startCurrency;
+
+            this.elements.detailInvestmentHint.textContent = investment > opp.volume
+                ? `Above the top-of-book size of ${Arbitrage.formatVolume(opp.volume)} ${currency}; larger cycles fill at worse prices.`
+                : 'Prices are top of book. All legs must fill before prices move.';
+            this.elements.detailBreakdown.innerHTML = [
+                section('Legs'),
+                ...details.legs.map((leg, i) => row(
+                    `${i + 1}. ${leg.side.toUpperCase()} ${leg.pair} @ ${Arbitrage.formatPrice(leg.price)}`,
+                    `${Arbitrage.formatVolume(leg.spent)} ${leg.from} → ${Arbitrage.formatVolume(leg.received)} ${leg.to}<br>`
+                        + `fee ${Arbitrage.formatVolume(leg.feeAmount)} ${leg.to} (${Arbitrage.formatPercent(leg.fee)})`
+                )),
+                section('Result'),
+                row('Gross Profit', Arbitrage.formatPercent(opp.grossProfit)),
+                row('Total Fees', Arbitrage.formatPercent(opp.totalFee)),
+                row('Net Profit', `${Arbitrage.formatVolume(details.profit)} ${currency} (${Arbitrage.formatPercent(details.profitPercent)})`, 'detail-total')
+            ].join('');
+            return;
+        }
+
+        const [base, quote] = opp.pair.split('/');
+        const details = Arbitrage.calculateProfitAmount(opp, investment);
+        const realizable = Arbitrage.calculateRealizableProfit(opp, investment, Config.get('withdrawalFees'));
+        const maxInvestment = opp.volume * opp.buyPrice;
+        const money = value => `${value.toFixed(2)} ${quote}`;
+        const fee = (percent, orderType, token) => `${Arbitrage.formatPercent(percent)} `
+            + `${orderType === 'maker' ? 'maker, fee only' : orderType}${token ? `, paid in ${token}` : ''}`;
+        const lifetime = opp.typicalLifetime != null ? Arbitrage.formatDuration(opp.typicalLifetime) : 'unknown';
+
+        this.elements.detailInvestmentHint.textContent = investment > maxInvestment
+            ? `Above the profitable depth of ${money(maxInvestment)}. Prices beyond it aren't included, and transfers are costed on ${money(maxInvestment)}.`
+            : `Profitable depth: ${money(maxInvestment)} (${Arbitrage.formatVolume(opp.volume)} ${base}).`;
+
+        this.elements.detailBreakdown.innerHTML = [
+            section('Prices'),
+            row(`Buy on ${opp.buyExchange}`, `${Arbitrage.formatPrice(opp.buyPrice)} avg (best ${Arbitrage.formatPrice(opp.bestBuyPrice)})`),
+            row(`Sell on ${opp.sellExchange}`, `${Arbitrage.formatPrice(opp.sellPrice)} avg (best ${Arbitrage.formatPrice(opp.bestSellPrice)})`),
+            opp.fx ? row(`Sold as ${opp.sellPair}`, `${Arbitrage.formatPrice(opp.sellPriceNative)} ${opp.fx.from} avg`) : '',
+            row('Slippage', `${Arbitrage.formatPercent(opp.slippage)} (~${money((Math.min(investment, maxInvestment) * opp.slippage) / 100)})`),
+            row('Gross Profit', Arbitrage.formatPercent(opp.grossProfit)),
+
+            section('Trade'),
+            row('Buy', `${Arbitrage.formatVolume(details.buyAmount)} ${base}`),
+            row('Buy Fee', `${money(details.buyFeeAmount * opp.buyPrice)} (${fee(opp.buyFee, Config.get('buyOrderType'), opp.buyFeeToken)})`),
+            row('Sell Value', money(details.sellValue)),
+            row('Sell Fee', `${money(details.sellFeeAmount)} (${fee(opp.sellFee, Config.get('sellOrderType'), opp.sellFeeToken)})`),
+            opp.fx ? row(
+                `FX ${opp.fx.from} → ${opp.fx.to}`,
+                `${money(details.fxAmount)} (cost ${Arbitrage.formatPercent(opp.fxCost)}, risk ${Arbitrage.formatPercent(opp.fxRisk)}, ${opp.fx.source} rate)`
+            ) : '',
+            row('Net Profit', `${money(details.profit)} (${Arbitrage.formatPercent(details.profitPercent)})`, 'detail-total'),
+
+            section(`Transfers (on ${money(realizable.investmentAmount)})`),
+            row(`Withdraw ${base} from ${opp.buyExchange}`, `${realizable.baseWithdrawalFee} ${base} (${money(realizable.baseWithdrawalCost)})`),
+            row(`Withdraw ${realizable.quoteWithdrawalAsset} from ${opp.sellExchange}`,
+                `${realizable.quoteWithdrawalFee} ${realizable.quoteWithdrawalAsset} (${money(realizable.quoteWithdrawalCost)})`),
+            row('Transfer Time', opp.transferMinutes != null ? `~${opp.transferMinutes} min` : 'unknown'),
+            row('Typical Spread Lifetime', `${lifetime}${opp.transferTooSlow ? ' (transfer is slower)' : ''}`),
+            row('Realizable Profit', `${money(realizable.realizableProfit)} (${Arbitrage.formatPercent(realizable.realizableProfitPercent)})`, 'detail-total'),
+
+            opp.funding ? section('Funding') : '',
+            opp.funding ? row('Inventory', opp.funding.funded
+                ? (opp.funding.limitedBy
+                    ? `Capped by ${opp.funding.limitedBy.asset} on ${opp.funding.limitedBy.exchange}`
+                    : 'Fully funded')
+                : "Can't fund") : ''
+        ].join('');
+    }
+
+    /**
+     * Order books side by side, marking the levels the max size takes
+     */
+    renderDetailBooks(opp) {
+        const find = (exchange, pair) => this.quotes.find(q => q.exchange === exchange && q.pair === pair);
+        const books = opp.type === 'triangular'
+            ? opp.legs.map(leg => ({
+                title: `${leg.side === 'buy' ? 'Buy' : 'Sell'} ${leg.pair}`,
+                quote: find(opp.exchange, leg.pair),
+                side: leg.side === 'buy' ? 'asks' : 'bids',
+                used: 0
+            }))
+            : [
+                { title: `Buy on ${opp.buyExchange}`, quote: find(opp.buyExchange, opp.pair), side: 'asks', used: opp.volume },
+                { title: `Sell on ${opp.sellExchange}`, quote: find(opp.sellExchange, opp.sellPair || opp.pair), side: 'bids', used: opp.volume }
+            ];
+
+        this.elements.detailBooks.innerHTML = books.map(book => {
+            const levels = book.quote ? (book.quote[book.side] || []).slice(0, 10) : [];
+            if (levels.length === 0) {
+                return `<div class="detail-book"><h4>${book.title}</h4><p class="panel-empty">No order book</p></div>`;
+            }
+
+            let total = 0;
+            const rows = levels.map(level => {
+                const used = total < book.used;
+                total += level.size;
+                return `
+                    <tr class="${used ? 'level-used' : ''}">
+                        <td>${Arbitrage.formatPrice(level.price)}</td>
+                        <td>${Arbitrage.formatVolume(level.size)}</td>
+                        <td>${Arbitrage.formatVolume(total)}</td>
+                    </tr>
+                `;
+            }).join('');
+
+            return `
+                <div class="detail-book">
+                    <h4>${book.title} (${book.side})</h4>
+                    <table>
+                        <thead><tr><th>Price</th><th>Size</th><th>Total</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Chart the route's recorded spread and net profit over the last hour
+     */
+    async loadDetailChart() {
+        const opp = this.detailOpportunity;
+        this.detailChartAt = Date.now();
+
+        // Recorded series cover cross-exchange routes, cross-quote ones included
+        const charted = opp.type !== 'triangular' && Config.get('historyEnabled');
+        this.elements.detailChartSection.classList.toggle('hidden', !charted);
+        if (!charted) return;
+
+        try {
+            const snapshots = await HistoryStore.getSnapshots(Date.now() - 60 * 60 * 1000);
+            const config = Config.load();
+            const series = HistoryStore.buildSeries(snapshots, opp.pair, Fees.resolve(config),
+                opp.buyExchange, opp.sellExchange, opp.sellPair || opp.pair, FX.getSettings(config));
+
+            // The drawer may have closed or moved to another route meanwhile
+            if (this.detailKey !== Tracker.key(opp)) return;
+
+            Charts.line(this.elements.detailChart, [
+                { label: 'Spread %', color: '#60a5fa', points: series.map(p => ({ x: p.timestamp, y: p.spread })) },
+                { label: 'Net Profit %', color: '#10b981', points: series.map(p => ({ x: p.timestamp, y: p.netProfit })) }
+            ], {
+                threshold: parseFloat(this.elements.minProfitFilter.value) || 0,
+                formatY: value => Arbitrage.formatPercent(value),
+                emptyText: 'No history recorded for this route yet'
+            });
+        } catch (error) {
+            console.error('Error loading route history:', error);
+        }
+    }
+
+    /**
+     * Toggle auto-refresh
+     */
+    toggleAutoRefresh(enabled) {
+        if (enabled) {
+            // Polling and streaming are mutually exclusive
+            this.elements.streamToggle.checked = false;
+            this.stopStreaming();
+            this.startAutoRefresh();
+        } else {
+            this.stopAutoRefresh();
+        }
+    }
+
+    /**
+     * Start auto-refresh
+     */
+    startAutoRefresh() {
+        this.stopAutoRefresh(); // Clear any pending refresh
+
+        // Each refresh schedules the next, so the interval can follow the budget
+        const session = this.autoRefreshSession = {};
+        const run = async () => {
+            await this.refresh();
+            if (this.autoRefreshSession === session) {
+                this.autoRefreshTimeout = setTimeout(run, this.getRefreshInterval() * 1000);
+            }
+        };
+
+        run();
+    }
+
+    /**
+     * Stop auto-refresh
+     */
+    stopAutoRefresh() {
+        this.autoRefreshSession = null;
+        if (this.autoRefreshTimeout) {
+            clearTimeout(this.autoRefreshTimeout);
+            this.autoRefreshTimeout = null;
+        }
+    }
+
+    /**
+     * Seconds until the next auto-refresh: the configured interval, lengthened
+     * when needed so the CoinAPI budget lasts until it resets
+     */
+    getRefreshInterval() {
+        const cost = RequestBudget.getCost(Config.getPairs(), Config.getExchanges(), Config.get('providers'));
+        return RequestBudget.getInterval(Config.get('refreshInterval') || 30, cost);
+    }
+
+    /**
+     * Toggle streaming mode
+     */
+    toggleStreaming(enabled) {
+        if (enabled && MockMarket.isActive()) {
+            this.elements.streamToggle.checked = false;
+            this.showError('Streaming isn\'t available in demo mode. Use auto-refresh instead.');
+            return;
+        }
+
+        if (enabled) {
+            this.elements.autoRefreshToggle.checked = false;
+            this.stopAutoRefresh();
+            this.startStreaming();
+        } else {
+            this.stopStreaming();
+            this.updateStatus('Streaming stopped');
+        }
+    }
+
+    /**
+     * Start streaming order books over WebSocket
+     */
+    startStreaming() {
+        this.hideError();
+        this.opportunities = [];
+        this.applyFilters();
+
+        Stream.start(Config.getPairs(), Config.getExchanges(), {
+            apiKey: Config.getApiKey(),
+            providers: Config.get('providers'),
+            depth: CoinAPI.depthLevels,
+            onQuote: (quote) => this.onStreamQuote(quote),
+            onHealth: (health) => this.updateFeedHealth(health)
+        });
+
+        // Re-render health so stale feeds show up without a new event
+        clearInterval(this.healthInterval);
+        this.healthInterval = setInterval(() => this.updateFeedHealth(Stream.getHealth()), 1000);
+
+        this.elements.feedHealthItem.classList.remove('hidden');
+        this.updateStatus('Streaming');
+    }
+
+    /**
+     * Stop streaming
+     */
+    stopStreaming() {
+        Stream.stop();
+        clearInterval(this.healthInterval);
+        this.healthInterval = null;
+        this.elements.feedHealthItem.classList.add('hidden');
+    }
+
+    /**
+     * Re-evaluate what a streamed book update can affect: cross-exchange
+     * routes for its base asset and triangular cycles on its exchange.
+     * An FX pair such as USDT/USD moves every cross-quote route.
+     */
+    onStreamQuote(quote) {
+        const quotes = this.screenQuotes(Stream.getQuotes());
+        const fxSettings = FX.getSettings(Config.load());
+        const [base, quoteCurrency] = quote.pair.split('/');
+        const movesRates = fxSettings
+            && fxSettings.currencies.includes(base) && fxSettings.currencies.includes(quoteCurrency);
+        const affected = opp => movesRates || opp.pair.split('/')[0] === base;
+
+        const crossExchange = QuoteQuality.annotate(this.computeCrossExchange(quotes.filter(affected), quotes), quotes);
+        const triangular = QuoteQuality.annotate(this.computeTriangular(quotes.filter(q => q.exchange === quote.exchange)), quotes);
+
+        this.opportunities = this.opportunities
+            .filter(opp => opp.type === 'triangular' ? opp.exchange !== quote.exchange : !affected(opp))
+            .concat(crossExchange, triangular)
+            .sort((a, b) => b.netProfit - a.netProfit);
+
+        this.scheduleRender();
+    }
+
+    /**
+     * Coalesce streamed updates into one render per animation frame
+     * Background tabs get no animation frames, so fall back to a timer
+     * there to keep alerts firing
+     */
+    scheduleRender() {
+        if (this.renderPending) return;
+        this.renderPending = true;
+
+        const schedule = document.hidden ? (callback => setTimeout(callback, 1000)) : requestAnimationFrame;
+
+        schedule(() => {
+            this.renderPending = false;
+            this.quotes = Stream.getQuotes();
+            PriceMatrix.remember(this.quotes);
+            this.updateAlertOpportunities(this.quotes);
+            this.trackOpportunities();
+            this.recordHistory();
+            this.checkAlerts();
+            this.runPaperTrading();
+            this.applyFilters();
+            this.updateLastUpdate();
+            this.updateStatus(`Streaming · ${this.opportunities.length} opportunities`);
+        });
+    }
+
+    /**
+     * Render per-feed connection health in the status bar
+     */
+    updateFeedHealth(health) {
+        const now = Date.now();
+
+        this.elements.feedHealth.innerHTML = health.map(feed => {
+            let title = `${feed.label} (${feed.exchanges.join(', ')}): ${feed.status}`;
+            if (feed.lastMessage) {
+                title += `, last message ${Math.round((now - feed.lastMessage) / 1000)}s ago`;
+            }
+            if (feed.status === 'reconnecting' && feed.retryAt) {
+                title += `, retry in ${Math.max(0, Math.round((feed.retryAt - now) / 1000))}s`;
+            }
+            if (feed.detail) {
+                title += ` - ${feed.detail}`;
+            }
+
+            // The detail can carry the server's error text
+            return `<span class="feed-indicator feed-${feed.status}" title="${this.escapeHtml(title)}">${this.escapeHtml(feed.label)}</span>`;
+        }).join('');
+    }
+
+    /**
+     * Show the remaining CoinAPI budget and when it runs out at the current rate
+     */
+    updateBudgetStatus() {
+        const cost = RequestBudget.getCost(Config.getPairs(), Config.getExchanges(), Config.get('providers'));
+        const status = RequestBudget.getStatus();
+        const time = timestamp => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+        // Only relevant when something is fetched from CoinAPI
+        this.elements.budgetItem.classList.toggle('hidden', cost === 0 && status.ratePerHour === 0);
+
+        let text = `${Math.floor(status.remaining)}/${status.limit}`;
+        if (status.pausedUntil && status.remaining > 0) {
+            text += ` · rate limited until ${time(status.pausedUntil)}`;
+        } else if (status.remaining <= 0) {
+            text += ` · used up until ${time(status.resetAt)}`;
+        } else if (status.exhaustsAt) {
+            text += ` · runs out ~${time(status.exhaustsAt)}`;
+        } else {
+            text += ' · lasts until reset';
+        }
+
+        let title = `Resets at ${time(status.resetAt)}. ${status.ratePerHour} requests in the last hour, `
+            + `${cost} per refresh; auto-refresh every ${this.getRefreshInterval()}s.`;
+        if (status.skipped > 0) {
+            title += ` ${status.skipped} order books skipped last refresh.`;
+        }
+
+        this.elements.budgetText.textContent = text;
+        this.elements.budgetText.title = title;
+        this.elements.budgetText.classList.toggle('budget-empty', status.remaining <= 0);
+        this.elements.budgetText.classList.toggle('budget-low', status.remaining > 0 && status.exhaustsAt !== null);
     }
 
     /**
@@ -7,70 +7,354 @@ const Arbitrage = {
     /**
      * Calculate arbitrage opportunities from quotes
      * @param {Array} quotes - Array of quote objects from CoinAPI
-     * @param {Object} fees - Object mapping exchange IDs to fee percentages
+     * @param {Object} fees - Exchange ID -> fee percentage, or { buy, sell } (see Fees.resolve)
      * @param {Number} minProfit - Minimum profit threshold
+     * @param {Object} costs - Optional transfer costs: { withdrawalFees, transferTimes, tradeSize }
+     * @param {Object} fx - Optional FX settings to also compare across quote currencies:
+     *                      { currencies, conversionFee, riskBuffer, rates } (see js/fx.js)
+     * @param {Object} inventory - Optional balances (exchange -> { asset: amount }) to cap
+     *                             each size at what they can fund (see js/inventory.js)
      * @returns {Array} - Array of arbitrage opportunity objects
      */
-    calculateOpportunities(quotes, fees, minProfit = 0.5) {
+    calculateOpportunities(quotes, fees, minProfit = 0.5, costs = null, fx = null, inventory = null) {
         const opportunities = [];
 
         // Group quotes by trading pair
         const quotesByPair = this.groupByPair(quotes);
 
         // For each trading pair, find arbitrage opportunities
-        for (const [pair, pairQuotes] of Object.entries(quotesByPair)) {
+        for (const pairQuotes of Object.values(quotesByPair)) {
             if (pairQuotes.length < 2) continue; // Need at least 2 exchanges
 
             // Find all possible arbitrage combinations
-            for (let i = 0; i < pairQuotes.length; i++) {
-                for (let j = 0; j < pairQuotes.length; j++) {
-                    if (i === j) continue;
-
-                    const buyExchange = pairQuotes[i];
-                    const sellExchange = pairQuotes[j];
-
-                    // Buy at ask price on one exchange, sell at bid price on another
-                    const buyPrice = buyExchange.ask;
-                    const sellPrice = sellExchange.bid;
-
-                    // Skip if sell price is not higher than buy price
-                    if (sellPrice <= buyPrice) continue;
-
-                    // Calculate fees
-                    const buyFee = fees[buyExchange.exchange] || 0.1;
-                    const sellFee = fees[sellExchange.exchange] || 0.1;
-                    const totalFee = buyFee + sellFee;
-
-                    // Calculate profit
-                    const grossProfit = ((sellPrice - buyPrice) / buyPrice) * 100;
-                    const netProfit = grossProfit - totalFee;
-
-                    // Only include if meets minimum profit threshold
-                    if (netProfit >= minProfit) {
-                        opportunities.push({
-                            pair: pair,
-                            buyExchange: buyExchange.exchange,
-                            buyPrice: buyPrice,
-                            sellExchange: sellExchange.exchange,
-                            sellPrice: sellPrice,
-                            spread: sellPrice - buyPrice,
-                            grossProfit: grossProfit,
-                            netProfit: netProfit,
-                            buyFee: buyFee,
-                            sellFee: sellFee,
-                            totalFee: totalFee,
-                            volume: Math.min(buyExchange.askVolume, sellExchange.bidVolume),
-                            timestamp: new Date().toISOString()
-                        });
-                    }
+            for (const buyQuote of pairQuotes) {
+                for (const sellQuote of pairQuotes) {
+                    if (buyQuote === sellQuote) continue;
+
+                    const opportunity = this.evaluateRoute(buyQuote, sellQuote, fees, minProfit, costs, null, inventory);
+                    if (opportunity) opportunities.push(opportunity);
                 }
             }
         }
 
+        if (fx) {
+            opportunities.push(...this.calculateCrossQuote(quotes, fees, minProfit, costs, fx, inventory));
+        }
+
         // Sort by net profit (highest first)
         return opportunities.sort((a, b) => b.netProfit - a.netProfit);
     },
 
+    /**
+     * Compare the same base asset across different quote currencies, e.g. buy
+     * BTC/USD on one exchange and sell BTC/USDT on another, converting the
+     * proceeds back into the buy currency
+     */
+    calculateCrossQuote(quotes, fees, minProfit, costs, fx, inventory = null) {
+        const opportunities = [];
+        const byBase = {};
+
+        for (const quote of quotes) {
+            const [base, quoteCurrency] = quote.pair.split('/');
+            if (!fx.currencies.includes(quoteCurrency) || !fx.rates[quoteCurrency]) continue;
+            (byBase[base] = byBase[base] || []).push(quote);
+        }
+
+        for (const baseQuotes of Object.values(byBase)) {
+            for (const buyQuote of baseQuotes) {
+                for (const sellQuote of baseQuotes) {
+                    // Same-exchange conversions are triangular cycles
+                    if (buyQuote.pair === sellQuote.pair || buyQuote.exchange === sellQuote.exchange) continue;
+
+                    const conversion = FX.getConversion(
+                        sellQuote.pair.split('/')[1], buyQuote.pair.split('/')[1], fx.rates, fx
+                    );
+                    const opportunity = conversion
+                        && this.evaluateRoute(buyQuote, sellQuote, fees, minProfit, costs, conversion, inventory);
+                    if (opportunity) opportunities.push(opportunity);
+                }
+            }
+        }
+
+        return opportunities;
+    },
+
+    /**
+     * Evaluate buying on one quote and selling on another
+     * @param {Object} conversion - FX conversion of the sell currency into the buy currency
+     *                              (see FX.getConversion), or null when both quotes share a pair
+     * @param {Object} inventory - Balances to size the route to, or null for book depth only
+     * @returns {Object|null} - Opportunity, or null if it doesn't clear the threshold
+     */
+    evaluateRoute(buyQuote, sellQuote, fees, minProfit, costs, conversion, inventory = null) {
+        const rate = conversion ? conversion.rate : 1;
+
+        // Buy at ask price on one exchange, sell at bid price on another
+        // Maker legs are priced the same way; their order type only sets the fee
+        const bestBuyPrice = buyQuote.ask;
+        const bestSellPrice = sellQuote.bid * rate;
+
+        // Skip if sell price is not higher than buy price
+        if (bestSellPrice <= bestBuyPrice) return null;
+
+        // Calculate fees for each leg's order type and tier
+        const buyFee = Fees.forSide(fees, buyQuote.exchange, 'buy');
+        const sellFee = Fees.forSide(fees, sellQuote.exchange, 'sell');
+        const totalFee = buyFee + sellFee;
+        const fxCost = conversion ? conversion.cost : 0;
+        const fxRisk = conversion ? conversion.risk : 0;
+
+        // Walk both books to find the size that still clears the threshold
+        const asks = this.getLevels(buyQuote, 'asks');
+        const bids = this.convertLevels(this.getLevels(sellQuote, 'bids'), rate);
+        const totalCost = totalFee + fxCost + fxRisk;
+        let fill = this.walkOrderBooks(asks, bids, totalCost, minProfit);
+        if (!fill) return null;
+
+        // Cap the size at what the holdings on both exchanges can fund;
+        // routes they can't fund keep the book size and are marked
+        let funding = null;
+        if (inventory) {
+            const buyFeeToken = Fees.tokenForSide(fees, buyQuote.exchange, 'buy');
+            const { volume, ...capacity } = this.getFunding(
+                inventory, buyQuote, sellQuote, asks, buyFeeToken ? 0 : buyFee, fill.volume
+            );
+            const funded = volume > 0 && this.walkOrderBooks(asks, bids, totalCost, minProfit, volume);
+
+            funding = {
+                ...capacity,
+                funded: Boolean(funded),
+                fullVolume: fill.volume,
+                unfundedVolume: fill.volume - (funded ? funded.volume : 0)
+            };
+            if (funded) fill = funded;
+        }
+
+        // Calculate profit on volume-weighted prices, in the buy currency
+        const buyPrice = fill.buyPrice;
+        const sellPrice = fill.sellPrice;
+        const grossProfit = ((sellPrice - buyPrice) / buyPrice) * 100;
+        const netProfit = grossProfit - totalFee - fxCost - fxRisk;
+
+        // Only include if meets minimum profit threshold
+        if (netProfit < minProfit) return null;
+
+        const opportunity = {
+            type: 'cross-exchange',
+            pair: buyQuote.pair,
+            buyExchange: buyQuote.exchange,
+            buyPrice: buyPrice,
+            bestBuyPrice: bestBuyPrice,
+            sellExchange: sellQuote.exchange,
+            sellPrice: sellPrice,
+            bestSellPrice: bestSellPrice,
+            spread: sellPrice - buyPrice,
+            grossProfit: grossProfit,
+            netProfit: netProfit,
+            buyFee: buyFee,
+            sellFee: sellFee,
+            buyFeeToken: Fees.tokenForSide(fees, buyQuote.exchange, 'buy'),
+            sellFeeToken: Fees.tokenForSide(fees, sellQuote.exchange, 'sell'),
+            totalFee: totalFee,
+            volume: fill.volume,
+            slippage: fill.slippage,
+            timestamp: new Date().toISOString()
+        };
+
+        if (funding) {
+            opportunity.funding = funding;
+        }
+
+        if (conversion) {
+            Object.assign(opportunity, {
+                sellPair: sellQuote.pair,
+                pairs: [buyQuote.pair, sellQuote.pair],
+                // Sell prices above are converted; this is what the sell book shows
+                sellPriceNative: sellPrice / rate,
+                fx: conversion,
+                fxCost,
+                fxRisk
+            });
+        }
+
+        if (costs) {
+            Object.assign(opportunity, this.getRealizableFields(opportunity, costs));
+        }
+
+        return opportunity;
+    },
+
+    /**
+     * How much of a route the holdings can fund: quote currency on the buy
+     * exchange and the base asset on the sell exchange
+     * @param {Object} inventory - Exchange ID -> { asset: amount }
+     * @param {Array} asks - Buy book levels, best first
+     * @param {Number} buyFee - Buy fee charged out of the quote balance, in percent
+     * @param {Number} fullVolume - Size the books allow
+     * @returns {Object} - { volume, buyCapacity, sellCapacity, limitedBy }, in base units, with
+     *                     limitedBy the { exchange, asset, available } holding that caps the
+     *                     size, or null if the books do
+     */
+    getFunding(inventory, buyQuote, sellQuote, asks, buyFee, fullVolume) {
+        const [base, quoteCurrency] = buyQuote.pair.split('/');
+        const quoteAvailable = (inventory[buyQuote.exchange] || {})[quoteCurrency] || 0;
+        const baseAvailable = (inventory[sellQuote.exchange] || {})[base] || 0;
+
+        const buyCapacity = this.volumeForCost(asks, quoteAvailable / (1 + buyFee / 100));
+        const sellCapacity = baseAvailable;
+        const volume = Math.min(buyCapacity, sellCapacity, fullVolume);
+
+        let limitedBy = null;
+        if (volume < fullVolume) {
+            limitedBy = buyCapacity <= sellCapacity
+                ? { exchange: buyQuote.exchange, asset: quoteCurrency, available: quoteAvailable }
+                : { exchange: sellQuote.exchange, asset: base, available: baseAvailable };
+        }
+
+        return { volume, buyCapacity, sellCapacity, limitedBy };
+    },
+
+    /**
+     * Base volume a budget buys when walking ask levels, best first
+     */
+    volumeForCost(levels, budget) {
+        let remaining = budget;
+        let volume = 0;
+
+        for (const level of levels) {
+            if (remaining <= 0) break;
+            const take = Math.min(level.size, remaining / level.price);
+            volume += take;
+            remaining -= take * level.price;
+        }
+
+        return volume;
+    },
+
+    /**
+     * Convert book level prices by an exchange rate
+     */
+    convertLevels(levels, rate) {
+        if (rate === 1) {
+            return levels;
+        }
+        return levels.map(level => ({ price: level.price * rate, size: level.size }));
+    },
+
+    /**
+     * FX conversion cost and risk of an opportunity, in percent (0 without conversion)
+     */
+    getFxCharge(opportunity) {
+        return (opportunity.fxCost || 0) + (opportunity.fxRisk || 0);
+    },
+
+    /**
+     * Get order book levels for one side of a quote
+     * Falls back to the top of book when no depth is available
+     */
+    getLevels(quote, side) {
+        if (Array.isArray(quote[side]) && quote[side].length > 0) {
+            return quote[side];
+        }
+        return side === 'asks'
+            ? [{ price: quote.ask, size: quote.askVolume }]
+            : [{ price: quote.bid, size: quote.bidVolume }];
+    },
+
+    /**
+     * Walk the buy-side asks and sell-side bids together, filling while
+     * every additional unit still clears the minimum net profit
+     * @param {Array} asks - Ask levels ({price, size}) on the buy exchange, best first
+     * @param {Array} bids - Bid levels ({price, size}) on the sell exchange, best first
+     * @param {Number} totalFee - Combined buy and sell fee percentage
+     * @param {Number} minProfit - Minimum net profit percentage per unit
+     * @param {Number} maxVolume - Largest size to fill, in the base currency
+     * @returns {Object|null} - Executable volume, VWAP prices and slippage, or null if nothing fills
+     */
+    walkOrderBooks(asks, bids, totalFee, minProfit, maxVolume = Infinity) {
+        let volume = 0;
+        let cost = 0;
+        let proceeds = 0;
+        let i = 0;
+        let j = 0;
+        let askLeft = asks.length > 0 ? asks[0].size : 0;
+        let bidLeft = bids.length > 0 ? bids[0].size : 0;
+
+        while (i < asks.length && j < bids.length && volume < maxVolume) {
+            const askPrice = asks[i].price;
+            const bidPrice = bids[j].price;
+            const marginalProfit = ((bidPrice - askPrice) / askPrice) * 100 - totalFee;
+
+            if (marginalProfit < minProfit) break;
+
+            const size = Math.min(askLeft, bidLeft, maxVolume - volume);
+            volume += size;
+            cost += size * askPrice;
+            proceeds += size * bidPrice;
+            askLeft -= size;
+            bidLeft -= size;
+
+            if (askLeft <= 0 && ++i < asks.length) askLeft = asks[i].size;
+            if (bidLeft <= 0 && ++j < bids.length) bidLeft = bids[j].size;
+        }
+
+        if (volume <= 0) {
+            return null;
+        }
+
+        const buyPrice = cost / volume;
+        const sellPrice = proceeds / volume;
+        const bestAsk = asks[0].price;
+        const bestBid = bids[0].price;
+
+        return {
+            volume,
+            buyPrice,
+            sellPrice,
+            // Price given up against top of book on both legs, in percent
+            slippage: ((buyPrice - bestAsk) / bestAsk + (bestBid - sellPrice) / bestBid) * 100
+        };
+    },
+
+    /**
+     * Fill a size against book levels, best first
+     * @param {Array} levels - Levels ({price, size}), best first
+     * @param {Number} size - Size to fill in the base currency
+     * @returns {Object} - { size, cost } with the size actually filled and its cost in the quote currency
+     */
+    fillLevels(levels, size) {
+        let remaining = size;
+        let cost = 0;
+
+        for (const level of levels) {
+            if (remaining <= 0) break;
+            const take = Math.min(remaining, level.size);
+            cost += take * level.price;
+            remaining -= take;
+        }
+
+        return { size: size - remaining, cost };
+    },
+
+    /**
+     * Book levels left after a size has already been taken from the top
+     */
+    skipLevels(levels, size) {
+        let skip = size;
+        const remaining = [];
+
+        for (const level of levels) {
+            if (skip >= level.size) {
+                skip -= level.size;
+                continue;
+            }
+            remaining.push({ price: level.price, size: level.size - skip });
+            skip = 0;
+        }
+
+        return remaining;
+    },
+
     /**
      * Group quotes by trading pair
      */
@@ -94,7 +378,39 @@ const Arbitrage = {
         if (!pair || pair === 'all') {
             return opportunities;
         }
-        return opportunities.filter(opp => opp.pair === pair);
+        // Triangular cycles match any pair they trade through
+        return opportunities.filter(opp => opp.pairs ? opp.pairs.includes(pair) : opp.pair === pair);
+    },
+
+    /**
+     * Filter opportunities by how many consecutive cycles they have survived
+     */
+    filterByMinCycles(opportunities, minCycles) {
+        if (!minCycles || minCycles <= 1) {
+            return opportunities;
+        }
+        return opportunities.filter(opp => (opp.cycles || 1) >= minCycles);
+    },
+
+    /**
+     * Filter out routes the inventory can't fund
+     * Opportunities sized without an inventory count as funded
+     */
+    filterByFunding(opportunities, funding) {
+        if (funding !== 'funded') {
+            return opportunities;
+        }
+        return opportunities.filter(opp => !opp.funding || opp.funding.funded);
+    },
+
+    /**
+     * Filter opportunities by type (cross-exchange or triangular)
+     */
+    filterByType(opportunities, type) {
+        if (!type || type === 'all') {
+            return opportunities;
+        }
+        return opportunities.filter(opp => opp.type === type);
     },
 
     /**
@@ -115,8 +431,11 @@ const Arbitrage = {
                 return sorted.sort((a, b) => b.netProfit - a.netProfit);
             case 'pair':
                 return sorted.sort((a, b) => a.pair.localeCompare(b.pair));
+            case 'lifetime':
+                return sorted.sort((a, b) => (b.lifetime || 0) - (a.lifetime || 0));
             case 'spread':
-                return sorted.sort((a, b) => b.spread - a.spread);
+                // Triangular cycles have no single price spread
+                return sorted.sort((a, b) => (b.spread || 0) - (a.spread || 0));
             default:
                 return sorted;
         }
@@ -168,6 +487,29 @@ const Arbitrage = {
         }
     },
 
+    /**
+     * Format base-currency volume for display
+     */
+    formatVolume(volume) {
+        return volume.toLocaleString('en-US', {
+            minimumFractionDigits: 0,
+            maximumFractionDigits: volume >= 1 ? 4 : 8
+        });
+    },
+
+    /**
+     * Format a duration in ms for display (e.g. 45s, 2m 10s, 1h 5m)
+     */
+    formatDuration(ms) {
+        const seconds = Math.max(0, Math.round(ms / 1000));
+        if (seconds < 60) return `${seconds}s`;
+
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+
+        return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    },
+
     /**
      * Format percentage for display
      */
@@ -188,18 +530,27 @@ const Arbitrage = {
      * Calculate potential profit amount
      * @param {Object} opportunity - Arbitrage opportunity
      * @param {Number} investmentAmount - Amount to invest in base currency
-     * @returns {Object} - Profit breakdown
+     * @returns {Object} - Profit breakdown, in the buy pair's quote currency
      */
     calculateProfitAmount(opportunity, investmentAmount) {
         const buyAmount = investmentAmount / opportunity.buyPrice;
         const buyFeeAmount = (buyAmount * opportunity.buyFee) / 100;
-        const netBuyAmount = buyAmount - buyFeeAmount;
+
+        // Fees paid in a discount token (e.g. BNB) don't come out of the trade
+        const netBuyAmount = opportunity.buyFeeToken ? buyAmount : buyAmount - buyFeeAmount;
 
         const sellValue = netBuyAmount * opportunity.sellPrice;
         const sellFeeAmount = (sellValue * opportunity.sellFee) / 100;
-        const netSellValue = sellValue - sellFeeAmount;
+        const netSellValue = opportunity.sellFeeToken ? sellValue : sellValue - sellFeeAmount;
+
+        // Value of the discount tokens spent on fees
+        const tokenFeeValue = (opportunity.buyFeeToken ? buyFeeAmount * opportunity.buyPrice : 0)
+            + (opportunity.sellFeeToken ? sellFeeAmount : 0);
 
-        const profit = netSellValue - investmentAmount;
+        // Converting proceeds from another quote currency, plus the risk buffer
+        const fxAmount = (netSellValue * this.getFxCharge(opportunity)) / 100;
+
+        const profit = netSellValue - fxAmount - tokenFeeValue - investmentAmount;
         const profitPercent = (profit / investmentAmount) * 100;
 
         return {
@@ -210,11 +561,85 @@ const Arbitrage = {
             sellValue,
             sellFeeAmount,
             netSellValue,
+            tokenFeeValue,
+            fxAmount,
             profit,
             profitPercent
         };
     },
 
+    /**
+     * Calculate profit after moving funds between the two exchanges
+     * Buys on the buy exchange, withdraws the base asset to the sell exchange,
+     * sells, then withdraws the quote currency back to rebalance
+     * @param {Object} opportunity - Arbitrage opportunity
+     * @param {Number} tradeSize - Amount to invest in quote currency, capped at the executable volume
+     * @param {Object} withdrawalFees - Object mapping exchange IDs to { asset: fee } in asset units
+     * @returns {Object} - Realizable profit breakdown
+     */
+    calculateRealizableProfit(opportunity, tradeSize, withdrawalFees) {
+        const [base, quote] = opportunity.pair.split('/');
+        const investmentAmount = Math.min(tradeSize, opportunity.volume * opportunity.buyPrice);
+        const trade = this.calculateProfitAmount(opportunity, investmentAmount);
+
+        // Proceeds are withdrawn in the sell pair's quote currency
+        const sellQuote = opportunity.fx ? opportunity.fx.from : quote;
+        const rate = opportunity.fx ? opportunity.fx.rate : 1;
+
+        const baseWithdrawalFee = (withdrawalFees[opportunity.buyExchange] || {})[base] || 0;
+        const quoteWithdrawalFee = (withdrawalFees[opportunity.sellExchange] || {})[sellQuote] || 0;
+
+        // The base withdrawal fee is paid in coins that never get sold
+        const baseWithdrawalCost = baseWithdrawalFee * opportunity.sellPrice;
+        const quoteWithdrawalCost = quoteWithdrawalFee * rate;
+        const realizableProfit = trade.profit - baseWithdrawalCost - quoteWithdrawalCost;
+
+        return {
+            investmentAmount,
+            tradingProfit: trade.profit,
+            baseWithdrawalFee,
+            baseWithdrawalCost,
+            quoteWithdrawalFee,
+            quoteWithdrawalAsset: sellQuote,
+            quoteWithdrawalCost,
+            realizableProfit,
+            realizableProfitPercent: investmentAmount > 0 ? (realizableProfit / investmentAmount) * 100 : 0
+        };
+    },
+
+    /**
+     * Realizable profit and transfer time fields attached to an opportunity
+     */
+    getRealizableFields(opportunity, costs) {
+        const base = opportunity.pair.split('/')[0];
+        const realizable = this.calculateRealizableProfit(
+            opportunity,
+            costs.tradeSize || 1000,
+            costs.withdrawalFees || {}
+        );
+        const transferTimes = costs.transferTimes || {};
+
+        return {
+            realizableProfit: realizable.realizableProfitPercent,
+            realizableProfitAmount: realizable.realizableProfit,
+            withdrawalCost: realizable.baseWithdrawalCost + realizable.quoteWithdrawalCost,
+            transferMinutes: transferTimes[base] ?? null
+        };
+    },
+
+    /**
+     * Flag opportunities whose transfer takes longer than the spread usually lasts
+     * @param {Object} opportunity - Arbitrage opportunity with transferMinutes
+     * @param {Number|null} typicalLifetime - Historical spread lifetime in ms, null if unknown
+     * @returns {Boolean|null} - True if too slow, false if fast enough, null if unknown
+     */
+    isTransferTooSlow(opportunity, typicalLifetime) {
+        if (opportunity.transferMinutes == null || typicalLifetime == null) {
+            return null;
+        }
+        return opportunity.transferMinutes * 60000 > typicalLifetime;
+    },
+
     /**
      * Validate opportunity (check if still valid)
      */
@@ -0,0 +1,427 @@
+/**
+ * Backtesting
+ * Replays recorded or imported quote snapshots through the arbitrage engine
+ */
+
+const Backtest = {
+    // Bars in the realized profit distribution
+    histogramBins: 12,
+
+    // Thresholds compared by the min profit sweep, in percent
+    sweepThresholds: [0, 0.1, 0.25, 0.5, 0.75, 1, 1.5, 2],
+
+    /**
+     * Replay snapshots, taking every opportunity detected in one snapshot at
+     * the books of the first snapshot after the latency has passed
+     * @param {Array} snapshots - Array of { timestamp, quotes }
+     * @param {Object} options - { fees, minProfit, latencyMs, tradeValue, triangular, maxLegs, fx }
+     *                            where fx is FX.getSettings() or null
+     * @returns {Object} - Report from summarize()
+     */
+    run(snapshots, options = {}) {
+        const settings = {
+            fees: {},
+            minProfit: 0.5,
+            latencyMs: 0,
+            tradeValue: 1000,
+            triangular: false,
+            maxLegs: 3,
+            fx: null,
+            ...options
+        };
+        const ordered = [...snapshots].sort((a, b) => a.timestamp - b.timestamp);
+        const trades = [];
+        const inFlight = new Map(); // Route key -> execution time of its open trade
+        const consumed = new Map(); // Execution snapshot -> depth taken per book
+        let detected = 0;
+        let missed = 0;
+        let target = 0;
+
+        for (const snapshot of ordered) {
+            const opportunities = this.detect(snapshot.quotes, settings);
+            detected += opportunities.length;
+
+            // Snapshots are ordered, so the execution snapshot only moves forward
+            const executeAt = snapshot.timestamp + settings.latencyMs;
+            while (target < ordered.length && ordered[target].timestamp < executeAt) target++;
+            const execution = ordered[target];
+
+            for (const opp of opportunities) {
+                const key = Tracker.key(opp);
+                if (inFlight.get(key) > snapshot.timestamp) continue; // Still executing the last one
+
+                const trade = execution ? this.execute(opp, execution, settings, consumed) : null;
+                if (!trade) {
+                    missed++;
+                    continue;
+                }
+
+                inFlight.set(key, execution.timestamp);
+                trades.push({ ...trade, route: key, detectedAt: snapshot.timestamp });
+            }
+        }
+
+        return this.summarize(trades, {
+            snapshots: ordered.length,
+            from: ordered.length > 0 ? ordered[0].timestamp : null,
+            to: ordered.length > 0 ? ordered[ordered.length - 1].timestamp : null,
+            detected,
+            missed,
+            settings
+        });
+    },
+
+    /**
+     * Find opportunities in one snapshot, best first
+     */
+    detect(quotes, settings) {
+        // Replayed data is priced by its own quotes and pegs, never today's rates
+        const fx = settings.fx
+            ? { ...settings.fx, rates: FX.getRates(quotes, settings.fx.currencies, new Map()) }
+            : null;
+        let opportunities = Arbitrage.calculateOpportunities(quotes, settings.fees, settings.minProfit, null, fx);
+
+        if (settings.triangular) {
+            opportunities = opportunities.concat(
+                Triangular.findOpportunities(quotes, settings.fees, settings.minProfit, settings.maxLegs)
+            );
+        }
+
+        return opportunities.sort((a, b) => b.netProfit - a.netProfit);
+    },
+
+    /**
+     * Fill an opportunity against a later snapshot's books
+     * @returns {Object|null} - Trade, or null if the books are missing or empty
+     */
+    execute(opp, snapshot, settings, consumed) {
+        if (!consumed.has(snapshot)) {
+            consumed.set(snapshot, new Map());
+        }
+        const taken = consumed.get(snapshot);
+        const prices = PaperTrading.getPrices(snapshot.quotes);
+        const find = (exchange, pair) => snapshot.quotes.find(q => q.exchange === exchange && q.pair === pair);
+
+        if (opp.type === 'triangular') {
+            const legs = opp.legs.map(leg => {
+                const quote = find(opp.exchange, leg.pair);
+                return quote && { ...leg, price: leg.side === 'buy' ? quote.ask : quote.bid };
+            });
+            if (legs.some(leg => !leg || !(leg.price > 0))) {
+                return null;
+            }
+
+            const start = opp.startCurrency;
+            const amount = Math.min(opp.volume, prices[start] ? settings.tradeValue / prices[start] : opp.volume);
+            const result = Triangular.calculateProfitAmount({ legs }, amount);
+
+            return {
+                timestamp: snapshot.timestamp,
+                type: opp.type,
+                pair: opp.pair,
+                buyExchange: opp.exchange,
+                sellExchange: opp.exchange,
+                size: amount,
+                expectedProfit: opp.netProfit,
+                netProfit: result.profitPercent,
+                profit: result.profit,
+                profitValue: result.profit * (prices[start] || 0)
+            };
+        }
+
+        const sellPair = opp.sellPair || opp.pair;
+        const buyQuote = find(opp.buyExchange, opp.pair);
+        const sellQuote = find(opp.sellExchange, sellPair);
+        if (!buyQuote || !sellQuote) {
+            return null;
+        }
+
+        // Proceeds of cross-quote routes are converted at the detection rate
+        const [base, quoteCurrency] = opp.pair.split('/');
+        const rate = opp.fx ? opp.fx.rate : 1;
+        const fxCharge = Arbitrage.getFxCharge(opp);
+        const askKey = `${opp.buyExchange}|${opp.pair}|asks`;
+        const bidKey = `${opp.sellExchange}|${sellPair}|bids`;
+        const asks = Arbitrage.skipLevels(Arbitrage.getLevels(buyQuote, 'asks'), taken.get(askKey) || 0);
+        const bids = Arbitrage.skipLevels(Arbitrage.getLevels(sellQuote, 'bids'), taken.get(bidKey) || 0);
+
+        // Size was decided at detection; the later books may not hold all of it
+        const wanted = Math.min(opp.volume, prices[base] ? settings.tradeValue / prices[base] : opp.volume);
+        const size = Math.min(Arbitrage.fillLevels(asks, wanted).size, Arbitrage.fillLevels(bids, wanted).size);
+        if (!(size > 0)) {
+            return null;
+        }
+
+        const bought = Arbitrage.fillLevels(asks, size);
+        const sold = Arbitrage.fillLevels(bids, size);
+        const proceeds = sold.cost * rate * (1 - opp.sellFee / 100) * (1 - fxCharge / 100);
+        const profit = proceeds - bought.cost * (1 + opp.buyFee / 100);
+
+        taken.set(askKey, (taken.get(askKey) || 0) + size);
+        taken.set(bidKey, (taken.get(bidKey) || 0) + size);
+
+        return {
+            timestamp: snapshot.timestamp,
+            type: opp.type,
+            pair: opp.pair,
+            buyExchange: opp.buyExchange,
+            sellExchange: opp.sellExchange,
+            size,
+            expectedProfit: opp.netProfit,
+            netProfit: ((sold.cost * rate - bought.cost) / bought.cost) * 100 - opp.totalFee - fxCharge,
+            profit,
+            profitValue: profit * (prices[quoteCurrency] || 0)
+        };
+    },
+
+    /**
+     * Aggregate trades into a report
+     * Profit amounts are in the paper trading reference currency
+     * @returns {Object} - Counts, profit statistics, equity curve, drawdown,
+     *                     profit distribution and per-route totals
+     */
+    summarize(trades, meta) {
+        const profits = trades.map(trade => trade.profitValue);
+        const sorted = [...profits].sort((a, b) => a - b);
+        const total = profits.reduce((a, b) => a + b, 0);
+
+        // Equity curve and the largest fall from a running peak
+        let pnl = 0;
+        let peak = 0;
+        let maxDrawdown = 0;
+        const curve = [];
+        for (const trade of [...trades].sort((a, b) => a.timestamp - b.timestamp)) {
+            pnl += trade.profitValue;
+            peak = Math.max(peak, pnl);
+            maxDrawdown = Math.max(maxDrawdown, peak - pnl);
+            curve.push({ timestamp: trade.timestamp, pnl });
+        }
+
+        const routes = {};
+        for (const trade of trades) {
+            const route = routes[trade.route] || (routes[trade.route] = {
+                route: trade.route,
+                type: trade.type,
+                pair: trade.pair,
+                buyExchange: trade.buyExchange,
+                sellExchange: trade.sellExchange,
+                trades: 0,
+                profit: 0
+            });
+            route.trades++;
+            route.profit += trade.profitValue;
+        }
+
+        const average = values => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+
+        return {
+            ...meta,
+            taken: trades.length,
+            wins: profits.filter(profit => profit > 0).length,
+            losses: profits.filter(profit => profit <= 0).length,
+            winRate: trades.length > 0 ? (profits.filter(profit => profit > 0).length / trades.length) * 100 : 0,
+            totalProfit: total,
+            averageProfit: average(profits),
+            medianProfit: sorted.length > 0 ? sorted[Math.floor(sorted.length / 2)] : 0,
+            bestProfit: sorted.length > 0 ? sorted[sorted.length - 1] : 0,
+            worstProfit: sorted.length > 0 ? sorted[0] : 0,
+            averageExpected: average(trades.map(trade => trade.expectedProfit)),
+            averageRealized: average(trades.map(trade => trade.netProfit)),
+            maxDrawdown,
+            curve,
+            distribution: this.histogram(trades.map(trade => trade.netProfit)),
+            routes: Object.values(routes).sort((a, b) => b.profit - a.profit),
+            trades
+        };
+    },
+
+    /**
+     * Count values into equal-width bins
+     * @returns {Array} - Array of { from, to, count }
+     */
+    histogram(values, binCount = this.histogramBins) {
+        if (values.length === 0) {
+            return [];
+        }
+
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const width = max > min ? (max - min) / binCount : 1;
+        const bins = Array.from({ length: max > min ? binCount : 1 }, (_, i) => ({
+            from: min + i * width,
+            to: min + (i + 1) * width,
+            count: 0
+        }));
+
+        for (const value of values) {
+            const index = Math.min(bins.length - 1, Math.floor((value - min) / width));
+            bins[index].count++;
+        }
+
+        return bins;
+    },
+
+    /**
+     * Run the same replay at several min profit thresholds
+     * @returns {Array} - Array of { minProfit, taken, winRate, totalProfit, averageRealized, maxDrawdown }
+     */
+    sweep(snapshots, options = {}, thresholds = this.sweepThresholds) {
+        return thresholds.map(minProfit => {
+            const report = this.run(snapshots, { ...options, minProfit });
+            return {
+                minProfit,
+                taken: report.taken,
+                winRate: report.winRate,
+                totalProfit: report.totalProfit,
+                averageRealized: report.averageRealized,
+                maxDrawdown: report.maxDrawdown
+            };
+        });
+    },
+
+    /**
+     * Parse an order book dump into snapshots
+     * Accepts JSON (snapshots, or flat quote records), JSON lines, or CSV with
+     * either one row per book level (timestamp,exchange,pair,side,price,size)
+     * or one row per top of book (timestamp,exchange,pair,bid,bid_size,ask,ask_size)
+     * @param {String} text - File contents
+     * @returns {Array} - Array of { timestamp, quotes }, oldest first
+     */
+    parseImport(text) {
+        const trimmed = text.trim();
+        if (!trimmed) {
+            throw new Error('The file is empty.');
+        }
+
+        let records;
+        if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+            try {
+                const data = JSON.parse(trimmed);
+                records = Array.isArray(data) ? data : data.snapshots || [data];
+            } catch (error) {
+                // Not one JSON document, so try one record per line
+                records = trimmed.split('\n').filter(line => line.trim()).map((line, i) => {
+                    try {
+                        return JSON.parse(line);
+                    } catch (lineError) {
+                        throw new Error(`Invalid JSON on line ${i + 1}: ${lineError.message}`);
+                    }
+                });
+            }
+        } else {
+            records = this.parseCsv(trimmed);
+        }
+
+        return this.toSnapshots(records);
+    },
+
+    /**
+     * Turn snapshot or flat quote records into snapshots
+     */
+    toSnapshots(records) {
+        if (records.length === 0) {
+            throw new Error('No quotes found in the file.');
+        }
+
+        if (Array.isArray(records[0].quotes)) {
+            return records
+                .map(record => ({
+                    timestamp: this.parseTimestamp(record.timestamp),
+                    quotes: record.quotes.map(quote => this.normalizeQuote(quote)).filter(Boolean)
+                }))
+                .sort((a, b) => a.timestamp - b.timestamp);
+        }
+
+        const byTimestamp = new Map();
+        for (const record of records) {
+            const timestamp = this.parseTimestamp(record.timestamp);
+            const quote = this.normalizeQuote(record);
+            if (!quote) continue;
+
+            if (!byTimestamp.has(timestamp)) {
+                byTimestamp.set(timestamp, []);
+            }
+            byTimestamp.get(timestamp).push(quote);
+        }
+
+        return Array.from(byTimestamp, ([timestamp, quotes]) => ({ timestamp, quotes }))
+            .sort((a, b) => a.timestamp - b.timestamp);
+    },
+
+    /**
+     * Build a quote from a record with levels or top of book
+     * @returns {Object|null} - Quote, or null if either side is empty
+     */
+    normalizeQuote(record) {
+        const asks = record.asks || [[record.ask, record.askVolume ?? record.ask_size]];
+        const bids = record.bids || [[record.bid, record.bidVolume ?? record.bid_size]];
+        // Keep every recorded level, not just the depth fetched live
+        const orderbook = CoinAPI.buildOrderbook(asks, bids, null, Infinity);
+
+        if (!record.exchange || !record.pair || !orderbook.ask || !orderbook.bid) {
+            return null;
+        }
+
+        return {
+            exchange: String(record.exchange).toUpperCase(),
+            pair: String(record.pair).toUpperCase(),
+            ...orderbook
+        };
+    },
+
+    /**
+     * Parse a CSV dump into flat quote records
+     */
+    parseCsv(text) {
+        const [headerCells, ...lines] = DataExport.parseCsv(text);
+        const headers = headerCells.map(header => header.toLowerCase());
+        const rows = lines.map(cells => Object.fromEntries(headers.map((header, i) => [header, cells[i]])));
+
+        const has = (...columns) => columns.every(column => headers.includes(column));
+
+        if (has('timestamp', 'exchange', 'pair', 'side', 'price', 'size')) {
+            // One row per level: group into books
+            const books = new Map();
+            for (const row of rows) {
+                const key = `${row.timestamp}|${row.exchange}|${row.pair}`;
+                if (!books.has(key)) {
+                    books.set(key, { timestamp: row.timestamp, exchange: row.exchange, pair: row.pair, asks: [], bids: [] });
+                }
+                const side = row.side.toLowerCase();
+                const levels = side === 'ask' || side === 'asks' || side === 'sell'
+                    ? books.get(key).asks
+                    : books.get(key).bids;
+                levels.push([Number(row.price), Number(row.size)]);
+            }
+
+            return Array.from(books.values(), book => ({
+                ...book,
+                asks: book.asks.sort((a, b) => a[0] - b[0]),
+                bids: book.bids.sort((a, b) => b[0] - a[0])
+            }));
+        }
+
+        if (has('timestamp', 'exchange', 'pair', 'bid', 'bid_size', 'ask', 'ask_size')) {
+            return rows;
+        }
+
+        throw new Error('Unrecognized CSV columns. Expected timestamp,exchange,pair,side,price,size '
+            + 'or timestamp,exchange,pair,bid,bid_size,ask,ask_size.');
+    },
+
+    /**
+     * Parse ISO dates and epoch seconds, milliseconds or microseconds
+     */
+    parseTimestamp(value) {
+        const time = CoinAPI.parseTime(value);
+        if (time === null) {
+            throw new Error(`Invalid timestamp "${value}".`);
+        }
+        return time;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Backtest;
+}
@@ -0,0 +1,288 @@
+/**
+ * Request Budget
+ * Tracks CoinAPI usage against the daily and per-second quota, decides which
+ * order books a refresh can afford and how often refreshes can run
+ */
+
+const RequestBudget = {
+    storageKey: 'discopic_budget',
+
+    // Window for the usage rate behind the exhaustion projection
+    rateWindow: 60 * 60 * 1000, // 1 hour
+
+    // Persisted usage, loaded lazily
+    state: null,
+
+    // Earliest time the next request may start, for the per-second limit
+    nextSlot: 0,
+
+    // Last time each pair was fetched from CoinAPI, to rotate pairs of equal priority
+    lastFetched: new Map(),
+
+    // Books the last plan left out to stay within budget
+    lastSkipped: 0,
+
+    // Pause after a 429 that doesn't say when to retry, e.g. a per-second burst
+    rateLimitBackoff: 60 * 1000, // 1 minute
+
+    /**
+     * Load usage from localStorage, starting a new day once the quota has reset
+     * @returns {Object} - { resetAt, limit, used, remaining, recent, pausedUntil }
+     */
+    load(now = Date.now()) {
+        if (!this.state) {
+            try {
+                const stored = localStorage.getItem(this.storageKey);
+                this.state = stored ? JSON.parse(stored) : null;
+            } catch (error) {
+                console.error('Error loading request budget:', error);
+            }
+        }
+
+        if (!this.state || now >= this.state.resetAt) {
+            this.state = {
+                resetAt: this.nextReset(now),
+                limit: this.state ? this.state.limit : null, // Last limit reported by CoinAPI
+                used: 0,
+                remaining: null, // As reported by CoinAPI, null until a response says
+                recent: this.state ? this.state.recent : [],
+                pausedUntil: this.state ? this.state.pausedUntil : null // After a 429
+            };
+            this.save();
+        }
+
+        return this.state;
+    },
+
+    /**
+     * Save usage to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+        } catch (error) {
+            console.error('Error saving request budget:', error);
+        }
+    },
+
+    /**
+     * Next UTC midnight, when CoinAPI's daily quota resets unless it says otherwise
+     */
+    nextReset(now) {
+        const date = new Date(now);
+        return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+    },
+
+    /**
+     * Daily quota: what CoinAPI last reported, else the configured one
+     */
+    getLimit(now = Date.now()) {
+        return this.load(now).limit || Config.get('apiDailyQuota');
+    },
+
+    /**
+     * Requests left before the quota resets
+     */
+    getRemaining(now = Date.now()) {
+        const state = this.load(now);
+        if (state.remaining != null) {
+            return state.remaining;
+        }
+        return Math.max(0, this.getLimit(now) - state.used);
+    },
+
+    /**
+     * Wait for a per-second slot before a CoinAPI request
+     * Throws once the daily quota is used up
+     */
+    async acquire(now = Date.now()) {
+        if (this.isPaused(now)) {
+            const seconds = Math.ceil((this.load(now).pausedUntil - now) / 1000);
+            throw new Error(`CoinAPI rate limit reached. Requests resume in ${seconds}s.`);
+        }
+        if (this.getRemaining(now) <= 0) {
+            const resetAt = new Date(this.load(now).resetAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            throw new Error(`CoinAPI daily request budget used up. It resets at ${resetAt}.`);
+        }
+
+        const spacing = 1000 / (Config.get('apiRequestsPerSecond') || 1);
+        const slot = Math.max(now, this.nextSlot);
+        this.nextSlot = slot + spacing;
+
+        if (slot > now) {
+            await new Promise(resolve => setTimeout(resolve, slot - now));
+        }
+    },
+
+    /**
+     * Count a CoinAPI response, preferring its rate limit headers when present
+     * @param {Response} response - Fetch response
+     */
+    record(response, now = Date.now()) {
+        const state = this.load(now);
+        const header = name => response.headers && response.headers.get(name);
+
+        const cost = parseFloat(header('X-RateLimit-Request-Cost')) || 1;
+        const limit = parseFloat(header('X-RateLimit-Limit'));
+        const remaining = parseFloat(header('X-RateLimit-Remaining'));
+        const reset = Date.parse(header('X-RateLimit-Reset'));
+
+        state.used += cost;
+        state.recent = state.recent.filter(time => now - time < this.rateWindow);
+        for (let i = 0; i < cost; i++) state.recent.push(now);
+
+        if (!isNaN(limit)) state.limit = limit;
+        if (!isNaN(remaining)) state.remaining = remaining;
+        else if (state.remaining != null) state.remaining = Math.max(0, state.remaining - cost);
+        if (!isNaN(reset) && reset > now) state.resetAt = reset;
+
+        // Rate limited: pause until CoinAPI says to retry, or briefly. Only a
+        // reported remaining quota of 0 holds requests until the daily reset
+        if (response.status === 429) {
+            state.pausedUntil = this.parseRetryAfter(header('Retry-After'), now) || now + this.rateLimitBackoff;
+        }
+
+        this.save();
+    },
+
+    /**
+     * Time a Retry-After header allows requests again
+     * @param {String} value - Seconds to wait, or an HTTP date
+     * @returns {Number|null} - Timestamp in ms, or null if missing or already past
+     */
+    parseRetryAfter(value, now = Date.now()) {
+        if (!value) {
+            return null;
+        }
+        const seconds = Number(value);
+        const time = isFinite(seconds) ? now + seconds * 1000 : Date.parse(value);
+        return time > now ? time : null;
+    },
+
+    /**
+     * Check if requests are paused after a 429
+     */
+    isPaused(now = Date.now()) {
+        return (this.load(now).pausedUntil || 0) > now;
+    },
+
+    /**
+     * Number of order book requests a refresh costs: one per pair on each
+     * exchange served by CoinAPI
+     */
+    getCost(pairs, exchanges, providers = {}) {
+        return pairs.length * this.getBudgetedExchanges(exchanges, providers).length;
+    },
+
+    /**
+     * Exchanges whose order books are fetched from CoinAPI
+     */
+    getBudgetedExchanges(exchanges, providers = {}) {
+        return exchanges.filter(exchangeId =>
+            Providers.get(Providers.resolve(exchangeId, providers[exchangeId])).requiresKey
+        );
+    },
+
+    /**
+     * Priority of each pair: the best net profit of its open routes, or of
+     * recently closed ones
+     */
+    getPriorities() {
+        const scores = {};
+        const score = (entry, profit) => {
+            for (const pair of entry.pairs || [entry.pair]) {
+                scores[pair] = Math.max(scores[pair] ?? -Infinity, profit);
+            }
+        };
+
+        for (const entry of Tracker.getClosed()) score(entry, entry.peakNetProfit);
+        for (const entry of Tracker.open.values()) score(entry, entry.currentNetProfit);
+        return scores;
+    },
+
+    /**
+     * Decide which exchanges to fetch for each pair within the remaining budget
+     * Pairs with the most profitable recent routes go first, then the ones
+     * fetched longest ago; exchanges with free public APIs are always fetched
+     * @returns {Object} - { pairs: [{ pair, exchanges }], skipped } with skipped books
+     */
+    plan(pairs, exchanges, providers = {}, now = Date.now()) {
+        const budgeted = this.getBudgetedExchanges(exchanges, providers);
+        const free = exchanges.filter(exchangeId => !budgeted.includes(exchangeId));
+        const scores = this.getPriorities();
+        let available = budgeted.length > 0 && !this.isPaused(now) ? this.getRemaining(now) : 0;
+        let skipped = 0;
+
+        const ordered = [...pairs].sort((a, b) =>
+            (scores[b] ?? -Infinity) - (scores[a] ?? -Infinity)
+            || (this.lastFetched.get(a) || 0) - (this.lastFetched.get(b) || 0)
+        );
+
+        const plan = ordered.map(pair => {
+            if (budgeted.length > 0 && budgeted.length <= available) {
+                available -= budgeted.length;
+                this.lastFetched.set(pair, now);
+                return { pair, exchanges };
+            }
+            skipped += budgeted.length;
+            return { pair, exchanges: free };
+        });
+
+        this.lastSkipped = skipped;
+        return { pairs: plan, skipped };
+    },
+
+    /**
+     * Refresh interval that makes the remaining budget last until the reset
+     * @param {Number} baseSeconds - Configured refresh interval
+     * @param {Number} cost - Requests per refresh
+     * @returns {Number} - Interval in seconds, never shorter than the configured one
+     */
+    getInterval(baseSeconds, cost, now = Date.now()) {
+        if (cost <= 0) {
+            return baseSeconds;
+        }
+
+        const untilReset = (this.load(now).resetAt - now) / 1000;
+        const refreshes = Math.floor(this.getRemaining(now) / cost);
+        if (refreshes <= 0) {
+            return Math.max(baseSeconds, Math.ceil(untilReset));
+        }
+        return Math.max(baseSeconds, Math.ceil(untilReset / refreshes));
+    },
+
+    /**
+     * Usage summary for the status bar
+     * @returns {Object} - { limit, remaining, resetAt, pausedUntil, ratePerHour, exhaustsAt, skipped }, where
+     *                     exhaustsAt is null if the budget outlasts the reset at the current rate and
+     *                     pausedUntil is null unless a 429 paused requests
+     */
+    getStatus(now = Date.now()) {
+        const state = this.load(now);
+        const recent = state.recent.filter(time => now - time < this.rateWindow);
+        const remaining = this.getRemaining(now);
+        const ratePerMs = recent.length / this.rateWindow;
+
+        let exhaustsAt = null;
+        if (remaining <= 0) {
+            exhaustsAt = now;
+        } else if (ratePerMs > 0 && now + remaining / ratePerMs < state.resetAt) {
+            exhaustsAt = now + remaining / ratePerMs;
+        }
+
+        return {
+            limit: this.getLimit(now),
+            remaining,
+            resetAt: state.resetAt,
+            pausedUntil: this.isPaused(now) ? state.pausedUntil : null,
+            ratePerHour: recent.length,
+            exhaustsAt,
+            skipped: this.lastSkipped
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RequestBudget;
+}
@@ -0,0 +1,195 @@
+/**
+ * Exchange and Symbol Catalogue
+ * Lists the exchanges and spot pairs available from CoinAPI, cached in localStorage
+ */
+
+const Catalogue = {
+    storageKey: 'discopic_catalogue',
+
+    // How long a fetched list stays fresh
+    maxAge: 24 * 60 * 60 * 1000, // 1 day
+
+    // Suggestions used until the catalogue has been fetched
+    fallbackExchanges: ['BINANCE', 'COINBASE', 'KRAKEN', 'BITFINEX', 'BITSTAMP'],
+    fallbackPairs: [
+        'BTC/USDT', 'ETH/USDT', 'BNB/USDT', 'SOL/USDT', 'XRP/USDT', 'ADA/USDT', 'ETH/BTC', 'BNB/BTC'
+    ],
+
+    // Cached lists, loaded lazily from storage
+    data: null,
+
+    /**
+     * Load the cached catalogue from localStorage
+     * @returns {Object} - { exchanges: { fetchedAt, items }, symbols: { [exchangeId]: { fetchedAt, items } } }
+     */
+    load() {
+        if (this.data) {
+            return this.data;
+        }
+
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            this.data = stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            console.error('Error loading catalogue:', error);
+        }
+        this.data = this.data || { exchanges: null, symbols: {} };
+        return this.data;
+    },
+
+    /**
+     * Save the catalogue to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+        } catch (error) {
+            // A full catalogue can exceed the storage quota; keep it in memory only
+            console.error('Error saving catalogue:', error);
+        }
+    },
+
+    /**
+     * Check if a cached list is missing or older than maxAge
+     */
+    isStale(entry, now = Date.now()) {
+        return !entry || now - entry.fetchedAt > this.maxAge;
+    },
+
+    /**
+     * Get available exchanges, fetching them if the cache is stale
+     * Falls back to the cached or built-in list when CoinAPI can't be reached
+     * @param {String} apiKey - CoinAPI key
+     * @returns {Promise<Array>} - Array of { id, name }
+     */
+    async getExchanges(apiKey) {
+        const data = this.load();
+
+        if (apiKey && this.isStale(data.exchanges)) {
+            try {
+                const exchanges = await CoinAPI.request('/exchanges', apiKey);
+                data.exchanges = {
+                    fetchedAt: Date.now(),
+                    items: exchanges
+                        .map(exchange => ({ id: exchange.exchange_id, name: exchange.name || exchange.exchange_id }))
+                        .sort((a, b) => a.id.localeCompare(b.id))
+                };
+                this.save();
+            } catch (error) {
+                console.error('Error fetching exchanges:', error);
+            }
+        }
+
+        if (data.exchanges) {
+            return data.exchanges.items;
+        }
+        return this.fallbackExchanges.map(id => ({ id, name: id }));
+    },
+
+    /**
+     * Get spot pairs listed on an exchange, fetching them if the cache is stale
+     * @param {String} exchangeId - CoinAPI exchange ID
+     * @param {String} apiKey - CoinAPI key
+     * @returns {Promise<Array>} - Pairs in BASE/QUOTE form
+     */
+    async getPairs(exchangeId, apiKey) {
+        const data = this.load();
+
+        if (apiKey && this.isStale(data.symbols[exchangeId])) {
+            try {
+                const symbols = await CoinAPI.request(`/symbols/${encodeURIComponent(exchangeId)}`, apiKey);
+                data.symbols[exchangeId] = {
+                    fetchedAt: Date.now(),
+                    items: this.toPairs(symbols)
+                };
+                this.save();
+            } catch (error) {
+                console.error(`Error fetching symbols for ${exchangeId}:`, error);
+            }
+        }
+
+        return data.symbols[exchangeId] ? data.symbols[exchangeId].items : [];
+    },
+
+    /**
+     * Get pairs listed on any of the exchanges, most widely listed first
+     */
+    async getPairsForExchanges(exchanges, apiKey) {
+        const counts = new Map();
+        for (const exchangeId of exchanges) {
+            for (const pair of await this.getPairs(exchangeId, apiKey)) {
+                counts.set(pair, (counts.get(pair) || 0) + 1);
+            }
+        }
+
+        if (counts.size === 0) {
+            return [...this.fallbackPairs];
+        }
+        return [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+    },
+
+    /**
+     * Convert CoinAPI symbols to unique spot pairs
+     */
+    toPairs(symbols) {
+        const pairs = symbols
+            .filter(symbol => symbol.symbol_type === 'SPOT' && symbol.asset_id_base && symbol.asset_id_quote)
+            .map(symbol => `${symbol.asset_id_base}/${symbol.asset_id_quote}`);
+        return [...new Set(pairs)].sort();
+    },
+
+    /**
+     * Filter a list by a search term, prefix matches first
+     * @param {Array} items - Strings or { id, name } objects
+     * @param {String} query - Search term
+     * @param {Number} limit - Maximum results
+     */
+    search(items, query, limit = 50) {
+        const term = query.trim().toUpperCase();
+        const text = item => (typeof item === 'string' ? item : `${item.id} ${item.name}`).toUpperCase();
+
+        if (!term) {
+            return items.slice(0, limit);
+        }
+
+        const prefix = items.filter(item => text(item).startsWith(term));
+        const rest = items.filter(item => !text(item).startsWith(term) && text(item).includes(term));
+        return prefix.concat(rest).slice(0, limit);
+    },
+
+    /**
+     * Normalize a user-entered exchange ID, or return null if invalid
+     */
+    normalizeExchange(value) {
+        const id = value.trim().toUpperCase();
+        return /^[A-Z0-9_]+$/.test(id) ? id : null;
+    },
+
+    /**
+     * Normalize a user-entered pair (btc-usdt, BTC_USDT, btc/usdt -> BTC/USDT), or return null if invalid
+     */
+    normalizePair(value) {
+        const parts = value.trim().toUpperCase().split(/[/_\-\s]+/);
+        if (parts.length !== 2 || !parts.every(part => /^[A-Z0-9]+$/.test(part)) || parts[0] === parts[1]) {
+            return null;
+        }
+        return `${parts[0]}/${parts[1]}`;
+    },
+
+    /**
+     * Drop the cached catalogue so the next lookup fetches it again
+     */
+    clear() {
+        this.data = { exchanges: null, symbols: {} };
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.error('Error clearing catalogue:', error);
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Catalogue;
+}
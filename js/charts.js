@@ -0,0 +1,214 @@
+/**
+ * Charts
+ * Minimal canvas line charts for time series and histograms
+ */
+
+const Charts = {
+    // Chart colors, matching the CSS variables
+    colors: {
+        grid: '#334155',
+        axis: '#94a3b8',
+        zero: '#64748b',
+        threshold: '#f59e0b'
+    },
+
+    padding: { top: 16, right: 16, bottom: 28, left: 56 },
+
+    /**
+     * Draw a time series line chart
+     * @param {HTMLCanvasElement} canvas - Target canvas
+     * @param {Array} series - Array of { label, color, points: [{ x: ms, y }] }
+     * @param {Object} options - { threshold, formatY, emptyText }
+     */
+    line(canvas, series, options = {}) {
+        const ctx = this.setup(canvas);
+        const { width, height } = canvas.getBoundingClientRect();
+        const pad = this.padding;
+        const formatY = options.formatY || (value => value.toFixed(2));
+
+        const points = series.flatMap(s => s.points);
+        if (points.length === 0) {
+            ctx.fillStyle = this.colors.axis;
+            ctx.font = '13px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText(options.emptyText || 'No data', width / 2, height / 2);
+            return;
+        }
+
+        // Scales, always including zero and the threshold line
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y).concat([0], options.threshold != null ? [options.threshold] : []);
+        const minX = Math.min(...xs);
+        const maxX = Math.max(...xs);
+        let minY = Math.min(...ys);
+        let maxY = Math.max(...ys);
+        if (minY === maxY) {
+            minY -= 1;
+            maxY += 1;
+        }
+
+        const plotWidth = width - pad.left - pad.right;
+        const plotHeight = height - pad.top - pad.bottom;
+        const scaleX = x => pad.left + (maxX === minX ? plotWidth / 2 : ((x - minX) / (maxX - minX)) * plotWidth);
+        const scaleY = y => pad.top + (1 - (y - minY) / (maxY - minY)) * plotHeight;
+
+        // Grid and Y labels
+        ctx.font = '11px sans-serif';
+        ctx.lineWidth = 1;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let i = 0; i <= 4; i++) {
+            const value = minY + ((maxY - minY) * i) / 4;
+            const y = scaleY(value);
+            ctx.strokeStyle = this.colors.grid;
+            ctx.beginPath();
+            ctx.moveTo(pad.left, y);
+            ctx.lineTo(width - pad.right, y);
+            ctx.stroke();
+            ctx.fillStyle = this.colors.axis;
+            ctx.fillText(formatY(value), pad.left - 6, y);
+        }
+
+        // X labels
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        const spanDays = (maxX - minX) / (24 * 60 * 60 * 1000);
+        for (let i = 0; i <= 4; i++) {
+            const value = minX + ((maxX - minX) * i) / 4;
+            const date = new Date(value);
+            const label = spanDays > 1
+                ? `${date.getMonth() + 1}/${date.getDate()} ${date.getHours()}:00`
+                : date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            ctx.fillText(label, scaleX(value), height - pad.bottom + 8);
+        }
+
+        // Zero and threshold lines
+        this.horizontal(ctx, scaleY(0), pad.left, width - pad.right, this.colors.zero, []);
+        if (options.threshold != null) {
+            this.horizontal(ctx, scaleY(options.threshold), pad.left, width - pad.right, this.colors.threshold, [4, 4]);
+        }
+
+        // Series
+        ctx.lineWidth = 1.5;
+        for (const s of series) {
+            ctx.strokeStyle = s.color;
+            ctx.beginPath();
+            s.points.forEach((p, i) => {
+                if (i === 0) ctx.moveTo(scaleX(p.x), scaleY(p.y));
+                else ctx.lineTo(scaleX(p.x), scaleY(p.y));
+            });
+            ctx.stroke();
+        }
+
+        // Legend
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        let legendX = pad.left + 8;
+        for (const s of series) {
+            ctx.fillStyle = s.color;
+            ctx.fillRect(legendX, pad.top + 4, 10, 3);
+            ctx.fillStyle = this.colors.axis;
+            ctx.fillText(s.label, legendX + 14, pad.top + 6);
+            legendX += ctx.measureText(s.label).width + 32;
+        }
+    },
+
+    /**
+     * Draw a histogram
+     * @param {HTMLCanvasElement} canvas - Target canvas
+     * @param {Array} bins - Array of { from, to, count }
+     * @param {Object} options - { title, formatX, emptyText, colorFor(bin) }
+     */
+    bars(canvas, bins, options = {}) {
+        const ctx = this.setup(canvas);
+        const { width, height } = canvas.getBoundingClientRect();
+        const pad = this.padding;
+        const formatX = options.formatX || (value => value.toFixed(2));
+
+        if (bins.length === 0) {
+            ctx.fillStyle = this.colors.axis;
+            ctx.font = '13px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText(options.emptyText || 'No data', width / 2, height / 2);
+            return;
+        }
+
+        const maxCount = Math.max(...bins.map(bin => bin.count), 1);
+        const plotWidth = width - pad.left - pad.right;
+        const plotHeight = height - pad.top - pad.bottom;
+        const barWidth = plotWidth / bins.length;
+        const scaleY = count => pad.top + (1 - count / maxCount) * plotHeight;
+
+        // Grid and Y labels
+        ctx.font = '11px sans-serif';
+        ctx.lineWidth = 1;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let i = 0; i <= 4; i++) {
+            const count = (maxCount * i) / 4;
+            const y = scaleY(count);
+            ctx.strokeStyle = this.colors.grid;
+            ctx.beginPath();
+            ctx.moveTo(pad.left, y);
+            ctx.lineTo(width - pad.right, y);
+            ctx.stroke();
+            ctx.fillStyle = this.colors.axis;
+            ctx.fillText(Math.round(count), pad.left - 6, y);
+        }
+
+        // Bars, with every other edge labelled
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        bins.forEach((bin, i) => {
+            const x = pad.left + i * barWidth;
+            ctx.fillStyle = options.colorFor ? options.colorFor(bin) : '#60a5fa';
+            ctx.fillRect(x + 1, scaleY(bin.count), barWidth - 2, pad.top + plotHeight - scaleY(bin.count));
+
+            if (i % 2 === 0) {
+                ctx.fillStyle = this.colors.axis;
+                ctx.fillText(formatX(bin.from), x, height - pad.bottom + 8);
+            }
+        });
+
+        if (options.title) {
+            ctx.textAlign = 'left';
+            ctx.fillStyle = this.colors.axis;
+            ctx.fillText(options.title, pad.left + 8, pad.top);
+        }
+    },
+
+    /**
+     * Size the canvas for the device pixel ratio and clear it
+     */
+    setup(canvas) {
+        const ratio = window.devicePixelRatio || 1;
+        const { width, height } = canvas.getBoundingClientRect();
+
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        return ctx;
+    },
+
+    /**
+     * Draw a horizontal reference line
+     */
+    horizontal(ctx, y, x1, x2, color, dash) {
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.setLineDash(dash);
+        ctx.beginPath();
+        ctx.moveTo(x1, y);
+        ctx.lineTo(x2, y);
+        ctx.stroke();
+        ctx.restore();
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Charts;
+}
@@ -4,48 +4,429 @@
  */
 
 const Config = {
+    // Schema version of stored settings. Bump it and add a migration whenever a
+    // stored key is renamed or changes shape
+    version: 2,
+
     // Default configuration
     defaults: {
         apiKey: '',
+        // Where the API key is kept (see js/vault.js): 'plain' in localStorage,
+        // 'encrypted' behind a passphrase, or 'session' in memory only
+        apiKeyStorage: 'plain',
+        // Minutes without activity before an encrypted or session-only key locks; 0 never locks
+        apiKeyLockMinutes: 30,
+        // Name of the last profile applied, shown in the header
+        profile: '',
+        // Serve synthetic market data instead of CoinAPI (see js/mock.js), with
+        // one of the scenarios in demo/scenarios or an imported one ('custom')
+        demoMode: false,
+        demoScenario: 'calm',
         refreshInterval: 30,
+        // CoinAPI quota (see js/budget.js); limits CoinAPI reports take precedence
+        apiDailyQuota: 100,
+        apiRequestsPerSecond: 2,
         defaultMinProfit: 0.5,
         autoRefresh: false,
+        streaming: false,
+        triangularEnabled: true,
+        triangularMaxLegs: 3,
+        // Fee schedule per exchange (see js/fees.js): maker/taker fees (%) by
+        // 30-day volume (USD), and a discount for paying fees in the exchange's token
         fees: {
-            BINANCE: 0.1,
-            COINBASE: 0.6,
-            KRAKEN: 0.26,
-            BITFINEX: 0.2,
-            BITSTAMP: 0.25
+            BINANCE: {
+                tiers: [
+                    { volume: 0, maker: 0.1, taker: 0.1 },
+                    { volume: 1000000, maker: 0.09, taker: 0.1 },
+                    { volume: 5000000, maker: 0.08, taker: 0.1 },
+                    { volume: 20000000, maker: 0.07, taker: 0.09 }
+                ],
+                discount: { token: 'BNB', percent: 25 }
+            },
+            COINBASE: {
+                tiers: [
+                    { volume: 0, maker: 0.4, taker: 0.6 },
+                    { volume: 10000, maker: 0.25, taker: 0.4 },
+                    { volume: 50000, maker: 0.15, taker: 0.25 },
+                    { volume: 100000, maker: 0.1, taker: 0.2 },
+                    { volume: 1000000, maker: 0.08, taker: 0.18 }
+                ]
+            },
+            KRAKEN: {
+                tiers: [
+                    { volume: 0, maker: 0.16, taker: 0.26 },
+                    { volume: 50000, maker: 0.14, taker: 0.24 },
+                    { volume: 100000, maker: 0.12, taker: 0.22 },
+                    { volume: 250000, maker: 0.1, taker: 0.2 },
+                    { volume: 500000, maker: 0.08, taker: 0.18 },
+                    { volume: 1000000, maker: 0.06, taker: 0.16 }
+                ]
+            },
+            BITFINEX: {
+                tiers: [
+                    { volume: 0, maker: 0.1, taker: 0.2 },
+                    { volume: 500000, maker: 0.08, taker: 0.2 },
+                    { volume: 1000000, maker: 0.06, taker: 0.2 }
+                ]
+            },
+            BITSTAMP: {
+                tiers: [
+                    { volume: 0, maker: 0.15, taker: 0.25 },
+                    { volume: 10000, maker: 0.12, taker: 0.2 },
+                    { volume: 100000, maker: 0.08, taker: 0.15 }
+                ]
+            }
+        },
+        // Your 30-day trading volume per exchange (USD), which picks the fee tier
+        feeVolumes: {},
+        // Exchanges where fees are paid in the discount token
+        feeDiscounts: {},
+        // Order type of each leg of a cross-exchange trade: 'taker' or 'maker'
+        buyOrderType: 'taker',
+        sellOrderType: 'taker',
+        // Withdrawal fee per exchange and asset, in units of the asset
+        withdrawalFees: {
+            BINANCE: { BTC: 0.0002, ETH: 0.0012, BNB: 0.0005, SOL: 0.01, XRP: 0.25, ADA: 1, USDT: 1 },
+            COINBASE: { BTC: 0.0001, ETH: 0.001, SOL: 0.01, XRP: 0.1, ADA: 1, USDT: 2.5 },
+            KRAKEN: { BTC: 0.00015, ETH: 0.0025, SOL: 0.01, XRP: 0.2, ADA: 0.5, USDT: 2.5 },
+            BITFINEX: { BTC: 0.0004, ETH: 0.00135, SOL: 0.01, XRP: 0.1, ADA: 1, USDT: 1 },
+            BITSTAMP: { BTC: 0.0005, ETH: 0.002, SOL: 0.01, XRP: 0.2, ADA: 1, USDT: 5 }
+        },
+        // Estimated network confirmation time per asset, in minutes
+        transferTimes: {
+            BTC: 30,
+            ETH: 5,
+            BNB: 1,
+            SOL: 1,
+            XRP: 1,
+            ADA: 5,
+            USDT: 5
+        },
+        // Trade size used for realizable profit, in quote currency
+        tradeSize: 1000,
+        historyEnabled: true,
+        historyRetentionDays: 7,
+        // Paper trading: virtual balances per exchange, valued in USDT
+        paperTrading: false,
+        paperStartingValue: 5000,
+        paperTradeValue: 1000,
+        // Size opportunities to the balances held on each exchange (see js/inventory.js)
+        inventoryEnabled: false,
+        // Alert rules (see js/alerts.js) and the webhook they post to
+        alertRules: [],
+        webhookUrl: '',
+        // Cross-quote arbitrage: compare e.g. BTC/USD with BTC/USDT after converting
+        // through live rates, charging the conversion fee (%) and a risk buffer (%)
+        fxEnabled: true,
+        fxCurrencies: ['USD', 'USDT', 'USDC', 'EUR', 'GBP'],
+        fxConversionFee: 0.1,
+        fxRiskBuffer: 0.1,
+        // Quote screening (see js/quality.js): drop or flag books older than
+        // quoteMaxAge seconds, crossed or empty tops, and mid prices more than
+        // quoteOutlierSigma standard deviations from the other exchanges
+        quoteChecks: true,
+        quoteMaxAge: 30,
+        quoteOutlierSigma: 5,
+        quoteCheckMode: 'exclude',
+        // Market data provider per exchange (see js/providers.js)
+        providers: {
+            BINANCE: 'binance',
+            COINBASE: 'coinbase',
+            KRAKEN: 'kraken',
+            BITFINEX: 'coinapi',
+            BITSTAMP: 'bitstamp'
         },
-        pairs: ['BTC/USDT', 'ETH/USDT', 'BNB/USDT'],
-        exchanges: ['BINANCE', 'COINBASE', 'KRAKEN', 'BITFINEX']
+        pairs: ['BTC/USDT', 'ETH/USDT', 'BNB/USDT', 'ETH/BTC'],
+        exchanges: ['BINANCE', 'COINBASE', 'KRAKEN', 'BITFINEX'],
+        // Pairs and exchanges listed in settings; `pairs` and `exchanges` are the monitored ones
+        pairList: ['BTC/USDT', 'ETH/USDT', 'BNB/USDT', 'SOL/USDT', 'XRP/USDT', 'ADA/USDT', 'ETH/BTC', 'BNB/BTC'],
+        exchangeList: ['BINANCE', 'COINBASE', 'KRAKEN', 'BITFINEX', 'BITSTAMP']
+    },
+
+    // Migrations from the previous schema version, keyed by the version they produce
+    migrations: {
+        // Unversioned settings saved flat fees per exchange, which shadowed the
+        // maker/taker tiers. Fees left at the old defaults are dropped so the tiers
+        // apply; fees the user changed are kept as flat fees
+        2(config) {
+            const oldDefaults = { BINANCE: 0.1, COINBASE: 0.6, KRAKEN: 0.26, BITFINEX: 0.2, BITSTAMP: 0.25 };
+            if (!config.fees || typeof config.fees !== 'object') {
+                return config;
+            }
+
+            const fees = { ...config.fees };
+            for (const [exchangeId, fee] of Object.entries(fees)) {
+                if (fee === oldDefaults[exchangeId]) delete fees[exchangeId];
+            }
+            return { ...config, fees };
+        }
+    },
+
+    // Limits on settings beyond their type, which comes from the default
+    rules: {
+        apiKeyStorage: { values: ['plain', 'encrypted', 'session'] },
+        apiKeyLockMinutes: { min: 0 },
+        // MockMarket.scenarios, which loads after this module, and an imported one
+        demoScenario: { values: ['calm', 'volatile', 'stale-feeds', 'errors', 'custom'] },
+        refreshInterval: { min: 1 },
+        apiDailyQuota: { min: 1 },
+        apiRequestsPerSecond: { min: 0.1 },
+        triangularMaxLegs: { min: 3, max: 5 },
+        // Fees.orderTypes and QuoteQuality.modes, which load after this module
+        buyOrderType: { values: ['taker', 'maker'] },
+        sellOrderType: { values: ['taker', 'maker'] },
+        quoteMaxAge: { min: 0 },
+        quoteOutlierSigma: { min: 0 },
+        quoteCheckMode: { values: ['exclude', 'flag'] },
+        tradeSize: { min: 0 },
+        historyRetentionDays: { min: 1 },
+        paperStartingValue: { min: 0 },
+        paperTradeValue: { min: 0 },
+        fxConversionFee: { min: 0 },
+        fxRiskBuffer: { min: 0 }
+    },
+
+    // Settings that belong to this browser rather than to a setup: left out of
+    // profiles and exports, and kept when a profile or settings file is applied
+    deviceKeys: ['apiKey', 'apiKeyStorage', 'apiKeyLockMinutes', 'demoMode', 'demoScenario'],
+
+    // Built-in profiles: settings applied over the current ones when picked
+    builtInProfiles: {
+        'Conservative': {
+            defaultMinProfit: 1,
+            buyOrderType: 'taker',
+            sellOrderType: 'taker',
+            triangularEnabled: false,
+            fxEnabled: false,
+            quoteChecks: true,
+            quoteMaxAge: 10,
+            quoteOutlierSigma: 3,
+            quoteCheckMode: 'exclude'
+        },
+        'High-frequency': {
+            // Exchanges with public APIs, so fast polling doesn't spend the CoinAPI quota
+            exchanges: ['BINANCE', 'COINBASE', 'KRAKEN', 'BITSTAMP'],
+            pairs: ['BTC/USDT', 'ETH/USDT'],
+            refreshInterval: 10,
+            defaultMinProfit: 0.2,
+            triangularEnabled: false,
+            quoteMaxAge: 5
+        },
+        'EUR markets': {
+            exchanges: ['COINBASE', 'KRAKEN', 'BITSTAMP'],
+            pairs: ['BTC/EUR', 'ETH/EUR', 'SOL/EUR', 'XRP/EUR'],
+            fxEnabled: true,
+            fxCurrencies: ['EUR', 'USD', 'USDT', 'USDC']
+        }
     },
 
-    // Storage key
+    // Storage keys
     storageKey: 'discopic_config',
+    profilesKey: 'discopic_profiles',
+
+    // Last resolved configuration and the stored settings it came from, so
+    // migration and validation run once per change rather than on every read
+    cache: null,
 
     /**
      * Load configuration from localStorage
+     * @returns {Object} - Configuration; a copy, so callers may change it
      */
     load() {
         try {
             const stored = localStorage.getItem(this.storageKey);
-            if (stored) {
-                const config = JSON.parse(stored);
-                return { ...this.defaults, ...config };
+            if (!this.cache || this.cache.stored !== stored) {
+                const config = stored ? this.resolveStored(JSON.parse(stored)) : this.resolve({});
+                this.cache = { stored: localStorage.getItem(this.storageKey), config };
             }
+            return JSON.parse(JSON.stringify(this.cache.config));
         } catch (error) {
             console.error('Error loading config:', error);
         }
-        return { ...this.defaults };
+        return this.resolve({});
+    },
+
+    /**
+     * Resolve settings read from localStorage
+     * Migrated or repaired settings are stored so that only happens once;
+     * settings from a newer version are left alone for that version to read
+     */
+    resolveStored(settings) {
+        const config = this.resolve(settings);
+
+        const from = settings.version || 1;
+        if (from < this.version || (from === this.version && this.validate(settings).length > 0)) {
+            this.save(config);
+        }
+        return config;
+    },
+
+    /**
+     * Turn stored settings into a full configuration: migrate them to the
+     * current version, fill in missing defaults at any depth, and replace
+     * invalid values with their defaults
+     * @param {Object} stored - Settings as saved, possibly from an older version
+     * @returns {Object} - Configuration
+     */
+    resolve(stored) {
+        let config = stored;
+        try {
+            config = this.migrate(stored);
+        } catch (error) {
+            console.warn(`${error.message} Settings not understood by this version fall back to their defaults.`);
+        }
+
+        config = this.merge(this.defaults, config);
+        for (const { key, entry, message } of this.validate(config)) {
+            // A bad entry in a map such as fees only replaces that entry
+            const target = entry === undefined ? config : config[key];
+            const fallback = entry === undefined ? this.defaults[key] : this.defaults[key][entry];
+            const name = entry === undefined ? key : entry;
+
+            if (fallback === undefined) {
+                console.warn(`Invalid setting ${message}; dropping it.`);
+                delete target[name];
+            } else {
+                console.warn(`Invalid setting ${message}; using the default.`);
+                target[name] = JSON.parse(JSON.stringify(fallback));
+            }
+        }
+        config.version = this.version;
+        return config;
+    },
+
+    /**
+     * Bring settings up to the current schema version
+     * Settings without a version predate versioning and count as version 1
+     * @throws {Error} - If the settings come from a newer version
+     */
+    migrate(settings) {
+        const from = settings.version || 1;
+        if (from > this.version) {
+            throw new Error(`These settings are from a newer version of Discopic (schema ${from}, this one reads up to ${this.version}).`);
+        }
+
+        let migrated = settings;
+        for (let version = from + 1; version <= this.version; version++) {
+            migrated = this.migrations[version](migrated);
+        }
+        return { ...migrated, version: this.version };
+    },
+
+    // Nested settings that replace their default whole instead of merging, so
+    // what the user removes stays removed: an exchange's fee schedule (its
+    // discount), an exchange's withdrawal fees and the transfer times (assets)
+    wholePaths: [/^fees\.[^.]+$/, /^withdrawalFees\.[^.]+$/, /^transferTimes$/],
+
+    /**
+     * Deep merge settings over defaults
+     * Nested objects such as fees are merged key by key so defaults added later
+     * still show up; arrays, other values and wholePaths replace the default outright
+     * @param {String} path - Dotted path of the objects being merged, for wholePaths
+     * @returns {Object} - New object; neither argument is modified
+     */
+    merge(defaults, settings, path = '') {
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const copy = value => (value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value);
+
+        const merged = {};
+        for (const key of new Set([...Object.keys(defaults), ...Object.keys(settings)])) {
+            const fallback = defaults[key];
+            const value = settings[key];
+            const keyPath = path ? `${path}.${key}` : key;
+            if (value === undefined) {
+                merged[key] = copy(fallback);
+            } else if (isObject(fallback) && isObject(value) && !this.wholePaths.some(pattern => pattern.test(keyPath))) {
+                merged[key] = this.merge(fallback, value, keyPath);
+            } else {
+                merged[key] = copy(value);
+            }
+        }
+        return merged;
+    },
+
+    /**
+     * Check settings against the types of the defaults and the rules
+     * Keys that aren't settings are ignored
+     * @param {Object} settings - Settings to check
+     * @returns {Array} - Array of { key, entry, message } for each invalid setting, where
+     *                    entry names the bad entry of a map such as fees, if only that is bad
+     */
+    validate(settings) {
+        const kind = value => (Array.isArray(value) ? 'list' : value === null ? 'null' : typeof value);
+        const errors = [];
+        const fail = (key, message, entry) => errors.push({ key, entry, message: `${key}: ${message}` });
+
+        for (const [key, value] of Object.entries(settings)) {
+            if (!(key in this.defaults) || value === undefined) continue;
+
+            const expected = kind(this.defaults[key]);
+            if (kind(value) !== expected) {
+                fail(key, `expected a ${expected}, got ${kind(value) === 'null' ? 'null' : JSON.stringify(value)}`);
+                continue;
+            }
+
+            const rule = this.rules[key] || {};
+            if (expected === 'number' && !isFinite(value)) {
+                fail(key, 'expected a number');
+            } else if (rule.min !== undefined && value < rule.min) {
+                fail(key, `must be at least ${rule.min}, got ${value}`);
+            } else if (rule.max !== undefined && value > rule.max) {
+                fail(key, `must be at most ${rule.max}, got ${value}`);
+            } else if (rule.values && !rule.values.includes(value)) {
+                fail(key, `must be one of ${rule.values.join(', ')}, got "${value}"`);
+            }
+        }
+
+        for (const key of ['pairs', 'exchanges', 'pairList', 'exchangeList', 'fxCurrencies']) {
+            const list = settings[key];
+            if (Array.isArray(list) && list.some(item => typeof item !== 'string' || !item.trim())) {
+                fail(key, 'expected a list of names');
+            }
+        }
+        for (const key of ['pairs', 'pairList']) {
+            const list = settings[key];
+            if (Array.isArray(list) && list.some(pair => !/^[A-Z0-9]+\/[A-Z0-9]+$/i.test(pair))) {
+                fail(key, 'pairs look like BTC/USDT');
+            }
+        }
+        if (Array.isArray(settings.pairs) && settings.pairs.length === 0) {
+            fail('pairs', 'select at least one trading pair');
+        }
+        if (Array.isArray(settings.exchanges) && settings.exchanges.length === 0) {
+            fail('exchanges', 'select at least one exchange');
+        }
+
+        // A fee is a flat percentage or a schedule of tiers (see Fees.getSchedule)
+        const fees = settings.fees;
+        if (fees && kind(fees) === 'object') {
+            const validTier = tier => tier && ['volume', 'maker', 'taker'].every(field => typeof tier[field] === 'number' && isFinite(tier[field]));
+            for (const [exchangeId, fee] of Object.entries(fees)) {
+                const valid = typeof fee === 'number'
+                    ? isFinite(fee)
+                    : Boolean(fee) && Array.isArray(fee.tiers) && fee.tiers.length > 0 && fee.tiers.every(validTier);
+                if (!valid) {
+                    fail('fees', `${exchangeId} needs a flat fee or tiers of { volume, maker, taker }`, exchangeId);
+                }
+            }
+        }
+
+        return errors;
     },
 
     /**
      * Save configuration to localStorage
+     * The API key is only written when it is kept in plain text; otherwise it
+     * lives in KeyVault
      */
     save(config) {
+        this.cache = null;
         try {
-            localStorage.setItem(this.storageKey, JSON.stringify(config));
+            const stored = { ...config, version: this.version };
+            if (stored.apiKeyStorage && stored.apiKeyStorage !== 'plain') {
+                stored.apiKey = '';
+            }
+            localStorage.setItem(this.storageKey, JSON.stringify(stored));
             return true;
         } catch (error) {
             console.error('Error saving config:', error);
@@ -74,6 +455,7 @@ const Config = {
      * Reset to defaults
      */
     reset() {
+        this.cache = null;
         try {
             localStorage.removeItem(this.storageKey);
             return true;
@@ -83,11 +465,210 @@ const Config = {
         }
     },
 
+    /**
+     * Saved profiles
+     * @returns {Object} - Profile name -> settings
+     */
+    loadProfiles() {
+        try {
+            const stored = localStorage.getItem(this.profilesKey);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error('Error loading profiles:', error);
+            return {};
+        }
+    },
+
+    /**
+     * Replace all saved profiles
+     */
+    saveProfiles(profiles) {
+        try {
+            localStorage.setItem(this.profilesKey, JSON.stringify(profiles));
+            return true;
+        } catch (error) {
+            console.error('Error saving profiles:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Names of all profiles, built-in ones first
+     * @returns {Array} - Array of { name, builtIn }
+     */
+    getProfiles() {
+        return [
+            ...Object.keys(this.builtInProfiles).map(name => ({ name, builtIn: true })),
+            ...Object.keys(this.loadProfiles()).sort().map(name => ({ name, builtIn: false }))
+        ];
+    },
+
+    /**
+     * Save settings as a named profile
+     * The API key and the active profile are left out, so profiles can be shared
+     * @throws {Error} - If the name is empty or taken by a built-in profile
+     */
+    saveProfile(name, config) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            throw new Error('Please enter a profile name.');
+        }
+        if (this.builtInProfiles[trimmed]) {
+            throw new Error(`"${trimmed}" is a built-in profile. Please choose another name.`);
+        }
+
+        const { profile, version, ...settings } = this.withoutDeviceSettings(config);
+        const profiles = this.loadProfiles();
+        profiles[trimmed] = settings;
+        this.saveProfiles(profiles);
+        return trimmed;
+    },
+
+    /**
+     * Delete a saved profile
+     */
+    deleteProfile(name) {
+        const profiles = this.loadProfiles();
+        delete profiles[name];
+        return this.saveProfiles(profiles);
+    },
+
+    /**
+     * Apply a profile over the current settings and save them
+     * Settings of this browser such as the API key are kept, and the profile's pairs and exchanges are added to the
+     * lists in settings so they can be toggled afterwards
+     * @returns {Object} - New configuration
+     * @throws {Error} - If there is no such profile
+     */
+    applyProfile(name) {
+        const settings = this.builtInProfiles[name] || this.loadProfiles()[name];
+        if (!settings) {
+            throw new Error(`Unknown profile "${name}".`);
+        }
+
+        const current = this.load();
+        const config = this.resolve({
+            ...current,
+            ...this.withoutDeviceSettings(settings),
+            profile: name
+        });
+        config.pairList = [...new Set([...current.pairList, ...config.pairList, ...config.pairs])];
+        config.exchangeList = [...new Set([...current.exchangeList, ...config.exchangeList, ...config.exchanges])];
+
+        if (!this.save(config)) {
+            throw new Error('Failed to save settings.');
+        }
+        return config;
+    },
+
+    /**
+     * Settings file for sharing a setup: the settings and saved profiles
+     * @param {Boolean} includeApiKey - Put the API key in the file, in plain text
+     * @returns {String} - JSON file contents
+     */
+    exportSettings(includeApiKey = false) {
+        const settings = this.withoutDeviceSettings(this.load());
+        const file = {
+            app: 'discopic',
+            version: this.version,
+            exportedAt: new Date().toISOString(),
+            settings: includeApiKey ? { apiKey: this.getApiKey(), ...settings } : settings,
+            profiles: this.loadProfiles()
+        };
+        return JSON.stringify(file, null, 2) + '\n';
+    },
+
+    /**
+     * Parse a settings file
+     * Accepts a file from exportSettings or a plain settings object, as the CLI's
+     * --config file is. Settings are migrated from the version they were saved by
+     * @param {String} text - File contents
+     * @returns {Object} - { settings, profiles }, settings holding only the keys in the file
+     * @throws {Error} - If the file isn't valid JSON or holds invalid settings
+     */
+    parseImport(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Expected a settings object.');
+        }
+
+        // Exported files keep the schema version next to the settings
+        const wrapped = data.app === 'discopic' && data.settings && typeof data.settings === 'object';
+        const { version, ...settings } = this.migrate(wrapped ? { version: data.version, ...data.settings } : data);
+        const errors = this.validate(settings).map(error => error.message);
+
+        const profiles = {};
+        if (wrapped && data.profiles && typeof data.profiles === 'object') {
+            for (const [name, profile] of Object.entries(data.profiles)) {
+                const { version: profileVersion, ...migrated } = this.migrate({ version: data.version, ...profile });
+                errors.push(...this.validate(migrated).map(error => `profile "${name}" ${error.message}`));
+                profiles[name] = migrated;
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid settings: ${errors.join('; ')}`);
+        }
+        return { settings, profiles };
+    },
+
+    /**
+     * Replace the settings with imported ones and add the imported profiles
+     * Settings missing from the file take their defaults. Settings of this browser
+     * are kept, except the API key when the file has one
+     * @param {Object} imported - { settings, profiles } from parseImport
+     * @returns {Object} - New configuration; its apiKey is the one in use, even
+     *                     when it isn't stored in plain text
+     */
+    importSettings({ settings, profiles }) {
+        const current = this.load();
+        const config = this.resolve({
+            ...this.withoutDeviceSettings(settings),
+            apiKeyStorage: current.apiKeyStorage,
+            apiKeyLockMinutes: current.apiKeyLockMinutes,
+            demoMode: current.demoMode,
+            demoScenario: current.demoScenario,
+            apiKey: settings.apiKey || this.getApiKey() || '',
+            version: this.version
+        });
+        if (!this.save(config)) {
+            throw new Error('Failed to save settings.');
+        }
+
+        const saved = this.loadProfiles();
+        for (const [name, profile] of Object.entries(profiles)) {
+            if (!this.builtInProfiles[name]) saved[name] = profile;
+        }
+        this.saveProfiles(saved);
+        return config;
+    },
+
+    /**
+     * Settings without those that belong to this browser (deviceKeys)
+     */
+    withoutDeviceSettings(config) {
+        const settings = { ...config };
+        for (const key of this.deviceKeys) {
+            delete settings[key];
+        }
+        return settings;
+    },
+
     /**
      * Get API key
+     * An encrypted or session-only key is only available while KeyVault is unlocked
      */
     getApiKey() {
-        return this.get('apiKey');
+        const config = this.load();
+        if (config.apiKeyStorage !== 'plain') {
+            return KeyVault.key || '';
+        }
+        return config.apiKey;
     },
 
     /**
@@ -99,11 +680,10 @@ const Config = {
     },
 
     /**
-     * Get fee for specific exchange
+     * Get the fee for an exchange at the user's tier (see Fees.getRate)
      */
-    getFee(exchangeId) {
-        const fees = this.get('fees');
-        return fees[exchangeId] || 0.1; // Default to 0.1% if not found
+    getFee(exchangeId, orderType = 'taker') {
+        return Fees.getRate(this.load(), exchangeId, orderType).fee;
     },
 
     /**
@@ -0,0 +1,260 @@
+/**
+ * Data Export
+ * Turns opportunities, quotes and recorded history into CSV or JSON files
+ * for spreadsheets and notebooks
+ */
+
+const DataExport = {
+    formats: ['csv', 'json'],
+
+    // Columns per dataset, in order. Each is [name, kind], where kind picks
+    // the rounding applied outside full-precision mode
+    columns: {
+        opportunities: [
+            ['timestamp', 'text'], ['type', 'text'], ['pair', 'text'], ['route', 'text'],
+            ['buyExchange', 'text'], ['sellExchange', 'text'], ['buyPrice', 'price'], ['sellPrice', 'price'],
+            ['spread', 'percent'], ['grossProfit', 'percent'], ['buyFee', 'percent'], ['sellFee', 'percent'],
+            ['totalFee', 'percent'], ['netProfit', 'percent'], ['realizableProfit', 'percent'],
+            ['realizableProfitAmount', 'amount'], ['volume', 'volume'], ['slippage', 'percent'],
+            ['cycles', 'text'], ['lifetime', 'text'], ['peakNetProfit', 'percent'], ['sellPair', 'text'],
+            ['fxRate', 'price'], ['fxCost', 'percent'], ['fxRisk', 'percent'], ['funded', 'text']
+        ],
+        // Top of book, in the columns Backtest.parseImport reads back
+        quotes: [
+            ['timestamp', 'text'], ['exchange', 'text'], ['provider', 'text'], ['pair', 'text'],
+            ['bid', 'price'], ['bid_size', 'volume'], ['ask', 'price'], ['ask_size', 'volume'],
+            ['spread', 'percent'], ['levels', 'text']
+        ],
+        history: [
+            ['timestamp', 'text'], ['route', 'text'], ['type', 'text'], ['pair', 'text'],
+            ['buyExchange', 'text'], ['sellExchange', 'text'], ['buyPrice', 'price'], ['sellPrice', 'price'],
+            ['spread', 'percent'], ['grossProfit', 'percent'], ['totalFee', 'percent'], ['netProfit', 'percent'],
+            ['realizableProfit', 'percent'], ['volume', 'volume'], ['slippage', 'percent'], ['sellPair', 'text'],
+            ['fxRate', 'price'], ['fxCost', 'percent'], ['fxRisk', 'percent']
+        ]
+    },
+
+    /**
+     * Round a value as the dashboard shows it, without thousands separators
+     * so spreadsheets read it as a number
+     */
+    round(value, kind) {
+        if (typeof value !== 'number' || !isFinite(value)) {
+            return value;
+        }
+
+        switch (kind) {
+            case 'price': {
+                const abs = Math.abs(value);
+                return Number(value.toFixed(abs >= 1000 ? 2 : abs >= 1 ? 4 : 8));
+            }
+            case 'volume':
+                return Number(value.toFixed(Math.abs(value) >= 1 ? 4 : 8));
+            case 'percent':
+            case 'amount':
+                return Number(value.toFixed(2));
+            default:
+                return value;
+        }
+    },
+
+    /**
+     * Flatten opportunities into export records
+     * @param {Array} opportunities - Opportunities as shown in the table
+     * @returns {Array} - One record per opportunity, keyed by the opportunities columns
+     */
+    opportunityRecords(opportunities) {
+        return opportunities.map(opp => ({
+            ...opp,
+            timestamp: this.isoTime(opp.timestamp),
+            route: Tracker.key(opp),
+            fxRate: opp.fx ? opp.fx.rate : null,
+            funded: opp.funding ? opp.funding.funded : null
+        }));
+    },
+
+    /**
+     * Flatten quotes into top-of-book records; JSON keeps the full depth
+     * @param {Array} quotes - Quotes, as built by CoinAPI.buildQuote
+     */
+    quoteRecords(quotes, timestamp = Date.now()) {
+        return quotes.map(quote => ({
+            timestamp: this.isoTime(quote.timestamp || timestamp),
+            exchange: quote.exchange,
+            provider: quote.provider || null,
+            pair: quote.pair,
+            bid: quote.bid,
+            bid_size: quote.bidVolume,
+            ask: quote.ask,
+            ask_size: quote.askVolume,
+            spread: quote.bid > 0 ? ((quote.ask - quote.bid) / quote.bid) * 100 : null,
+            levels: Math.max((quote.asks || []).length, (quote.bids || []).length),
+            asks: quote.asks || [],
+            bids: quote.bids || []
+        }));
+    },
+
+    /**
+     * Quotes the opportunities were calculated from: both legs of each
+     * cross-exchange route and every leg of each cycle
+     */
+    quotesFor(opportunities, quotes) {
+        const used = new Set();
+        for (const opp of opportunities) {
+            if (opp.type === 'triangular') {
+                opp.pairs.forEach(pair => used.add(`${opp.exchange}|${pair}`));
+            } else {
+                used.add(`${opp.buyExchange}|${opp.pair}`);
+                used.add(`${opp.sellExchange}|${opp.sellPair || opp.pair}`);
+            }
+        }
+        return quotes.filter(quote => used.has(`${quote.exchange}|${quote.pair}`));
+    },
+
+    /**
+     * Flatten recorded snapshots into quote records, oldest first
+     */
+    snapshotRecords(snapshots) {
+        return snapshots.flatMap(snapshot => this.quoteRecords(snapshot.quotes, snapshot.timestamp)
+            .map(record => ({ ...record, timestamp: this.isoTime(snapshot.timestamp) })));
+    },
+
+    /**
+     * Recorded opportunities with readable timestamps
+     */
+    historyRecords(records) {
+        return records.map(({ id, ...record }) => ({ ...record, timestamp: this.isoTime(record.timestamp) }));
+    },
+
+    /**
+     * Serialize records to CSV or JSON
+     * @param {String} dataset - Key of columns: 'opportunities', 'quotes' or 'history'
+     * @param {Array} records - Records from one of the record builders
+     * @param {String} format - 'csv' or 'json'
+     * @param {Boolean} precise - Keep full precision instead of display rounding
+     * @returns {String} - File contents
+     */
+    serialize(dataset, records, format, precise = false) {
+        if (!this.formats.includes(format)) {
+            throw new Error(`Unknown export format "${format}".`);
+        }
+
+        const columns = this.columns[dataset];
+        const value = (record, [name, kind]) => (precise ? record[name] : this.round(record[name], kind));
+
+        if (format === 'json') {
+            // Every field, with the listed columns rounded unless precise
+            const rows = records.map(record => ({
+                ...record,
+                ...Object.fromEntries(columns.map(column => [column[0], value(record, column) ?? null]))
+            }));
+            return JSON.stringify(rows, null, 2) + '\n';
+        }
+
+        return this.csvRow(columns.map(([name]) => name))
+            + records.map(record => this.csvRow(columns.map(column => value(record, column)))).join('');
+    },
+
+    /**
+     * Format one CSV row, quoting fields that need it
+     */
+    csvRow(values) {
+        return values.map(value => {
+            const text = value == null ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(',') + '\n';
+    },
+
+    /**
+     * Split CSV text into rows of cells, the reverse of csvRow
+     * Quoted fields may hold commas, doubled quotes and line breaks; blank
+     * lines and a leading byte order mark are skipped
+     * @param {String} text - File contents
+     * @returns {Array} - Array of rows, each an array of trimmed cells
+     */
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        const endRow = () => {
+            row.push(cell.trim());
+            if (row.length > 1 || row[0] !== '') {
+                rows.push(row);
+            }
+            row = [];
+            cell = '';
+        };
+
+        const input = text.replace(/^\uFEFF/, '');
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            if (quoted) {
+                if (char === '"' && input[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell.trim());
+                cell = '';
+            } else if (char === '\n') {
+                endRow();
+            } else if (char !== '\r') {
+                cell += char;
+            }
+        }
+        endRow();
+
+        return rows;
+    },
+
+    /**
+     * ISO 8601 time from ms or an ISO string
+     */
+    isoTime(timestamp) {
+        if (timestamp == null) {
+            return null;
+        }
+        return new Date(timestamp).toISOString();
+    },
+
+    /**
+     * File name like discopic-opportunities-2024-01-31T12-00-00.csv
+     */
+    fileName(dataset, format, now = Date.now()) {
+        const stamp = new Date(now).toISOString().slice(0, 19).replace(/:/g, '-');
+        return `discopic-${dataset}-${stamp}.${format}`;
+    },
+
+    /**
+     * Save contents as a file download
+     * CSV starts with a byte order mark so Excel reads it as UTF-8
+     */
+    download(contents, fileName, format) {
+        const type = format === 'json' ? 'application/json' : 'text/csv;charset=utf-8';
+        const blob = new Blob([format === 'csv' ? '\uFEFF' + contents : contents], { type });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Revoke after the click has been handled
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataExport;
+}
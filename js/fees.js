@@ -0,0 +1,121 @@
+/**
+ * Fee Schedules
+ * Resolves the trading fee of each leg from the exchange's maker/taker tiers,
+ * the user's 30-day volume, fee-token discounts and the leg's order type
+ */
+
+const Fees = {
+    // Fee (%) for exchanges without a schedule
+    defaultFee: 0.1,
+
+    // Order type of a leg; it picks the fee rate only, legs are priced as taker fills either way
+    orderTypes: ['taker', 'maker'],
+
+    /**
+     * Normalize a configured schedule
+     * A plain number is a flat fee for both order types
+     * @param {Object|Number} schedule - { tiers: [{ volume, maker, taker }], discount: { token, percent } }
+     * @returns {Object|null} - Schedule with tiers sorted by volume, or null if there is none
+     */
+    getSchedule(schedule) {
+        if (typeof schedule === 'number') {
+            return { tiers: [{ volume: 0, maker: schedule, taker: schedule }], discount: null };
+        }
+        if (!schedule || !Array.isArray(schedule.tiers) || schedule.tiers.length === 0) {
+            return null;
+        }
+        return {
+            tiers: [...schedule.tiers].sort((a, b) => a.volume - b.volume),
+            discount: schedule.discount || null
+        };
+    },
+
+    /**
+     * Tier reached with a 30-day trading volume: the highest whose threshold it meets
+     * @returns {Number} - Index into schedule.tiers
+     */
+    getTierIndex(schedule, volume = 0) {
+        let index = 0;
+        schedule.tiers.forEach((tier, i) => {
+            if (volume >= tier.volume) index = i;
+        });
+        return index;
+    },
+
+    /**
+     * Fee an exchange charges for one order type at the user's tier
+     * @param {Object} config - Configuration with fees, feeVolumes and feeDiscounts
+     * @param {String} exchangeId - Exchange ID
+     * @param {String} orderType - 'taker' or 'maker'
+     * @returns {Object} - { fee, orderType, tier, token }, where tier is the tier's volume
+     *                     threshold and token the discount token the fee is paid in, or null
+     */
+    getRate(config, exchangeId, orderType = 'taker') {
+        const schedule = this.getSchedule((config.fees || {})[exchangeId]);
+        if (!schedule) {
+            return { fee: this.defaultFee, orderType, tier: 0, token: null };
+        }
+
+        const volume = (config.feeVolumes || {})[exchangeId] || 0;
+        const tier = schedule.tiers[this.getTierIndex(schedule, volume)];
+        let fee = tier[orderType] ?? tier.taker;
+        let token = null;
+
+        // Discounts reduce what is paid; maker rebates (negative fees) stay as they are
+        if (schedule.discount && (config.feeDiscounts || {})[exchangeId] && fee > 0) {
+            fee *= 1 - schedule.discount.percent / 100;
+            token = schedule.discount.token;
+        }
+
+        return { fee, orderType, tier: tier.volume, token };
+    },
+
+    /**
+     * Effective fees per exchange for the configured buy and sell order types,
+     * in the form Arbitrage, Triangular and Backtest take
+     * @param {Object} config - Configuration
+     * @returns {Object} - Exchange ID -> { buy, sell, buyToken, sellToken }, fees in percent
+     */
+    resolve(config) {
+        const fees = {};
+        const exchanges = new Set([...(config.exchanges || []), ...Object.keys(config.fees || {})]);
+
+        for (const exchangeId of exchanges) {
+            const buy = this.getRate(config, exchangeId, config.buyOrderType);
+            const sell = this.getRate(config, exchangeId, config.sellOrderType);
+            fees[exchangeId] = { buy: buy.fee, sell: sell.fee, buyToken: buy.token, sellToken: sell.token };
+        }
+
+        return fees;
+    },
+
+    /**
+     * Fee for one side of a trade
+     * @param {Object} fees - Exchange ID -> flat percentage, or { buy, sell } from resolve
+     * @param {String} exchangeId - Exchange ID
+     * @param {String} side - 'buy' or 'sell'
+     */
+    forSide(fees, exchangeId, side) {
+        const fee = fees[exchangeId];
+        if (typeof fee === 'number') {
+            return fee;
+        }
+        if (fee && typeof fee[side] === 'number') {
+            return fee[side];
+        }
+        return this.defaultFee;
+    },
+
+    /**
+     * Discount token one side's fee is paid in, or null if it comes out of the trade
+     */
+    tokenForSide(fees, exchangeId, side) {
+        const fee = fees[exchangeId];
+        return (fee && fee[`${side}Token`]) || null;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Fees;
+}
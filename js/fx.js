@@ -0,0 +1,202 @@
+/**
+ * FX Normalisation
+ * Values quote currencies in a common reference currency so the same asset
+ * can be compared across BTC/USD, BTC/USDT, BTC/EUR and so on
+ */
+
+const FX = {
+    // Currency every rate is expressed in
+    reference: 'USD',
+
+    // Stablecoins and what they track, used when no live rate is available
+    pegs: {
+        USDT: 'USD',
+        USDC: 'USD',
+        DAI: 'USD',
+        BUSD: 'USD',
+        TUSD: 'USD',
+        FDUSD: 'USD',
+        EURT: 'EUR'
+    },
+
+    // Extra risk (%) when a rate is assumed from a peg rather than observed
+    pegRisk: 0.25,
+
+    // How long a rate fetched from CoinAPI is used, in ms
+    rateMaxAge: 5 * 60 * 1000,
+
+    // Rates fetched from CoinAPI: currency -> { rate, fetchedAt }
+    apiRates: new Map(),
+    pending: null,
+
+    // Rate sources from most to least reliable
+    sources: ['reference', 'quotes', 'api', 'peg'],
+
+    /**
+     * FX settings from config, or null if cross-quote comparison is off
+     * @returns {Object|null} - { currencies, conversionFee, riskBuffer }
+     */
+    getSettings(config) {
+        if (!config.fxEnabled) {
+            return null;
+        }
+        return {
+            currencies: config.fxCurrencies,
+            conversionFee: config.fxConversionFee,
+            riskBuffer: config.fxRiskBuffer
+        };
+    },
+
+    /**
+     * Value each currency in the reference currency
+     * Rates come from monitored pairs between the currencies (e.g. USDT/USD,
+     * EUR/USDT), then CoinAPI rates, then stablecoin pegs
+     * @param {Array} quotes - Quotes, as built by CoinAPI.buildQuote
+     * @param {Array} currencies - Currencies that may be converted between
+     * @param {Map} fetched - Rates from CoinAPI, currency -> { rate }
+     * @returns {Object} - Object mapping currency to { rate, spread, source }, where
+     *                     spread is the cost of converting to or from the reference in percent
+     */
+    getRates(quotes, currencies, fetched = this.apiRates) {
+        const rates = { [this.reference]: { rate: 1, spread: 0, source: 'reference' } };
+        const allowed = new Set([...currencies, this.reference]);
+
+        // Tightest quote per pair between allowed currencies
+        const books = new Map();
+        for (const quote of quotes) {
+            const [base, quoteCurrency] = quote.pair.split('/');
+            if (!allowed.has(base) || !allowed.has(quoteCurrency) || !(quote.bid > 0 && quote.ask > 0)) continue;
+
+            const mid = (quote.bid + quote.ask) / 2;
+            const spread = ((quote.ask - quote.bid) / mid / 2) * 100; // Half spread: one crossing
+            const existing = books.get(quote.pair);
+            if (!existing || spread < existing.spread) {
+                books.set(quote.pair, { base, quote: quoteCurrency, mid, spread });
+            }
+        }
+
+        // Chain through the books outward from the reference, fewest hops first
+        let frontier = [this.reference];
+        while (frontier.length > 0) {
+            const next = [];
+            for (const book of books.values()) {
+                for (const known of frontier) {
+                    if (book.quote === known && !rates[book.base]) {
+                        rates[book.base] = {
+                            rate: book.mid * rates[known].rate,
+                            spread: rates[known].spread + book.spread,
+                            source: 'quotes'
+                        };
+                        next.push(book.base);
+                    } else if (book.base === known && !rates[book.quote]) {
+                        rates[book.quote] = {
+                            rate: rates[known].rate / book.mid,
+                            spread: rates[known].spread + book.spread,
+                            source: 'quotes'
+                        };
+                        next.push(book.quote);
+                    }
+                }
+            }
+            frontier = next;
+        }
+
+        for (const currency of currencies) {
+            if (rates[currency]) continue;
+
+            if (fetched.has(currency)) {
+                rates[currency] = { rate: fetched.get(currency).rate, spread: 0, source: 'api' };
+            }
+        }
+
+        for (const currency of currencies) {
+            const peg = this.pegs[currency];
+            if (!rates[currency] && peg && rates[peg] && rates[peg].source !== 'peg') {
+                rates[currency] = { rate: rates[peg].rate, spread: rates[peg].spread, source: 'peg' };
+            }
+        }
+
+        return rates;
+    },
+
+    /**
+     * Cost of converting one currency into another
+     * @param {String} from - Currency held after the trade
+     * @param {String} to - Currency to convert back into
+     * @param {Object} rates - Rates from getRates
+     * @param {Object} settings - { conversionFee, riskBuffer }
+     * @returns {Object|null} - { from, to, rate, cost, risk, source }, or null if either rate is unknown.
+     *                          rate is units of `to` per unit of `from`; cost and risk are percentages
+     */
+    getConversion(from, to, rates, settings) {
+        const fromRate = rates[from];
+        const toRate = rates[to];
+        if (!fromRate || !toRate) {
+            return null;
+        }
+
+        const pegged = fromRate.source === 'peg' || toRate.source === 'peg';
+        const source = this.sources[Math.max(this.sources.indexOf(fromRate.source), this.sources.indexOf(toRate.source))];
+
+        return {
+            from,
+            to,
+            rate: fromRate.rate / toRate.rate,
+            cost: settings.conversionFee + fromRate.spread + toRate.spread,
+            risk: settings.riskBuffer + (pegged ? this.pegRisk : 0),
+            source
+        };
+    },
+
+    /**
+     * Fetch rates CoinAPI has for currencies the quotes can't price
+     * Rates are kept for rateMaxAge, so this can be called every cycle
+     * @param {Array} currencies - Currencies to price
+     * @param {String} apiKey - CoinAPI key; nothing is fetched without one
+     */
+    async fetchRates(currencies, apiKey) {
+        if (!apiKey || this.pending) {
+            return this.pending;
+        }
+
+        const now = Date.now();
+        const stale = currencies.filter(currency => {
+            const fetched = this.apiRates.get(currency);
+            return currency !== this.reference && (!fetched || now - fetched.fetchedAt > this.rateMaxAge);
+        });
+        if (stale.length === 0) {
+            return null;
+        }
+
+        this.pending = Promise.all(stale.map(async (currency) => {
+            try {
+                const data = await CoinAPI.request(`/exchangerate/${currency}/${this.reference}`, apiKey);
+                if (data && data.rate > 0) {
+                    this.apiRates.set(currency, { rate: data.rate, fetchedAt: now });
+                }
+            } catch (error) {
+                console.error(`Error fetching ${currency}/${this.reference} rate:`, error);
+            }
+        })).finally(() => {
+            this.pending = null;
+        });
+
+        return this.pending;
+    },
+
+    /**
+     * Quote currencies of the pairs that no monitored pair can price,
+     * and so need a CoinAPI rate
+     */
+    getUnpriced(pairs, quotes, settings) {
+        const currencies = [...new Set(pairs.map(pair => pair.split('/')[1]))]
+            .filter(currency => settings.currencies.includes(currency));
+        const rates = this.getRates(quotes, settings.currencies, new Map());
+        return currencies.filter(currency => !rates[currency] || rates[currency].source === 'peg');
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FX;
+}
@@ -0,0 +1,271 @@
+/**
+ * Opportunity History
+ * Records quote snapshots and detected opportunities in IndexedDB
+ */
+
+const HistoryStore = {
+    dbName: 'discopic',
+    dbVersion: 1,
+
+    // Open database connection, created lazily
+    db: null,
+
+    /**
+     * Open the database, creating stores on first use
+     */
+    open() {
+        if (this.db) {
+            return Promise.resolve(this.db);
+        }
+
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available in this browser.'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                const snapshots = db.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true });
+                snapshots.createIndex('timestamp', 'timestamp');
+
+                const opportunities = db.createObjectStore('opportunities', { keyPath: 'id', autoIncrement: true });
+                opportunities.createIndex('timestamp', 'timestamp');
+                opportunities.createIndex('route', 'route');
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Wrap an IndexedDB transaction in a promise
+     */
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const result = work(tx);
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    /**
+     * Record one quote snapshot and the opportunities detected from it
+     * @param {Array} quotes - Quotes the opportunities were calculated from
+     * @param {Array} opportunities - Detected opportunities
+     * @param {Number} timestamp - Snapshot time in ms
+     */
+    record(quotes, opportunities, timestamp = Date.now()) {
+        return this.transaction(['snapshots', 'opportunities'], 'readwrite', tx => {
+            tx.objectStore('snapshots').add({
+                timestamp,
+                quotes: quotes.map(quote => ({
+                    exchange: quote.exchange,
+                    pair: quote.pair,
+                    ask: quote.ask,
+                    bid: quote.bid,
+                    askVolume: quote.askVolume,
+                    bidVolume: quote.bidVolume,
+                    asks: quote.asks,
+                    bids: quote.bids
+                }))
+            });
+
+            const store = tx.objectStore('opportunities');
+            for (const opp of opportunities) {
+                store.add({
+                    timestamp,
+                    route: Tracker.key(opp),
+                    type: opp.type,
+                    pair: opp.pair,
+                    buyExchange: opp.buyExchange,
+                    sellExchange: opp.sellExchange,
+                    sellPair: opp.sellPair || null,
+                    buyPrice: opp.buyPrice,
+                    sellPrice: opp.sellPrice,
+                    spread: opp.spread,
+                    grossProfit: opp.grossProfit,
+                    totalFee: opp.totalFee,
+                    fxRate: opp.fx ? opp.fx.rate : null,
+                    fxCost: opp.fxCost || 0,
+                    fxRisk: opp.fxRisk || 0,
+                    netProfit: opp.netProfit,
+                    realizableProfit: opp.realizableProfit,
+                    volume: opp.volume,
+                    slippage: opp.slippage
+                });
+            }
+        });
+    },
+
+    /**
+     * Delete records older than the retention period
+     * @param {Number} retentionDays - Days of history to keep
+     */
+    prune(retentionDays) {
+        const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+
+        return this.transaction(['snapshots', 'opportunities'], 'readwrite', tx => {
+            for (const storeName of ['snapshots', 'opportunities']) {
+                const range = IDBKeyRange.upperBound(cutoff, true);
+                tx.objectStore(storeName).index('timestamp').openCursor(range).onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (cursor) {
+                        cursor.delete();
+                        cursor.continue();
+                    }
+                };
+            }
+        });
+    },
+
+    /**
+     * Read all records from a store within a time range, oldest first
+     */
+    getRange(storeName, from = 0, to = Date.now()) {
+        const records = [];
+
+        return this.transaction([storeName], 'readonly', tx => {
+            const range = IDBKeyRange.bound(from, to);
+            tx.objectStore(storeName).index('timestamp').openCursor(range).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    records.push(cursor.value);
+                    cursor.continue();
+                }
+            };
+            return records;
+        });
+    },
+
+    /**
+     * Get quote snapshots within a time range
+     */
+    getSnapshots(from, to) {
+        return this.getRange('snapshots', from, to);
+    },
+
+    /**
+     * Get recorded opportunities within a time range
+     */
+    getOpportunities(from, to) {
+        return this.getRange('opportunities', from, to);
+    },
+
+    /**
+     * Delete all recorded history
+     */
+    clear() {
+        return this.transaction(['snapshots', 'opportunities'], 'readwrite', tx => {
+            tx.objectStore('snapshots').clear();
+            tx.objectStore('opportunities').clear();
+        });
+    },
+
+    /**
+     * Build spread and net profit series from snapshots
+     * Without exchanges, each point is the best route for the pair at that time
+     * Cross-quote routes convert the sell side at each snapshot's own rates,
+     * as Backtest does, and take the FX charge off net profit
+     * @param {Array} snapshots - Recorded snapshots, oldest first
+     * @param {String} pair - Trading pair bought
+     * @param {Object} fees - Exchange ID -> fee percentage, or { buy, sell } (see Fees.resolve)
+     * @param {String} buyExchange - Optional buy exchange for a single route
+     * @param {String} sellExchange - Optional sell exchange for a single route
+     * @param {String} sellPair - Pair sold, if it differs from the pair bought
+     * @param {Object} fx - FX.getSettings(), needed when sellPair differs
+     * @returns {Array} - Array of { timestamp, spread, netProfit } with percentages
+     */
+    buildSeries(snapshots, pair, fees, buyExchange = null, sellExchange = null, sellPair = pair, fx = null) {
+        const series = [];
+        const crossQuote = sellPair !== pair;
+        if (crossQuote && !fx) {
+            return series;
+        }
+
+        for (const snapshot of snapshots) {
+            const buyQuotes = snapshot.quotes.filter(quote => quote.pair === pair);
+            const sellQuotes = snapshot.quotes.filter(quote => quote.pair === sellPair);
+            const conversion = crossQuote
+                ? FX.getConversion(sellPair.split('/')[1], pair.split('/')[1],
+                    FX.getRates(snapshot.quotes, fx.currencies, new Map()), fx)
+                : null;
+            if (crossQuote && !conversion) continue;
+
+            const rate = conversion ? conversion.rate : 1;
+            const fxCharge = conversion ? conversion.cost + conversion.risk : 0;
+            let best = null;
+
+            for (const buy of buyQuotes) {
+                if (buyExchange && buy.exchange !== buyExchange) continue;
+
+                for (const sell of sellQuotes) {
+                    if (sell.exchange === buy.exchange || (sellExchange && sell.exchange !== sellExchange)) continue;
+
+                    const spread = ((sell.bid * rate - buy.ask) / buy.ask) * 100;
+                    const netProfit = spread - fxCharge
+                        - (Fees.forSide(fees, buy.exchange, 'buy') + Fees.forSide(fees, sell.exchange, 'sell'));
+
+                    if (!best || netProfit > best.netProfit) {
+                        best = { timestamp: snapshot.timestamp, spread, netProfit };
+                    }
+                }
+            }
+
+            if (best) {
+                series.push(best);
+            }
+        }
+
+        return series;
+    },
+
+    /**
+     * Split a series into episodes where net profit stayed at or above the threshold
+     * Tells a recurring pattern apart from a one-off glitch
+     * @returns {Object} - { episodes, medianDuration, maxNetProfit, timeAbove }
+     */
+    summarizeEpisodes(series, threshold) {
+        const episodes = [];
+        let current = null;
+
+        for (const point of series) {
+            if (point.netProfit >= threshold) {
+                if (!current) {
+                    current = { start: point.timestamp, end: point.timestamp, peak: point.netProfit };
+                    episodes.push(current);
+                }
+                current.end = point.timestamp;
+                current.peak = Math.max(current.peak, point.netProfit);
+            } else {
+                current = null;
+            }
+        }
+
+        const durations = episodes.map(episode => episode.end - episode.start).sort((a, b) => a - b);
+        const above = series.filter(point => point.netProfit >= threshold).length;
+
+        return {
+            episodes: episodes.length,
+            medianDuration: durations.length > 0 ? durations[Math.floor(durations.length / 2)] : 0,
+            maxNetProfit: series.length > 0 ? Math.max(...series.map(point => point.netProfit)) : 0,
+            timeAbove: series.length > 0 ? (above / series.length) * 100 : 0
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistoryStore;
+}
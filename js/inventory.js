@@ -0,0 +1,249 @@
+/**
+ * Inventory
+ * Balances actually held on each exchange, entered by hand or imported, used to
+ * size opportunities to what can be funded and to suggest rebalancing transfers
+ */
+
+const Inventory = {
+    storageKey: 'discopic_inventory',
+
+    // Balances per exchange, loaded lazily: exchange -> asset -> amount
+    balances: null,
+
+    // Column names accepted for the amount in imports
+    amountColumns: ['amount', 'balance', 'free', 'available', 'total'],
+
+    /**
+     * Load balances from localStorage
+     * @returns {Object} - Exchange ID -> { asset: amount }
+     */
+    load() {
+        if (this.balances) {
+            return this.balances;
+        }
+
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            this.balances = stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error('Error loading inventory:', error);
+            this.balances = {};
+        }
+        return this.balances;
+    },
+
+    /**
+     * Replace all balances and save them
+     */
+    save(balances) {
+        this.balances = balances;
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(balances));
+        } catch (error) {
+            console.error('Error saving inventory:', error);
+        }
+    },
+
+    /**
+     * Set one balance; null removes it
+     */
+    set(exchange, asset, amount) {
+        const balances = this.load();
+        balances[exchange] = balances[exchange] || {};
+
+        if (amount == null) {
+            delete balances[exchange][asset];
+            if (Object.keys(balances[exchange]).length === 0) delete balances[exchange];
+        } else {
+            balances[exchange][asset] = amount;
+        }
+        this.save(balances);
+    },
+
+    /**
+     * Remove all balances
+     */
+    clear() {
+        this.save({});
+    },
+
+    /**
+     * Check if any balance has been entered
+     */
+    hasBalances(balances = this.load()) {
+        return Object.values(balances).some(assets => Object.keys(assets).length > 0);
+    },
+
+    /**
+     * Balance of one asset on one exchange (0 if none is held)
+     */
+    getBalance(balances, exchange, asset) {
+        return (balances[exchange] || {})[asset] || 0;
+    },
+
+    /**
+     * Parse a balance export
+     * Accepts JSON as { EXCHANGE: { ASSET: amount } } or a list of
+     * { exchange, asset, amount } records, and CSV with either exchange, asset
+     * and amount columns or one column per asset
+     * @param {String} text - File contents
+     * @returns {Object} - Exchange ID -> { asset: amount }
+     */
+    parseImport(text) {
+        const trimmed = text.trim();
+        if (!trimmed) {
+            throw new Error('The file is empty.');
+        }
+
+        let records;
+        if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+            let data;
+            try {
+                data = JSON.parse(trimmed);
+            } catch (error) {
+                throw new Error(`Invalid JSON: ${error.message}`);
+            }
+            records = Array.isArray(data) ? data : this.fromNested(data);
+        } else {
+            records = this.parseCsv(trimmed);
+        }
+
+        const balances = {};
+        for (const record of records) {
+            const exchange = String(record.exchange || '').trim().toUpperCase();
+            const asset = String(record.asset || record.currency || '').trim().toUpperCase();
+            const column = this.amountColumns.find(name => record[name] !== undefined && record[name] !== '');
+            const amount = column ? this.parseAmount(record[column]) : NaN;
+
+            if (!exchange || !asset) continue;
+            if (isNaN(amount) || amount < 0) {
+                throw new Error(`Invalid amount for ${asset} on ${exchange}.`);
+            }
+
+            balances[exchange] = balances[exchange] || {};
+            balances[exchange][asset] = (balances[exchange][asset] || 0) + amount;
+        }
+
+        if (!this.hasBalances(balances)) {
+            throw new Error('No balances found. Expected exchange, asset and amount for each balance.');
+        }
+        return balances;
+    },
+
+    /**
+     * Read an amount, allowing thousands separators as in "1,000.5"
+     */
+    parseAmount(value) {
+        const text = String(value).trim();
+        return Number(/^\d{1,3}(,\d{3})+(\.\d+)?$/.test(text) ? text.replace(/,/g, '') : text);
+    },
+
+    /**
+     * Flatten { EXCHANGE: { ASSET: amount } } into records
+     */
+    fromNested(data) {
+        const records = [];
+        for (const [exchange, assets] of Object.entries(data)) {
+            if (!assets || typeof assets !== 'object') continue;
+            for (const [asset, amount] of Object.entries(assets)) {
+                records.push({ exchange, asset, amount });
+            }
+        }
+        return records;
+    },
+
+    /**
+     * Parse CSV rows into records, expanding one-column-per-asset files
+     */
+    parseCsv(text) {
+        const [headers, ...rows] = DataExport.parseCsv(text);
+        const lower = headers.map(header => header.toLowerCase());
+
+        if (!lower.includes('exchange')) {
+            throw new Error('The CSV needs an "exchange" column.');
+        }
+
+        if (lower.includes('asset') || lower.includes('currency')) {
+            return rows.map(cells => Object.fromEntries(lower.map((header, i) => [header, cells[i]])));
+        }
+
+        // Wide format: exchange,BTC,ETH,USDT
+        const exchangeIndex = lower.indexOf('exchange');
+        return rows.flatMap(cells => headers
+            .map((asset, i) => ({ exchange: cells[exchangeIndex], asset, amount: cells[i] }))
+            .filter((record, i) => i !== exchangeIndex && record.amount !== undefined && record.amount !== ''));
+    },
+
+    /**
+     * Suggest transfers between exchanges that would fund more of the current
+     * opportunities, best first
+     * For each route limited by holdings, tries moving the missing asset to the
+     * leg that lacks it from the exchange holding the most, and values the
+     * extra volume at the route's net profit, less the withdrawal fee
+     * @param {Array} opportunities - Opportunities sized by Arbitrage against these balances
+     * @param {Object} balances - Exchange ID -> { asset: amount }
+     * @param {Object} withdrawalFees - Exchange ID -> { asset: fee } in asset units
+     * @param {Object} prices - Currency -> value in a common reference currency (see PaperTrading.getPrices)
+     * @param {Number} limit - Maximum suggestions
+     * @returns {Array} - Array of { asset, from, to, amount, fee, unlockedVolume, unlockedProfit, route }
+     */
+    suggestTransfers(opportunities, balances, withdrawalFees, prices, limit = 5) {
+        const best = new Map();
+
+        for (const opp of opportunities) {
+            if (opp.type === 'triangular' || !opp.funding || opp.funding.unfundedVolume <= 0) continue;
+
+            const [base, quoteCurrency] = opp.pair.split('/');
+            const { buyCapacity, sellCapacity, fullVolume } = opp.funding;
+            const funded = Math.min(buyCapacity, sellCapacity, fullVolume);
+            const unitCost = opp.buyPrice * (1 + (opp.buyFeeToken ? 0 : opp.buyFee) / 100);
+            const profitPerUnit = opp.buyPrice * (opp.netProfit / 100) * (prices[quoteCurrency] || 0);
+
+            const legs = [
+                // Quote currency to the buy exchange, converted to base units
+                { asset: quoteCurrency, to: opp.buyExchange, room: Math.min(fullVolume, sellCapacity) - funded, perUnit: unitCost },
+                // Base asset to the sell exchange
+                { asset: base, to: opp.sellExchange, room: Math.min(fullVolume, buyCapacity) - funded, perUnit: 1 }
+            ];
+
+            for (const leg of legs) {
+                if (leg.room <= 0) continue;
+
+                for (const [from, assets] of Object.entries(balances)) {
+                    if (from === leg.to) continue;
+
+                    const fee = (withdrawalFees[from] || {})[leg.asset] || 0;
+                    const spare = (assets[leg.asset] || 0) - fee;
+                    if (spare <= 0) continue;
+
+                    const unlockedVolume = Math.min(leg.room, spare / leg.perUnit);
+                    const unlockedProfit = unlockedVolume * profitPerUnit - fee * (prices[leg.asset] || 0);
+                    if (unlockedProfit <= 0) continue;
+
+                    const key = `${leg.asset}|${from}|${leg.to}`;
+                    if (!best.has(key) || unlockedProfit > best.get(key).unlockedProfit) {
+                        best.set(key, {
+                            asset: leg.asset,
+                            from,
+                            to: leg.to,
+                            amount: unlockedVolume * leg.perUnit + fee,
+                            fee,
+                            unlockedVolume,
+                            unlockedProfit,
+                            route: opp
+                        });
+                    }
+                }
+            }
+        }
+
+        return [...best.values()]
+            .sort((a, b) => b.unlockedProfit - a.unlockedProfit)
+            .slice(0, limit);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Inventory;
+}
@@ -0,0 +1,111 @@
+/**
+ * Price Matrix
+ * Market-wide view of every monitored pair on every exchange, whether or not
+ * it has an opportunity, with missing and stale books called out
+ */
+
+const PriceMatrix = {
+    // Deviation from the cross-exchange median (%) highlighted as a possible mispricing
+    deviationWarning: 0.5,
+
+    // Last quote seen per exchange and pair, to show books that stopped arriving
+    lastSeen: new Map(),
+
+    /**
+     * Remember the latest quote of each book
+     * @param {Array} quotes - Quotes, as built by CoinAPI.buildQuote
+     */
+    remember(quotes) {
+        for (const quote of quotes) {
+            this.lastSeen.set(`${quote.exchange}|${quote.pair}`, quote);
+        }
+    },
+
+    /**
+     * Build the pair × exchange matrix
+     * A book is stale when it is missing from the current quotes but was seen
+     * before, or older than staleAfter; missing when it has never been seen
+     * @param {Array} quotes - Current quotes
+     * @param {Array} pairs - Monitored pairs (rows)
+     * @param {Array} exchanges - Monitored exchanges (columns)
+     * @param {Object} options - { now, staleAfter, flagged } with staleAfter in ms and flagged
+     *                           from QuoteQuality.screen
+     * @returns {Array} - Array of { pair, median, cells: [{ exchange, status, quote, age, mid, deviation, issues }] },
+     *                    where status is 'live', 'stale' or 'missing' and deviation is in percent
+     */
+    build(quotes, pairs, exchanges, options = {}) {
+        const now = options.now || Date.now();
+        const staleAfter = options.staleAfter ?? Infinity;
+        const current = new Map(quotes.map(quote => [`${quote.exchange}|${quote.pair}`, quote]));
+        const issues = new Map((options.flagged || [])
+            .map(({ quote, issues: quoteIssues }) => [`${quote.exchange}|${quote.pair}`, quoteIssues]));
+
+        return pairs.map(pair => {
+            const cells = exchanges.map(exchange => {
+                const key = `${exchange}|${pair}`;
+                const quote = current.get(key) || this.lastSeen.get(key) || null;
+                if (!quote) {
+                    return { exchange, status: 'missing', quote: null, age: null, mid: null, deviation: null };
+                }
+
+                const age = quote.timestamp ? now - new Date(quote.timestamp).getTime() : null;
+                const stale = !current.has(key) || (age != null && age > staleAfter);
+                return {
+                    exchange,
+                    status: stale ? 'stale' : 'live',
+                    quote,
+                    age,
+                    mid: (quote.bid + quote.ask) / 2,
+                    issues: issues.get(key) || []
+                };
+            });
+
+            // Stale books are left out of the median so a frozen exchange stands out
+            const median = QuoteQuality.median(cells.filter(cell => cell.status === 'live').map(cell => cell.mid));
+            for (const cell of cells) {
+                if (cell.quote) {
+                    cell.deviation = median ? ((cell.mid - median) / median) * 100 : null;
+                }
+            }
+
+            return { pair, median, cells };
+        });
+    },
+
+    /**
+     * Gross spread of buying on each exchange and selling on each other one
+     * @param {Object} row - Matrix row from build
+     * @returns {Array} - Array of { buyExchange, stale, spreads: [{ sellExchange, stale, spread }] }, with
+     *                    spread in percent, or null where either book is missing or it's the same exchange
+     */
+    getSpreads(row) {
+        return row.cells.map(buy => ({
+            buyExchange: buy.exchange,
+            stale: buy.status === 'stale',
+            spreads: row.cells.map(sell => ({
+                sellExchange: sell.exchange,
+                stale: sell.status === 'stale',
+                spread: buy.quote && sell.quote && buy.exchange !== sell.exchange
+                    ? ((sell.quote.bid - buy.quote.ask) / buy.quote.ask) * 100
+                    : null
+            }))
+        }));
+    },
+
+    /**
+     * Heatmap background for a spread: red below zero, green above, scaled to the largest
+     */
+    heatColor(spread, maxAbs) {
+        if (spread == null || !maxAbs) {
+            return 'transparent';
+        }
+        const intensity = Math.min(1, Math.abs(spread) / maxAbs);
+        const rgb = spread >= 0 ? '16, 185, 129' : '239, 68, 68';
+        return `rgba(${rgb}, ${(0.1 + intensity * 0.6).toFixed(2)})`;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PriceMatrix;
+}
@@ -0,0 +1,513 @@
+/**
+ * Mock Market
+ * Synthetic CoinAPI for offline demos and development. Order books follow a
+ * seeded random walk, with injected spreads, stale feeds, latency, rate limits
+ * and errors described by scenario files in demo/scenarios
+ */
+
+const MockMarket = {
+    // CoinAPI.baseUrl while installed; nothing is sent over the network
+    baseUrl: 'mock://coinapi/v1',
+
+    // Scenario files shipped in scenarioPath, by name
+    scenarios: ['calm', 'volatile', 'stale-feeds', 'errors'],
+    scenarioPath: 'demo/scenarios/',
+
+    // Scenario imported in the dashboard, selected as 'custom'
+    customKey: 'discopic_demo_scenario',
+
+    // Settings a scenario file can leave out
+    defaults: {
+        name: 'Custom',
+        description: '',
+        seed: 1,
+        // Standard deviation of price moves, in % per minute
+        volatility: 0.2,
+        // Independent move of each exchange's book around the market price, in %
+        noise: 0.02,
+        // Bid/ask spread and the step between levels, in %
+        spread: 0.02,
+        levelStep: 0.01,
+        levels: 10,
+        // Average value of each level, in USD
+        levelValue: 20000,
+        // Response time in ms: a number or a [min, max] range
+        latency: [50, 200],
+        // Daily requests reported in CoinAPI's rate limit headers; 429 once used up
+        quota: 100000,
+        // Seconds until requests are allowed again after a simulated 429
+        retryAfter: 60,
+        // Starting prices in USD
+        prices: {
+            BTC: 65000, ETH: 3200, BNB: 580, SOL: 150, XRP: 0.55, ADA: 0.45,
+            USD: 1, USDT: 1, USDC: 1, EUR: 1.08, GBP: 1.27
+        },
+        // Per exchange: { offset, latency, frozenAfter }. offset is a price premium (%),
+        // latency is added to every response (ms), and the book stops updating
+        // frozenAfter seconds into the session (0: from the start)
+        exchanges: {},
+        // Spreads opened on purpose: { exchange, pair, offset, every, duration }. The offset
+        // (%) applies for the first `duration` seconds of every `every` seconds, or always
+        // without `every`; without `pair` it applies to every pair on the exchange
+        spreads: [],
+        // Chance of each failure per request: an HTTP status such as 401, 429, 550 or
+        // 503, or 'network' for a request that never arrives
+        errors: {},
+        // Outcomes in turn instead of by chance: a status, 'network' or null for success
+        errorSequence: null
+    },
+
+    // Assets that track USD, moving at a fraction of the volatility
+    pegged: ['USD', 'USDT', 'USDC', 'EUR', 'GBP'],
+    peggedVolatility: 0.05,
+
+    // Age of the books of a feed frozen from the start, in ms
+    frozenAge: 3600000,
+
+    // Status text of the errors a scenario can raise
+    statusText: {
+        400: 'Bad Request',
+        401: 'Unauthorized',
+        403: 'Forbidden',
+        404: 'Not Found',
+        429: 'Too Many Requests',
+        500: 'Internal Server Error',
+        503: 'Service Unavailable',
+        550: 'No Data'
+    },
+
+    // Installed scenario and its session
+    scenario: null,
+    startedAt: 0,
+    random: null,
+    prices: null,
+    books: new Map(),
+    // Requests made, and those that reached the market (not lost to the network)
+    attempts: 0,
+    requests: 0,
+
+    // What install replaced, put back by uninstall
+    saved: null,
+
+    /**
+     * Check if the synthetic market is serving CoinAPI requests
+     */
+    isActive() {
+        return this.saved !== null;
+    },
+
+    /**
+     * Parse and check a scenario file, filling in defaults
+     * @param {String} text - JSON scenario
+     * @returns {Object} - Scenario
+     * @throws {Error} - If the file isn't valid JSON or holds invalid settings
+     */
+    parseScenario(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Expected a scenario object.');
+        }
+
+        const scenario = {
+            ...this.defaults,
+            ...data,
+            prices: { ...this.defaults.prices, ...(data.prices || {}) }
+        };
+
+        const errors = [];
+        for (const key of ['seed', 'volatility', 'noise', 'spread', 'levelStep', 'levels', 'levelValue', 'quota', 'retryAfter']) {
+            if (typeof scenario[key] !== 'number' || !(scenario[key] >= 0)) {
+                errors.push(`${key} must be a number of at least 0`);
+            }
+        }
+        const latency = [].concat(scenario.latency);
+        if (latency.length < 1 || latency.length > 2 || latency.some(ms => typeof ms !== 'number' || ms < 0)) {
+            errors.push('latency must be a number of ms or a [min, max] range');
+        }
+        for (const [asset, price] of Object.entries(scenario.prices)) {
+            if (typeof price !== 'number' || !(price > 0)) errors.push(`prices.${asset} must be above 0`);
+        }
+        for (const [outcome, chance] of Object.entries(scenario.errors || {})) {
+            if (!this.isOutcome(outcome) || typeof chance !== 'number' || chance < 0 || chance > 1) {
+                errors.push(`errors.${outcome} must be a chance between 0 and 1 of an HTTP status or "network"`);
+            }
+        }
+        if (scenario.errorSequence !== null
+            && (!Array.isArray(scenario.errorSequence) || !scenario.errorSequence.every(outcome => outcome === null || this.isOutcome(outcome)))) {
+            errors.push('errorSequence must be a list of HTTP statuses, "network" or null');
+        }
+        for (const spread of scenario.spreads || []) {
+            if (!spread.exchange || typeof spread.offset !== 'number') {
+                errors.push('spreads need an exchange and an offset');
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid scenario: ${errors.join('; ')}`);
+        }
+        return scenario;
+    },
+
+    /**
+     * Check if a value names a failure: an HTTP error status or 'network'
+     */
+    isOutcome(outcome) {
+        return outcome === 'network' || (Number(outcome) >= 400 && Number(outcome) <= 599);
+    },
+
+    /**
+     * Load a shipped scenario by name, or the imported one as 'custom'
+     * @returns {Promise<Object>} - Scenario
+     */
+    async loadScenario(name) {
+        if (name === 'custom') {
+            const stored = localStorage.getItem(this.customKey);
+            if (!stored) {
+                throw new Error('No custom scenario has been imported.');
+            }
+            return this.parseScenario(stored);
+        }
+
+        if (!this.scenarios.includes(name)) {
+            throw new Error(`Unknown demo scenario "${name}".`);
+        }
+
+        let response;
+        try {
+            response = await fetch(`${this.scenarioPath}${name}.json`);
+        } catch (error) {
+            throw new Error(`Cannot load demo scenario "${name}": ${error.message}`);
+        }
+        if (!response.ok) {
+            throw new Error(`Cannot load demo scenario "${name}": ${response.status} ${response.statusText}`);
+        }
+        return this.parseScenario(await response.text());
+    },
+
+    /**
+     * Keep an imported scenario for the 'custom' choice
+     * @returns {Object} - The parsed scenario
+     */
+    saveCustom(text) {
+        const scenario = this.parseScenario(text);
+        localStorage.setItem(this.customKey, text);
+        return scenario;
+    },
+
+    /**
+     * Name of the imported scenario, or null if there is none
+     */
+    getCustomName() {
+        try {
+            const stored = localStorage.getItem(this.customKey);
+            return stored ? this.parseScenario(stored).name : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Point CoinAPI at the synthetic market and serve every exchange from it
+     * The request budget is kept apart from the real one, and so is the
+     * catalogue where it is loaded
+     * @param {Object} scenario - From parseScenario
+     */
+    install(scenario, now = Date.now()) {
+        if (this.isActive()) {
+            this.uninstall();
+        }
+
+        const isolated = this.isolatedModules();
+        this.saved = {
+            baseUrl: CoinAPI.baseUrl,
+            transport: CoinAPI.transport,
+            storageKeys: isolated.map(({ module }) => module.storageKey)
+        };
+
+        CoinAPI.baseUrl = this.baseUrl;
+        CoinAPI.transport = (url, options) => this.fetch(url, options);
+        CoinAPI.clearCache();
+        Providers.demo = true;
+        for (const { module, cache } of isolated) {
+            module.storageKey = `${module.storageKey}_demo`;
+            module[cache] = null;
+        }
+        // Every session starts with the scenario's full quota
+        localStorage.removeItem(RequestBudget.storageKey);
+
+        this.scenario = scenario;
+        this.startedAt = now;
+        this.random = this.seededRandom(scenario.seed);
+        this.prices = new Map(Object.entries(scenario.prices).map(([asset, price]) => [asset, { price, at: now }]));
+        this.books = new Map();
+        this.attempts = 0;
+        this.requests = 0;
+    },
+
+    /**
+     * Put CoinAPI back on the real service
+     */
+    uninstall() {
+        if (!this.isActive()) {
+            return;
+        }
+
+        CoinAPI.baseUrl = this.saved.baseUrl;
+        CoinAPI.transport = this.saved.transport;
+        CoinAPI.clearCache();
+        Providers.demo = false;
+        this.isolatedModules().forEach(({ module, cache }, i) => {
+            module.storageKey = this.saved.storageKeys[i];
+            module[cache] = null;
+        });
+
+        this.saved = null;
+        this.scenario = null;
+    },
+
+    /**
+     * Modules that keep state in localStorage, and the field caching it.
+     * The CLI has no catalogue
+     */
+    isolatedModules() {
+        const modules = [{ module: RequestBudget, cache: 'state' }];
+        if (typeof Catalogue !== 'undefined') {
+            modules.push({ module: Catalogue, cache: 'data' });
+        }
+        return modules;
+    },
+
+    /**
+     * Answer a request the way CoinAPI would
+     * Anything outside the synthetic market fails as if offline
+     * @param {String} url - Request URL
+     * @returns {Promise<Response>}
+     */
+    async fetch(url) {
+        if (!url.startsWith(this.baseUrl)) {
+            throw new TypeError('Failed to fetch');
+        }
+
+        const path = url.slice(this.baseUrl.length).split('?')[0];
+        const symbol = path.match(/^\/orderbooks\/(.+)_SPOT_([A-Z0-9]+)_([A-Z0-9]+)\/current$/);
+        const exchange = symbol ? symbol[1] : null;
+        const outcome = this.nextOutcome();
+
+        await this.delay(exchange);
+        if (outcome === 'network') {
+            throw new TypeError('Failed to fetch');
+        }
+
+        this.requests++;
+        if (outcome) {
+            // A simulated rate limit lifts after retryAfter rather than at the daily reset
+            const headers = Number(outcome) === 429 ? { 'Retry-After': String(this.scenario.retryAfter) } : {};
+            return this.respond(Number(outcome), { error: `Simulated ${this.statusText[outcome] || 'error'}` }, headers);
+        }
+        if (this.requests > this.scenario.quota) {
+            return this.respond(429, { error: 'Too many requests - daily quota used up' });
+        }
+
+        const now = Date.now();
+        if (symbol) {
+            const book = this.getBook(exchange, `${symbol[2]}/${symbol[3]}`, now);
+            return book ? this.respond(200, book) : this.respond(550, { error: 'No data for this symbol' });
+        }
+
+        const rate = path.match(/^\/exchangerate\/([A-Z0-9]+)\/([A-Z0-9]+)$/);
+        if (rate) {
+            const [, base, quote] = rate;
+            if (!this.prices.has(base) || !this.prices.has(quote)) {
+                return this.respond(550, { error: 'No data for this asset' });
+            }
+            return this.respond(200, {
+                time: new Date(now).toISOString(),
+                asset_id_base: base,
+                asset_id_quote: quote,
+                rate: this.getPrice(base, now) / this.getPrice(quote, now)
+            });
+        }
+
+        if (path === '/exchanges') {
+            return this.respond(200, this.getExchanges().map(id => ({ exchange_id: id, name: id })));
+        }
+
+        const symbols = path.match(/^\/symbols\/(.+)$/);
+        if (symbols) {
+            return this.respond(200, this.getPairs().map(pair => {
+                const [base, quote] = pair.split('/');
+                return {
+                    symbol_id: `${symbols[1]}_SPOT_${base}_${quote}`,
+                    exchange_id: symbols[1],
+                    symbol_type: 'SPOT',
+                    asset_id_base: base,
+                    asset_id_quote: quote
+                };
+            }));
+        }
+
+        return this.respond(404, { error: 'Unknown endpoint' });
+    },
+
+    /**
+     * JSON response with CoinAPI's rate limit headers
+     * @param {Object} headers - Extra headers, such as Retry-After
+     */
+    respond(status, body, headers = {}) {
+        const reset = new Date(RequestBudget.nextReset(Date.now()));
+
+        return new Response(JSON.stringify(body), {
+            status,
+            statusText: status === 200 ? 'OK' : this.statusText[status] || 'Error',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-RateLimit-Limit': String(this.scenario.quota),
+                'X-RateLimit-Remaining': String(Math.max(0, this.scenario.quota - this.requests)),
+                'X-RateLimit-Request-Cost': '1',
+                'X-RateLimit-Reset': reset.toISOString(),
+                ...headers
+            }
+        });
+    },
+
+    /**
+     * Outcome of the next request: null for success, else a status or 'network'
+     */
+    nextOutcome() {
+        const { errorSequence, errors } = this.scenario;
+        if (errorSequence && errorSequence.length > 0) {
+            return errorSequence[this.attempts++ % errorSequence.length];
+        }
+
+        const roll = this.random();
+        let threshold = 0;
+        for (const [outcome, chance] of Object.entries(errors || {})) {
+            threshold += chance;
+            if (roll < threshold) return outcome;
+        }
+        return null;
+    },
+
+    /**
+     * Wait for the scenario's latency, plus the exchange's own
+     */
+    delay(exchange) {
+        const [min, max = min] = [].concat(this.scenario.latency);
+        const extra = ((this.scenario.exchanges[exchange] || {}).latency) || 0;
+        return CoinAPI.delay(min + this.random() * (max - min) + extra);
+    },
+
+    /**
+     * Price of an asset in USD, moved along its random walk up to now
+     */
+    getPrice(asset, now) {
+        const state = this.prices.get(asset);
+        const elapsed = now - state.at;
+        if (elapsed > 0) {
+            const volatility = this.scenario.volatility * (this.pegged.includes(asset) ? this.peggedVolatility : 1);
+            state.price *= 1 + (volatility / 100) * Math.sqrt(elapsed / 60000) * this.gaussian();
+            state.at = now;
+        }
+        return state.price;
+    },
+
+    /**
+     * Order book in CoinAPI's shape, or null for assets the scenario doesn't price
+     * A frozen feed keeps returning the last book from before it froze
+     */
+    getBook(exchange, pair, now) {
+        const [base, quote] = pair.split('/');
+        if (!this.prices.has(base) || !this.prices.has(quote)) {
+            return null;
+        }
+
+        const key = `${exchange}|${pair}`;
+        const settings = this.scenario.exchanges[exchange] || {};
+        const frozen = settings.frozenAfter != null && now - this.startedAt >= settings.frozenAfter * 1000;
+        if (frozen && this.books.has(key)) {
+            return this.books.get(key);
+        }
+
+        const offset = (settings.offset || 0) + this.getInjectedOffset(exchange, pair, now);
+        const mid = (this.getPrice(base, now) / this.getPrice(quote, now))
+            * (1 + (offset + this.scenario.noise * this.gaussian()) / 100);
+        const baseValue = this.getPrice(base, now);
+        const level = (side, i) => ({
+            price: mid * (1 + side * (this.scenario.spread / 200 + (i * this.scenario.levelStep) / 100)),
+            size: (this.scenario.levelValue / baseValue) * (0.5 + this.random())
+        });
+
+        // A feed frozen from the start went quiet before the session began
+        const time = new Date(frozen ? this.startedAt - this.frozenAge : now).toISOString();
+        const book = {
+            symbol_id: `${exchange}_SPOT_${base}_${quote}`,
+            time_exchange: time,
+            time_coinapi: time,
+            asks: Array.from({ length: this.scenario.levels }, (_, i) => level(1, i)),
+            bids: Array.from({ length: this.scenario.levels }, (_, i) => level(-1, i))
+        };
+        this.books.set(key, book);
+        return book;
+    },
+
+    /**
+     * Total offset (%) of the injected spreads active on a book
+     */
+    getInjectedOffset(exchange, pair, now) {
+        const elapsed = (now - this.startedAt) / 1000;
+        return (this.scenario.spreads || [])
+            .filter(spread => spread.exchange === exchange && (!spread.pair || spread.pair === pair))
+            .filter(spread => !spread.every || elapsed % spread.every < (spread.duration ?? spread.every))
+            .reduce((sum, spread) => sum + spread.offset, 0);
+    },
+
+    /**
+     * Exchanges listed by the synthetic catalogue
+     */
+    getExchanges() {
+        return [...new Set([...Config.get('exchangeList'), ...Object.keys(this.scenario.exchanges)])];
+    },
+
+    /**
+     * Pairs listed by the synthetic catalogue: every priced asset against the usual quotes
+     */
+    getPairs() {
+        const quotes = ['USDT', 'USDC', 'USD', 'EUR', 'BTC'].filter(quote => this.prices.has(quote));
+        return [...this.prices.keys()]
+            .filter(base => !this.pegged.includes(base))
+            .flatMap(base => quotes.filter(quote => quote !== base).map(quote => `${base}/${quote}`));
+    },
+
+    /**
+     * Normally distributed random number (Box-Muller)
+     */
+    gaussian() {
+        const u = 1 - this.random();
+        const v = this.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    },
+
+    /**
+     * Seeded random numbers in [0, 1) (mulberry32), so a scenario replays the same way
+     */
+    seededRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MockMarket;
+}
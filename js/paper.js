@@ -0,0 +1,577 @@
+/**
+ * Paper Trading
+ * Executes detected opportunities against virtual balances on each exchange
+ */
+
+const PaperTrading = {
+    // Storage key for the current session
+    storageKey: 'discopic_paper',
+
+    // Currency balances and P&L are valued in
+    referenceAsset: 'USDT',
+
+    // Trades smaller than this, in the reference currency, are skipped
+    minTradeValue: 1,
+
+    // Deviation from starting balances, in percent, before a rebalance is suggested
+    rebalanceThreshold: 25,
+
+    // Recent trades and P&L points kept in the session
+    maxTrades: 200,
+    maxSeries: 2000,
+
+    // Current session, loaded lazily
+    session: null,
+
+    // Book depth already taken per exchange/pair/side, until the book updates
+    consumed: new Map(),
+
+    // Quote timestamps each triangular route last executed against
+    executed: new Map(),
+
+    // First-seen time of routes already counted as skipped for inventory
+    skippedRoutes: new Map(),
+
+    /**
+     * Value every currency in the reference currency, using mid prices
+     * averaged across exchanges and chained through cross pairs
+     * @param {Array} quotes - Array of quote objects
+     * @returns {Object} - Currency -> price in the reference currency
+     */
+    getPrices(quotes) {
+        const mids = {};
+        for (const quote of quotes) {
+            if (!(quote.ask > 0) || !(quote.bid > 0)) continue;
+            (mids[quote.pair] = mids[quote.pair] || []).push((quote.ask + quote.bid) / 2);
+        }
+
+        const prices = { [this.referenceAsset]: 1 };
+        let changed = true;
+
+        while (changed) {
+            changed = false;
+            for (const [pair, values] of Object.entries(mids)) {
+                const [base, quoteCurrency] = pair.split('/');
+                const mid = values.reduce((a, b) => a + b, 0) / values.length;
+
+                if (prices[quoteCurrency] != null && prices[base] == null) {
+                    prices[base] = mid * prices[quoteCurrency];
+                    changed = true;
+                } else if (prices[base] != null && prices[quoteCurrency] == null) {
+                    prices[quoteCurrency] = prices[base] / mid;
+                    changed = true;
+                }
+            }
+        }
+
+        return prices;
+    },
+
+    /**
+     * Start a session with the same value of every monitored currency on every exchange
+     * @param {Array} quotes - Current quotes, used to price the starting balances
+     * @param {Array} exchanges - Exchange IDs to hold balances on
+     * @param {Number} startingValue - Value of each currency per exchange, in the reference currency
+     */
+    start(quotes, exchanges, startingValue, now = Date.now()) {
+        const prices = this.getPrices(quotes);
+        const assets = new Set(quotes.flatMap(quote => quote.pair.split('/')));
+        const balances = {};
+
+        for (const exchange of exchanges) {
+            balances[exchange] = {};
+            for (const asset of assets) {
+                if (prices[asset]) {
+                    balances[exchange][asset] = startingValue / prices[asset];
+                }
+            }
+        }
+
+        this.session = {
+            startedAt: now,
+            startingValue,
+            initial: JSON.parse(JSON.stringify(balances)),
+            balances,
+            prices,
+            trades: [],
+            tradeCount: 0,
+            skipped: 0,
+            realizedProfit: 0,
+            series: [{ timestamp: now, pnl: 0 }]
+        };
+        this.consumed.clear();
+        this.executed.clear();
+        this.skippedRoutes.clear();
+        this.save();
+
+        return this.session;
+    },
+
+    /**
+     * Check if a session has been started
+     */
+    hasSession() {
+        return this.load() !== null;
+    },
+
+    /**
+     * Execute opportunities against the current books and the session balances
+     * Each trade takes book depth, so routes sharing a book don't fill twice
+     * @param {Array} opportunities - Detected opportunities, best first
+     * @param {Array} quotes - Quotes the opportunities were calculated from
+     * @param {Object} options - { minProfit, tradeValue } with tradeValue in the reference currency
+     * @returns {Array} - Trades executed this cycle
+     */
+    execute(opportunities, quotes, options, now = Date.now()) {
+        const session = this.load();
+        if (!session) {
+            return [];
+        }
+
+        const prices = { ...session.prices, ...this.getPrices(quotes) };
+        const trades = [];
+        session.prices = prices;
+
+        for (const opp of opportunities) {
+            const result = opp.type === 'triangular'
+                ? this.executeTriangular(session, opp, quotes, prices, options, now)
+                : this.executeCrossExchange(session, opp, quotes, prices, options, now);
+
+            if (!result) continue;
+
+            if (result.skipped === 'inventory') {
+                // Count each open route once, not once per cycle
+                const key = Tracker.key(opp);
+                if (this.skippedRoutes.get(key) !== opp.firstSeen) {
+                    this.skippedRoutes.set(key, opp.firstSeen);
+                    session.skipped++;
+                }
+            } else if (!result.skipped) {
+                trades.push(result);
+            }
+        }
+
+        if (trades.length > 0) {
+            session.trades = trades.reverse().concat(session.trades).slice(0, this.maxTrades);
+            session.tradeCount += trades.length;
+            session.realizedProfit += trades.reduce((sum, trade) => sum + trade.profitValue, 0);
+            session.series.push({ timestamp: now, pnl: session.realizedProfit });
+            session.series = session.series.slice(-this.maxSeries);
+        }
+        this.save();
+
+        return trades;
+    },
+
+    /**
+     * Buy on one exchange and sell on the other, sized by the remaining book
+     * depth, the trade size and both exchanges' balances
+     * @returns {Object|null} - Trade, { skipped: reason }, or null if the quotes are gone
+     */
+    executeCrossExchange(session, opp, quotes, prices, options, now) {
+        const sellPair = opp.sellPair || opp.pair;
+        const buyQuote = this.findQuote(quotes, opp.buyExchange, opp.pair);
+        const sellQuote = this.findQuote(quotes, opp.sellExchange, sellPair);
+        if (!buyQuote || !sellQuote) {
+            return null;
+        }
+
+        // Cross-quote routes receive another currency; proceeds stay in it
+        const [base, quoteCurrency] = opp.pair.split('/');
+        const sellCurrency = sellPair.split('/')[1];
+        const rate = opp.fx ? opp.fx.rate : 1;
+        const fxCharge = Arbitrage.getFxCharge(opp);
+        const asks = this.remainingLevels(buyQuote, 'asks');
+        const bids = this.remainingLevels(sellQuote, 'bids');
+
+        const fill = Arbitrage.walkOrderBooks(
+            asks, Arbitrage.convertLevels(bids, rate), opp.totalFee + fxCharge, options.minProfit
+        );
+        if (!fill) {
+            return { skipped: 'liquidity' };
+        }
+
+        const buyBalances = session.balances[opp.buyExchange] || {};
+        const sellBalances = session.balances[opp.sellExchange] || {};
+
+        // Fees paid in a discount token don't come out of the trade
+        const buyToken = this.getFeeToken(buyBalances, opp.buyFeeToken, quoteCurrency, prices);
+        const sellToken = this.getFeeToken(sellBalances, opp.sellFeeToken, sellCurrency, prices);
+        const buyFee = buyToken ? 0 : opp.buyFee;
+        const sellFee = sellToken ? 0 : opp.sellFee;
+
+        // Units of the base asset a token balance pays the fee for
+        const tokenCover = (balances, token, feePerUnit) =>
+            (token && feePerUnit > 0 ? (balances[token] * prices[token]) / feePerUnit : Infinity);
+
+        const { limitedBy, size } = this.smallestLimit({
+            liquidity: fill.volume,
+            'trade size': prices[base] ? options.tradeValue / prices[base] : Infinity,
+            inventory: Math.min(
+                (buyBalances[quoteCurrency] || 0) / (fill.buyPrice * (1 + buyFee / 100)),
+                sellBalances[base] || 0,
+                tokenCover(buyBalances, buyToken, fill.buyPrice * (opp.buyFee / 100) * prices[quoteCurrency]),
+                tokenCover(sellBalances, sellToken, (fill.sellPrice / rate) * (opp.sellFee / 100) * prices[sellCurrency])
+            )
+        });
+
+        if (size * (prices[base] || 0) < this.minTradeValue) {
+            return { skipped: limitedBy === 'inventory' ? 'inventory' : 'liquidity' };
+        }
+
+        const bought = Arbitrage.fillLevels(asks, size);
+        const sold = Arbitrage.fillLevels(bids, size);
+        const cost = bought.cost * (1 + buyFee / 100);
+        const proceeds = sold.cost * (1 - sellFee / 100);
+
+        // Token fees, in the buy quote currency, as Arbitrage.calculateProfitAmount values them
+        const buyTokenFee = buyToken ? bought.cost * (opp.buyFee / 100) : 0;
+        const sellTokenFee = sellToken ? sold.cost * (opp.sellFee / 100) * rate : 0;
+        const profit = proceeds * rate * (1 - fxCharge / 100) - cost - buyTokenFee - sellTokenFee;
+
+        this.adjust(session, opp.buyExchange, quoteCurrency, -cost);
+        this.adjust(session, opp.buyExchange, base, size);
+        this.adjust(session, opp.sellExchange, base, -size);
+        this.adjust(session, opp.sellExchange, sellCurrency, proceeds);
+        if (buyToken) {
+            this.adjust(session, opp.buyExchange, buyToken, -buyTokenFee * prices[quoteCurrency] / prices[buyToken]);
+        }
+        if (sellToken) {
+            this.adjust(session, opp.sellExchange, sellToken, -(sold.cost * (opp.sellFee / 100)) * prices[sellCurrency] / prices[sellToken]);
+        }
+        this.consume(buyQuote, 'asks', size);
+        this.consume(sellQuote, 'bids', size);
+
+        return {
+            timestamp: now,
+            type: opp.type,
+            pair: opp.pair,
+            sellPair: opp.sellPair,
+            buyExchange: opp.buyExchange,
+            sellExchange: opp.sellExchange,
+            size,
+            sizeAsset: base,
+            buyPrice: bought.cost / size,
+            sellPrice: (sold.cost * rate) / size,
+            profit,
+            profitAsset: quoteCurrency,
+            profitValue: profit * (prices[quoteCurrency] || 0),
+            netProfit: ((sold.cost * rate - bought.cost) / bought.cost) * 100 - opp.totalFee - fxCharge,
+            limitedBy
+        };
+    },
+
+    /**
+     * Run a cycle on one exchange from its start-currency balance
+     * Cycles are priced at top of book, so each set of books is taken once
+     * @returns {Object|null} - Trade, { skipped: reason }, or null if already taken
+     */
+    executeTriangular(session, opp, quotes, prices, options, now) {
+        const legQuotes = opp.pairs.map(pair => this.findQuote(quotes, opp.exchange, pair));
+        if (legQuotes.some(quote => !quote)) {
+            return null;
+        }
+
+        const key = Tracker.key(opp);
+        const books = legQuotes.map(quote => quote.timestamp).join('|');
+        if (this.executed.get(key) === books) {
+            return null;
+        }
+
+        const start = opp.startCurrency;
+        const balances = session.balances[opp.exchange] || {};
+        const { limitedBy, size } = this.smallestLimit({
+            liquidity: opp.volume,
+            'trade size': prices[start] ? options.tradeValue / prices[start] : Infinity,
+            inventory: balances[start] || 0
+        });
+
+        if (size * (prices[start] || 0) < this.minTradeValue) {
+            return { skipped: limitedBy === 'inventory' ? 'inventory' : 'liquidity' };
+        }
+
+        const result = Triangular.calculateProfitAmount(opp, size);
+        for (const leg of result.legs) {
+            this.adjust(session, opp.exchange, leg.from, -leg.spent);
+            this.adjust(session, opp.exchange, leg.to, leg.received);
+        }
+        this.executed.set(key, books);
+
+        return {
+            timestamp: now,
+            type: opp.type,
+            pair: opp.pair,
+            buyExchange: opp.exchange,
+            sellExchange: opp.exchange,
+            size,
+            sizeAsset: start,
+            profit: result.profit,
+            profitAsset: start,
+            profitValue: result.profit * (prices[start] || 0),
+            netProfit: result.profitPercent,
+            limitedBy
+        };
+    },
+
+    /**
+     * Discount token a leg's fee is paid in, or null if it comes out of the trade
+     * As on the exchanges, the fee falls back to the trade without a token balance
+     * @param {Object} balances - The leg's exchange balances
+     * @param {String} token - The opportunity's fee token for the leg, or null
+     * @param {String} currency - Currency the leg's fee is charged in otherwise
+     */
+    getFeeToken(balances, token, currency, prices) {
+        return token && prices[token] > 0 && prices[currency] > 0 && balances[token] > 0 ? token : null;
+    },
+
+    /**
+     * Pick the tightest of several size limits
+     * @returns {Object} - { limitedBy, size }
+     */
+    smallestLimit(limits) {
+        let limitedBy = null;
+        let size = Infinity;
+
+        for (const [name, limit] of Object.entries(limits)) {
+            if (limit < size) {
+                limitedBy = name;
+                size = limit;
+            }
+        }
+
+        return { limitedBy, size: Math.max(0, size) };
+    },
+
+    /**
+     * Find the quote for an exchange and pair
+     */
+    findQuote(quotes, exchange, pair) {
+        return quotes.find(quote => quote.exchange === exchange && quote.pair === pair);
+    },
+
+    /**
+     * Book key for depth taken by earlier trades
+     */
+    bookKey(quote, side) {
+        return `${quote.exchange}|${quote.pair}|${side}`;
+    },
+
+    /**
+     * Book levels left after depth taken since the book last updated
+     */
+    remainingLevels(quote, side) {
+        const taken = this.consumed.get(this.bookKey(quote, side));
+        const skip = taken && taken.timestamp === quote.timestamp ? taken.size : 0;
+
+        return Arbitrage.skipLevels(Arbitrage.getLevels(quote, side), skip);
+    },
+
+    /**
+     * Record depth taken from a book
+     */
+    consume(quote, side, size) {
+        const key = this.bookKey(quote, side);
+        const taken = this.consumed.get(key);
+        const previous = taken && taken.timestamp === quote.timestamp ? taken.size : 0;
+
+        this.consumed.set(key, { timestamp: quote.timestamp, size: previous + size });
+    },
+
+    /**
+     * Change a balance
+     */
+    adjust(session, exchange, asset, delta) {
+        session.balances[exchange] = session.balances[exchange] || {};
+        session.balances[exchange][asset] = (session.balances[exchange][asset] || 0) + delta;
+    },
+
+    /**
+     * Total value of balances in the reference currency
+     */
+    getValue(balances, prices) {
+        let value = 0;
+        for (const assets of Object.values(balances)) {
+            for (const [asset, amount] of Object.entries(assets)) {
+                value += amount * (prices[asset] || 0);
+            }
+        }
+        return value;
+    },
+
+    /**
+     * Session results at current prices
+     * P&L compares against simply holding the starting balances
+     * @param {Object} prices - Optional newer prices, defaulting to those of the last execution
+     * @returns {Object|null} - { startedAt, trades, skipped, realizedProfit, equity, holdValue, pnl, returnPercent }
+     */
+    getSummary(prices = {}) {
+        const session = this.load();
+        if (!session) {
+            return null;
+        }
+
+        const current = { ...session.prices, ...prices };
+        const equity = this.getValue(session.balances, current);
+        const holdValue = this.getValue(session.initial, current);
+
+        return {
+            startedAt: session.startedAt,
+            trades: session.tradeCount,
+            skipped: session.skipped,
+            realizedProfit: session.realizedProfit,
+            equity,
+            holdValue,
+            pnl: equity - holdValue,
+            returnPercent: holdValue > 0 ? ((equity - holdValue) / holdValue) * 100 : 0
+        };
+    },
+
+    /**
+     * Balance of every currency on every exchange against its starting balance
+     * @returns {Array} - Array of { exchange, asset, balance, initial, deviation }
+     */
+    getImbalances() {
+        const session = this.load();
+        if (!session) {
+            return [];
+        }
+
+        const rows = [];
+        for (const [exchange, assets] of Object.entries(session.initial)) {
+            for (const [asset, initial] of Object.entries(assets)) {
+                const balance = (session.balances[exchange] || {})[asset] || 0;
+                rows.push({
+                    exchange,
+                    asset,
+                    balance,
+                    initial,
+                    deviation: initial > 0 ? ((balance - initial) / initial) * 100 : 0
+                });
+            }
+        }
+        return rows;
+    },
+
+    /**
+     * Transfers that would restore the starting distribution of each currency
+     * that has drifted past the rebalance threshold on some exchange
+     * @param {Object} withdrawalFees - Exchange -> asset -> fee in asset units
+     * @param {Object} transferTimes - Asset -> minutes
+     * @returns {Array} - Array of { asset, from, to, amount, fee, feeValue, transferMinutes }
+     */
+    getRebalancing(withdrawalFees = {}, transferTimes = {}) {
+        const session = this.load();
+        if (!session) {
+            return [];
+        }
+
+        const byAsset = {};
+        for (const row of this.getImbalances()) {
+            (byAsset[row.asset] = byAsset[row.asset] || []).push(row);
+        }
+
+        const transfers = [];
+        for (const [asset, rows] of Object.entries(byAsset)) {
+            if (!rows.some(row => Math.abs(row.deviation) >= this.rebalanceThreshold)) continue;
+
+            const surplus = rows.filter(row => row.balance > row.initial)
+                .map(row => ({ exchange: row.exchange, amount: row.balance - row.initial }))
+                .sort((a, b) => b.amount - a.amount);
+            const deficit = rows.filter(row => row.balance < row.initial)
+                .map(row => ({ exchange: row.exchange, amount: row.initial - row.balance }))
+                .sort((a, b) => b.amount - a.amount);
+
+            // Match the largest surpluses with the largest deficits
+            while (surplus.length > 0 && deficit.length > 0) {
+                const from = surplus[0];
+                const to = deficit[0];
+                const amount = Math.min(from.amount, to.amount);
+                const fee = (withdrawalFees[from.exchange] || {})[asset] || 0;
+
+                transfers.push({
+                    asset,
+                    from: from.exchange,
+                    to: to.exchange,
+                    amount,
+                    fee,
+                    feeValue: fee * (session.prices[asset] || 0),
+                    transferMinutes: transferTimes[asset] ?? null
+                });
+
+                from.amount -= amount;
+                to.amount -= amount;
+                if (from.amount <= 0) surplus.shift();
+                if (to.amount <= 0) deficit.shift();
+            }
+        }
+
+        return transfers;
+    },
+
+    /**
+     * Executed trades, most recent first
+     */
+    getTrades() {
+        const session = this.load();
+        return session ? session.trades : [];
+    },
+
+    /**
+     * Cumulative realized P&L over time
+     * @returns {Array} - Array of { timestamp, pnl }
+     */
+    getSeries() {
+        const session = this.load();
+        return session ? session.series : [];
+    },
+
+    /**
+     * End the session; the next execution cycle starts a new one
+     */
+    reset() {
+        this.session = null;
+        this.consumed.clear();
+        this.executed.clear();
+        this.skippedRoutes.clear();
+
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.error('Error resetting paper trading session:', error);
+        }
+    },
+
+    /**
+     * Load the session from localStorage
+     */
+    load() {
+        if (this.session) {
+            return this.session;
+        }
+
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            this.session = stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            console.error('Error loading paper trading session:', error);
+            this.session = null;
+        }
+        return this.session;
+    },
+
+    /**
+     * Save the session to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.session));
+        } catch (error) {
+            console.error('Error saving paper trading session:', error);
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PaperTrading;
+}
@@ -0,0 +1,345 @@
+/**
+ * Market Data Providers
+ * Adapters that fetch order books from CoinAPI or directly from exchange public APIs
+ *
+ * Every adapter exposes the same interface:
+ *   getOrderbook(exchangeId, pair, { apiKey, depth }) -> orderbook or null
+ * where the orderbook has the shape built by CoinAPI.buildOrderbook.
+ *
+ * Adapters that can stream also define `stream`:
+ *   url(pairs, options)                                -> WebSocket URL
+ *   subscriptions(pairs, exchanges, options)           -> messages to send once open
+ *   handle(message, state, exchanges, pairs, options)  -> [{ exchange, pair, asks, bids, time }]
+ * where time is when the exchange produced the book, if the message says.
+ * `state` is a per-connection scratch object for feeds that send deltas.
+ */
+
+const Providers = {
+    // Provider used when an exchange has none configured
+    defaultProvider: 'coinapi',
+
+    // Set while the synthetic market (js/mock.js) stands in for CoinAPI; every
+    // exchange is then served by the default provider without a key
+    demo: false,
+
+    adapters: {
+        coinapi: {
+            name: 'CoinAPI',
+            requiresKey: true,
+            exchanges: '*', // Any exchange in the CoinAPI catalogue
+
+            async getOrderbook(exchangeId, pair, options) {
+                return CoinAPI.getOrderbook(exchangeId, pair, options.apiKey);
+            },
+
+            stream: {
+                url() {
+                    return 'wss://ws.coinapi.io/v1/';
+                },
+
+                subscriptions(pairs, exchanges, options) {
+                    const symbols = [];
+                    for (const exchangeId of exchanges) {
+                        for (const pair of pairs) {
+                            symbols.push(`${exchangeId}_SPOT_${CoinAPI.formatPair(pair)}$`);
+                        }
+                    }
+
+                    return [{
+                        type: 'hello',
+                        apikey: options.apiKey,
+                        heartbeat: false,
+                        subscribe_data_type: ['book20'],
+                        subscribe_filter_symbol_id: symbols
+                    }];
+                },
+
+                // book20 messages are full 20-level snapshots
+                handle(message, state, exchanges) {
+                    if (message.type === 'error') {
+                        throw new Error(`CoinAPI stream error: ${message.message}`);
+                    }
+                    if (message.type !== 'book20') return [];
+
+                    // BINANCE_SPOT_BTC_USDT -> BINANCE, BTC/USDT
+                    const [exchangeId, , base, quote] = message.symbol_id.split('_');
+                    if (!exchanges.includes(exchangeId)) return [];
+
+                    return [{
+                        exchange: exchangeId,
+                        pair: `${base}/${quote}`,
+                        asks: message.asks,
+                        bids: message.bids,
+                        time: message.time_exchange || message.time_coinapi
+                    }];
+                }
+            }
+        },
+
+        binance: {
+            name: 'Binance Public API',
+            requiresKey: false,
+            exchanges: ['BINANCE'],
+            baseUrl: 'https://api.binance.com/api/v3',
+
+            // BTC/USDT -> BTCUSDT
+            symbol(pair) {
+                return pair.replace('/', '');
+            },
+
+            async getOrderbook(exchangeId, pair, options) {
+                const url = `${this.baseUrl}/depth?symbol=${this.symbol(pair)}&limit=${options.depth}`;
+                const data = await CoinAPI.fetchJson(url);
+                return CoinAPI.buildOrderbook(data.asks, data.bids, CoinAPI.getFetchedAt(url));
+            },
+
+            stream: {
+                // Partial book depth streams push a 10-level snapshot every 100ms
+                url(pairs) {
+                    const streams = pairs.map(pair => `${pair.replace('/', '').toLowerCase()}@depth10@100ms`);
+                    return `wss://stream.binance.com:9443/stream?streams=${streams.join('/')}`;
+                },
+
+                subscriptions() {
+                    return [];
+                },
+
+                handle(message, state, exchanges, pairs) {
+                    if (!message.stream || !message.data) return [];
+
+                    const symbol = message.stream.split('@')[0];
+                    const pair = pairs.find(p => p.replace('/', '').toLowerCase() === symbol);
+                    if (!pair) return [];
+
+                    return [{
+                        exchange: 'BINANCE',
+                        pair,
+                        asks: message.data.asks,
+                        bids: message.data.bids
+                    }];
+                }
+            }
+        },
+
+        kraken: {
+            name: 'Kraken Public API',
+            requiresKey: false,
+            exchanges: ['KRAKEN'],
+            baseUrl: 'https://api.kraken.com/0/public',
+
+            // Kraken still lists bitcoin as XBT
+            assetMap: {
+                'BTC': 'XBT'
+            },
+
+            // BTC/USDT -> XBTUSDT
+            symbol(pair) {
+                return pair.split('/').map(asset => this.assetMap[asset] || asset).join('');
+            },
+
+            async getOrderbook(exchangeId, pair, options) {
+                const url = `${this.baseUrl}/Depth?pair=${this.symbol(pair)}&count=${options.depth}`;
+                const data = await CoinAPI.fetchJson(url);
+
+                if (data.error && data.error.length > 0) {
+                    throw new Error(`Kraken error: ${data.error.join(', ')}`);
+                }
+
+                // Result is keyed by Kraken's internal pair name, e.g. XXBTZUSD
+                const book = Object.values(data.result || {})[0];
+                return book ? CoinAPI.buildOrderbook(book.asks, book.bids, CoinAPI.getFetchedAt(url)) : null;
+            },
+
+            stream: {
+                // WebSocket v2 uses plain BTC/USDT symbols
+                url() {
+                    return 'wss://ws.kraken.com/v2';
+                },
+
+                subscriptions(pairs, exchanges, options) {
+                    return [{
+                        method: 'subscribe',
+                        params: { channel: 'book', symbol: pairs, depth: options.depth }
+                    }];
+                },
+
+                // Kraken sends one snapshot, then deltas where qty 0 removes a level
+                handle(message, state, exchanges, pairs, options) {
+                    if (message.channel !== 'book' || !Array.isArray(message.data)) return [];
+
+                    return message.data.map(update => {
+                        if (message.type === 'snapshot' || !state[update.symbol]) {
+                            state[update.symbol] = { asks: new Map(), bids: new Map() };
+                        }
+                        const book = state[update.symbol];
+
+                        for (const side of ['asks', 'bids']) {
+                            for (const level of update[side] || []) {
+                                if (level.qty === 0) {
+                                    book[side].delete(level.price);
+                                } else {
+                                    book[side].set(level.price, level.qty);
+                                }
+                            }
+                        }
+
+                        // Keep the book truncated to the subscribed depth
+                        const levels = (side, direction) => {
+                            const sorted = Array.from(book[side].entries()).sort((a, b) => (a[0] - b[0]) * direction);
+                            sorted.slice(options.depth).forEach(([price]) => book[side].delete(price));
+                            return sorted.slice(0, options.depth);
+                        };
+
+                        return {
+                            exchange: 'KRAKEN',
+                            pair: update.symbol,
+                            asks: levels('asks', 1),
+                            bids: levels('bids', -1)
+                        };
+                    });
+                }
+            }
+        },
+
+        coinbase: {
+            name: 'Coinbase Exchange Public API',
+            requiresKey: false,
+            exchanges: ['COINBASE'],
+            baseUrl: 'https://api.exchange.coinbase.com',
+
+            // BTC/USDT -> BTC-USDT
+            symbol(pair) {
+                return pair.replace('/', '-');
+            },
+
+            async getOrderbook(exchangeId, pair) {
+                const url = `${this.baseUrl}/products/${this.symbol(pair)}/book?level=2`;
+                const data = await CoinAPI.fetchJson(url);
+                return CoinAPI.buildOrderbook(data.asks, data.bids, data.time || CoinAPI.getFetchedAt(url));
+            }
+        },
+
+        bitstamp: {
+            name: 'Bitstamp Public API',
+            requiresKey: false,
+            exchanges: ['BITSTAMP'],
+            baseUrl: 'https://www.bitstamp.net/api/v2',
+
+            // BTC/USDT -> btcusdt
+            symbol(pair) {
+                return pair.replace('/', '').toLowerCase();
+            },
+
+            async getOrderbook(exchangeId, pair) {
+                const url = `${this.baseUrl}/order_book/${this.symbol(pair)}/`;
+                const data = await CoinAPI.fetchJson(url);
+                return CoinAPI.buildOrderbook(data.asks, data.bids, data.microtimestamp || data.timestamp);
+            },
+
+            stream: {
+                url() {
+                    return 'wss://ws.bitstamp.net';
+                },
+
+                subscriptions(pairs) {
+                    return pairs.map(pair => ({
+                        event: 'bts:subscribe',
+                        data: { channel: `order_book_${pair.replace('/', '').toLowerCase()}` }
+                    }));
+                },
+
+                // Live order book channel pushes a full top-100 snapshot each time
+                handle(message, state, exchanges, pairs) {
+                    if (message.event === 'bts:request_reconnect') {
+                        throw new Error('Bitstamp requested reconnect');
+                    }
+                    if (message.event !== 'data' || !message.channel) return [];
+
+                    const symbol = message.channel.replace('order_book_', '');
+                    const pair = pairs.find(p => p.replace('/', '').toLowerCase() === symbol);
+                    if (!pair) return [];
+
+                    return [{
+                        exchange: 'BITSTAMP',
+                        pair,
+                        asks: message.data.asks,
+                        bids: message.data.bids,
+                        time: message.data.microtimestamp || message.data.timestamp
+                    }];
+                }
+            }
+        }
+    },
+
+    /**
+     * Get adapter by provider ID
+     */
+    get(providerId) {
+        const adapter = this.adapters[providerId];
+        if (!adapter) {
+            throw new Error(`Unknown market data provider: ${providerId}`);
+        }
+        return adapter;
+    },
+
+    /**
+     * Resolve the provider to use for an exchange
+     * In demo mode that is always the default provider
+     */
+    resolve(exchangeId, providerId) {
+        return this.demo ? this.defaultProvider : this.choose(exchangeId, providerId);
+    },
+
+    /**
+     * Provider configured for an exchange, whether or not demo mode overrides it
+     * Falls back to the default provider if the choice doesn't support the exchange
+     */
+    choose(exchangeId, providerId) {
+        const adapter = this.adapters[providerId];
+        if (adapter && this.serves(adapter, exchangeId)) {
+            return providerId;
+        }
+        return this.defaultProvider;
+    },
+
+    /**
+     * Check if an adapter can serve an exchange
+     */
+    serves(adapter, exchangeId) {
+        return adapter.exchanges === '*' || adapter.exchanges.includes(exchangeId);
+    },
+
+    /**
+     * List providers that can serve an exchange
+     * @returns {Array} - Array of { id, name, requiresKey }
+     */
+    forExchange(exchangeId) {
+        return Object.entries(this.adapters)
+            .filter(([, adapter]) => this.serves(adapter, exchangeId))
+            .map(([id, adapter]) => ({ id, name: adapter.name, requiresKey: adapter.requiresKey }));
+    },
+
+    /**
+     * Check if a provider can stream order books over WebSocket
+     */
+    canStream(providerId) {
+        return Boolean(this.adapters[providerId] && this.adapters[providerId].stream);
+    },
+
+    /**
+     * Check if any of the exchanges is served by a provider that needs an API key
+     */
+    requiresKey(exchanges, providers = {}) {
+        if (this.demo) {
+            return false;
+        }
+        return exchanges.some(exchangeId =>
+            this.get(this.resolve(exchangeId, providers[exchangeId])).requiresKey
+        );
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Providers;
+}
@@ -0,0 +1,170 @@
+/**
+ * Quote Quality
+ * Screens quotes for stale books, crossed or empty tops and outlier prices
+ * before they are compared, so bad data doesn't show up as profit
+ */
+
+const QuoteQuality = {
+    // What happens to a quote that fails a check
+    modes: ['exclude', 'flag'],
+
+    // Scaling from median absolute deviation to a standard deviation for normal data
+    madScale: 1.4826,
+
+    // Smallest deviation (% of the median) counted as one standard deviation, so
+    // exchanges that agree almost exactly don't make every small difference an outlier
+    minDeviation: 0.1,
+
+    /**
+     * Median of a list of numbers
+     */
+    median(values) {
+        if (values.length === 0) {
+            return null;
+        }
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    },
+
+    /**
+     * Quality settings from config
+     * @returns {Object} - { enabled, maxAge, outlierSigma, mode } with maxAge in ms
+     */
+    getSettings(config) {
+        return {
+            enabled: config.quoteChecks !== false,
+            maxAge: (config.quoteMaxAge || 0) * 1000,
+            outlierSigma: config.quoteOutlierSigma || 0,
+            mode: this.modes.includes(config.quoteCheckMode) ? config.quoteCheckMode : 'exclude'
+        };
+    },
+
+    /**
+     * Check every quote
+     * Outliers are judged per pair against the median mid price of the other
+     * checks' survivors, with the spread measured robustly (median absolute
+     * deviation) so one bad quote can't widen the band that should catch it
+     * @param {Array} quotes - Quotes, as built by CoinAPI.buildQuote
+     * @param {Object} settings - From getSettings
+     * @param {Number} now - Current time in ms
+     * @returns {Map} - Quote -> array of { code, message } for quotes with issues
+     */
+    inspect(quotes, settings, now = Date.now()) {
+        const issues = new Map();
+        const add = (quote, code, message) => {
+            if (!issues.has(quote)) issues.set(quote, []);
+            issues.get(quote).push({ code, message });
+        };
+
+        for (const quote of quotes) {
+            const age = now - new Date(quote.timestamp).getTime();
+            if (settings.maxAge > 0 && age > settings.maxAge) {
+                add(quote, 'stale', `Book is ${Arbitrage.formatDuration(age)} old (limit ${Arbitrage.formatDuration(settings.maxAge)})`);
+            }
+            if (quote.bid >= quote.ask) {
+                add(quote, 'crossed', `Crossed book: bid ${Arbitrage.formatPrice(quote.bid)} ≥ ask ${Arbitrage.formatPrice(quote.ask)}`);
+            }
+            if (!(quote.askVolume > 0) || !(quote.bidVolume > 0)) {
+                add(quote, 'empty', 'Zero volume at the top of the book');
+            }
+        }
+
+        if (settings.outlierSigma > 0) {
+            const byPair = new Map();
+            for (const quote of quotes) {
+                if (issues.has(quote)) continue;
+                if (!byPair.has(quote.pair)) byPair.set(quote.pair, []);
+                byPair.get(quote.pair).push(quote);
+            }
+
+            for (const group of byPair.values()) {
+                // With two books there's no telling which one is wrong
+                if (group.length < 3) continue;
+
+                const mids = group.map(quote => (quote.bid + quote.ask) / 2);
+                const median = this.median(mids);
+                const mad = this.median(mids.map(mid => Math.abs(mid - median)));
+                const sigma = Math.max(mad * this.madScale, (median * this.minDeviation) / 100);
+
+                group.forEach((quote, i) => {
+                    const deviations = Math.abs(mids[i] - median) / sigma;
+                    if (deviations > settings.outlierSigma) {
+                        const percent = ((mids[i] - median) / median) * 100;
+                        add(quote, 'outlier', `Mid price ${percent >= 0 ? '+' : ''}${Arbitrage.formatPercent(percent)} from the `
+                            + `median of ${group.length} exchanges (${deviations.toFixed(1)} standard deviations)`);
+                    }
+                });
+            }
+        }
+
+        return issues;
+    },
+
+    /**
+     * Screen quotes before they are compared
+     * @param {Array} quotes - Quotes, as built by CoinAPI.buildQuote
+     * @param {Object} settings - From getSettings
+     * @param {Number} now - Current time in ms
+     * @returns {Object} - { quotes, flagged } where quotes are the ones to compare and flagged
+     *                     is an array of { quote, issues, excluded }. Flagged quotes that are
+     *                     kept carry their issues as quote.issues
+     */
+    screen(quotes, settings, now = Date.now()) {
+        if (!settings.enabled) {
+            return { quotes, flagged: [] };
+        }
+
+        const issues = this.inspect(quotes, settings, now);
+        const exclude = settings.mode === 'exclude';
+        const flagged = [];
+        const kept = [];
+
+        for (const quote of quotes) {
+            const quoteIssues = issues.get(quote);
+            if (!quoteIssues) {
+                kept.push(quote);
+                continue;
+            }
+
+            flagged.push({ quote, issues: quoteIssues, excluded: exclude });
+            if (!exclude) {
+                kept.push({ ...quote, issues: quoteIssues });
+            }
+        }
+
+        return { quotes: kept, flagged };
+    },
+
+    /**
+     * Attach the issues of flagged quotes an opportunity was calculated from
+     * @param {Array} opportunities - Opportunities to annotate
+     * @param {Array} quotes - Screened quotes the opportunities came from
+     */
+    annotate(opportunities, quotes) {
+        const flagged = new Map(quotes
+            .filter(quote => quote.issues)
+            .map(quote => [`${quote.exchange}|${quote.pair}`, quote.issues]));
+        if (flagged.size === 0) {
+            return opportunities;
+        }
+
+        for (const opp of opportunities) {
+            const books = opp.type === 'triangular'
+                ? opp.pairs.map(pair => `${opp.exchange}|${pair}`)
+                : [`${opp.buyExchange}|${opp.pair}`, `${opp.sellExchange}|${opp.sellPair || opp.pair}`];
+
+            const issues = books.flatMap(book => (flagged.get(book) || [])
+                .map(issue => ({ ...issue, book: book.replace('|', ' ') })));
+            if (issues.length > 0) {
+                opp.quoteIssues = issues;
+            }
+        }
+        return opportunities;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuoteQuality;
+}
@@ -0,0 +1,240 @@
+/**
+ * Streaming Market Data
+ * Keeps live order books per exchange/pair from WebSocket feeds
+ */
+
+const Stream = {
+    // Reconnect backoff bounds
+    minBackoff: 1000, // 1 second
+    maxBackoff: 30000, // 30 seconds
+
+    // A feed with no message for this long is reported as stale
+    staleAfter: 10000, // 10 seconds
+
+    // Active feeds, keyed by feed ID
+    feeds: new Map(),
+
+    // Latest quote per exchange/pair, keyed by `${exchange}|${pair}`
+    books: new Map(),
+
+    options: {},
+
+    /**
+     * Start streaming order books
+     * @param {Array} pairs - Trading pairs to subscribe to
+     * @param {Array} exchanges - Exchange IDs to subscribe to
+     * @param {Object} options - { apiKey, providers, depth, onQuote, onHealth }
+     */
+    start(pairs, exchanges, options) {
+        this.stop();
+        this.options = options;
+
+        for (const exchangeId of exchanges) {
+            let providerId = Providers.resolve(exchangeId, (options.providers || {})[exchangeId]);
+
+            // CoinAPI streams every exchange, so use it for sources without a feed
+            if (!Providers.canStream(providerId) && options.apiKey) {
+                providerId = 'coinapi';
+            }
+
+            const feedId = Providers.canStream(providerId) ? providerId : exchangeId;
+            if (!this.feeds.has(feedId)) {
+                this.feeds.set(feedId, {
+                    id: feedId,
+                    providerId,
+                    label: providerId === 'coinapi' ? 'CoinAPI' : exchangeId,
+                    exchanges: [],
+                    pairs,
+                    socket: null,
+                    status: 'connecting',
+                    attempts: 0,
+                    lastMessage: null,
+                    retryAt: null,
+                    reconnectTimer: null,
+                    state: {},
+                    detail: ''
+                });
+            }
+            this.feeds.get(feedId).exchanges.push(exchangeId);
+        }
+
+        for (const feed of this.feeds.values()) {
+            const adapter = Providers.get(feed.providerId);
+
+            if (!adapter.stream) {
+                feed.status = 'unsupported';
+                feed.detail = 'No streaming feed for this source';
+            } else if (adapter.requiresKey && !options.apiKey) {
+                feed.status = 'unsupported';
+                feed.detail = 'API key required';
+            } else {
+                this.connect(feed);
+            }
+        }
+
+        this.notifyHealth();
+    },
+
+    /**
+     * Stop all feeds and drop the in-memory books
+     */
+    stop() {
+        for (const feed of this.feeds.values()) {
+            clearTimeout(feed.reconnectTimer);
+            if (feed.socket) {
+                feed.socket.onclose = null;
+                feed.socket.close();
+            }
+        }
+
+        this.feeds.clear();
+        this.books.clear();
+    },
+
+    /**
+     * Check if any feed is active
+     */
+    isRunning() {
+        return this.feeds.size > 0;
+    },
+
+    /**
+     * Open a WebSocket for a feed
+     */
+    connect(feed) {
+        const adapter = Providers.get(feed.providerId).stream;
+
+        feed.status = feed.attempts > 0 ? 'reconnecting' : 'connecting';
+        feed.state = {};
+        this.notifyHealth();
+
+        let socket;
+        try {
+            socket = new WebSocket(adapter.url(feed.pairs, this.options));
+        } catch (error) {
+            feed.detail = error.message;
+            this.scheduleReconnect(feed);
+            return;
+        }
+        feed.socket = socket;
+
+        socket.onopen = () => {
+            feed.status = 'open';
+            feed.attempts = 0;
+            feed.detail = '';
+
+            adapter.subscriptions(feed.pairs, feed.exchanges, this.options)
+                .forEach(message => socket.send(JSON.stringify(message)));
+
+            this.notifyHealth();
+        };
+
+        socket.onmessage = (event) => this.handleMessage(feed, adapter, event.data);
+
+        socket.onerror = () => {
+            feed.detail = 'Connection error';
+        };
+
+        socket.onclose = () => {
+            feed.socket = null;
+
+            // Only reconnect feeds that haven't been stopped or replaced
+            if (this.feeds.get(feed.id) === feed) {
+                this.scheduleReconnect(feed);
+            }
+        };
+    },
+
+    /**
+     * Apply a feed message to the books and report updated quotes
+     */
+    handleMessage(feed, adapter, raw) {
+        feed.lastMessage = Date.now();
+
+        let updates;
+        try {
+            updates = adapter.handle(JSON.parse(raw), feed.state, feed.exchanges, feed.pairs, this.options);
+        } catch (error) {
+            console.error(`Stream error on ${feed.label}:`, error);
+            feed.detail = error.message;
+
+            // Closing triggers a reconnect with a fresh snapshot
+            if (feed.socket) feed.socket.close();
+            return;
+        }
+
+        for (const update of updates) {
+            const orderbook = CoinAPI.buildOrderbook(update.asks, update.bids, update.time);
+            if (!orderbook.ask || !orderbook.bid) continue;
+
+            const quote = CoinAPI.buildQuote(update.exchange, feed.providerId, update.pair, orderbook);
+            this.books.set(`${update.exchange}|${update.pair}`, quote);
+
+            if (this.options.onQuote) {
+                this.options.onQuote(quote);
+            }
+        }
+    },
+
+    /**
+     * Reconnect with exponential backoff and jitter
+     */
+    scheduleReconnect(feed) {
+        const backoff = Math.min(this.maxBackoff, this.minBackoff * 2 ** feed.attempts);
+        const delay = backoff + Math.random() * this.minBackoff;
+
+        feed.attempts++;
+        feed.status = 'reconnecting';
+        feed.retryAt = Date.now() + delay;
+        feed.reconnectTimer = setTimeout(() => this.connect(feed), delay);
+
+        this.notifyHealth();
+    },
+
+    /**
+     * Get live quotes, optionally for a single pair
+     */
+    getQuotes(pair) {
+        const quotes = Array.from(this.books.values());
+        return pair ? quotes.filter(quote => quote.pair === pair) : quotes;
+    },
+
+    /**
+     * Get connection health for every feed
+     * @returns {Array} - Array of { id, label, exchanges, status, lastMessage, retryAt, detail }
+     */
+    getHealth() {
+        const now = Date.now();
+
+        return Array.from(this.feeds.values()).map(feed => {
+            let status = feed.status;
+            if (status === 'open' && feed.lastMessage && now - feed.lastMessage > this.staleAfter) {
+                status = 'stale';
+            }
+
+            return {
+                id: feed.id,
+                label: feed.label,
+                exchanges: feed.exchanges,
+                status,
+                lastMessage: feed.lastMessage,
+                retryAt: feed.retryAt,
+                detail: feed.detail
+            };
+        });
+    },
+
+    /**
+     * Notify listener of a health change
+     */
+    notifyHealth() {
+        if (this.options.onHealth) {
+            this.options.onHealth(this.getHealth());
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Stream;
+}
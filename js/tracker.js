@@ -0,0 +1,185 @@
+/**
+ * Opportunity Tracker
+ * Follows routes across refresh cycles and remembers how long spreads last
+ */
+
+const Tracker = {
+    // Storage key for closed spread lifetimes
+    storageKey: 'discopic_lifetimes',
+
+    // Closed lifetimes kept per route
+    maxLifetimes: 50,
+
+    // How long closed routes stay listed
+    closedRetention: 5 * 60 * 1000, // 5 minutes
+
+    // Routes currently open, keyed by route key
+    open: new Map(),
+
+    // Recently closed routes, keyed by route key
+    closed: new Map(),
+
+    // Closed lifetimes in ms per route key, loaded lazily
+    lifetimes: null,
+
+    /**
+     * Route key identifying an opportunity across cycles
+     */
+    key(opportunity) {
+        if (opportunity.type === 'triangular') {
+            return `${opportunity.exchange}|${opportunity.pair}`;
+        }
+        // Cross-quote routes also name the pair they sell on
+        const pair = opportunity.sellPair ? `${opportunity.pair}>${opportunity.sellPair}` : opportunity.pair;
+        return `${pair}|${opportunity.buyExchange}|${opportunity.sellExchange}`;
+    },
+
+    /**
+     * Record one cycle of detected opportunities
+     * Routes missing from this cycle are closed and their lifetime recorded
+     */
+    observe(opportunities, now = Date.now()) {
+        const seen = new Set();
+
+        for (const opportunity of opportunities) {
+            const key = this.key(opportunity);
+            seen.add(key);
+
+            const entry = this.open.get(key);
+            if (entry) {
+                entry.lastSeen = now;
+                entry.cycles++;
+                entry.currentNetProfit = opportunity.netProfit;
+                entry.peakNetProfit = Math.max(entry.peakNetProfit, opportunity.netProfit);
+            } else {
+                this.open.set(key, {
+                    type: opportunity.type,
+                    pair: opportunity.pair,
+                    pairs: opportunity.pairs,
+                    sellPair: opportunity.sellPair,
+                    buyExchange: opportunity.buyExchange,
+                    sellExchange: opportunity.sellExchange,
+                    firstSeen: now,
+                    lastSeen: now,
+                    cycles: 1,
+                    currentNetProfit: opportunity.netProfit,
+                    peakNetProfit: opportunity.netProfit
+                });
+                this.closed.delete(key); // Reopened
+            }
+        }
+
+        for (const [key, entry] of this.open) {
+            if (!seen.has(key)) {
+                // The spread closed somewhere between its last sighting and now
+                const closedAt = (entry.lastSeen + now) / 2;
+                const lifetime = closedAt - entry.firstSeen;
+
+                this.recordLifetime(key, lifetime);
+                this.closed.set(key, { ...entry, key, closedAt, lifetime });
+                this.open.delete(key);
+            }
+        }
+
+        for (const [key, entry] of this.closed) {
+            if (now - entry.closedAt > this.closedRetention) {
+                this.closed.delete(key);
+            }
+        }
+    },
+
+    /**
+     * Persistence details for an open opportunity
+     * @returns {Object} - { firstSeen, lifetime, cycles, peakNetProfit, currentNetProfit }
+     */
+    describe(opportunity, now = Date.now()) {
+        const entry = this.open.get(this.key(opportunity));
+        if (!entry) {
+            // Not observed yet, so this is its first cycle
+            return {
+                firstSeen: now,
+                lifetime: 0,
+                cycles: 1,
+                peakNetProfit: opportunity.netProfit,
+                currentNetProfit: opportunity.netProfit
+            };
+        }
+
+        return {
+            firstSeen: entry.firstSeen,
+            lifetime: now - entry.firstSeen,
+            cycles: entry.cycles,
+            peakNetProfit: entry.peakNetProfit,
+            currentNetProfit: entry.currentNetProfit
+        };
+    },
+
+    /**
+     * Recently closed routes, most recently closed first
+     * @returns {Array} - Array of { key, type, pair, buyExchange, sellExchange, closedAt, lifetime, cycles, peakNetProfit }
+     */
+    getClosed() {
+        return Array.from(this.closed.values()).sort((a, b) => b.closedAt - a.closedAt);
+    },
+
+    /**
+     * Store a closed spread's lifetime
+     */
+    recordLifetime(key, lifetime) {
+        const lifetimes = this.loadLifetimes();
+        const history = lifetimes[key] || [];
+
+        history.push(lifetime);
+        lifetimes[key] = history.slice(-this.maxLifetimes);
+        this.saveLifetimes();
+    },
+
+    /**
+     * Median lifetime of a route's closed spreads
+     * @returns {Number|null} - Lifetime in ms, or null if the route has never closed
+     */
+    getTypicalLifetime(key) {
+        const history = this.loadLifetimes()[key];
+        if (!history || history.length === 0) {
+            return null;
+        }
+
+        const sorted = [...history].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+    },
+
+    /**
+     * Load closed lifetimes from localStorage
+     */
+    loadLifetimes() {
+        if (this.lifetimes) {
+            return this.lifetimes;
+        }
+
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            this.lifetimes = stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error('Error loading spread lifetimes:', error);
+            this.lifetimes = {};
+        }
+        return this.lifetimes;
+    },
+
+    /**
+     * Save closed lifetimes to localStorage
+     */
+    saveLifetimes() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.lifetimes));
+        } catch (error) {
+            console.error('Error saving spread lifetimes:', error);
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Tracker;
+}
@@ -0,0 +1,225 @@
+/**
+ * Triangular Arbitrage Detection
+ * Finds profitable currency cycles within a single exchange
+ */
+
+const Triangular = {
+    // Cycles are reported starting from the first of these currencies they contain
+    preferredStart: ['USDT', 'USD', 'USDC', 'EUR', 'BTC', 'ETH'],
+
+    /**
+     * Find profitable cycles on every exchange
+     * @param {Array} quotes - Array of quote objects
+     * @param {Object} fees - Exchange ID -> fee percentage, or { buy, sell } (see Fees.resolve)
+     * @param {Number} minProfit - Minimum net profit threshold
+     * @param {Number} maxLegs - Longest cycle to look for (3 = triangles)
+     * @returns {Array} - Array of triangular opportunity objects
+     */
+    findOpportunities(quotes, fees, minProfit = 0.5, maxLegs = 3) {
+        const opportunities = [];
+
+        for (const [exchange, exchangeQuotes] of Object.entries(this.groupByExchange(quotes))) {
+            if (exchangeQuotes.length < 3) continue; // A cycle needs at least 3 pairs
+
+            const graph = this.buildGraph(exchangeQuotes);
+
+            for (const legs of this.findCycles(graph, maxLegs)) {
+                const opportunity = this.evaluateCycle(exchange, this.rotateCycle(legs), fees);
+
+                if (opportunity.netProfit >= minProfit) {
+                    opportunities.push(opportunity);
+                }
+            }
+        }
+
+        // Sort by net profit (highest first)
+        return opportunities.sort((a, b) => b.netProfit - a.netProfit);
+    },
+
+    /**
+     * Group quotes by exchange
+     */
+    groupByExchange(quotes) {
+        const grouped = {};
+
+        for (const quote of quotes) {
+            if (!grouped[quote.exchange]) {
+                grouped[quote.exchange] = [];
+            }
+            grouped[quote.exchange].push(quote);
+        }
+
+        return grouped;
+    },
+
+    /**
+     * Build a currency graph from one exchange's quotes
+     * Each BASE/QUOTE pair adds two edges: QUOTE -> BASE (buy at ask)
+     * and BASE -> QUOTE (sell at bid)
+     * @returns {Map} - Currency -> array of outgoing edges
+     */
+    buildGraph(quotes) {
+        const graph = new Map();
+        const addEdge = (from, edge) => {
+            if (!graph.has(from)) graph.set(from, []);
+            graph.get(from).push(edge);
+        };
+
+        for (const quote of quotes) {
+            const [base, quoteCurrency] = quote.pair.split('/');
+
+            addEdge(quoteCurrency, {
+                from: quoteCurrency,
+                to: base,
+                pair: quote.pair,
+                side: 'buy',
+                price: quote.ask,
+                rate: 1 / quote.ask,
+                // Max input in the from-currency at top of book
+                capacity: quote.askVolume * quote.ask
+            });
+            addEdge(base, {
+                from: base,
+                to: quoteCurrency,
+                pair: quote.pair,
+                side: 'sell',
+                price: quote.bid,
+                rate: quote.bid,
+                capacity: quote.bidVolume
+            });
+        }
+
+        return graph;
+    },
+
+    /**
+     * Enumerate simple cycles of 3 to maxLegs edges
+     * Each cycle is reported once per direction, starting from its
+     * alphabetically lowest currency
+     * @returns {Array} - Array of edge arrays
+     */
+    findCycles(graph, maxLegs = 3) {
+        const cycles = [];
+
+        const visit = (start, current, path, visited) => {
+            for (const edge of graph.get(current) || []) {
+                if (edge.to === start && path.length + 1 >= 3) {
+                    cycles.push([...path, edge]);
+                    continue;
+                }
+
+                // Only walk through currencies sorting after the start to skip rotations
+                if (path.length + 1 >= maxLegs || visited.has(edge.to) || edge.to < start) continue;
+
+                visited.add(edge.to);
+                visit(start, edge.to, [...path, edge], visited);
+                visited.delete(edge.to);
+            }
+        };
+
+        for (const start of graph.keys()) {
+            visit(start, start, [], new Set([start]));
+        }
+
+        return cycles;
+    },
+
+    /**
+     * Rotate a cycle to start from the most familiar currency it contains
+     * Profit is the same for every rotation, only the start currency changes
+     */
+    rotateCycle(legs) {
+        for (const currency of this.preferredStart) {
+            const index = legs.findIndex(leg => leg.from === currency);
+            if (index !== -1) {
+                return [...legs.slice(index), ...legs.slice(0, index)];
+            }
+        }
+        return legs;
+    },
+
+    /**
+     * Price a cycle, applying the exchange's buy or sell fee on every leg
+     * Fee-token payment is deliberately ignored here: the discounted rate
+     * applies, but it is taken out of each leg's proceeds rather than a token
+     * balance. For a cycle that costs the same to within the fee on the fee,
+     * and keeps the whole cycle in one currency for sizing and paper trading.
+     */
+    evaluateCycle(exchange, legs, fees) {
+        const legFees = legs.map(leg => Fees.forSide(fees, exchange, leg.side));
+        let grossRate = 1;
+        let netRate = 1;
+        let volume = Infinity;
+
+        legs.forEach((leg, i) => {
+            // Convert the leg's capacity back into the start currency
+            volume = Math.min(volume, leg.capacity / netRate);
+
+            grossRate *= leg.rate;
+            netRate *= leg.rate * (1 - legFees[i] / 100);
+        });
+
+        const startCurrency = legs[0].from;
+
+        return {
+            type: 'triangular',
+            pair: [startCurrency, ...legs.map(leg => leg.to)].join('→'),
+            pairs: legs.map(leg => leg.pair),
+            exchange: exchange,
+            buyExchange: exchange,
+            sellExchange: exchange,
+            startCurrency: startCurrency,
+            legs: legs.map((leg, i) => ({
+                from: leg.from,
+                to: leg.to,
+                pair: leg.pair,
+                side: leg.side,
+                price: leg.price,
+                fee: legFees[i]
+            })),
+            grossProfit: (grossRate - 1) * 100,
+            netProfit: (netRate - 1) * 100,
+            totalFee: legFees.reduce((sum, fee) => sum + fee, 0),
+            volume: volume,
+            timestamp: new Date().toISOString()
+        };
+    },
+
+    /**
+     * Calculate potential profit amount for a cycle
+     * @param {Object} opportunity - Triangular opportunity
+     * @param {Number} investmentAmount - Amount to start with, in the start currency
+     * @returns {Object} - Profit breakdown with per-leg amounts
+     */
+    calculateProfitAmount(opportunity, investmentAmount) {
+        let amount = investmentAmount;
+
+        const legs = opportunity.legs.map(leg => {
+            const received = leg.side === 'buy' ? amount / leg.price : amount * leg.price;
+            const feeAmount = (received * leg.fee) / 100;
+            const step = {
+                ...leg,
+                spent: amount,
+                received: received - feeAmount,
+                feeAmount
+            };
+            amount = step.received;
+            return step;
+        });
+
+        const profit = amount - investmentAmount;
+
+        return {
+            investmentAmount,
+            legs,
+            finalAmount: amount,
+            profit,
+            profitPercent: (profit / investmentAmount) * 100
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Triangular;
+}
@@ -0,0 +1,207 @@
+/**
+ * Key Vault
+ * Keeps the CoinAPI key encrypted at rest with a passphrase (PBKDF2-derived
+ * AES-GCM), or in memory only, and locks it again after a period of inactivity
+ */
+
+const KeyVault = {
+    storageKey: 'discopic_vault',
+
+    // PBKDF2-SHA256 iterations for new vaults; stored vaults keep their own count
+    iterations: 310000,
+
+    // Unlocked key, held in memory only
+    key: null,
+
+    // Auto-lock after this long without activity (ms); 0 never locks
+    lockAfter: 0,
+    lockTimer: null,
+
+    // Called after the key is locked
+    onLock: null,
+
+    /**
+     * Check if the browser can encrypt the key (WebCrypto needs HTTPS or localhost)
+     */
+    isSupported() {
+        return typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+    },
+
+    /**
+     * Check if an encrypted key is stored
+     */
+    hasStoredKey() {
+        try {
+            return Boolean(localStorage.getItem(this.storageKey));
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Check if the key is available in memory
+     */
+    isUnlocked() {
+        return this.key !== null;
+    },
+
+    /**
+     * Derive an AES-GCM key from a passphrase
+     */
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    /**
+     * Encrypt an API key with a passphrase
+     * @returns {Object} - { salt, iv, iterations, data }, binary fields in base64
+     */
+    async encrypt(apiKey, passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const key = await this.deriveKey(passphrase, salt, this.iterations);
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(apiKey));
+
+        return {
+            salt: this.toBase64(salt),
+            iv: this.toBase64(iv),
+            iterations: this.iterations,
+            data: this.toBase64(new Uint8Array(data))
+        };
+    },
+
+    /**
+     * Decrypt an API key
+     * @param {Object} record - From encrypt
+     * @throws {Error} - If the passphrase is wrong or the record is damaged
+     */
+    async decrypt(record, passphrase) {
+        const key = await this.deriveKey(passphrase, this.fromBase64(record.salt), record.iterations);
+        try {
+            const data = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this.fromBase64(record.iv) }, key, this.fromBase64(record.data)
+            );
+            return new TextDecoder().decode(data);
+        } catch (error) {
+            // AES-GCM can't tell a wrong passphrase from tampered data
+            throw new Error('Wrong passphrase.');
+        }
+    },
+
+    /**
+     * Encrypt and store a key, leaving it unlocked
+     */
+    async store(apiKey, passphrase) {
+        if (!passphrase) {
+            throw new Error('Please enter a passphrase to encrypt the API key.');
+        }
+
+        const record = await this.encrypt(apiKey, passphrase);
+        localStorage.setItem(this.storageKey, JSON.stringify(record));
+        this.remember(apiKey);
+    },
+
+    /**
+     * Decrypt the stored key with the passphrase
+     * @throws {Error} - If no key is stored or the passphrase is wrong
+     */
+    async unlock(passphrase) {
+        const stored = localStorage.getItem(this.storageKey);
+        if (!stored) {
+            throw new Error('No encrypted API key is stored.');
+        }
+
+        this.remember(await this.decrypt(JSON.parse(stored), passphrase));
+    },
+
+    /**
+     * Hold a key in memory for this session, without storing it
+     */
+    remember(apiKey) {
+        this.key = apiKey;
+        this.touch();
+    },
+
+    /**
+     * Forget the key in memory; an encrypted copy stays stored
+     * @param {Boolean} notify - Call onLock; off when the key is being moved elsewhere
+     */
+    lock(notify = true) {
+        const wasUnlocked = this.isUnlocked();
+        this.key = null;
+        clearTimeout(this.lockTimer);
+        this.lockTimer = null;
+
+        if (wasUnlocked && notify && this.onLock) {
+            this.onLock();
+        }
+    },
+
+    /**
+     * Remove the encrypted copy; a key in memory stays unlocked
+     */
+    removeStored() {
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.error('Error removing stored key:', error);
+        }
+    },
+
+    /**
+     * Remove the stored key and forget it
+     */
+    clear(notify = true) {
+        this.removeStored();
+        this.lock(notify);
+    },
+
+    /**
+     * Set the inactivity timeout
+     * @param {Number} minutes - Minutes without activity before locking; 0 never locks
+     */
+    setAutoLock(minutes) {
+        this.lockAfter = Math.max(0, minutes || 0) * 60 * 1000;
+        this.touch();
+    },
+
+    /**
+     * Restart the inactivity timer; call on user activity
+     */
+    touch() {
+        clearTimeout(this.lockTimer);
+        this.lockTimer = null;
+
+        if (this.isUnlocked() && this.lockAfter > 0) {
+            this.lockTimer = setTimeout(() => this.lock(), this.lockAfter);
+        }
+    },
+
+    /**
+     * Base64 text of bytes
+     */
+    toBase64(bytes) {
+        return btoa(String.fromCharCode(...bytes));
+    },
+
+    /**
+     * Bytes of base64 text
+     */
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KeyVault;
+}
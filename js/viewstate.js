@@ -0,0 +1,107 @@
+/**
+ * View State
+ * Keeps filters, sort order, the active view and the open route in the URL,
+ * so a reload restores them and a link shows a teammate the same thing
+ */
+
+const ViewState = {
+    // Query parameter for each part of the state; the open route goes in the hash
+    params: {
+        pair: 'pair',
+        type: 'type',
+        minProfit: 'min',
+        funding: 'funding',
+        minCycles: 'cycles',
+        sortBy: 'sort',
+        view: 'view'
+    },
+    routeParam: 'route',
+
+    // Values the filters and tabs offer
+    types: ['all', 'cross-exchange', 'triangular'],
+    fundings: ['all', 'funded'],
+    sorts: ['profit', 'pair', 'spread', 'lifetime'],
+    views: ['opportunities', 'matrix', 'history', 'inventory', 'paper', 'backtest'],
+
+    /**
+     * State the dashboard starts in; left out of the URL
+     * @param {Number} minProfit - The configured default min profit
+     */
+    getDefaults(minProfit) {
+        return {
+            pair: 'all',
+            type: 'all',
+            minProfit,
+            funding: 'all',
+            minCycles: 1,
+            sortBy: 'profit',
+            view: 'opportunities',
+            route: null
+        };
+    },
+
+    /**
+     * Read state from a URL's query and hash
+     * Values the dashboard doesn't offer are left out, so a stale or edited link
+     * falls back to the defaults rather than breaking the filters
+     * @param {String} search - location.search
+     * @param {String} hash - location.hash
+     * @returns {Object} - The parts of the state the URL sets
+     */
+    parse(search, hash) {
+        const query = new URLSearchParams(search);
+        const state = {};
+        const read = key => query.get(this.params[key]);
+
+        const pair = read('pair');
+        if (pair === 'all') {
+            state.pair = pair;
+        } else if (/^[A-Z0-9]+\/[A-Z0-9]+$/i.test(pair || '')) {
+            state.pair = pair.toUpperCase();
+        }
+
+        const choices = { type: this.types, funding: this.fundings, sortBy: this.sorts, view: this.views };
+        for (const [key, values] of Object.entries(choices)) {
+            if (values.includes(read(key))) state[key] = read(key);
+        }
+
+        const minProfit = parseFloat(read('minProfit'));
+        if (isFinite(minProfit)) state.minProfit = minProfit;
+
+        const minCycles = parseInt(read('minCycles'));
+        if (minCycles >= 1) state.minCycles = minCycles;
+
+        const route = new URLSearchParams(hash.replace(/^#/, '')).get(this.routeParam);
+        if (route) state.route = route;
+
+        return state;
+    },
+
+    /**
+     * URL query and hash for a state, leaving out values at their defaults
+     * @param {Object} state - Full state, as getDefaults returns
+     * @param {Object} defaults - From getDefaults
+     * @returns {String} - e.g. '?pair=BTC/USDT&min=0.8#route=BTC/USDT%7CBINANCE%7CKRAKEN'
+     */
+    serialize(state, defaults) {
+        const query = Object.entries(this.params)
+            .filter(([key]) => state[key] != null && state[key] !== defaults[key])
+            .map(([key, param]) => `${param}=${this.encode(state[key])}`)
+            .join('&');
+        const hash = state.route ? `#${this.routeParam}=${this.encode(state.route)}` : '';
+
+        return (query ? `?${query}` : '') + hash;
+    },
+
+    /**
+     * Encode a value for the URL, keeping the slash of pairs readable
+     */
+    encode(value) {
+        return encodeURIComponent(value).replace(/%2F/g, '/');
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ViewState;
+}
@@ -0,0 +1,78 @@
+/**
+ * Alerts tests: rule thresholds against the table's min profit filter
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const TestHelpers = require('./helpers');
+
+const fees = { BINANCE: 0, KRAKEN: 0, COINBASE: 0 };
+const detect = quotes => threshold => Arbitrage.calculateOpportunities(quotes, fees, threshold);
+
+// Persistence fields, as the dashboard adds them each cycle
+const track = opportunities => {
+    Tracker.observe(opportunities);
+    return opportunities.map(opp => Object.assign(opp, Tracker.describe(opp)));
+};
+
+describe('Alerts', () => {
+    beforeEach(() => {
+        TestHelpers.reset();
+        Alerts.lastFired = new Map();
+        Alerts.notified = new Map();
+    });
+
+    it('detects down to the lowest enabled rule threshold', () => {
+        const rules = [
+            Alerts.createRule({ id: 'low', minNetProfit: 0.3 }),
+            Alerts.createRule({ id: 'off', minNetProfit: 0.1, enabled: false })
+        ];
+
+        assert.equal(Alerts.getThreshold(rules, 0.8), 0.3);
+        assert.equal(Alerts.getThreshold(rules, 0.2), 0.2);
+        assert.equal(Alerts.getThreshold([], 0.8), 0.8);
+    });
+
+    it('fires a rule whose threshold is below the min profit filter', () => {
+        // BINANCE → KRAKEN nets about 0.63% without fees
+        const quotes = TestHelpers.fixtureQuotes('orderbooks.json');
+        const rule = Alerts.createRule({ id: 'low', pair: 'BTC/USDT', minNetProfit: 0.5 });
+        const filter = 0.8;
+
+        const listed = Arbitrage.calculateOpportunities(quotes, fees, filter);
+        assert.deepEqual(listed, []);
+
+        const unlisted = Alerts.findUnlisted([rule], filter, listed, detect(quotes));
+        const [firing] = Alerts.evaluate([rule], track(listed.concat(unlisted)));
+
+        assert.equal(firing.rule, rule);
+        assert.equal(firing.opportunities[0].buyExchange, 'BINANCE');
+        assert.equal(firing.opportunities[0].sellExchange, 'KRAKEN');
+    });
+
+    it('leaves listed routes sized at the min profit filter when a lower rule is added', () => {
+        // At 0.5% BINANCE → KRAKEN fills 0.3 BTC; walking down to 0.2% would fill 0.8 BTC
+        const quotes = TestHelpers.fixtureQuotes('orderbooks.json');
+        const filter = 0.5;
+        const listed = Arbitrage.calculateOpportunities(quotes, fees, filter);
+        const sizes = listed.map(opp => [opp.buyExchange, opp.sellExchange, opp.volume, opp.netProfit]);
+
+        const rule = Alerts.createRule({ id: 'low', minNetProfit: 0.2 });
+        const unlisted = Alerts.findUnlisted([rule], filter, listed, detect(quotes));
+        const [firing] = Alerts.evaluate([rule], track(listed.concat(unlisted)));
+
+        assert.deepEqual(listed.map(opp => [opp.buyExchange, opp.sellExchange, opp.volume, opp.netProfit]), sizes);
+        assert.ok(unlisted.every(opp => !listed.some(other => Tracker.key(other) === Tracker.key(opp))));
+
+        const fired = firing.opportunities.find(opp => opp.buyExchange === 'BINANCE' && opp.sellExchange === 'KRAKEN');
+        assert.ok(Math.abs(fired.volume - 0.3) < 1e-9);
+        assert.equal(fired.netProfit, sizes.find(([buy, sell]) => buy === 'BINANCE' && sell === 'KRAKEN')[3]);
+    });
+
+    it('runs no extra pass when no rule is below the filter', () => {
+        const rule = Alerts.createRule({ minNetProfit: 1 });
+        const unlisted = Alerts.findUnlisted([rule], 0.5, [], () => assert.fail('detected below the filter'));
+
+        assert.deepEqual(unlisted, []);
+    });
+});
@@ -0,0 +1,240 @@
+/**
+ * CoinAPI tests: requests, error mapping, caching, the request budget and order books
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const TestHelpers = require('./helpers');
+
+describe('CoinAPI.request', () => {
+    beforeEach(() => TestHelpers.reset());
+
+    it('sends the key to the CoinAPI endpoint and returns the JSON body', async () => {
+        TestHelpers.stubFetch(() => TestHelpers.response(200, { rate: 65000 }));
+
+        const data = await CoinAPI.request('/exchangerate/BTC/USD', 'my-key');
+
+        assert.deepEqual(data, { rate: 65000 });
+        assert.equal(TestHelpers.requests[0].url, 'https://rest.coinapi.io/v1/exchangerate/BTC/USD');
+        assert.equal(TestHelpers.requests[0].headers['X-CoinAPI-Key'], 'my-key');
+    });
+
+    it('serves repeated requests from the cache', async () => {
+        TestHelpers.stubFetch(() => TestHelpers.response(200, { rate: 65000 }));
+
+        await CoinAPI.request('/exchangerate/BTC/USD', 'my-key');
+        await CoinAPI.request('/exchangerate/BTC/USD', 'my-key');
+
+        assert.equal(TestHelpers.requests.length, 1);
+    });
+
+    const errors = [
+        [401, 'Unauthorized', 'Invalid API key. Please check your settings.'],
+        [429, 'Too Many Requests', 'API rate limit exceeded. Please wait before trying again.'],
+        [550, 'No Data', 'No data available for this request.'],
+        [503, 'Service Unavailable', 'API error: 503 Service Unavailable'],
+        [400, 'Bad Request', 'API error: 400 Bad Request']
+    ];
+    for (const [status, statusText, message] of errors) {
+        it(`maps a ${status} response to "${message}"`, async () => {
+            TestHelpers.stubFetch(() => TestHelpers.response(status, { error: statusText }, {}, statusText));
+
+            await assert.rejects(CoinAPI.request('/exchangerate/BTC/USD', 'my-key'), { message });
+        });
+    }
+
+    it('maps a failed fetch to a network error', async () => {
+        TestHelpers.stubFetch(() => {
+            throw new TypeError('Failed to fetch');
+        });
+
+        await assert.rejects(CoinAPI.request('/exchangerate/BTC/USD', 'my-key'), {
+            message: 'Network error. Please check your connection.'
+        });
+    });
+
+    it('passes other errors through', async () => {
+        TestHelpers.stubFetch(() => new Response('<html>', { status: 200 }));
+
+        await assert.rejects(CoinAPI.request('/exchangerate/BTC/USD', 'my-key'), { name: 'SyntaxError' });
+    });
+
+    it('doesn\'t cache errors', async () => {
+        let status = 503;
+        TestHelpers.stubFetch(() => TestHelpers.response(status, {}));
+
+        await assert.rejects(CoinAPI.request('/exchangerate/BTC/USD', 'my-key'));
+        status = 200;
+        await CoinAPI.request('/exchangerate/BTC/USD', 'my-key');
+
+        assert.equal(TestHelpers.requests.length, 2);
+    });
+
+    it('counts requests against the budget, trusting CoinAPI\'s rate limit headers', async () => {
+        TestHelpers.stubFetch(() => TestHelpers.response(200, {}, {
+            'X-RateLimit-Limit': '1000',
+            'X-RateLimit-Remaining': '250',
+            'X-RateLimit-Request-Cost': '1'
+        }));
+
+        await CoinAPI.request('/exchangerate/BTC/USD', 'my-key');
+
+        assert.equal(RequestBudget.getLimit(), 1000);
+        assert.equal(RequestBudget.getRemaining(), 250);
+    });
+
+    it('backs off briefly after a 429 without touching the daily quota', async () => {
+        TestHelpers.stubFetch(() => TestHelpers.response(429, {}, {}, 'Too Many Requests'));
+
+        await assert.rejects(CoinAPI.request('/exchangerate/BTC/USD', 'my-key'), /rate limit/);
+        await assert.rejects(CoinAPI.request('/exchangerate/ETH/USD', 'my-key'), /Requests resume in 60s/);
+
+        assert.equal(TestHelpers.requests.length, 1);
+        assert.ok(RequestBudget.getRemaining() > 0);
+        assert.equal(RequestBudget.isPaused(Date.now() + RequestBudget.rateLimitBackoff + 1), false);
+    });
+
+    it('waits as long as Retry-After says after a 429', async () => {
+        TestHelpers.stubFetch(() => TestHelpers.response(429, {}, { 'Retry-After': '5' }, 'Too Many Requests'));
+
+        await assert.rejects(CoinAPI.request('/exchangerate/BTC/USD', 'my-key'), /rate limit/);
+
+        assert.equal(RequestBudget.isPaused(Date.now() + 4000), true);
+        assert.equal(RequestBudget.isPaused(Date.now() + 6000), false);
+    });
+
+    it('stops requesting until the reset when a 429 reports the quota used up', async () => {
+        TestHelpers.stubFetch(() => TestHelpers.response(429, {}, { 'X-RateLimit-Remaining': '0' }, 'Too Many Requests'));
+
+        await assert.rejects(CoinAPI.request('/exchangerate/BTC/USD', 'my-key'), /rate limit/);
+
+        assert.equal(RequestBudget.getRemaining(Date.now() + RequestBudget.rateLimitBackoff + 1), 0);
+    });
+
+    it('sends requests through a transport when one is set', async () => {
+        TestHelpers.stubFetch(() => TestHelpers.response(200, { from: 'fetch' }));
+        CoinAPI.transport = async () => TestHelpers.response(200, { from: 'transport' });
+
+        assert.deepEqual(await CoinAPI.request('/exchangerate/BTC/USD', 'my-key'), { from: 'transport' });
+        assert.equal(TestHelpers.requests.length, 0);
+    });
+});
+
+describe('CoinAPI order books', () => {
+    beforeEach(() => TestHelpers.reset());
+
+    it('builds an order book from CoinAPI\'s response', async () => {
+        const book = TestHelpers.fixture('orderbooks.json').BINANCE_SPOT_BTC_USDT;
+        TestHelpers.stubFetch(() => TestHelpers.response(200, book));
+
+        const orderbook = await CoinAPI.getOrderbook('BINANCE', 'BTC/USDT', 'my-key');
+
+        assert.match(TestHelpers.requests[0].url, /\/orderbooks\/BINANCE_SPOT_BTC_USDT\/current\?limit_levels=10$/);
+        assert.equal(orderbook.ask, 64990);
+        assert.equal(orderbook.bid, 64980);
+        assert.equal(orderbook.askVolume, 0.5);
+        assert.equal(orderbook.asks.length, 3);
+        assert.equal(new Date(orderbook.time).toISOString(), book.time_exchange);
+    });
+
+    it('returns null instead of throwing when the request fails', async () => {
+        TestHelpers.stubFetch(() => TestHelpers.response(550, {}, {}, 'No Data'));
+
+        let orderbook;
+        const logged = await TestHelpers.captureConsole('error', async () => {
+            orderbook = await CoinAPI.getOrderbook('BINANCE', 'DOGE/XYZ', 'my-key');
+        });
+
+        assert.equal(orderbook, null);
+        assert.match(logged[0], /BINANCE_SPOT_DOGE_XYZ/);
+    });
+
+    it('drops malformed levels and reads [price, size] arrays', () => {
+        const orderbook = CoinAPI.buildOrderbook(
+            [[100.5, '2'], { price: 'n/a', size: 1 }, { price: 0, size: 1 }, { price: 101, size: null }],
+            [{ price: '99.5', size: '3' }]
+        );
+
+        assert.deepEqual(orderbook.asks, [{ price: 100.5, size: 2 }, { price: 101, size: 0 }]);
+        assert.deepEqual(orderbook.bids, [{ price: 99.5, size: 3 }]);
+        assert.equal(orderbook.ask, 100.5);
+        assert.equal(orderbook.bid, 99.5);
+    });
+
+    it('keeps at most depthLevels levels per side', () => {
+        const levels = Array.from({ length: 25 }, (_, i) => ({ price: 100 + i, size: 1 }));
+        const orderbook = CoinAPI.buildOrderbook(levels, levels);
+
+        assert.equal(orderbook.asks.length, CoinAPI.depthLevels);
+        assert.equal(orderbook.bids.length, CoinAPI.depthLevels);
+    });
+
+    it('fetches every configured exchange for a pair through its provider', async () => {
+        const books = TestHelpers.fixture('orderbooks.json');
+        TestHelpers.stubFetch(url => {
+            const symbolId = url.match(/orderbooks\/(.+)\/current/)[1];
+            return books[symbolId] ? TestHelpers.response(200, books[symbolId]) : TestHelpers.response(550, {});
+        });
+
+        let quotes;
+        await TestHelpers.captureConsole('error', async () => {
+            quotes = await CoinAPI.getQuotesForPair('BTC/USDT', ['BINANCE', 'KRAKEN', 'OKX'], 'my-key',
+                { BINANCE: 'coinapi', KRAKEN: 'coinapi', OKX: 'coinapi' });
+        });
+
+        assert.deepEqual(quotes.map(quote => quote.exchange).sort(), ['BINANCE', 'KRAKEN']);
+        assert.ok(quotes.every(quote => quote.pair === 'BTC/USDT' && quote.provider === 'coinapi'));
+    });
+
+    it('fetches the pairs the budget planner puts first, skipping the rest', async () => {
+        const books = TestHelpers.fixture('orderbooks.json');
+        TestHelpers.stubFetch(url => {
+            const symbolId = url.match(/orderbooks\/(.+)\/current/)[1];
+            return books[symbolId] ? TestHelpers.response(200, books[symbolId]) : TestHelpers.response(550, {});
+        });
+
+        // Room for one pair on both exchanges; BTC/USDT has an open route, so it goes first
+        Config.save({ ...Config.load(), apiDailyQuota: 2 });
+        Tracker.observe([{ type: 'cross-exchange', pair: 'BTC/USDT', buyExchange: 'BINANCE', sellExchange: 'KRAKEN', netProfit: 0.6 }]);
+
+        const quotes = await CoinAPI.getAllQuotes(['ETH/USDT', 'BTC/USDT'], ['BINANCE', 'KRAKEN'], 'my-key',
+            { BINANCE: 'coinapi', KRAKEN: 'coinapi' });
+
+        assert.deepEqual(quotes.map(quote => `${quote.exchange} ${quote.pair}`).sort(), ['BINANCE BTC/USDT', 'KRAKEN BTC/USDT']);
+        assert.ok(TestHelpers.requests.every(request => request.url.includes('_BTC_USDT')));
+        assert.equal(RequestBudget.lastSkipped, 2);
+        assert.equal(RequestBudget.getRemaining(), 0);
+    });
+});
+
+describe('CoinAPI against the demo market', () => {
+    beforeEach(() => TestHelpers.reset());
+
+    it('raises every simulated failure as the matching error', async () => {
+        MockMarket.install(MockMarket.parseScenario(JSON.stringify({
+            latency: 0,
+            errorSequence: [401, 550, 503, 'network', null]
+        })));
+
+        const messages = [];
+        for (let i = 0; i < 5; i++) {
+            try {
+                await CoinAPI.request(`/orderbooks/BINANCE_SPOT_BTC_USDT/current?attempt=${i}`, '');
+                messages.push('ok');
+            } catch (error) {
+                messages.push(error.message);
+            }
+        }
+        MockMarket.uninstall();
+
+        assert.deepEqual(messages, [
+            'Invalid API key. Please check your settings.',
+            'No data available for this request.',
+            'API error: 503 Service Unavailable',
+            'Network error. Please check your connection.',
+            'ok'
+        ]);
+        assert.equal(CoinAPI.baseUrl, 'https://rest.coinapi.io/v1');
+        assert.equal(CoinAPI.transport, null);
+    });
+});
@@ -0,0 +1,238 @@
+/**
+ * Arbitrage tests: fixture order books, fee handling and profit math invariants
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const TestHelpers = require('./helpers');
+
+// Fees are compared after floating point arithmetic
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, message
+    || `expected ${actual} to be close to ${expected}`);
+
+const route = (opportunities, buy, sell) => opportunities.find(opp => opp.buyExchange === buy && opp.sellExchange === sell);
+
+describe('Arbitrage.calculateOpportunities', () => {
+    beforeEach(() => TestHelpers.reset());
+
+    it('walks both books while each unit clears the threshold', () => {
+        const quotes = TestHelpers.fixtureQuotes('orderbooks.json');
+        const opp = route(Arbitrage.calculateOpportunities(quotes, { BINANCE: 0, KRAKEN: 0, COINBASE: 0 }, 0.2),
+            'BINANCE', 'KRAKEN');
+
+        // 0.5 at 64990 and 0.3 at 65000, sold 0.3 at 65400 then 0.5 at 65300;
+        // the next pair (65000 → 65100) is only 0.15%
+        close(opp.volume, 0.8);
+        close(opp.buyPrice, (0.5 * 64990 + 0.3 * 65000) / 0.8);
+        close(opp.sellPrice, (0.3 * 65400 + 0.5 * 65300) / 0.8);
+        assert.equal(opp.bestBuyPrice, 64990);
+        assert.equal(opp.bestSellPrice, 65400);
+        assert.ok(opp.slippage > 0);
+    });
+
+    it('stops at the top of book when deeper levels fall under the threshold', () => {
+        const quotes = TestHelpers.fixtureQuotes('orderbooks.json');
+        const opp = route(Arbitrage.calculateOpportunities(quotes, { BINANCE: 0, KRAKEN: 0, COINBASE: 0 }, 0.5),
+            'BINANCE', 'KRAKEN');
+
+        close(opp.volume, 0.3);
+        assert.equal(opp.buyPrice, 64990);
+        assert.equal(opp.sellPrice, 65400);
+        assert.equal(opp.slippage, 0);
+        close(opp.grossProfit, (410 / 64990) * 100);
+    });
+
+    it('takes each leg\'s fee off the gross profit', () => {
+        const quotes = TestHelpers.fixtureQuotes('orderbooks.json');
+        const fees = { BINANCE: { buy: 0.1, sell: 0.1 }, KRAKEN: { buy: 0.26, sell: 0.16 }, COINBASE: 0.6 };
+        const opp = route(Arbitrage.calculateOpportunities(quotes, fees, 0), 'BINANCE', 'KRAKEN');
+
+        assert.equal(opp.buyFee, 0.1);
+        assert.equal(opp.sellFee, 0.16);
+        close(opp.totalFee, 0.26);
+        close(opp.netProfit, opp.grossProfit - 0.26);
+    });
+
+    it('charges nothing for a configured 0% fee', () => {
+        const quotes = TestHelpers.fixtureQuotes('orderbooks.json');
+        const opp = route(Arbitrage.calculateOpportunities(quotes, { BINANCE: 0, KRAKEN: { buy: 0, sell: 0 } }, 0),
+            'BINANCE', 'KRAKEN');
+
+        assert.equal(opp.buyFee, 0);
+        assert.equal(opp.sellFee, 0);
+        assert.equal(opp.netProfit, opp.grossProfit);
+    });
+
+    it('charges nothing for a 0% tier in a fee schedule', () => {
+        const config = {
+            exchanges: ['BINANCE', 'KRAKEN'],
+            fees: {
+                BINANCE: { tiers: [{ volume: 0, maker: 0, taker: 0 }] },
+                KRAKEN: { tiers: [{ volume: 0, maker: 0, taker: 0.26 }, { volume: 1000000, maker: 0, taker: 0 }] }
+            },
+            feeVolumes: { KRAKEN: 2000000 },
+            buyOrderType: 'taker',
+            sellOrderType: 'taker'
+        };
+        const quotes = TestHelpers.fixtureQuotes('orderbooks.json');
+        const opp = route(Arbitrage.calculateOpportunities(quotes, Fees.resolve(config), 0), 'BINANCE', 'KRAKEN');
+
+        assert.equal(opp.totalFee, 0);
+        assert.equal(opp.netProfit, opp.grossProfit);
+    });
+
+    it('uses the default fee only for exchanges without one', () => {
+        const quotes = TestHelpers.fixtureQuotes('orderbooks.json');
+        const opp = route(Arbitrage.calculateOpportunities(quotes, { KRAKEN: 0 }, 0), 'BINANCE', 'KRAKEN');
+
+        assert.equal(opp.buyFee, Fees.defaultFee);
+        assert.equal(opp.sellFee, 0);
+    });
+
+    it('needs quotes from two exchanges', () => {
+        const quotes = TestHelpers.fixtureQuotes('orderbooks.json').filter(quote => quote.exchange === 'BINANCE');
+        assert.deepEqual(Arbitrage.calculateOpportunities(quotes, {}, -100), []);
+    });
+
+    it('sorts by net profit, highest first', () => {
+        const quotes = [
+            TestHelpers.quote('BINANCE', 'BTC/USDT', 99, 100),
+            TestHelpers.quote('KRAKEN', 'BTC/USDT', 101, 102),
+            TestHelpers.quote('COINBASE', 'BTC/USDT', 103, 104)
+        ];
+        const opportunities = Arbitrage.calculateOpportunities(quotes, {}, 0);
+
+        assert.ok(opportunities.length >= 2);
+        for (let i = 1; i < opportunities.length; i++) {
+            assert.ok(opportunities[i - 1].netProfit >= opportunities[i].netProfit);
+        }
+    });
+});
+
+describe('Arbitrage.calculateProfitAmount', () => {
+    const opportunity = { buyPrice: 100, sellPrice: 101, buyFee: 0.1, sellFee: 0.2 };
+
+    it('takes the buy fee in coins and the sell fee in proceeds', () => {
+        const result = Arbitrage.calculateProfitAmount(opportunity, 1000);
+
+        close(result.buyAmount, 10);
+        close(result.buyFeeAmount, 0.01);
+        close(result.netBuyAmount, 9.99);
+        close(result.sellValue, 9.99 * 101);
+        close(result.sellFeeAmount, 9.99 * 101 * 0.002);
+        close(result.profit, 9.99 * 101 * 0.998 - 1000);
+        close(result.profitPercent, result.profit / 10);
+    });
+
+    it('charges nothing for 0% fees', () => {
+        const result = Arbitrage.calculateProfitAmount({ ...opportunity, buyFee: 0, sellFee: 0 }, 1000);
+
+        assert.equal(result.buyFeeAmount, 0);
+        assert.equal(result.sellFeeAmount, 0);
+        close(result.profit, 10);
+    });
+
+    it('values fees paid in a discount token instead of taking them from the trade', () => {
+        const result = Arbitrage.calculateProfitAmount({ ...opportunity, buyFeeToken: 'BNB', sellFeeToken: 'BNB' }, 1000);
+
+        close(result.netBuyAmount, 10);
+        close(result.netSellValue, 1010);
+        close(result.tokenFeeValue, 0.01 * 100 + 1010 * 0.002);
+        close(result.profit, 10 - result.tokenFeeValue);
+    });
+
+    it('takes the FX conversion cost and risk buffer off the proceeds', () => {
+        const result = Arbitrage.calculateProfitAmount({ ...opportunity, buyFee: 0, sellFee: 0, fxCost: 0.1, fxRisk: 0.1 }, 1000);
+
+        close(result.fxAmount, 1010 * 0.002);
+        close(result.profit, 1010 * 0.998 - 1000);
+    });
+});
+
+describe('Arbitrage properties', () => {
+    const exchanges = ['BINANCE', 'KRAKEN', 'COINBASE', 'BITSTAMP'];
+    const cases = 300;
+
+    // Each case draws books, fees and a threshold from its own seed
+    const draw = seed => {
+        const random = TestHelpers.random(seed);
+        const quotes = TestHelpers.randomQuotes(random, exchanges);
+        const fees = Object.fromEntries(exchanges.map(exchange => [exchange, {
+            buy: random() < 0.2 ? 0 : random() * 0.5,
+            sell: random() < 0.2 ? 0 : random() * 0.5
+        }]));
+        const minProfit = random() * 0.5 - 0.1;
+        return { quotes, fees, minProfit };
+    };
+
+    const eachCase = check => {
+        for (let seed = 1; seed <= cases; seed++) {
+            const { quotes, fees, minProfit } = draw(seed);
+            const opportunities = Arbitrage.calculateOpportunities(quotes, fees, minProfit);
+            for (const opp of opportunities) {
+                check(opp, { quotes, fees, minProfit, seed });
+            }
+        }
+    };
+
+    it('net profit is gross profit less both fees, and clears the threshold', () => {
+        eachCase((opp, { fees, minProfit, seed }) => {
+            const totalFee = fees[opp.buyExchange].buy + fees[opp.sellExchange].sell;
+            close(opp.totalFee, totalFee, `seed ${seed}: total fee`);
+            close(opp.netProfit, opp.grossProfit - totalFee, `seed ${seed}: net profit`);
+            assert.ok(opp.netProfit >= minProfit - 1e-9, `seed ${seed}: ${opp.netProfit} under ${minProfit}`);
+        });
+    });
+
+    it('fills no better than the top of book and no more than either book holds', () => {
+        eachCase((opp, { quotes, seed }) => {
+            const buyQuote = quotes.find(quote => quote.exchange === opp.buyExchange);
+            const sellQuote = quotes.find(quote => quote.exchange === opp.sellExchange);
+            const depth = levels => levels.reduce((sum, level) => sum + level.size, 0);
+
+            assert.ok(opp.buyPrice >= opp.bestBuyPrice - 1e-9, `seed ${seed}: buy VWAP below best ask`);
+            assert.ok(opp.sellPrice <= opp.bestSellPrice + 1e-9, `seed ${seed}: sell VWAP above best bid`);
+            assert.ok(opp.slippage >= -1e-9, `seed ${seed}: negative slippage`);
+            assert.ok(opp.volume > 0, `seed ${seed}: empty fill`);
+            assert.ok(opp.volume <= Math.min(depth(buyQuote.asks), depth(sellQuote.bids)) + 1e-9,
+                `seed ${seed}: fill larger than the books`);
+        });
+    });
+
+    it('never finds both directions of a route between uncrossed books', () => {
+        eachCase((opp, { quotes, fees, minProfit, seed }) => {
+            const reverse = Arbitrage.calculateOpportunities(quotes, fees, minProfit)
+                .find(other => other.buyExchange === opp.sellExchange && other.sellExchange === opp.buyExchange);
+            assert.equal(reverse, undefined, `seed ${seed}: ${opp.buyExchange} and ${opp.sellExchange} both ways`);
+        });
+    });
+
+    it('a higher threshold or higher fees never add routes', () => {
+        for (let seed = 1; seed <= cases; seed++) {
+            const { quotes, fees, minProfit } = draw(seed);
+            const routes = opportunities => new Set(opportunities.map(opp => `${opp.buyExchange}>${opp.sellExchange}`));
+            const base = routes(Arbitrage.calculateOpportunities(quotes, fees, minProfit));
+
+            const stricter = routes(Arbitrage.calculateOpportunities(quotes, fees, minProfit + 0.1));
+            const pricier = routes(Arbitrage.calculateOpportunities(quotes, Object.fromEntries(
+                Object.entries(fees).map(([exchange, fee]) => [exchange, { buy: fee.buy + 0.05, sell: fee.sell + 0.05 }])
+            ), minProfit));
+
+            for (const key of [...stricter, ...pricier]) {
+                assert.ok(base.has(key), `seed ${seed}: ${key} appeared`);
+            }
+        }
+    });
+
+    it('profit amounts scale with the investment and match the fee-adjusted price ratio', () => {
+        eachCase((opp, { seed }) => {
+            const small = Arbitrage.calculateProfitAmount(opp, 100);
+            const large = Arbitrage.calculateProfitAmount(opp, 10000);
+            const expected = ((1 - opp.buyFee / 100) * (1 - opp.sellFee / 100) * opp.sellPrice / opp.buyPrice - 1) * 100;
+
+            close(large.profit, small.profit * 100, `seed ${seed}: profit doesn't scale`);
+            assert.ok(Math.abs(small.profitPercent - expected) < 1e-6, `seed ${seed}: profit percent`);
+            assert.ok(small.profitPercent <= opp.grossProfit + 1e-9, `seed ${seed}: fees added profit`);
+        });
+    });
+});
@@ -0,0 +1,39 @@
+/**
+ * Backtest tests: reading order book dumps
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+
+describe('Backtest.parseImport', () => {
+    it('reads quoted CSV fields that hold commas', () => {
+        const snapshots = Backtest.parseImport([
+            'source,timestamp,exchange,pair,bid,bid_size,ask,ask_size',
+            '"Kraken, REST","2024-05-01T12:00:00Z",KRAKEN,"BTC/USDT",64080.1,0.5,64081,0.9'
+        ].join('\r\n'));
+
+        assert.equal(snapshots.length, 1);
+        assert.equal(snapshots[0].timestamp, Date.parse('2024-05-01T12:00:00Z'));
+        assert.equal(snapshots[0].quotes[0].bid, 64080.1);
+        assert.equal(snapshots[0].quotes[0].askVolume, 0.9);
+    });
+
+    it('keeps every recorded level of an imported book', () => {
+        const rows = ['timestamp,exchange,pair,side,price,size'];
+        for (let i = 0; i < 15; i++) {
+            rows.push(`1714564800,BINANCE,BTC/USDT,ask,${64011 + i},1`, `1714564800,BINANCE,BTC/USDT,bid,${64010 - i},1`);
+        }
+
+        const [snapshot] = Backtest.parseImport(rows.join('\n'));
+
+        assert.equal(snapshot.quotes[0].asks.length, 15);
+        assert.equal(snapshot.quotes[0].bids.length, 15);
+        assert.equal(snapshot.timestamp, 1714564800000);
+    });
+
+    it('reads timestamps as CoinAPI.parseTime does and rejects the rest', () => {
+        assert.equal(Backtest.parseTimestamp('1714564800000000'), 1714564800000);
+        assert.throws(() => Backtest.parseTimestamp('yesterday'), /Invalid timestamp "yesterday"/);
+    });
+});
@@ -0,0 +1,253 @@
+/**
+ * Config tests: defaults, merge semantics, migration, validation and settings files
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const TestHelpers = require('./helpers');
+
+const store = settings => localStorage.setItem(Config.storageKey, JSON.stringify(settings));
+const stored = () => JSON.parse(localStorage.getItem(Config.storageKey));
+
+describe('Config.load', () => {
+    beforeEach(() => {
+        TestHelpers.reset();
+        Config.reset();
+    });
+
+    it('returns the defaults when nothing is stored', () => {
+        const config = Config.load();
+        const { version, ...settings } = config;
+
+        assert.deepEqual(settings, Config.defaults);
+        assert.equal(version, Config.version);
+    });
+
+    it('returns copies, so changing a config leaves the defaults alone', () => {
+        const config = Config.load();
+        config.pairs.push('DOGE/USDT');
+        config.fees.BINANCE.tiers[0].taker = 5;
+
+        assert.ok(!Config.defaults.pairs.includes('DOGE/USDT'));
+        assert.equal(Config.defaults.fees.BINANCE.tiers[0].taker, 0.1);
+    });
+
+    it('fills in missing keys at any depth', () => {
+        store({ version: Config.version, fees: { OKX: 0.08 }, refreshInterval: 60 });
+        const config = Config.load();
+
+        assert.equal(config.refreshInterval, 60);
+        assert.equal(config.fees.OKX, 0.08);
+        assert.deepEqual(config.fees.BINANCE, Config.defaults.fees.BINANCE);
+        assert.equal(config.defaultMinProfit, Config.defaults.defaultMinProfit);
+    });
+
+    it('replaces an exchange\'s fee schedule whole, so a removed discount stays removed', () => {
+        const schedule = { tiers: [{ volume: 0, maker: 0.1, taker: 0.1 }] };
+        store({ version: Config.version, fees: { BINANCE: schedule }, feeDiscounts: { BINANCE: true } });
+        const config = Config.load();
+
+        assert.deepEqual(config.fees.BINANCE, schedule);
+        assert.equal(Fees.getRate(config, 'BINANCE').token, null);
+    });
+
+    it('replaces only the invalid entry of the fees, keeping the other custom schedules', async () => {
+        const kraken = { tiers: [{ volume: 0, maker: 0.02, taker: 0.05 }] };
+        store({ version: Config.version, fees: { BINANCE: { tiers: [] }, KRAKEN: kraken, MYEX: 'cheap' } });
+
+        let config;
+        const warnings = await TestHelpers.captureConsole('warn', () => {
+            config = Config.load();
+        });
+
+        assert.deepEqual(config.fees.KRAKEN, kraken);
+        assert.deepEqual(config.fees.BINANCE, Config.defaults.fees.BINANCE);
+        assert.ok(!('MYEX' in config.fees));
+        assert.equal(warnings.length, 2);
+    });
+
+    it('keeps assets removed from withdrawal fees and transfer times removed', () => {
+        store({ version: Config.version, withdrawalFees: { BINANCE: { BTC: 0.0001 } }, transferTimes: { BTC: 20 } });
+        const config = Config.load();
+
+        assert.deepEqual(config.withdrawalFees.BINANCE, { BTC: 0.0001 });
+        assert.deepEqual(config.withdrawalFees.KRAKEN, Config.defaults.withdrawalFees.KRAKEN);
+        assert.deepEqual(config.transferTimes, { BTC: 20 });
+    });
+
+    it('replaces arrays instead of merging them', () => {
+        store({ version: Config.version, pairs: ['SOL/USDT'], exchanges: ['KRAKEN'] });
+        const config = Config.load();
+
+        assert.deepEqual(config.pairs, ['SOL/USDT']);
+        assert.deepEqual(config.exchanges, ['KRAKEN']);
+    });
+
+    it('keeps zero and false values rather than falling back to the defaults', () => {
+        store({
+            version: Config.version,
+            defaultMinProfit: 0,
+            quoteMaxAge: 0,
+            triangularEnabled: false,
+            fees: { BINANCE: 0, KRAKEN: { tiers: [{ volume: 0, maker: 0, taker: 0 }] } }
+        });
+        const config = Config.load();
+
+        assert.equal(config.defaultMinProfit, 0);
+        assert.equal(config.quoteMaxAge, 0);
+        assert.equal(config.triangularEnabled, false);
+        assert.equal(config.fees.BINANCE, 0);
+        assert.equal(Config.getFee('BINANCE'), 0);
+        assert.equal(Config.getFee('KRAKEN', 'maker'), 0);
+    });
+
+    it('migrates unversioned settings, dropping flat fees that were the old defaults', () => {
+        store(TestHelpers.fixture('settings-v1.json'));
+        const config = Config.load();
+
+        assert.deepEqual(config.fees.BINANCE, Config.defaults.fees.BINANCE);
+        assert.deepEqual(config.fees.KRAKEN, Config.defaults.fees.KRAKEN);
+        assert.equal(config.fees.OKX, 0.08);
+        assert.equal(config.refreshInterval, 45);
+        assert.equal(config.apiKey, 'test-key');
+
+        // Written back once, at the current version
+        assert.equal(stored().version, Config.version);
+        assert.deepEqual(stored().fees.BINANCE, Config.defaults.fees.BINANCE);
+    });
+
+    it('replaces invalid values with their defaults and warns', async () => {
+        store({ version: Config.version, refreshInterval: -5, triangularMaxLegs: 9, pairs: ['BTCUSDT'], quoteCheckMode: 'drop' });
+
+        let config;
+        const warnings = await TestHelpers.captureConsole('warn', () => {
+            config = Config.load();
+        });
+
+        assert.equal(config.refreshInterval, Config.defaults.refreshInterval);
+        assert.equal(config.triangularMaxLegs, Config.defaults.triangularMaxLegs);
+        assert.deepEqual(config.pairs, Config.defaults.pairs);
+        assert.equal(config.quoteCheckMode, Config.defaults.quoteCheckMode);
+        assert.equal(warnings.length, 4);
+
+        // Repaired settings are stored, so the warnings don't repeat
+        const again = await TestHelpers.captureConsole('warn', () => Config.load());
+        assert.deepEqual(again, []);
+    });
+
+    it('falls back to the defaults for settings from a newer version, without overwriting them', async () => {
+        store({ version: Config.version + 1, refreshInterval: 60 });
+
+        const warnings = await TestHelpers.captureConsole('warn', () => Config.load());
+
+        assert.match(warnings[0], /newer version/);
+        assert.equal(stored().version, Config.version + 1);
+
+        // Resolved once; later reads don't warn again
+        const again = await TestHelpers.captureConsole('warn', () => Config.get('refreshInterval'));
+        assert.deepEqual(again, []);
+    });
+
+    it('resolves stored settings again once they change', () => {
+        assert.equal(Config.get('refreshInterval'), Config.defaults.refreshInterval);
+
+        Config.set('refreshInterval', 90);
+        assert.equal(Config.get('refreshInterval'), 90);
+
+        // Written by another tab
+        store({ version: Config.version, refreshInterval: 120 });
+        assert.equal(Config.get('refreshInterval'), 120);
+    });
+
+    it('falls back to the defaults for unreadable storage', async () => {
+        localStorage.setItem(Config.storageKey, '{not json');
+
+        let config;
+        await TestHelpers.captureConsole('error', () => {
+            config = Config.load();
+        });
+        assert.equal(config.refreshInterval, Config.defaults.refreshInterval);
+    });
+});
+
+describe('Config.save', () => {
+    beforeEach(() => TestHelpers.reset());
+
+    it('stores the schema version', () => {
+        Config.save({ ...Config.load(), version: 1 });
+        assert.equal(stored().version, Config.version);
+    });
+
+    it('keeps the API key out of localStorage unless it is stored in plain text', () => {
+        Config.save({ ...Config.load(), apiKey: 'secret', apiKeyStorage: 'session' });
+        assert.equal(stored().apiKey, '');
+
+        Config.save({ ...Config.load(), apiKey: 'secret', apiKeyStorage: 'plain' });
+        assert.equal(stored().apiKey, 'secret');
+    });
+});
+
+describe('Config profiles and settings files', () => {
+    beforeEach(() => {
+        TestHelpers.reset();
+        Config.saveProfiles({});
+    });
+
+    it('saves profiles without this browser\'s settings', () => {
+        Config.saveProfile('Weekend', { ...Config.load(), apiKey: 'secret', demoMode: true, refreshInterval: 90 });
+        const profile = Config.loadProfiles().Weekend;
+
+        assert.equal(profile.refreshInterval, 90);
+        for (const key of [...Config.deviceKeys, 'profile', 'version']) {
+            assert.ok(!(key in profile), `${key} saved in the profile`);
+        }
+    });
+
+    it('rejects empty and built-in profile names', () => {
+        assert.throws(() => Config.saveProfile('  ', Config.load()), /profile name/);
+        assert.throws(() => Config.saveProfile('Conservative', Config.load()), /built-in/);
+    });
+
+    it('applies a profile over the current settings, keeping the API key and adding its pairs', () => {
+        Config.save({ ...Config.load(), apiKey: 'secret', pairs: ['SOL/USDT'], pairList: ['SOL/USDT'] });
+        const config = Config.applyProfile('High-frequency');
+
+        assert.equal(config.apiKey, 'secret');
+        assert.equal(config.profile, 'High-frequency');
+        assert.equal(config.refreshInterval, Config.builtInProfiles['High-frequency'].refreshInterval);
+        assert.ok(config.pairList.includes('SOL/USDT'));
+        assert.ok(config.pairList.includes('BTC/USDT'));
+    });
+
+    it('round-trips settings and profiles through an export', () => {
+        Config.save({ ...Config.load(), apiKey: 'secret', refreshInterval: 75 });
+        Config.saveProfile('Mine', { ...Config.load(), defaultMinProfit: 2 });
+
+        const imported = Config.parseImport(Config.exportSettings());
+
+        assert.equal(imported.settings.refreshInterval, 75);
+        assert.ok(!('apiKey' in imported.settings));
+        assert.equal(imported.profiles.Mine.defaultMinProfit, 2);
+        assert.equal(Config.parseImport(Config.exportSettings(true)).settings.apiKey, 'secret');
+    });
+
+    it('imports settings, keeping this browser\'s key and key storage', () => {
+        Config.save({ ...Config.load(), apiKey: 'secret', refreshInterval: 75 });
+        const config = Config.importSettings(Config.parseImport(JSON.stringify({ refreshInterval: 20 })));
+
+        assert.equal(config.refreshInterval, 20);
+        assert.equal(config.apiKey, 'secret');
+        assert.equal(config.apiKeyStorage, 'plain');
+    });
+
+    it('rejects files with invalid settings or from a newer version', () => {
+        assert.throws(() => Config.parseImport('[1]'), /Expected a settings object/);
+        assert.throws(() => Config.parseImport('{oops'), /Invalid JSON/);
+        assert.throws(() => Config.parseImport(JSON.stringify({ refreshInterval: 'often' })), /refreshInterval: expected a number/);
+        assert.throws(() => Config.parseImport(JSON.stringify({ fees: { BINANCE: { tiers: [] } } })), /BINANCE needs a flat fee/);
+        assert.throws(
+            () => Config.parseImport(JSON.stringify({ app: 'discopic', version: Config.version + 1, settings: {} })),
+            /newer version/
+        );
+    });
+});
@@ -0,0 +1,154 @@
+/**
+ * Test Helpers
+ * Loads the dashboard modules as globals, as bin/discopic.js does, with
+ * in-memory stand-ins for the browser's localStorage and fetch
+ */
+
+const path = require('path');
+
+// The dashboard modules find each other as globals, as they do in the browser
+global.Config = require('../js/config');
+global.CoinAPI = require('../js/api');
+global.Providers = require('../js/providers');
+global.Fees = require('../js/fees');
+global.Inventory = require('../js/inventory');
+global.RequestBudget = require('../js/budget');
+global.FX = require('../js/fx');
+global.Arbitrage = require('../js/arbitrage');
+global.QuoteQuality = require('../js/quality');
+global.Tracker = require('../js/tracker');
+global.HistoryStore = require('../js/history');
+global.Alerts = require('../js/alerts');
+global.PaperTrading = require('../js/paper');
+global.DataExport = require('../js/export');
+global.Backtest = require('../js/backtest');
+global.MockMarket = require('../js/mock');
+
+const TestHelpers = {
+    // Requests made through the fetch stand-in: { url, headers }
+    requests: [],
+
+    /**
+     * Start each test from empty storage and fresh module state
+     * Requests aren't spaced out, so budgeted calls don't wait
+     */
+    reset() {
+        global.localStorage = this.createStorage();
+        CoinAPI.clearCache();
+        CoinAPI.transport = null;
+        RequestBudget.state = null;
+        RequestBudget.nextSlot = 0;
+        RequestBudget.lastFetched = new Map();
+        RequestBudget.lastSkipped = 0;
+        Tracker.open = new Map();
+        Tracker.closed = new Map();
+        Tracker.lifetimes = null;
+        Config.save({ ...Config.load(), apiRequestsPerSecond: 1000 });
+        this.requests = [];
+    },
+
+    /**
+     * In-memory localStorage
+     */
+    createStorage() {
+        const items = new Map();
+        return {
+            getItem: key => (items.has(key) ? items.get(key) : null),
+            setItem: (key, value) => items.set(key, String(value)),
+            removeItem: key => items.delete(key)
+        };
+    },
+
+    /**
+     * Replace fetch with a handler, recording every request
+     * @param {Function} handler - (url, options) -> Response, or throws as fetch would
+     */
+    stubFetch(handler) {
+        global.fetch = async (url, options = {}) => {
+            this.requests.push({ url, headers: options.headers || {} });
+            return handler(url, options);
+        };
+    },
+
+    /**
+     * JSON response as CoinAPI sends it
+     */
+    response(status, body, headers = {}, statusText = '') {
+        return new Response(JSON.stringify(body), {
+            status,
+            statusText,
+            headers: { 'Content-Type': 'application/json', ...headers }
+        });
+    },
+
+    /**
+     * Run a function with a console method captured instead of printed
+     * @param {String} method - 'warn', 'error', ...
+     * @returns {Promise<Array>} - Messages logged, one string per call
+     */
+    async captureConsole(method, fn) {
+        const original = console[method];
+        const messages = [];
+        console[method] = (...args) => messages.push(args.map(String).join(' '));
+        try {
+            await fn();
+        } finally {
+            console[method] = original;
+        }
+        return messages;
+    },
+
+    /**
+     * Fixture file from test/fixtures
+     */
+    fixture(name) {
+        return require(path.join(__dirname, 'fixtures', name));
+    },
+
+    /**
+     * Quotes from a CoinAPI order book fixture, keyed by symbol ID
+     */
+    fixtureQuotes(name) {
+        return Object.entries(this.fixture(name)).map(([symbolId, book]) => {
+            const [exchange, , base, quote] = symbolId.split('_');
+            const orderbook = CoinAPI.buildOrderbook(book.asks, book.bids, book.time_exchange);
+            return CoinAPI.buildQuote(exchange, 'coinapi', `${base}/${quote}`, orderbook);
+        });
+    },
+
+    /**
+     * Quote built from top of book prices, one level per side
+     */
+    quote(exchange, pair, bid, ask, size = 1) {
+        return CoinAPI.buildQuote(exchange, 'coinapi', pair,
+            CoinAPI.buildOrderbook([{ price: ask, size }], [{ price: bid, size }]));
+    },
+
+    /**
+     * Random uncrossed order books for property tests
+     * @param {Function} random - Seeded random numbers in [0, 1)
+     * @param {Array} exchanges - Exchange IDs to build a book for
+     * @returns {Array} - Quotes for one pair, with mid prices within ±2% of 100
+     */
+    randomQuotes(random, exchanges, pair = 'BTC/USDT') {
+        return exchanges.map(exchange => {
+            const mid = 100 * (1 + (random() - 0.5) * 0.04);
+            const halfSpread = mid * (0.0001 + random() * 0.002);
+            const levels = 1 + Math.floor(random() * 5);
+            const side = direction => Array.from({ length: levels }, (_, i) => ({
+                price: mid + direction * (halfSpread + i * mid * random() * 0.002),
+                size: 0.01 + random() * 2
+            }));
+            return CoinAPI.buildQuote(exchange, 'coinapi', pair, CoinAPI.buildOrderbook(side(1), side(-1)));
+        });
+    },
+
+    /**
+     * Seeded random numbers, so a failing property case replays the same way
+     */
+    random(seed) {
+        return MockMarket.seededRandom(seed);
+    }
+};
+
+module.exports = TestHelpers;
@@ -0,0 +1,51 @@
+/**
+ * History tests: spread and net profit series from recorded snapshots
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const TestHelpers = require('./helpers');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${actual} to be close to ${expected}`);
+
+const fees = { BINANCE: 0.1, KRAKEN: 0.2 };
+const fx = { currencies: ['USDT', 'USDC'], conversionFee: 0.05, riskBuffer: 0.1 };
+
+// BTC sells for more in USDC on KRAKEN; USDC/USDT prices the conversion
+const snapshot = (timestamp, sellBid) => ({
+    timestamp,
+    quotes: [
+        TestHelpers.quote('BINANCE', 'BTC/USDT', 99.9, 100),
+        TestHelpers.quote('KRAKEN', 'BTC/USDT', 100.1, 100.2),
+        TestHelpers.quote('KRAKEN', 'BTC/USDC', sellBid, sellBid + 0.1),
+        TestHelpers.quote('BINANCE', 'USDC/USDT', 0.9999, 1.0001)
+    ]
+});
+
+describe('HistoryStore.buildSeries', () => {
+    it('charts a route on one pair from top of book', () => {
+        const [point] = HistoryStore.buildSeries([snapshot(1, 101)], 'BTC/USDT', fees, 'BINANCE', 'KRAKEN');
+
+        close(point.spread, 0.1);
+        close(point.netProfit, 0.1 - 0.3);
+    });
+
+    it('charts a cross-quote route at the net profit the table lists', () => {
+        const snapshots = [snapshot(1, 101), snapshot(2, 101.5)];
+        const series = HistoryStore.buildSeries(snapshots, 'BTC/USDT', fees, 'BINANCE', 'KRAKEN', 'BTC/USDC', fx);
+
+        assert.equal(series.length, 2);
+        for (const [i, point] of series.entries()) {
+            const quotes = snapshots[i].quotes;
+            const rates = FX.getRates(quotes, fx.currencies, new Map());
+            const listed = Arbitrage.calculateOpportunities(quotes, fees, -Infinity, null, { ...fx, rates })
+                .find(opp => opp.sellPair === 'BTC/USDC' && opp.buyExchange === 'BINANCE');
+
+            close(point.netProfit, listed.netProfit);
+        }
+    });
+
+    it('has no cross-quote series without FX settings', () => {
+        assert.deepEqual(HistoryStore.buildSeries([snapshot(1, 101)], 'BTC/USDT', fees, null, null, 'BTC/USDC'), []);
+    });
+});
@@ -0,0 +1,30 @@
+/**
+ * Inventory tests: importing balances
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+
+describe('Inventory.parseImport', () => {
+    it('reads quoted CSV amounts with thousands separators', () => {
+        const balances = Inventory.parseImport([
+            'exchange,asset,amount',
+            'BINANCE,USDT,"1,000.5"',
+            '"kraken","btc","0.25"'
+        ].join('\n'));
+
+        assert.deepEqual(balances, { BINANCE: { USDT: 1000.5 }, KRAKEN: { BTC: 0.25 } });
+    });
+
+    it('reads one column per asset', () => {
+        const balances = Inventory.parseImport('\uFEFFexchange,BTC,"USDT"\nBINANCE,0.5,"2,500"\n');
+
+        assert.deepEqual(balances, { BINANCE: { BTC: 0.5, USDT: 2500 } });
+    });
+
+    it('rejects amounts that aren\'t numbers', () => {
+        assert.throws(() => Inventory.parseImport('exchange,asset,amount\nBINANCE,USDT,"1,5"'),
+            /Invalid amount for USDT on BINANCE/);
+    });
+});
@@ -0,0 +1,78 @@
+/**
+ * Paper trading tests: fills against virtual balances
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const TestHelpers = require('./helpers');
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, message
+    || `expected ${actual} to be close to ${expected}`);
+
+// BTC is 0.5% dearer on KRAKEN; BNB prices the fee token
+const quotes = () => [
+    TestHelpers.quote('BINANCE', 'BTC/USDT', 99.9, 100, 10),
+    TestHelpers.quote('KRAKEN', 'BTC/USDT', 100.5, 100.6, 10),
+    TestHelpers.quote('BINANCE', 'BNB/USDT', 499.9, 500.1, 10),
+    TestHelpers.quote('KRAKEN', 'BNB/USDT', 499.9, 500.1, 10)
+];
+
+// BINANCE fees are paid in BNB
+const fees = {
+    BINANCE: { buy: 0.1, sell: 0.1, buyToken: 'BNB', sellToken: 'BNB' },
+    KRAKEN: { buy: 0.2, sell: 0.2 }
+};
+
+const trade = books => {
+    PaperTrading.start(books, ['BINANCE', 'KRAKEN'], 1000);
+    const [opp] = Arbitrage.calculateOpportunities(books, fees, 0);
+    const before = JSON.parse(JSON.stringify(PaperTrading.session.balances));
+    const [result] = PaperTrading.execute([opp], books, { minProfit: 0, tradeValue: 500 });
+    return { opp, before, after: PaperTrading.session.balances, result };
+};
+
+describe('PaperTrading cross-exchange fills', () => {
+    beforeEach(() => {
+        TestHelpers.reset();
+        PaperTrading.session = null;
+    });
+
+    it('debits a token-paid fee from the token balance, not the trade', () => {
+        const { opp, before, after, result } = trade(quotes());
+        const bought = result.size * 100;
+        const feeValue = bought * 0.001;
+
+        assert.equal(opp.buyFeeToken, 'BNB');
+        close(before.BINANCE.USDT - after.BINANCE.USDT, bought);
+        close(before.BINANCE.BNB - after.BINANCE.BNB, feeValue / 500);
+        close(after.KRAKEN.USDT - before.KRAKEN.USDT, result.size * 100.5 * 0.998);
+        close(result.profit, result.size * 100.5 * 0.998 - bought - feeValue);
+    });
+
+    it('charges the fee in the trade when the exchange holds no token', () => {
+        const books = quotes();
+        PaperTrading.start(books, ['BINANCE', 'KRAKEN'], 1000);
+        PaperTrading.session.balances.BINANCE.BNB = 0;
+        const [opp] = Arbitrage.calculateOpportunities(books, fees, 0);
+        const usdt = PaperTrading.session.balances.BINANCE.USDT;
+
+        const [result] = PaperTrading.execute([opp], books, { minProfit: 0, tradeValue: 500 });
+
+        close(usdt - PaperTrading.session.balances.BINANCE.USDT, result.size * 100 * 1.001);
+        assert.equal(PaperTrading.session.balances.BINANCE.BNB, 0);
+    });
+
+    it('sizes the trade to what the token balance can pay fees for', () => {
+        const books = quotes();
+        PaperTrading.start(books, ['BINANCE', 'KRAKEN'], 1000);
+        // Pays the fee on 2 BTC: 2 × 100 × 0.1% = 0.2 USDT
+        PaperTrading.session.balances.BINANCE.BNB = 0.2 / 500;
+        const [opp] = Arbitrage.calculateOpportunities(books, fees, 0);
+
+        const [result] = PaperTrading.execute([opp], books, { minProfit: 0, tradeValue: 5000 });
+
+        close(result.size, 2);
+        assert.equal(result.limitedBy, 'inventory');
+        close(PaperTrading.session.balances.BINANCE.BNB, 0);
+    });
+});
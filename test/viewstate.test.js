@@ -0,0 +1,58 @@
+/**
+ * ViewState tests: reading and writing the dashboard state in links
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ViewState = require('../js/viewstate');
+
+const defaults = ViewState.getDefaults(0.5);
+
+describe('ViewState', () => {
+    it('leaves the defaults out of the URL', () => {
+        assert.equal(ViewState.serialize(defaults, defaults), '');
+    });
+
+    it('round-trips filters, sort order, view and route', () => {
+        const state = {
+            pair: 'BTC/USDT',
+            type: 'cross-exchange',
+            minProfit: 0.8,
+            funding: 'funded',
+            minCycles: 3,
+            sortBy: 'spread',
+            view: 'matrix',
+            route: 'BTC/USDT|BINANCE|KRAKEN'
+        };
+        const url = ViewState.serialize(state, defaults);
+        const [search, hash] = url.split('#');
+
+        assert.equal(url, '?pair=BTC/USDT&type=cross-exchange&min=0.8&funding=funded&cycles=3&sort=spread&view=matrix'
+            + '#route=BTC/USDT%7CBINANCE%7CKRAKEN');
+        assert.deepEqual(ViewState.parse(search, `#${hash}`), state);
+    });
+
+    it('keeps a min profit of 0 when the default is higher', () => {
+        const url = ViewState.serialize({ ...defaults, minProfit: 0 }, defaults);
+
+        assert.equal(url, '?min=0');
+        assert.equal(ViewState.parse(url, '').minProfit, 0);
+    });
+
+    it('round-trips cross-quote and triangular route keys', () => {
+        for (const route of ['BTC/USDT>BTC/USDC|BINANCE|KRAKEN', 'BINANCE|BTC/USDT>ETH/BTC>ETH/USDT']) {
+            const hash = ViewState.serialize({ ...defaults, route }, defaults);
+            assert.equal(ViewState.parse('', hash).route, route);
+        }
+    });
+
+    it('ignores values the dashboard doesn\'t offer', () => {
+        const state = ViewState.parse('?pair=<script>&type=spot&min=lots&cycles=0&sort=age&view=admin&funding=1', '#other=1');
+
+        assert.deepEqual(state, {});
+    });
+
+    it('reads lowercase pairs', () => {
+        assert.equal(ViewState.parse('?pair=eth%2Fusdt', '').pair, 'ETH/USDT');
+    });
+});